@@ -4,7 +4,7 @@
 import { Sys_Init, Sys_Printf, Sys_Error } from './src/sys.js';
 import { COM_InitArgv } from './src/common.js';
 import { Host_Init, Host_Frame, Host_Shutdown } from './src/host.js';
-import { COM_FetchPak, COM_AddPack } from './src/pak.js';
+import { COM_FetchPak, COM_AddPack, COM_AddGameDirectory } from './src/pak.js';
 import { Cbuf_AddText } from './src/cmd.js';
 import { cls, cl } from './src/client.js';
 import { sv } from './src/server.js';
@@ -71,6 +71,9 @@ async function main() {
 
 		}
 
+		// Loose files next to the paks (music/track02.ogg etc.), after them
+		COM_AddGameDirectory( parms.basedir );
+
 		await Host_Init( parms );
 
 		// Remove loading overlay
@@ -1,8 +1,9 @@
 // Headless server host module for Deno
 // Implements Host_Init_Server and Host_ServerFrame without rendering
+// The game itself runs in the shared SV_* modules from src/; this module
+// only wires them to the WebTransport server driver and mod_server.ts.
 
 import { Sys_Printf, Sys_FloatTime } from './sys_server.ts';
-import { COM_LoadFile, COM_LoadFileAsString } from './pak_server.ts';
 import {
 	WT_Init,
 	WT_Listen,
@@ -14,14 +15,77 @@ import {
 	WT_CanSendMessage,
 	WT_Close,
 	WT_SearchForHosts,
-	WT_Connect,
 	WT_CanSendUnreliableMessage,
-	net_message,
+	WT_MaxUnreliableMessage,
+	WT_SetConfig,
+	WT_SetDirectMode,
+	WT_SetDriverLevel,
+	WT_SetSocketAllocator,
+	WT_SetSocketFreer,
+	WT_SetMapCallbacks,
+	WT_SetMaxClientsCallback,
+	WT_SetRconPasswordCallback,
+	WT_BanAddress,
+	WT_UnbanAddress,
+	WT_ListBans,
 	type qsocket_t,
 } from './net_webtransport_server.ts';
-
-// Re-export net_message for other modules
-export { net_message };
+import {
+	Mod_Init,
+	Mod_ForName,
+	Mod_PointInLeaf,
+	Mod_LeafPVS,
+} from './mod_server.ts';
+import { COM_FetchPak, COM_AddPack } from '../src/pak.js';
+import { Memory_Init } from '../src/zone.js';
+import { Cbuf_Init, Cbuf_Execute, Cmd_Init } from '../src/cmd.js';
+import { Cvar_RegisterVariable, Cvar_SetValue } from '../src/cvar.js';
+import { AngleVectors, DotProduct } from '../src/mathlib.js';
+import {
+	Host_InitCommands,
+	Host_SetExternals,
+	Host_ShutdownServer,
+	rcon_password,
+} from '../src/host_cmd.js';
+import { cls, ca_dedicated } from '../src/client.js';
+import { pr_global_struct } from '../src/progs.js';
+import { PR_Init } from '../src/pr_edict.js';
+import {
+	SV_Init,
+	SV_SpawnServer,
+	SV_CheckForNewClients,
+	SV_SendClientMessages,
+	SV_ClearDatagram,
+	SV_SetModelCallbacks,
+	SV_SetRealtime,
+} from '../src/sv_main.js';
+import { SV_Physics, SV_SetFrametime } from '../src/sv_phys.js';
+import { SV_RunClients, SV_User_SetCallbacks } from '../src/sv_user.js';
+import {
+	sv,
+	svs,
+	client_t,
+	fraglimit,
+	timelimit,
+	teamplay,
+	samelevel,
+	noexit,
+	skill,
+	deathmatch,
+	coop,
+} from '../src/server.js';
+import {
+	NET_Init,
+	NET_Shutdown,
+	NET_NewQSocket,
+	NET_FreeQSocket,
+	set_listening,
+} from '../src/net_main.js';
+import {
+	net_drivers,
+	set_net_numdrivers,
+	set_net_driverlevel,
+} from '../src/net.js';
 
 // Server configuration
 export interface ServerConfig {
@@ -29,437 +93,267 @@ export interface ServerConfig {
 	port: number;
 	tickRate: number;
 	defaultMap: string;
+	pakPath: string;
+	certFile: string;
+	keyFile: string;
+	directMode: boolean; // Skip lobby protocol, accept connections directly
+	rconPassword: string; // Empty disables rcon until a room creator sets one
 }
 
-// Server state
-interface ServerState {
-	active: boolean;
-	paused: boolean;
-	time: number;
-	frametime: number;
-	name: string; // Current map name
-	worldmodel: unknown | null;
-	model_precache: (string | null)[];
-	sound_precache: (string | null)[];
-	lightstyles: (string | null)[];
-	num_edicts: number;
-	edicts: unknown[] | null;
-}
-
-interface ServerStatic {
-	maxclients: number;
-	maxclientslimit: number;
-	clients: ClientState[];
-	serverflags: number;
-	changelevel_issued: boolean;
-}
-
-interface ClientState {
-	active: boolean;
-	spawned: boolean;
-	dropasap: boolean;
-	netconnection: qsocket_t | null;
-	name: string;
-	colors: number;
-	old_frags: number;
-	edict: unknown | null;
-	message: {
-		data: Uint8Array;
-		cursize: number;
-		maxsize: number;
-	};
-	spawn_parms: number[];
-}
-
-// Global server state
-export const sv: ServerState = {
-	active: false,
-	paused: false,
-	time: 0,
-	frametime: 0,
-	name: '',
-	worldmodel: null,
-	model_precache: new Array(256).fill(null),
-	sound_precache: new Array(256).fill(null),
-	lightstyles: new Array(64).fill(null),
-	num_edicts: 0,
-	edicts: null,
-};
-
-export const svs: ServerStatic = {
-	maxclients: 1,
-	maxclientslimit: 16,
-	clients: [],
-	serverflags: 0,
-	changelevel_issued: false,
-};
-
-// Current host client being processed
-export let host_client: ClientState | null = null;
-export let host_frametime = 0;
-export let host_time = 0;
-
-// Network driver registration
-interface NetDriver {
-	name: string;
-	initialized: boolean;
-	Init: () => number;
-	Shutdown: () => void;
-	Listen: (state: boolean) => void | Promise<void>;
-	SearchForHosts: (xmit: boolean) => void;
-	Connect: (host: string) => qsocket_t | null;
-	CheckNewConnections: () => qsocket_t | null;
-	QGetMessage: (sock: qsocket_t) => number;
-	QSendMessage: (
-		sock: qsocket_t,
-		data: { data: Uint8Array; cursize: number }
-	) => number;
-	SendUnreliableMessage: (
-		sock: qsocket_t,
-		data: { data: Uint8Array; cursize: number }
-	) => number;
-	CanSendMessage: (sock: qsocket_t) => boolean;
-	CanSendUnreliableMessage: (sock: qsocket_t) => boolean;
-	Close: (sock: qsocket_t) => void;
-}
-
-const net_drivers: NetDriver[] = [];
-let net_numdrivers = 0;
+// Timing
+let realtime = 0;
+let oldrealtime = 0;
+let host_frametime = 0;
 
-// Protocol constants for disconnect notifications
-const svc_updatename = 13;
-const svc_updatefrags = 14;
-const svc_updatecolors = 17;
+// Roll angle for the view, the client's cl_rollangle / cl_rollspeed defaults
+const ROLL_ANGLE = 2.0;
+const ROLL_SPEED = 200;
 
-// Message writing helpers
-function MSG_WriteByte(msg: { data: Uint8Array; cursize: number }, val: number): void {
-	msg.data[msg.cursize++] = val & 0xff;
-}
+const _forward = new Float32Array(3);
+const _right = new Float32Array(3);
+const _up = new Float32Array(3);
 
-function MSG_WriteShort(msg: { data: Uint8Array; cursize: number }, val: number): void {
-	msg.data[msg.cursize++] = val & 0xff;
-	msg.data[msg.cursize++] = (val >> 8) & 0xff;
-}
-
-function MSG_WriteString(msg: { data: Uint8Array; cursize: number }, s: string): void {
-	for (let i = 0; i < s.length; i++) {
-		msg.data[msg.cursize++] = s.charCodeAt(i);
+/**
+ * Server side V_CalcRoll, the client's version reads its own cvars
+ */
+function V_CalcRoll(angles: Float32Array, velocity: Float32Array): number {
+	AngleVectors(angles, _forward, _right, _up);
+	let side = DotProduct(velocity, _right);
+	const sign = side < 0 ? -1 : 1;
+	side = Math.abs(side);
+
+	if (side < ROLL_SPEED) {
+		side = side * ROLL_ANGLE / ROLL_SPEED;
+	} else {
+		side = ROLL_ANGLE;
 	}
-	msg.data[msg.cursize++] = 0; // null terminator
+
+	return side * sign;
 }
 
 /**
- * Initialize the server-side network
+ * Register the WebTransport server as net driver 1
  */
 function NET_Init_Server(): void {
-	// Register WebTransport driver
-	net_drivers[0] = {
-		name: 'WebTransport',
+	// Base networking (sets up loopback driver 0)
+	NET_Init();
+
+	// Dedicated server accepts connections
+	set_listening(true);
+
+	set_net_numdrivers(2);
+	net_drivers[1] = {
+		name: 'WebTransport Server',
 		initialized: false,
+		controlSock: null,
 		Init: WT_Init,
-		Shutdown: WT_Shutdown,
 		Listen: WT_Listen,
 		SearchForHosts: WT_SearchForHosts,
-		Connect: WT_Connect,
+		Connect: () => null, // Server doesn't connect out
 		CheckNewConnections: WT_CheckNewConnections,
 		QGetMessage: WT_QGetMessage,
 		QSendMessage: WT_QSendMessage,
 		SendUnreliableMessage: WT_SendUnreliableMessage,
 		CanSendMessage: WT_CanSendMessage,
 		CanSendUnreliableMessage: WT_CanSendUnreliableMessage,
+		MaxUnreliableMessage: WT_MaxUnreliableMessage,
 		Close: WT_Close,
+		Shutdown: WT_Shutdown,
 	};
 
-	net_numdrivers = 1;
-
-	// Initialize driver
-	const result = net_drivers[0].Init();
-	if (result !== -1) {
-		net_drivers[0].initialized = true;
+	const controlSocket = net_drivers[1].Init();
+	if (controlSocket !== -1) {
+		net_drivers[1].initialized = true;
+		net_drivers[1].controlSock = controlSocket;
 	}
 
-	Sys_Printf('NET_Init_Server: %d drivers\n', net_numdrivers);
+	// All server traffic goes through the WebTransport driver
+	set_net_driverlevel(1);
+	WT_SetDriverLevel(1);
+
+	// Sockets come from the shared pool in net_main.js
+	WT_SetSocketAllocator(NET_NewQSocket as () => qsocket_t | null);
+	WT_SetSocketFreer(NET_FreeQSocket as (sock: qsocket_t) => void);
+
+	Sys_Printf('NET_Init_Server: %d drivers\n', 2);
 }
 
 /**
- * Initialize the dedicated server (no rendering)
+ * Initialize the headless server and spawn the default map
  */
 export async function Host_Init_Server(config: ServerConfig): Promise<void> {
 	Sys_Printf('Host_Init_Server starting...\n');
 
-	// Initialize server static
-	svs.maxclients = config.maxClients;
-	svs.maxclientslimit = config.maxClients;
-	svs.clients = [];
+	Memory_Init();
+	Cbuf_Init();
+	Cmd_Init();
 
-	// Allocate client slots
-	for (let i = 0; i < svs.maxclientslimit; i++) {
-		svs.clients[i] = {
-			active: false,
-			spawned: false,
-			dropasap: false,
-			netconnection: null,
-			name: '',
-			colors: 0,
-			old_frags: 0,
-			edict: null,
-			message: {
-				data: new Uint8Array(8192),
-				cursize: 0,
-				maxsize: 8192,
-			},
-			spawn_parms: new Array(16).fill(0),
-		};
-	}
+	// Game cvars, the client registers these in Host_InitLocal
+	Cvar_RegisterVariable(fraglimit);
+	Cvar_RegisterVariable(timelimit);
+	Cvar_RegisterVariable(teamplay);
+	Cvar_RegisterVariable(samelevel);
+	Cvar_RegisterVariable(noexit);
+	Cvar_RegisterVariable(skill);
+	Cvar_RegisterVariable(deathmatch);
+	Cvar_RegisterVariable(coop);
 
-	// Initialize network
-	NET_Init_Server();
+	// status, kick, ban, prespawn, spawn, begin...
+	Host_InitCommands();
 
-	// Start listening for connections
-	await net_drivers[0].Listen(true);
+	// Ban list is kept by the WebTransport driver
+	Host_SetExternals({
+		WT_BanAddress,
+		WT_UnbanAddress,
+		WT_ListBans,
+	});
 
-	host_time = 1.0; // So a think at time 0 won't get called
+	rcon_password.string = config.rconPassword;
 
-	Sys_Printf('Host_Init_Server complete\n');
-}
+	// Keeps Host_Map_f from connecting a local client
+	cls.state = ca_dedicated;
 
-/**
- * Shutdown the server
- */
-export function Host_Shutdown_Server(): void {
-	Sys_Printf('Host_Shutdown_Server...\n');
-
-	// Drop all clients (crash=true since server is going down)
-	for (let i = 0; i < svs.clients.length; i++) {
-		const client = svs.clients[i];
-		if (client.active) {
-			SV_DropClient(i, true);
-		}
+	// Size the client slots before NET_Init so the socket pool matches
+	svs.maxclients = config.maxClients;
+	svs.maxclientslimit = config.maxClients;
+	svs.clients = [];
+	for (let i = 0; i < svs.maxclientslimit; i++) {
+		svs.clients[i] = new client_t();
 	}
 
-	// Stop listening
-	net_drivers[0].Listen(false);
-	net_drivers[0].Shutdown();
-
-	sv.active = false;
-
-	Sys_Printf('Host_Shutdown_Server complete\n');
-}
+	WT_SetConfig({
+		port: config.port,
+		certFile: config.certFile,
+		keyFile: config.keyFile,
+	});
 
-/**
- * Check for new client connections
- */
-function SV_CheckForNewClients(): void {
-	while (true) {
-		const sock = net_drivers[0].CheckNewConnections();
-		if (!sock) break;
-
-		// Find a free client slot
-		let clientNum = -1;
-		for (let i = 0; i < svs.maxclients; i++) {
-			if (!svs.clients[i].active) {
-				clientNum = i;
-				break;
-			}
-		}
+	if (config.directMode) {
+		WT_SetDirectMode(true);
+		Sys_Printf('Direct mode enabled\n');
+	}
 
-		if (clientNum === -1) {
-			Sys_Printf('Server is full, rejecting connection\n');
-			net_drivers[0].Close(sock);
-			continue;
-		}
+	NET_Init_Server();
 
-		const client = svs.clients[clientNum];
-		client.active = true;
-		client.spawned = false;
-		client.netconnection = sock;
-		client.name = 'unnamed';
-		client.colors = 0;
-		client.message.cursize = 0;
+	PR_Init();
+	Mod_Init();
+	SV_Init();
 
-		Sys_Printf('Client %d connected: %s\n', clientNum, sock.address);
+	// Shared server code loads maps through mod_server.ts
+	SV_SetModelCallbacks({ Mod_ForName, Mod_PointInLeaf, Mod_LeafPVS });
+	SV_User_SetCallbacks({ V_CalcRoll });
 
-		// TODO: Send signon messages
-		// This will be implemented when the full protocol is integrated
-	}
-}
+	// Deathmatch keeps respawn() from restarting the whole server
+	Cvar_SetValue('deathmatch', 1);
 
-/**
- * Drop a client - called when client disconnects or is kicked
- * @param clientNum The client slot number
- * @param crash If true, don't bother sending signoff messages
- */
-function SV_DropClient(clientNum: number, crash: boolean): void {
-	const client = svs.clients[clientNum];
-	if (client == null || !client.active) return;
+	// Level exits kill the player instead of changing the map for everyone:
+	// samelevel for QuakeWorld style progs, noexit for standard progs
+	Cvar_SetValue('samelevel', 2);
+	Cvar_SetValue('noexit', 1);
 
-	if (!crash) {
-		Sys_Printf('Client %s removed\n', client.name);
+	Sys_Printf('Loading game data...\n');
+	const pak = await COM_FetchPak(config.pakPath, 'pak0.pak');
+	if (!pak) {
+		throw new Error('Failed to load ' + config.pakPath);
 	}
+	COM_AddPack(pak);
 
-	// Close the net connection
-	if (client.netconnection != null) {
-		net_drivers[0].Close(client.netconnection);
-		client.netconnection = null;
-	}
+	await net_drivers[1].Listen(true);
 
-	// Free the client (the body stays around)
-	client.active = false;
-	client.name = '';
-	client.old_frags = -999999;
-	client.spawned = false;
-	client.dropasap = false;
+	// Rooms joined through the lobby protocol can change the map
+	WT_SetMapCallbacks(
+		async (mapName: string) => {
+			Sys_Printf('Changing map to: %s\n', mapName);
+			await SV_SpawnServer(mapName);
+		},
+		() => sv.name || ''
+	);
 
-	// Send notification to all other clients
-	for (let i = 0; i < svs.maxclients; i++) {
-		const other = svs.clients[i];
-		if (!other.active) continue;
+	// Must be set before SV_SpawnServer so svc_serverinfo has the right value
+	WT_SetMaxClientsCallback((maxClients: number) => {
+		// Clamp like MaxPlayers_f in net_main.c
+		if (maxClients < 1) maxClients = 1;
+		if (maxClients > svs.maxclientslimit) maxClients = svs.maxclientslimit;
+		Sys_Printf('Updating maxclients: %d -> %d\n', svs.maxclients, maxClients);
+		svs.maxclients = maxClients;
+	});
+
+	// The first room creator becomes the room owner for rcon
+	WT_SetRconPasswordCallback((password: string) => {
+		if (rcon_password.string === '') {
+			rcon_password.string = password;
+		}
+	});
 
-		MSG_WriteByte(other.message, svc_updatename);
-		MSG_WriteByte(other.message, clientNum);
-		MSG_WriteString(other.message, '');
+	Sys_Printf('Spawning server for map: %s\n', config.defaultMap);
+	await SV_SpawnServer(config.defaultMap);
 
-		MSG_WriteByte(other.message, svc_updatefrags);
-		MSG_WriteByte(other.message, clientNum);
-		MSG_WriteShort(other.message, 0);
+	oldrealtime = Sys_FloatTime();
 
-		MSG_WriteByte(other.message, svc_updatecolors);
-		MSG_WriteByte(other.message, clientNum);
-		MSG_WriteByte(other.message, 0);
-	}
+	Sys_Printf('Host_Init_Server complete\n');
 }
 
 /**
- * Read and process client messages
+ * Shutdown the server
  */
-function SV_RunClients(): void {
-	for (let i = 0; i < svs.maxclients; i++) {
-		const client = svs.clients[i];
-		if (!client.active) continue;
-
-		host_client = client;
-
-		if (client.netconnection == null) continue;
+export function Host_Shutdown_Server(): void {
+	Sys_Printf('Host_Shutdown_Server...\n');
 
-		// Read messages from client
-		let ret: number;
-		while ((ret = net_drivers[0].QGetMessage(client.netconnection)) > 0) {
-			// Process the message in net_message
-			// TODO: Parse client commands (clc_move, clc_stringcmd, etc.)
-			// This will be implemented when the full protocol is integrated
-		}
+	Host_ShutdownServer(false);
+	NET_Shutdown();
 
-		if (ret === -1) {
-			// Client disconnected
-			SV_DropClient(i, false);
-		}
-	}
-
-	host_client = null;
+	Sys_Printf('Host_Shutdown_Server complete\n');
 }
 
 /**
- * Send messages to all clients
+ * Run a server frame, timing comes from the wall clock
  */
-function SV_SendClientMessages(): void {
-	for (let i = 0; i < svs.maxclients; i++) {
-		const client = svs.clients[i];
-		if (!client.active) continue;
-		if (!client.netconnection) continue;
-		if (!client.spawned) continue;
-
-		// Check if we can send
-		if (!net_drivers[0].CanSendMessage(client.netconnection)) continue;
-
-		// Send reliable message if any
-		if (client.message.cursize > 0) {
-			const result = net_drivers[0].QSendMessage(
-				client.netconnection,
-				client.message
-			);
-			if (result === -1) {
-				// Send failed, mark for drop
-				client.dropasap = true;
-			}
-			client.message.cursize = 0;
-		}
+export function Host_ServerFrame(): void {
+	const newtime = Sys_FloatTime();
+	host_frametime = newtime - oldrealtime;
+	oldrealtime = newtime;
 
-		// TODO: Send unreliable entity updates
-		// This will be implemented when the full protocol is integrated
-	}
+	if (host_frametime > 0.1) host_frametime = 0.1;
+	if (host_frametime < 0.001) host_frametime = 0.001;
 
-	// Drop clients marked for dropping
-	for (let i = 0; i < svs.maxclients; i++) {
-		const client = svs.clients[i];
-		if (client.dropasap) {
-			SV_DropClient(i, false);
-		}
-	}
-}
+	realtime += host_frametime;
 
-/**
- * Run physics simulation
- */
-function SV_Physics(): void {
-	// TODO: Integrate full physics from sv_phys.js
-	// For now, just advance time
-	sv.time += sv.frametime;
-}
+	// sync frametime and realtime to the server modules
+	SV_SetFrametime(host_frametime);
+	SV_SetRealtime(realtime);
 
-/**
- * Run a single server frame
- */
-export function Host_ServerFrame(frametime: number): void {
 	if (!sv.active) return;
 
-	host_frametime = frametime;
-	sv.frametime = frametime;
+	// progs.js declares it as null, so its inferred type has to be widened
+	const globals = pr_global_struct as { frametime: number } | null;
+	if (globals) {
+		globals.frametime = host_frametime;
+	}
+
+	// set the time and clear the general datagram
+	SV_ClearDatagram();
+
+	// rcon and map change commands
+	Cbuf_Execute();
 
-	// Check for new clients
 	SV_CheckForNewClients();
 
-	// Read client messages and process commands
+	// read client messages
 	SV_RunClients();
 
-	// Run physics (if not paused)
+	// move things around and think
 	if (!sv.paused) {
 		SV_Physics();
 	}
 
-	// Send messages to clients
+	// send all messages to the clients
 	SV_SendClientMessages();
-
-	host_time += frametime;
 }
 
 /**
- * Spawn a new server with the given map
+ * Server uptime in seconds
  */
-export async function SV_SpawnServer(mapName: string): Promise<boolean> {
-	Sys_Printf('SpawnServer: %s\n', mapName);
-
-	// TODO: Load BSP file
-	// TODO: Load progs.dat
-	// TODO: Initialize entities
-	// This requires the headless model loader (mod_server.ts)
-
-	sv.active = true;
-	sv.paused = false;
-	sv.time = 1.0;
-	sv.name = mapName;
-
-	// Initialize precache arrays
-	sv.model_precache.fill(null);
-	sv.sound_precache.fill(null);
-	sv.lightstyles.fill(null);
-
-	// Set up first precache slot (world model)
-	sv.model_precache[0] = '';
-	sv.model_precache[1] = 'maps/' + mapName + '.bsp';
-
-	Sys_Printf('Server spawned: %s\n', mapName);
-
-	return true;
+export function Host_Realtime(): number {
+	return realtime;
 }
 
 /**
@@ -467,8 +361,8 @@ export async function SV_SpawnServer(mapName: string): Promise<boolean> {
  */
 export function SV_GetClientCount(): number {
 	let count = 0;
-	for (const client of svs.clients) {
-		if (client.active && client.spawned) count++;
+	for (let i = 0; i < svs.maxclients; i++) {
+		if (svs.clients[i].active) count++;
 	}
 	return count;
 }
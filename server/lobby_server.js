@@ -152,6 +152,7 @@ async function handleSession( wt, address ) {
 						map: config.map || 'start',
 						maxPlayers: config.maxPlayers || 8,
 						hostName: config.hostName || 'Player',
+						rconPassword: typeof config.rconPassword === 'string' ? config.rconPassword : '',
 					} );
 
 					if ( result === null ) {
@@ -1,34 +1,15 @@
 // Three-Quake Dedicated Server Entry Point
 // Runs the Quake server headlessly using Deno
 
-import { Sys_Printf, Sys_FloatTime } from './sys_server.ts';
-import {
-	COM_LoadPackFromFile,
-	COM_AddPack,
-} from './pak_server.ts';
-import {
-	WT_SetConfig,
-	WT_SetRoomResolver,
-} from './net_webtransport_server.ts';
+import { Sys_Printf } from './sys_server.ts';
 import {
 	Host_Init_Server,
 	Host_ServerFrame,
 	Host_Shutdown_Server,
-	SV_SpawnServer,
-	sv,
-	svs,
+	Host_Realtime,
+	SV_GetClientCount,
 } from './host_server.ts';
-import { Mod_Init } from './mod_server.ts';
-import {
-	createRoom,
-	getRoom,
-	listRooms,
-	updateRoomPlayerCount,
-	deleteRoom,
-	cleanupRooms,
-	getRoomCount,
-	type Room,
-} from './rooms.ts';
+import { cleanupRooms } from './rooms.ts';
 
 // Server configuration
 const CONFIG = {
@@ -40,6 +21,10 @@ const CONFIG = {
 	maxClients: 16,
 	defaultMap: 'start',
 	roomCleanupInterval: 60000, // Clean up stale rooms every 60s
+	roomId: null as string | null, // Room ID if spawned by the lobby server
+	directMode: false, // Skip lobby protocol, accept connections directly
+	idleTimeout: 300, // Seconds to wait before exiting when empty (room mode)
+	rconPassword: '', // Password for remote administration, empty disables rcon
 };
 
 // Parse command line arguments
@@ -63,6 +48,15 @@ function parseArgs(): void {
 			CONFIG.keyFile = args[++i];
 		} else if (arg === '-tickrate' && args[i + 1]) {
 			CONFIG.tickRate = parseInt(args[++i], 10);
+		} else if (arg === '-rconpassword' && args[i + 1]) {
+			CONFIG.rconPassword = args[++i];
+		} else if (arg === '-room' && args[i + 1]) {
+			CONFIG.roomId = args[++i];
+			CONFIG.directMode = true; // Room servers use direct mode
+		} else if (arg === '-direct') {
+			CONFIG.directMode = true;
+		} else if (arg === '-idletimeout' && args[i + 1]) {
+			CONFIG.idleTimeout = parseInt(args[++i], 10);
 		} else if (arg === '-help' || arg === '--help' || arg === '-h') {
 			printUsage();
 			Deno.exit(0);
@@ -74,7 +68,7 @@ function printUsage(): void {
 	console.log(`
 Three-Quake Dedicated Server
 
-Usage: deno run --allow-net --allow-read --allow-env server/main.ts [options]
+Usage: deno run --allow-net --allow-read --allow-env --unstable-net server/main.ts [options]
 
 Options:
   -port <port>         WebTransport port (default: 4433)
@@ -84,10 +78,14 @@ Options:
   -cert <path>         TLS certificate file (default: cert.pem)
   -key <path>          TLS key file (default: key.pem)
   -tickrate <hz>       Server tick rate (default: 72)
+  -rconpassword <pw>   Password for remote administration (default: none)
+  -room <id>           Run as a lobby room server (implies -direct)
+  -direct              Accept game connections without the lobby protocol
+  -idletimeout <sec>   Room mode: exit after this long empty (default: 300)
   -help                Show this help
 
 Example:
-  deno run --allow-net --allow-read server/main.ts -port 4433 -map e1m1
+  deno run --allow-net --allow-read --unstable-net server/main.ts -port 4433 -map e1m1
 `);
 }
 
@@ -98,31 +96,14 @@ Example:
 async function initServer(): Promise<boolean> {
 	Sys_Printf('\n');
 	Sys_Printf('========================================\n');
-	Sys_Printf('Three-Quake Dedicated Server v1.0\n');
+	if (CONFIG.roomId !== null) {
+		Sys_Printf('Three-Quake Room Server [%s]\n', CONFIG.roomId);
+	} else {
+		Sys_Printf('Three-Quake Dedicated Server v1.0\n');
+	}
 	Sys_Printf('========================================\n');
 	Sys_Printf('\n');
 
-	// Load PAK file
-	Sys_Printf('Loading game data...\n');
-	const pak = await COM_LoadPackFromFile(CONFIG.pakPath);
-	if (!pak) {
-		Sys_Printf('ERROR: Failed to load ' + CONFIG.pakPath + '\n');
-		Sys_Printf('Make sure pak0.pak is in the correct location.\n');
-		return false;
-	}
-	COM_AddPack(pak);
-
-	// Initialize model system
-	Mod_Init();
-
-	// Configure WebTransport server
-	Sys_Printf('Configuring network...\n');
-	WT_SetConfig({
-		port: CONFIG.port,
-		certFile: CONFIG.certFile,
-		keyFile: CONFIG.keyFile,
-	});
-
 	// Initialize the server
 	try {
 		await Host_Init_Server({
@@ -130,6 +111,11 @@ async function initServer(): Promise<boolean> {
 			port: CONFIG.port,
 			tickRate: CONFIG.tickRate,
 			defaultMap: CONFIG.defaultMap,
+			pakPath: CONFIG.pakPath,
+			certFile: CONFIG.certFile,
+			keyFile: CONFIG.keyFile,
+			directMode: CONFIG.directMode,
+			rconPassword: CONFIG.rconPassword,
 		});
 	} catch (error) {
 		Sys_Printf(
@@ -137,7 +123,8 @@ async function initServer(): Promise<boolean> {
 				(error as Error).message +
 				'\n'
 		);
-		Sys_Printf('\nMake sure you have valid TLS certificates.\n');
+		Sys_Printf('\nMake sure pak0.pak is in the correct location and\n');
+		Sys_Printf('you have valid TLS certificates.\n');
 		Sys_Printf('To generate self-signed certificates for development:\n');
 		Sys_Printf(
 			'  openssl req -x509 -newkey rsa:4096 -keyout key.pem -out cert.pem -days 365 -nodes\n'
@@ -145,9 +132,6 @@ async function initServer(): Promise<boolean> {
 		return false;
 	}
 
-	// Spawn the default map
-	await SV_SpawnServer(CONFIG.defaultMap);
-
 	Sys_Printf('\n');
 	Sys_Printf('Server initialized successfully!\n');
 	Sys_Printf('  Port: ' + CONFIG.port + '\n');
@@ -161,13 +145,42 @@ async function initServer(): Promise<boolean> {
 	return true;
 }
 
+// Idle tracking for room servers
+let lastActiveTime = 0;
+let hadPlayersEver = false;
+
+/**
+ * Room servers exit once they have been empty for the idle timeout
+ */
+function checkIdleTimeout(): void {
+	if (CONFIG.roomId === null) return;
+
+	const realtime = Host_Realtime();
+	if (SV_GetClientCount() > 0) {
+		lastActiveTime = realtime;
+		hadPlayersEver = true;
+	} else if (hadPlayersEver && CONFIG.idleTimeout > 0) {
+		// Only after someone has joined, the creator may still be connecting
+		const idleTime = realtime - lastActiveTime;
+		if (idleTime > CONFIG.idleTimeout) {
+			Sys_Printf('Room %s idle for %d seconds, shutting down\n', CONFIG.roomId, Math.floor(idleTime));
+			Host_Shutdown_Server();
+			Deno.exit(0);
+		}
+	}
+}
+
 /**
  * Run a single server frame
  */
-function serverFrame(deltaTime: number): void {
-	if (!sv.active) return;
+function serverFrame(): void {
+	try {
+		Host_ServerFrame();
+	} catch (error) {
+		Sys_Printf('Host_ServerFrame error: %s\n', String(error));
+	}
 
-	Host_ServerFrame(deltaTime);
+	checkIdleTimeout();
 }
 
 /**
@@ -175,18 +188,11 @@ function serverFrame(deltaTime: number): void {
  */
 async function runServerLoop(): Promise<void> {
 	const tickInterval = 1000 / CONFIG.tickRate;
-	let lastTime = Sys_FloatTime();
 
 	Sys_Printf('Starting server loop at ' + CONFIG.tickRate + ' Hz...\n');
 
 	// Use setInterval for consistent tick rate
-	const intervalId = setInterval(() => {
-		const currentTime = Sys_FloatTime();
-		const deltaTime = currentTime - lastTime;
-		lastTime = currentTime;
-
-		serverFrame(deltaTime);
-	}, tickInterval);
+	const intervalId = setInterval(serverFrame, tickInterval);
 
 	// Handle shutdown signals
 	const handleShutdown = () => {
@@ -1,12 +1,22 @@
 // Headless model loader for Deno server
 // Loads BSP models without Three.js dependencies
-// Only loads collision data (planes, clipnodes, hulls) needed for server physics
+// Only loads the data the server needs: collision hulls, the node tree and
+// PVS for sending entities, submodels and the entity string. The in-memory
+// layout matches src/gl_model.js, since the shared SV_* modules read it.
 
 import { Sys_Printf, Sys_Error } from './sys_server.ts';
-import { COM_LoadFile } from './pak_server.ts';
+import { COM_LoadFile } from '../src/pak.js';
 
 // BSP format constants (from bspfile.js)
 const BSPVERSION = 29;
+const BSP2VERSION_2PSB = (66 << 24) | (83 << 16) | (80 << 8) | 50; // '2PSB'
+const BSP2VERSION_BSP2 = 66 | (83 << 8) | (80 << 16) | (50 << 24); // 'BSP2'
+
+// The bsp2 argument of the lump loaders: BSP2 and 2PSB widen every index to
+// 32 bits, BSP2 also stores node and leaf bounds as floats
+const BSP2_NONE = 0;
+const BSP2_2PSB = 1;
+const BSP2_BSP2 = 2;
 
 // Lump indices
 const LUMP_ENTITIES = 0;
@@ -28,7 +38,7 @@ const HEADER_LUMPS = 15;
 
 // Map limits
 const MAX_MAP_HULLS = 4;
-const MAX_MAP_LEAFS = 8192;
+const MAX_MAP_LEAFS = 70000; // was 8192, BSP2 maps have more
 
 // Contents
 const CONTENTS_EMPTY = -1;
@@ -43,6 +53,10 @@ const mod_brush = 0;
 const mod_sprite = 1;
 const mod_alias = 2;
 
+// Alias and sprite headers ("IDPO" and "IDSP" little endian)
+const IDPOLYHEADER = 0x4f504449;
+const IDSPRITEHEADER = 0x50534449;
+
 // ============================================================================
 // In-memory model structures
 // ============================================================================
@@ -56,7 +70,7 @@ export class mplane_t {
 
 export class mclipnode_t {
 	planenum = 0;
-	children: [number, number] = [0, 0]; // negative numbers are contents
+	children = new Int32Array(2); // negative numbers are contents
 }
 
 export class hull_t {
@@ -71,14 +85,10 @@ export class hull_t {
 export class mnode_t {
 	contents = 0; // 0 for nodes, < 0 for leafs
 	visframe = 0;
-	mins = new Float32Array(3);
-	maxs = new Float32Array(3);
+	minmaxs = new Float32Array(6);
 	parent: mnode_t | null = null;
 	plane: mplane_t | null = null;
-	children: [mnode_t | mleaf_t | null, mnode_t | mleaf_t | null] = [
-		null,
-		null,
-	];
+	children: (mnode_t | mleaf_t | null)[] = [null, null];
 	firstsurface = 0;
 	numsurfaces = 0;
 }
@@ -86,22 +96,19 @@ export class mnode_t {
 export class mleaf_t {
 	contents = 0;
 	visframe = 0;
-	mins = new Float32Array(3);
-	maxs = new Float32Array(3);
+	minmaxs = new Float32Array(6);
 	parent: mnode_t | null = null;
 	compressed_vis: Uint8Array | null = null;
-	efrags = null;
-	firstmarksurface = 0;
-	nummarksurfaces = 0;
-	key = 0;
+	compressed_vis_offset = 0;
 	ambient_sound_level = new Uint8Array(4);
+	_leafIndex = 0; // the shared code uses this instead of pointer arithmetic
 }
 
 export class dmodel_t {
 	mins = new Float32Array(3);
 	maxs = new Float32Array(3);
 	origin = new Float32Array(3);
-	headnode: number[] = new Array(MAX_MAP_HULLS).fill(0);
+	headnode = new Int32Array(MAX_MAP_HULLS);
 	visleafs = 0;
 	firstface = 0;
 	numfaces = 0;
@@ -109,7 +116,7 @@ export class dmodel_t {
 
 export class model_t {
 	name = '';
-	needload = 0;
+	needload = true;
 	type = mod_brush;
 	numframes = 0;
 	synctype = 0;
@@ -129,12 +136,9 @@ export class model_t {
 	numplanes = 0;
 	planes: mplane_t[] = [];
 
-	numleafs = 0;
+	numleafs = 0; // number of visible leafs, not counting 0
 	leafs: mleaf_t[] = [];
 
-	numvertexes = 0;
-	vertexes: Float32Array | null = null; // [numvertexes * 3]
-
 	numclipnodes = 0;
 	clipnodes: mclipnode_t[] = [];
 
@@ -147,11 +151,17 @@ export class model_t {
 	// Entity string
 	entities = '';
 
+	// worldspawn "fog" key as [density, r, g, b], sent to clients with svc_fog
+	fog: number[] | null = null;
+
 	// Visibility data (for PVS)
 	visdata: Uint8Array | null = null;
 
-	// For caching
-	loaded = false;
+	constructor() {
+		for (let i = 0; i < MAX_MAP_HULLS; i++) {
+			this.hulls.push(new hull_t());
+		}
+	}
 }
 
 // Model cache
@@ -163,6 +173,10 @@ const MAX_MOD_KNOWN = 512;
 let loadmodel: model_t | null = null;
 let mod_base: Uint8Array | null = null;
 
+// PVS buffers
+const mod_novis = new Uint8Array(MAX_MAP_LEAFS / 8);
+const decompressed = new Uint8Array(MAX_MAP_LEAFS / 8);
+
 // ============================================================================
 // Model Loading Functions
 // ============================================================================
@@ -175,6 +189,7 @@ export function Mod_Init(): void {
 		mod_known[i] = new model_t();
 	}
 	mod_numknown = 0;
+	mod_novis.fill(0xff);
 }
 
 /**
@@ -182,14 +197,14 @@ export function Mod_Init(): void {
  */
 export function Mod_ClearAll(): void {
 	for (let i = 0; i < mod_numknown; i++) {
-		mod_known[i].loaded = false;
+		mod_known[i].needload = true;
 	}
 }
 
 /**
  * Find a model slot for the given name
  */
-export function Mod_FindName(name: string): model_t | null {
+export function Mod_FindName(name: string): model_t {
 	if (!name || name.length === 0) {
 		Sys_Error('Mod_FindName: NULL name');
 	}
@@ -208,6 +223,7 @@ export function Mod_FindName(name: string): model_t | null {
 
 	const mod = mod_known[mod_numknown];
 	mod.name = name;
+	mod.needload = true;
 	mod_numknown++;
 
 	return mod;
@@ -218,7 +234,6 @@ export function Mod_FindName(name: string): model_t | null {
  */
 export function Mod_ForName(name: string, crash: boolean): model_t | null {
 	const mod = Mod_FindName(name);
-	if (!mod) return null;
 
 	return Mod_LoadModel(mod, crash);
 }
@@ -227,12 +242,12 @@ export function Mod_ForName(name: string, crash: boolean): model_t | null {
  * Load a model's data
  */
 export function Mod_LoadModel(mod: model_t, crash: boolean): model_t | null {
-	if (mod.loaded) {
+	if (!mod.needload) {
 		return mod;
 	}
 
 	// Load the file
-	const buf = COM_LoadFile(mod.name);
+	const buf: ArrayBuffer | null = COM_LoadFile(mod.name);
 	if (!buf) {
 		if (crash) {
 			Sys_Error('Mod_LoadModel: ' + mod.name + ' not found');
@@ -241,35 +256,149 @@ export function Mod_LoadModel(mod: model_t, crash: boolean): model_t | null {
 	}
 
 	loadmodel = mod;
-	mod_base = new Uint8Array(buf);
+	mod.needload = false;
 
 	// Determine model type from magic number
 	const view = new DataView(buf);
 	const magic = view.getInt32(0, true);
 
-	if (magic === BSPVERSION) {
-		Mod_LoadBrushModel(mod, buf);
+	if (magic === IDPOLYHEADER) {
+		Mod_LoadAliasModel(mod, view);
+	} else if (magic === IDSPRITEHEADER) {
+		Mod_LoadSpriteModel(mod, view);
 	} else {
-		// Alias and sprite models not needed on server for collision
-		// But we still mark them as loaded
-		Sys_Printf('Mod_LoadModel: skipping non-BSP model %s\n', mod.name);
-		mod.type = mod.name.endsWith('.spr') ? mod_sprite : mod_alias;
+		Mod_LoadBrushModel(mod, buf);
 	}
 
-	mod.loaded = true;
 	return mod;
 }
 
+// ============================================================================
+// PVS
+// ============================================================================
+
+/**
+ * Find the leaf a point is in
+ */
+export function Mod_PointInLeaf(p: ArrayLike<number>, model: model_t): mleaf_t {
+	if (!model || !model.nodes) {
+		Sys_Error('Mod_PointInLeaf: bad model');
+	}
+
+	let node: mnode_t | mleaf_t = model.nodes[0];
+	while (node.contents >= 0) {
+		const n = node as mnode_t;
+		const plane = n.plane!;
+		const d = p[0] * plane.normal[0] + p[1] * plane.normal[1] + p[2] * plane.normal[2] - plane.dist;
+		node = (d > 0 ? n.children[0] : n.children[1])!;
+	}
+
+	return node as mleaf_t;
+}
+
+/**
+ * Expand a run-length compressed vis row
+ */
+export function Mod_DecompressVis(
+	input: Uint8Array | null,
+	inOffset: number,
+	model: model_t
+): Uint8Array {
+	const row = (model.numleafs + 7) >> 3;
+	let outIdx = 0;
+
+	if (input === null) {
+		// no vis info, so make all visible
+		for (let i = 0; i < row; i++) {
+			decompressed[i] = 0xff;
+		}
+		return decompressed;
+	}
+
+	let pos = inOffset;
+	while (outIdx < row) {
+		if (input[pos]) {
+			decompressed[outIdx++] = input[pos++];
+			continue;
+		}
+
+		let c = input[pos + 1];
+		pos += 2;
+		while (c-- > 0) {
+			decompressed[outIdx++] = 0;
+		}
+	}
+
+	return decompressed;
+}
+
+/**
+ * Get the potentially visible set for a leaf
+ */
+export function Mod_LeafPVS(leaf: mleaf_t, model: model_t): Uint8Array {
+	if (leaf === model.leafs[0]) {
+		return mod_novis;
+	}
+	return Mod_DecompressVis(leaf.compressed_vis, leaf.compressed_vis_offset, model);
+}
+
+// ============================================================================
+// Alias and sprite models
+// ============================================================================
+
+/**
+ * Alias models only need their bounds on the server
+ */
+function Mod_LoadAliasModel(mod: model_t, view: DataView): void {
+	mod.type = mod_alias;
+	mod.numframes = view.getInt32(68, true);
+
+	// same fixed box as gl_model.js
+	mod.mins.fill(-16);
+	mod.maxs.fill(16);
+}
+
+/**
+ * Sprite bounds come from the largest frame
+ */
+function Mod_LoadSpriteModel(mod: model_t, view: DataView): void {
+	mod.type = mod_sprite;
+
+	const maxwidth = view.getInt32(16, true);
+	const maxheight = view.getInt32(20, true);
+	mod.numframes = view.getInt32(24, true);
+	mod.synctype = view.getInt32(32, true);
+
+	mod.mins[0] = mod.mins[1] = -maxwidth / 2;
+	mod.maxs[0] = mod.maxs[1] = maxwidth / 2;
+	mod.mins[2] = -maxheight / 2;
+	mod.maxs[2] = maxheight / 2;
+}
+
+// ============================================================================
+// Brush models
+// ============================================================================
+
 /**
  * Load a BSP brush model
  */
 function Mod_LoadBrushModel(mod: model_t, buffer: ArrayBuffer): void {
+	const name = mod.name;
 	mod.type = mod_brush;
+	mod_base = new Uint8Array(buffer);
 	const view = new DataView(buffer);
 
 	const version = view.getInt32(0, true);
-	if (version !== BSPVERSION) {
-		Sys_Error('Mod_LoadBrushModel: ' + mod.name + ' has wrong version');
+	let bsp2 = BSP2_NONE;
+	if (version === BSP2VERSION_2PSB) {
+		bsp2 = BSP2_2PSB;
+	} else if (version === BSP2VERSION_BSP2) {
+		bsp2 = BSP2_BSP2;
+	} else if (version !== BSPVERSION) {
+		Sys_Error(
+			'Mod_LoadBrushModel: ' + mod.name + ' has wrong version number (' +
+				version + ' should be ' + BSPVERSION + ')'
+		);
 	}
 
 	// Read lump directory
@@ -282,56 +411,117 @@ function Mod_LoadBrushModel(mod: model_t, buffer: ArrayBuffer): void {
 		};
 	}
 
-	// Load collision data (order matters for some dependencies)
-	Mod_LoadPlanes(mod, lumps[LUMP_PLANES].fileofs, lumps[LUMP_PLANES].filelen);
-	Mod_LoadVertexes(
-		mod,
-		lumps[LUMP_VERTEXES].fileofs,
-		lumps[LUMP_VERTEXES].filelen
-	);
+	// Load collision and visibility data (leafs before nodes)
+	Mod_LoadPlanes(lumps[LUMP_PLANES].fileofs, lumps[LUMP_PLANES].filelen);
 	Mod_LoadVisibility(
-		mod,
 		lumps[LUMP_VISIBILITY].fileofs,
 		lumps[LUMP_VISIBILITY].filelen
 	);
-	Mod_LoadLeafs(mod, lumps[LUMP_LEAFS].fileofs, lumps[LUMP_LEAFS].filelen);
-	Mod_LoadNodes(mod, lumps[LUMP_NODES].fileofs, lumps[LUMP_NODES].filelen);
+	Mod_LoadLeafs(lumps[LUMP_LEAFS].fileofs, lumps[LUMP_LEAFS].filelen, bsp2);
+	Mod_LoadNodes(lumps[LUMP_NODES].fileofs, lumps[LUMP_NODES].filelen, bsp2);
 	Mod_LoadClipnodes(
-		mod,
 		lumps[LUMP_CLIPNODES].fileofs,
-		lumps[LUMP_CLIPNODES].filelen
+		lumps[LUMP_CLIPNODES].filelen,
+		bsp2
 	);
 	Mod_LoadEntities(
-		mod,
 		lumps[LUMP_ENTITIES].fileofs,
 		lumps[LUMP_ENTITIES].filelen
 	);
-	Mod_LoadSubmodels(
-		mod,
-		lumps[LUMP_MODELS].fileofs,
-		lumps[LUMP_MODELS].filelen
-	);
+	Mod_LoadSubmodels(lumps[LUMP_MODELS].fileofs, lumps[LUMP_MODELS].filelen);
+
+	Mod_MakeHull0();
+
+	mod.numframes = 2; // regular and alternate animation
+
+	// Set up the submodels: *1, *2... share the world's data with their
+	// own bounds and hull head nodes
+	for (let i = 0; i < mod.numsubmodels; i++) {
+		const bm = mod.submodels[i];
+
+		mod.hulls[0].firstclipnode = bm.headnode[0];
+		for (let j = 1; j < MAX_MAP_HULLS; j++) {
+			mod.hulls[j].firstclipnode = bm.headnode[j];
+			mod.hulls[j].lastclipnode = mod.numclipnodes - 1;
+		}
+
+		mod.firstmodelsurface = bm.firstface;
+		mod.nummodelsurfaces = bm.numfaces;
+
+		mod.maxs.set(bm.maxs);
+		mod.mins.set(bm.mins);
+		mod.radius = RadiusFromBounds(mod.mins, mod.maxs);
+
+		mod.numleafs = bm.visleafs;
+
+		if (i < mod.numsubmodels - 1) {
+			// duplicate the basic information
+			const name = '*' + (i + 1);
+			const nextmodel = Mod_FindName(name);
+
+			nextmodel.type = mod.type;
+			nextmodel.numframes = mod.numframes;
+			nextmodel.numsubmodels = mod.numsubmodels;
+			nextmodel.submodels = mod.submodels;
+			nextmodel.numplanes = mod.numplanes;
+			nextmodel.planes = mod.planes;
+			nextmodel.numleafs = mod.numleafs;
+			nextmodel.leafs = mod.leafs;
+			nextmodel.numnodes = mod.numnodes;
+			nextmodel.nodes = mod.nodes;
+			nextmodel.numclipnodes = mod.numclipnodes;
+			nextmodel.clipnodes = mod.clipnodes;
+			nextmodel.visdata = mod.visdata;
+			nextmodel.entities = mod.entities;
+			for (let h = 0; h < MAX_MAP_HULLS; h++) {
+				const src = mod.hulls[h];
+				const dst = nextmodel.hulls[h];
+				dst.clipnodes = src.clipnodes;
+				dst.planes = src.planes;
+				dst.firstclipnode = src.firstclipnode;
+				dst.lastclipnode = src.lastclipnode;
+				dst.clip_mins.set(src.clip_mins);
+				dst.clip_maxs.set(src.clip_maxs);
+			}
+			nextmodel.needload = false;
 
-	// Build hulls
-	Mod_MakeHull0(mod);
+			loadmodel = nextmodel;
+			mod = nextmodel;
+		}
+	}
 
-	// Set model bounds from submodel 0
-	if (mod.submodels.length > 0) {
-		mod.mins.set(mod.submodels[0].mins);
-		mod.maxs.set(mod.submodels[0].maxs);
+	Sys_Printf('Loaded BSP model: %s\n', name);
+}
+
+/**
+ * Radius of a bounding box around the origin
+ */
+function RadiusFromBounds(mins: Float32Array, maxs: Float32Array): number {
+	let sum = 0;
+	for (let i = 0; i < 3; i++) {
+		const corner = Math.max(Math.abs(mins[i]), Math.abs(maxs[i]));
+		sum += corner * corner;
 	}
+	return Math.sqrt(sum);
+}
 
-	Sys_Printf('Loaded BSP model: %s\n', mod.name);
+/**
+ * DataView over a lump of the file being loaded
+ */
+function Mod_LumpView(fileofs: number, filelen: number, size: number): DataView {
+	if (filelen % size) {
+		Sys_Error('MOD_LoadBmodel: funny lump size in ' + loadmodel!.name);
+	}
+	return new DataView(mod_base!.buffer, mod_base!.byteOffset + fileofs, filelen);
 }
 
 /**
  * Load planes
  */
-function Mod_LoadPlanes(mod: model_t, fileofs: number, filelen: number): void {
-	if (!mod_base) return;
-
-	const view = new DataView(mod_base.buffer, fileofs, filelen);
-	const count = Math.floor(filelen / 20); // dplane_t is 20 bytes
+function Mod_LoadPlanes(fileofs: number, filelen: number): void {
+	const view = Mod_LumpView(fileofs, filelen, 20); // dplane_t is 20 bytes
+	const count = filelen / 20;
+	const mod = loadmodel!;
 
 	mod.planes = [];
 	mod.numplanes = count;
@@ -340,103 +530,72 @@ function Mod_LoadPlanes(mod: model_t, fileofs: number, filelen: number): void {
 		const plane = new mplane_t();
 		const offset = i * 20;
 
-		plane.normal[0] = view.getFloat32(offset + 0, true);
-		plane.normal[1] = view.getFloat32(offset + 4, true);
-		plane.normal[2] = view.getFloat32(offset + 8, true);
-		plane.dist = view.getFloat32(offset + 12, true);
-		plane.type = view.getInt32(offset + 16, true);
-
-		// Calculate signbits
 		let bits = 0;
 		for (let j = 0; j < 3; j++) {
+			plane.normal[j] = view.getFloat32(offset + j * 4, true);
 			if (plane.normal[j] < 0) bits |= 1 << j;
 		}
+		plane.dist = view.getFloat32(offset + 12, true);
+		plane.type = view.getInt32(offset + 16, true);
 		plane.signbits = bits;
 
 		mod.planes.push(plane);
 	}
 }
 
-/**
- * Load vertexes (needed for some collision calculations)
- */
-function Mod_LoadVertexes(
-	mod: model_t,
-	fileofs: number,
-	filelen: number
-): void {
-	if (!mod_base) return;
-
-	const view = new DataView(mod_base.buffer, fileofs, filelen);
-	const count = Math.floor(filelen / 12); // dvertex_t is 12 bytes (3 floats)
-
-	mod.numvertexes = count;
-	mod.vertexes = new Float32Array(count * 3);
-
-	for (let i = 0; i < count; i++) {
-		const offset = i * 12;
-		mod.vertexes[i * 3 + 0] = view.getFloat32(offset + 0, true);
-		mod.vertexes[i * 3 + 1] = view.getFloat32(offset + 4, true);
-		mod.vertexes[i * 3 + 2] = view.getFloat32(offset + 8, true);
-	}
-}
-
 /**
  * Load visibility data
  */
-function Mod_LoadVisibility(
-	mod: model_t,
-	fileofs: number,
-	filelen: number
-): void {
-	if (!mod_base) return;
+function Mod_LoadVisibility(fileofs: number, filelen: number): void {
+	const mod = loadmodel!;
 
 	if (filelen === 0) {
 		mod.visdata = null;
 		return;
 	}
 
-	mod.visdata = new Uint8Array(filelen);
-	mod.visdata.set(mod_base.subarray(fileofs, fileofs + filelen));
+	mod.visdata = mod_base!.slice(fileofs, fileofs + filelen);
 }
 
 /**
  * Load leafs
  */
-function Mod_LoadLeafs(mod: model_t, fileofs: number, filelen: number): void {
-	if (!mod_base) return;
-
-	const view = new DataView(mod_base.buffer, fileofs, filelen);
-	const count = Math.floor(filelen / 28); // dleaf_t is 28 bytes
+function Mod_LoadLeafs(fileofs: number, filelen: number, bsp2: number): void {
+	// dleaf_t is 28 bytes, 32 in 2PSB and 44 in BSP2
+	const size = bsp2 === BSP2_BSP2 ? 44 : bsp2 === BSP2_2PSB ? 32 : 28;
+	const view = Mod_LumpView(fileofs, filelen, size);
+	const count = filelen / size;
+	const mod = loadmodel!;
 
 	mod.leafs = [];
 	mod.numleafs = count;
 
 	for (let i = 0; i < count; i++) {
 		const leaf = new mleaf_t();
-		const offset = i * 28;
+		const offset = i * size;
 
+		leaf._leafIndex = i;
 		leaf.contents = view.getInt32(offset + 0, true);
 
-		const visofs = view.getInt32(offset + 4, true);
-		if (visofs !== -1 && mod.visdata) {
-			leaf.compressed_vis = mod.visdata.subarray(visofs);
+		for (let j = 0; j < 3; j++) {
+			if (bsp2 === BSP2_BSP2) {
+				leaf.minmaxs[j] = view.getFloat32(offset + 8 + j * 4, true);
+				leaf.minmaxs[3 + j] = view.getFloat32(offset + 20 + j * 4, true);
+			} else {
+				leaf.minmaxs[j] = view.getInt16(offset + 8 + j * 2, true);
+				leaf.minmaxs[3 + j] = view.getInt16(offset + 14 + j * 2, true);
+			}
 		}
 
-		// Bounding box
-		leaf.mins[0] = view.getInt16(offset + 8, true);
-		leaf.mins[1] = view.getInt16(offset + 10, true);
-		leaf.mins[2] = view.getInt16(offset + 12, true);
-		leaf.maxs[0] = view.getInt16(offset + 14, true);
-		leaf.maxs[1] = view.getInt16(offset + 16, true);
-		leaf.maxs[2] = view.getInt16(offset + 18, true);
-
-		leaf.firstmarksurface = view.getUint16(offset + 20, true);
-		leaf.nummarksurfaces = view.getUint16(offset + 22, true);
+		const visofs = view.getInt32(offset + 4, true);
+		if (visofs !== -1) {
+			leaf.compressed_vis = mod.visdata;
+			leaf.compressed_vis_offset = visofs;
+		}
 
 		// Ambient sound levels
 		for (let j = 0; j < 4; j++) {
-			leaf.ambient_sound_level[j] = mod_base[fileofs + offset + 24 + j];
+			leaf.ambient_sound_level[j] = view.getUint8(offset + size - 4 + j);
 		}
 
 		mod.leafs.push(leaf);
@@ -446,11 +605,12 @@ function Mod_LoadLeafs(mod: model_t, fileofs: number, filelen: number): void {
 /**
  * Load nodes
  */
-function Mod_LoadNodes(mod: model_t, fileofs: number, filelen: number): void {
-	if (!mod_base) return;
-
-	const view = new DataView(mod_base.buffer, fileofs, filelen);
-	const count = Math.floor(filelen / 24); // dnode_t is 24 bytes
+function Mod_LoadNodes(fileofs: number, filelen: number, bsp2: number): void {
+	// dnode_t is 24 bytes, 32 in 2PSB and 44 in BSP2
+	const size = bsp2 === BSP2_BSP2 ? 44 : bsp2 === BSP2_2PSB ? 32 : 24;
+	const view = Mod_LumpView(fileofs, filelen, size);
+	const count = filelen / size;
+	const mod = loadmodel!;
 
 	mod.nodes = [];
 	mod.numnodes = count;
@@ -463,32 +623,37 @@ function Mod_LoadNodes(mod: model_t, fileofs: number, filelen: number): void {
 	// Second pass: fill in data
 	for (let i = 0; i < count; i++) {
 		const node = mod.nodes[i];
-		const offset = i * 24;
+		const offset = i * size;
 
-		const planenum = view.getInt32(offset + 0, true);
-		node.plane = mod.planes[planenum];
+		node.plane = mod.planes[view.getInt32(offset + 0, true)];
 
-		// Children
 		for (let j = 0; j < 2; j++) {
-			const child = view.getInt16(offset + 4 + j * 2, true);
-			if (child >= 0) {
-				node.children[j] = mod.nodes[child];
+			const child = bsp2
+				? view.getInt32(offset + 4 + j * 4, true)
+				: view.getInt16(offset + 4 + j * 2, true);
+			node.children[j] = child >= 0 ? mod.nodes[child] : mod.leafs[-1 - child];
+		}
+
+		for (let j = 0; j < 3; j++) {
+			if (bsp2 === BSP2_BSP2) {
+				node.minmaxs[j] = view.getFloat32(offset + 12 + j * 4, true);
+				node.minmaxs[3 + j] = view.getFloat32(offset + 24 + j * 4, true);
+			} else if (bsp2 === BSP2_2PSB) {
+				node.minmaxs[j] = view.getInt16(offset + 12 + j * 2, true);
+				node.minmaxs[3 + j] = view.getInt16(offset + 18 + j * 2, true);
 			} else {
-				// Negative = leaf index
-				node.children[j] = mod.leafs[~child];
+				node.minmaxs[j] = view.getInt16(offset + 8 + j * 2, true);
+				node.minmaxs[3 + j] = view.getInt16(offset + 14 + j * 2, true);
 			}
 		}
 
-		// Bounding box
-		node.mins[0] = view.getInt16(offset + 8, true);
-		node.mins[1] = view.getInt16(offset + 10, true);
-		node.mins[2] = view.getInt16(offset + 12, true);
-		node.maxs[0] = view.getInt16(offset + 14, true);
-		node.maxs[1] = view.getInt16(offset + 16, true);
-		node.maxs[2] = view.getInt16(offset + 18, true);
-
-		node.firstsurface = view.getUint16(offset + 20, true);
-		node.numsurfaces = view.getUint16(offset + 22, true);
+		if (bsp2) {
+			node.firstsurface = view.getUint32(offset + size - 8, true);
+			node.numsurfaces = view.getUint32(offset + size - 4, true);
+		} else {
+			node.firstsurface = view.getUint16(offset + 20, true);
+			node.numsurfaces = view.getUint16(offset + 22, true);
+		}
 	}
 
 	// Set parent pointers
@@ -498,71 +663,60 @@ function Mod_LoadNodes(mod: model_t, fileofs: number, filelen: number): void {
 /**
  * Set parent pointers for node tree
  */
-function Mod_SetParent(
-	node: mnode_t | mleaf_t | null,
-	parent: mnode_t | null
-): void {
-	if (!node) return;
-
+function Mod_SetParent(node: mnode_t | mleaf_t, parent: mnode_t | null): void {
 	node.parent = parent;
 
 	// Nodes have contents = 0, leafs have contents < 0
-	if (node.contents < 0) return; // It's a leaf
+	if (node.contents < 0) return;
 
 	const n = node as mnode_t;
-	Mod_SetParent(n.children[0] as mnode_t | mleaf_t, n);
-	Mod_SetParent(n.children[1] as mnode_t | mleaf_t, n);
+	Mod_SetParent(n.children[0]!, n);
+	Mod_SetParent(n.children[1]!, n);
 }
 
 /**
  * Load clipnodes
  */
-function Mod_LoadClipnodes(
-	mod: model_t,
-	fileofs: number,
-	filelen: number
-): void {
-	if (!mod_base) return;
-
-	const view = new DataView(mod_base.buffer, fileofs, filelen);
-	const count = Math.floor(filelen / 8); // dclipnode_t is 8 bytes
+function Mod_LoadClipnodes(fileofs: number, filelen: number, bsp2: number): void {
+	// dclipnode_t is 8 bytes, 12 in BSP2 and 2PSB
+	const size = bsp2 ? 12 : 8;
+	const view = Mod_LumpView(fileofs, filelen, size);
+	const count = filelen / size;
+	const mod = loadmodel!;
 
 	mod.clipnodes = [];
 	mod.numclipnodes = count;
 
-	// Create hull structures
-	mod.hulls = [];
-	for (let i = 0; i < MAX_MAP_HULLS; i++) {
-		mod.hulls.push(new hull_t());
-	}
-
-	// Hull 1 (player standing)
-	mod.hulls[1].clipnodes = mod.clipnodes;
-	mod.hulls[1].planes = mod.planes;
-	mod.hulls[1].clip_mins[0] = -16;
-	mod.hulls[1].clip_mins[1] = -16;
-	mod.hulls[1].clip_mins[2] = -24;
-	mod.hulls[1].clip_maxs[0] = 16;
-	mod.hulls[1].clip_maxs[1] = 16;
-	mod.hulls[1].clip_maxs[2] = 32;
-
-	// Hull 2 (player crouching / shamblers)
-	mod.hulls[2].clipnodes = mod.clipnodes;
-	mod.hulls[2].planes = mod.planes;
-	mod.hulls[2].clip_mins[0] = -32;
-	mod.hulls[2].clip_mins[1] = -32;
-	mod.hulls[2].clip_mins[2] = -24;
-	mod.hulls[2].clip_maxs[0] = 32;
-	mod.hulls[2].clip_maxs[1] = 32;
-	mod.hulls[2].clip_maxs[2] = 64;
+	// Hull 1 (player)
+	const hull1 = mod.hulls[1];
+	hull1.clipnodes = mod.clipnodes;
+	hull1.firstclipnode = 0;
+	hull1.lastclipnode = count - 1;
+	hull1.planes = mod.planes;
+	hull1.clip_mins.set([-16, -16, -24]);
+	hull1.clip_maxs.set([16, 16, 32]);
+
+	// Hull 2 (shambler)
+	const hull2 = mod.hulls[2];
+	hull2.clipnodes = mod.clipnodes;
+	hull2.firstclipnode = 0;
+	hull2.lastclipnode = count - 1;
+	hull2.planes = mod.planes;
+	hull2.clip_mins.set([-32, -32, -24]);
+	hull2.clip_maxs.set([32, 32, 64]);
 
 	for (let i = 0; i < count; i++) {
 		const clipnode = new mclipnode_t();
-		const offset = i * 8;
+		const offset = i * size;
 
 		clipnode.planenum = view.getInt32(offset + 0, true);
-		clipnode.children[0] = view.getInt16(offset + 4, true);
-		clipnode.children[1] = view.getInt16(offset + 6, true);
+		if (bsp2) {
+			clipnode.children[0] = view.getInt32(offset + 4, true);
+			clipnode.children[1] = view.getInt32(offset + 8, true);
+		} else {
+			clipnode.children[0] = view.getInt16(offset + 4, true);
+			clipnode.children[1] = view.getInt16(offset + 6, true);
+		}
 
 		mod.clipnodes.push(clipnode);
 	}
@@ -571,39 +725,56 @@ function Mod_LoadClipnodes(
 /**
  * Load entity string
  */
-function Mod_LoadEntities(
-	mod: model_t,
-	fileofs: number,
-	filelen: number
-): void {
-	if (!mod_base) return;
+function Mod_LoadEntities(fileofs: number, filelen: number): void {
+	const mod = loadmodel!;
+
+	mod.fog = null;
 
 	if (filelen === 0) {
 		mod.entities = '';
 		return;
 	}
 
-	// Convert to string
+	// Stop at the null terminator
 	let str = '';
-	for (let i = 0; i < filelen - 1; i++) {
-		// -1 to skip null terminator
-		str += String.fromCharCode(mod_base[fileofs + i]);
+	for (let i = 0; i < filelen; i++) {
+		const c = mod_base![fileofs + i];
+		if (c === 0) break;
+		str += String.fromCharCode(c);
 	}
 	mod.entities = str;
+
+	// only the worldspawn, the first block, can set fog
+	const end = str.indexOf('}');
+	const match = /"fog"\s+"([^"]*)"/.exec(end === -1 ? str : str.substring(0, end));
+	if (match)
+		mod.fog = Mod_ParseFog(match[1]);
 }
 
 /**
- * Load submodels
+ * Parse "density red green blue", missing values keep FitzQuake's defaults
  */
-function Mod_LoadSubmodels(
-	mod: model_t,
-	fileofs: number,
-	filelen: number
-): void {
-	if (!mod_base) return;
+function Mod_ParseFog(value: string): number[] {
+	const fog = [0, 0.3, 0.3, 0.3];
+	const tokens = value.trim().split(/\s+/);
+
+	for (let i = 0; i < 4 && i < tokens.length; i++) {
+		const f = parseFloat(tokens[i]);
+		if (isNaN(f))
+			break;
+		fog[i] = f;
+	}
+
+	return fog;
+}
 
-	const view = new DataView(mod_base.buffer, fileofs, filelen);
-	const count = Math.floor(filelen / 64); // dmodel_t is 64 bytes
+/**
+ * Load submodels
+ */
+function Mod_LoadSubmodels(fileofs: number, filelen: number): void {
+	const view = Mod_LumpView(fileofs, filelen, 64); // dmodel_t is 64 bytes
+	const count = filelen / 64;
+	const mod = loadmodel!;
 
 	mod.submodels = [];
 	mod.numsubmodels = count;
@@ -612,18 +783,12 @@ function Mod_LoadSubmodels(
 		const submodel = new dmodel_t();
 		const offset = i * 64;
 
-		// Bounding box
-		submodel.mins[0] = view.getFloat32(offset + 0, true);
-		submodel.mins[1] = view.getFloat32(offset + 4, true);
-		submodel.mins[2] = view.getFloat32(offset + 8, true);
-		submodel.maxs[0] = view.getFloat32(offset + 12, true);
-		submodel.maxs[1] = view.getFloat32(offset + 16, true);
-		submodel.maxs[2] = view.getFloat32(offset + 20, true);
-
-		// Origin
-		submodel.origin[0] = view.getFloat32(offset + 24, true);
-		submodel.origin[1] = view.getFloat32(offset + 28, true);
-		submodel.origin[2] = view.getFloat32(offset + 32, true);
+		for (let j = 0; j < 3; j++) {
+			// spread the mins / maxs by a pixel
+			submodel.mins[j] = view.getFloat32(offset + j * 4, true) - 1;
+			submodel.maxs[j] = view.getFloat32(offset + 12 + j * 4, true) + 1;
+			submodel.origin[j] = view.getFloat32(offset + 24 + j * 4, true);
+		}
 
 		// Headnodes for each hull
 		for (let j = 0; j < MAX_MAP_HULLS; j++) {
@@ -641,38 +806,37 @@ function Mod_LoadSubmodels(
 /**
  * Create hull 0 from nodes (for point-sized collision)
  */
-function Mod_MakeHull0(mod: model_t): void {
-	// Hull 0 uses the BSP nodes directly (converted to clipnodes format)
+function Mod_MakeHull0(): void {
+	const mod = loadmodel!;
 	const hull = mod.hulls[0];
-	hull.planes = mod.planes;
-	hull.firstclipnode = 0;
-	hull.lastclipnode = mod.numnodes - 1;
 
-	// Create clipnodes from nodes
+	// indexOf on every node is quadratic, too slow for BSP2 sized maps
+	const planenums = new Map<mplane_t, number>();
+	mod.planes.forEach((plane, i) => planenums.set(plane, i));
+	const nodenums = new Map<mnode_t, number>();
+	mod.nodes.forEach((node, i) => nodenums.set(node, i));
+
 	const clipnodes: mclipnode_t[] = [];
 	for (let i = 0; i < mod.numnodes; i++) {
 		const node = mod.nodes[i];
 		const out = new mclipnode_t();
 
-		out.planenum = mod.planes.indexOf(node.plane!);
+		out.planenum = planenums.get(node.plane!)!;
 
 		for (let j = 0; j < 2; j++) {
-			const child = node.children[j];
-			if (!child) {
-				out.children[j] = CONTENTS_SOLID;
-			} else if (child.contents < 0) {
-				// Leaf
-				out.children[j] = child.contents;
-			} else {
-				// Node
-				out.children[j] = mod.nodes.indexOf(child as mnode_t);
-			}
+			const child = node.children[j]!;
+			out.children[j] = child.contents < 0
+				? child.contents
+				: nodenums.get(child as mnode_t)!;
 		}
 
 		clipnodes.push(out);
 	}
 
 	hull.clipnodes = clipnodes;
+	hull.firstclipnode = 0;
+	hull.lastclipnode = mod.numnodes - 1;
+	hull.planes = mod.planes;
 }
 
 // Export for use by physics code
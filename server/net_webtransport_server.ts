@@ -23,6 +23,7 @@ export function WT_SetDirectMode(enabled: boolean): void {
 let _mapChangeCallback: ((mapName: string) => Promise<void>) | null = null;
 let _getCurrentMap: (() => string) | null = null;
 let _setMaxClients: ((maxClients: number) => void) | null = null;
+let _setRconPassword: ((password: string) => void) | null = null;
 
 /**
  * Set callbacks for map management
@@ -42,6 +43,13 @@ export function WT_SetMaxClientsCallback(setMaxClients: (maxClients: number) =>
 	_setMaxClients = setMaxClients;
 }
 
+/**
+ * Set callback for the rcon password chosen by a room creator
+ */
+export function WT_SetRconPasswordCallback(setRconPassword: (password: string) => void): void {
+	_setRconPassword = setRconPassword;
+}
+
 // Connection tracking
 interface ClientConnection {
 	id: number;
@@ -49,6 +57,7 @@ interface ClientConnection {
 	bidirectionalStream: { readable: ReadableStream<Uint8Array>; writable: WritableStream<Uint8Array> } | null;
 	reliableWriter: WritableStreamDefaultWriter<Uint8Array> | null;
 	reliableReader: ReadableStreamDefaultReader<Uint8Array> | null;
+	datagramWriter: WritableStreamDefaultWriter<Uint8Array> | null;
 	pendingMessages: Array<{ reliable: boolean; data: Uint8Array }>;
 	connected: boolean;
 	address: string;
@@ -112,7 +121,7 @@ let net_driverlevel = 0;
 
 const NET_MAXMESSAGE = 8192;
 
-// Callback for socket allocation (injected from game_server.js)
+// Callback for socket allocation (injected from host_server.ts)
 // This allows using the shared socket pool from net_main.js
 let _NET_NewQSocket: (() => QSocket | null) | null = null;
 let _NET_FreeQSocket: ((sock: QSocket) => void) | null = null;
@@ -131,6 +140,71 @@ export function WT_SetSocketFreer(freer: (sock: QSocket) => void): void {
 	_NET_FreeQSocket = freer;
 }
 
+// Address bans, keyed by host without the port
+interface BanEntry {
+	address: string;
+	expires: number; // Date.now() milliseconds, 0 = until the server exits
+	reason: string;
+}
+
+const banList = new Map<string, BanEntry>();
+
+/**
+ * Strip the port from a "host:port" address
+ */
+function _banHost(address: string): string {
+	const colon = address.lastIndexOf(':');
+	return colon > 0 ? address.substring(0, colon) : address;
+}
+
+/**
+ * Ban the host of an address for the given number of minutes (0 = permanent)
+ * Returns the host that was banned
+ */
+export function WT_BanAddress(address: string, minutes: number, reason: string): string {
+	const host = _banHost(address);
+	banList.set(host, {
+		address: host,
+		expires: minutes > 0 ? Date.now() + minutes * 60000 : 0,
+		reason: reason,
+	});
+	Sys_Printf('Banned %s%s\n', host, minutes > 0 ? ' for ' + minutes + ' minutes' : '');
+	return host;
+}
+
+/**
+ * Remove a ban, accepts either a host or a "host:port" address
+ */
+export function WT_UnbanAddress(address: string): boolean {
+	return banList.delete(address) || banList.delete(_banHost(address));
+}
+
+/**
+ * List the bans that haven't expired yet
+ */
+export function WT_ListBans(): BanEntry[] {
+	const now = Date.now();
+	for (const [host, ban] of banList) {
+		if (ban.expires !== 0 && ban.expires <= now) {
+			banList.delete(host);
+		}
+	}
+	return Array.from(banList.values());
+}
+
+/**
+ * Check an incoming address against the ban list
+ */
+function _isBanned(address: string): boolean {
+	const ban = banList.get(_banHost(address));
+	if (!ban) return false;
+	if (ban.expires !== 0 && ban.expires <= Date.now()) {
+		banList.delete(ban.address);
+		return false;
+	}
+	return true;
+}
+
 /**
  * Initialize the WebTransport server driver
  */
@@ -189,7 +263,9 @@ export async function WT_Listen(state: boolean): Promise<void> {
 			Sys_Printf('WebTransport server listening on port ' + serverPort + '\n');
 
 			// Start accepting connections in background
-			_acceptConnections();
+			_acceptConnections().catch((error) => {
+				Sys_Printf('Accept loop error: ' + (error as Error).message + '\n');
+			});
 		} catch (error) {
 			Sys_Printf(
 				'Failed to start WebTransport listener: ' +
@@ -230,6 +306,13 @@ async function _acceptConnections(): Promise<void> {
 
 				const remoteAddr = conn.remoteAddr;
 				const address = remoteAddr.hostname + ':' + remoteAddr.port;
+
+				if (_isBanned(address)) {
+					Sys_Printf('Rejected connection from banned address ' + address + '\n');
+					try { conn.close(); } catch { /* ignore */ }
+					continue;
+				}
+
 				Sys_Printf('Accepted connection from ' + address + '\n');
 
 				// Handle in background
@@ -275,6 +358,9 @@ const LOBBY_ERROR = 0x82;   // Error response
 async function _handleWebTransportSession(wt: WebTransport, address: string): Promise<void> {
 	Sys_Printf('Handling WebTransport session from ' + address + '\n');
 
+	// Rejects when a lobby-only session is closed, nothing else waits on it then
+	wt.closed.catch(() => {});
+
 	try {
 		await wt.ready;
 		Sys_Printf('WebTransport session ready\n');
@@ -286,6 +372,7 @@ async function _handleWebTransportSession(wt: WebTransport, address: string): Pr
 			bidirectionalStream: null,
 			reliableWriter: null,
 			reliableReader: null,
+			datagramWriter: null,
 			pendingMessages: [],
 			connected: true,
 			address: address,
@@ -334,7 +421,7 @@ async function _handleWebTransportSession(wt: WebTransport, address: string): Pr
 
 		sock.address = clientConn.address;
 		sock.driverdata = clientConn;
-		sock.connecttime = Date.now() / 1000;
+		sock.connecttime = performance.now() / 1000; // same clock as net_time
 		sock.lastMessageTime = Date.now() / 1000;
 
 		pendingConnections.push(sock);
@@ -367,6 +454,12 @@ async function _handleNewConnection(conn: any): Promise<void> {
 
 	Sys_Printf('New QUIC connection from ' + address + '\n');
 
+	if (_isBanned(address)) {
+		Sys_Printf('Rejected connection from banned address ' + address + '\n');
+		try { conn.close(); } catch { /* ignore */ }
+		return;
+	}
+
 	try {
 		// Check if Deno.upgradeWebTransport exists
 		// @ts-ignore - check for unstable API
@@ -383,6 +476,7 @@ async function _handleNewConnection(conn: any): Promise<void> {
 		// This handles the HTTP/3 CONNECT handshake automatically
 		// @ts-ignore - Deno.upgradeWebTransport is unstable
 		const wt: WebTransport = await Deno.upgradeWebTransport(conn);
+		wt.closed.catch(() => {});
 
 		// Wait for WebTransport session to be ready
 		await wt.ready;
@@ -395,6 +489,7 @@ async function _handleNewConnection(conn: any): Promise<void> {
 			bidirectionalStream: null,
 			reliableWriter: null,
 			reliableReader: null,
+			datagramWriter: null,
 			pendingMessages: [],
 			connected: true,
 			address: address,
@@ -434,7 +529,7 @@ async function _handleNewConnection(conn: any): Promise<void> {
 
 		sock.address = clientConn.address;
 		sock.driverdata = clientConn;
-		sock.connecttime = Date.now() / 1000;
+		sock.connecttime = performance.now() / 1000; // same clock as net_time
 		sock.lastMessageTime = Date.now() / 1000;
 
 		// Add to pending connections queue
@@ -610,6 +705,11 @@ async function _handleLobbyProtocol(
 						_setMaxClients(room.maxPlayers);
 					}
 
+					// The room creator picks the rcon password for remote administration
+					if (_setRconPassword !== null && typeof config.rconPassword === 'string' && config.rconPassword) {
+						_setRconPassword(config.rconPassword);
+					}
+
 					// Load the map for this room (like original Quake's "map" command)
 					if (_mapChangeCallback !== null && _getCurrentMap !== null) {
 						const currentMap = _getCurrentMap();
@@ -1058,17 +1158,27 @@ export function WT_SendUnreliableMessage(
 		_lastSendLogTime = now;
 	}
 
-	// Send via datagram
-	const writer = conn.webTransport.datagrams.writable.getWriter();
-	writer.write(dgram).catch((error) => {
+	// Send via datagram. The writer is kept, a new one per message would
+	// throw while the last write still holds the lock
+	if (!conn.datagramWriter)
+		conn.datagramWriter = conn.webTransport.datagrams.writable.getWriter();
+	conn.datagramWriter.write(dgram).catch((error) => {
 		Sys_Printf('WT_SendUnreliableMessage: write failed: %s\n', String(error));
-	}).finally(() => {
-		writer.releaseLock();
 	});
 
 	return 1;
 }
 
+/**
+ * The largest unreliable message a datagram can carry, 0 if the
+ * transport doesn't say
+ */
+export function WT_MaxUnreliableMessage(sock: QSocket): number {
+	const conn = sock.driverdata;
+	if (!conn) return 0;
+	return conn.webTransport.datagrams.maxDatagramSize || 0;
+}
+
 /**
  * Check if we can send a reliable message
  */
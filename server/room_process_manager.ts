@@ -75,6 +75,7 @@ export async function RoomManager_CreateRoom( config: {
 	map: string;
 	maxPlayers: number;
 	hostName: string;
+	rconPassword?: string;
 } ): Promise<{ id: string; port: number } | null> {
 	// Check room limit
 	if ( roomProcesses.size >= MAX_ROOMS ) {
@@ -100,8 +101,7 @@ export async function RoomManager_CreateRoom( config: {
 	try {
 		// Find the path to the game server script
 		const serverDir = new URL( '.', import.meta.url ).pathname;
-		const gameServerPath = serverDir + 'game_server.js';
-		const denoJsonPath = serverDir.replace( /server\/$/, 'deno.json' );
+		const gameServerPath = serverDir + 'main.ts';
 
 		// Spawn dedicated server process for this room
 		const command = new Deno.Command( 'deno', {
@@ -110,7 +110,6 @@ export async function RoomManager_CreateRoom( config: {
 				'--allow-net',
 				'--allow-read',
 				'--unstable-net',
-				'--config', denoJsonPath,
 				gameServerPath,
 				'-port', String( port ),
 				'-maxclients', String( config.maxPlayers ),
@@ -119,6 +118,7 @@ export async function RoomManager_CreateRoom( config: {
 				'-cert', certFile,
 				'-key', keyFile,
 				'-room', id,  // Pass room ID so process can identify itself
+				...( config.rconPassword ? [ '-rconpassword', config.rconPassword ] : [] ),
 			],
 			stdout: 'piped',
 			stderr: 'piped',
@@ -182,6 +182,10 @@ export async function RoomManager_CreateRoom( config: {
 			Sys_Printf( 'Room %s process exited with code %d\n', id, status.code );
 			usedPorts.delete( port );
 			roomProcesses.delete( id );
+		} ).catch( ( error ) => {
+			Sys_Printf( 'Room %s process error: %s\n', id, String( error ) );
+			usedPorts.delete( port );
+			roomProcesses.delete( id );
 		} );
 
 		// Wait a moment for the server to start
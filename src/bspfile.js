@@ -12,7 +12,7 @@ export const MAX_MAP_ENTSTRING = 65536;
 export const MAX_MAP_PLANES = 32767;
 export const MAX_MAP_NODES = 32767; // because negative shorts are contents
 export const MAX_MAP_CLIPNODES = 32767;
-export const MAX_MAP_LEAFS = 8192;
+export const MAX_MAP_LEAFS = 70000; // was 8192, BSP2 maps have more
 export const MAX_MAP_VERTS = 65535;
 export const MAX_MAP_FACES = 65535;
 export const MAX_MAP_MARKSURFACES = 65535;
@@ -33,6 +33,11 @@ export const MAX_VALUE = 1024;
 //=============================================================================
 
 export const BSPVERSION = 29;
+
+// BSP2 and the earlier 2PSB: the same lumps with 32 bit indices, BSP2 also
+// has float node and leaf bounds
+export const BSP2VERSION_2PSB = ( 66 << 24 ) | ( 83 << 16 ) | ( 80 << 8 ) | 50; // '2PSB'
+export const BSP2VERSION_BSP2 = 66 | ( 83 << 8 ) | ( 80 << 16 ) | ( 50 << 24 ); // 'BSP2'
 export const TOOLVERSION = 2;
 
 // Lump types
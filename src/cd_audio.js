@@ -1,12 +1,27 @@
 // Ported from: WinQuake/cd_audio.c -- CD audio playback
-// In browser port: uses Web Audio API (HTML5 Audio element) for music tracks
+// In browser port: music files from the paks or game directories, decoded
+// with Web Audio (decodeAudioData) and played as looping buffer sources
+
+/*
+
+Track N is looked for as music/trackNN (Quakespasm, the re-release) and
+sound/cdtracks/trackNN (DarkPlaces), each as .ogg, .mp3 and .wav, through
+COM_FetchFile, so the paks are searched first and then the game directories.
+If nothing is found there, a URL from CDAudio_SetTrackURLProvider is tried.
+
+A decoded track loops sample accurately, unlike an <audio> element, and a new
+track crossfades over the one playing. Buffer sources can't be paused, so
+pausing remembers the position and resuming starts a new source from there.
+
+*/
 
 import { Con_Printf, Con_DPrintf } from './console.js';
 import { Cmd_AddCommand, Cmd_Argc, Cmd_Argv } from './cmd.js';
 import { Cvar_SetValue } from './cvar.js';
 import { COM_CheckParm } from './common.js';
+import { COM_FetchFile } from './pak.js';
 import { bgmvolume } from './sound.js';
-import { S_GetAudioContext, S_GetMasterGain } from './snd_dma.js';
+import { S_GetAudioContext } from './snd_dma.js';
 
 /*
 ==============================================================================
@@ -18,6 +33,10 @@ import { S_GetAudioContext, S_GetMasterGain } from './snd_dma.js';
 
 const MAXIMUM_TRACKS = 100;
 
+const MUSIC_EXTENSIONS = [ 'ogg', 'mp3', 'wav' ];
+const MUSIC_CROSSFADE = 2.0; // seconds from one track to the next
+const MUSIC_FADE = 0.1; // stop, pause and resume, just enough not to click
+
 let playing = false;
 let wasPlaying = false;
 let initialized = false;
@@ -28,10 +47,10 @@ let cdvolume = 0;
 
 const remap = new Uint8Array( 256 );
 
-// Web Audio / HTML5 Audio for music
-let musicElement = null; // HTMLAudioElement for music playback
-let musicGainNode = null;
-let musicSource = null; // MediaElementAudioSourceNode
+// Web Audio for music
+let musicGainNode = null; // bgmvolume, into the destination
+let musicTrack = null; // { name, buffer, looping, source, gain, startTime, offset }
+let musicRequest = 0; // bumped to drop a track that is still loading
 
 // Track URL provider (set externally)
 let _getTrackURL = null;
@@ -48,8 +67,9 @@ let _getTrackURL = null;
 ================
 CDAudio_SetTrackURLProvider
 
-Set a function that maps track number -> URL for music files.
-e.g., (track) => `music/track${track.toString().padStart(2,'0')}.ogg`
+Set a function that maps track number -> URL for music files, used when
+the track isn't found in the paks or game directories.
+e.g., (track) => `https://example.com/music/track${track.toString().padStart(2,'0')}.ogg`
 ================
 */
 export function CDAudio_SetTrackURLProvider( fn ) {
@@ -70,15 +90,8 @@ export function CDAudio_Play( track, looping ) {
 
 	track = remap[ track ];
 
-	if ( playing ) {
-
-		if ( playTrack === track )
-			return;
-		CDAudio_Stop();
-
-	}
-
-	playLooping = looping;
+	if ( playing && playTrack === track )
+		return;
 
 	if ( track < 1 || track >= MAXIMUM_TRACKS ) {
 
@@ -87,6 +100,7 @@ export function CDAudio_Play( track, looping ) {
 
 	}
 
+	playLooping = looping;
 	playTrack = track;
 
 	let vol = Math.floor( bgmvolume.value * 255.0 );
@@ -104,210 +118,380 @@ export function CDAudio_Play( track, looping ) {
 
 	cdvolume = vol;
 
-	// Get track URL
-	let url = null;
-	if ( _getTrackURL ) {
+	const nn = track.toString().padStart( 2, '0' );
+	const candidates = [];
+	for ( const base of [ 'music/track' + nn, 'sound/cdtracks/track' + nn ] ) {
 
-		url = _getTrackURL( track );
+		for ( const ext of MUSIC_EXTENSIONS )
+			candidates.push( base + '.' + ext );
 
 	}
 
-	if ( ! url ) {
+	CDAudio_StartMusic( candidates, _getTrackURL ? _getTrackURL( track ) : null, looping, 'track ' + track );
+
+}
 
-		Con_DPrintf( 'CDAudio_Play: no URL for track %d\n', track );
+/*
+================
+CDAudio_Stop
+================
+*/
+export function CDAudio_Stop() {
+
+	if ( ! initialized || ! enabled )
 		return;
 
-	}
+	musicRequest ++;
 
-	try {
+	if ( musicTrack ) {
 
-		// Create or reuse HTMLAudioElement
-		if ( ! musicElement ) {
+		CDAudio_FadeOut( musicTrack, MUSIC_FADE );
+		musicTrack = null;
 
-			musicElement = new Audio();
+	}
 
-		}
+	wasPlaying = playing;
+	playing = false;
 
-		musicElement.src = url;
-		musicElement.loop = looping;
-		musicElement.volume = bgmvolume.value;
+}
 
-		// Try to connect through Web Audio for unified volume control
-		const audioContext = S_GetAudioContext();
-		const masterGain = S_GetMasterGain();
+/*
+================
+CDAudio_Pause
+================
+*/
+export function CDAudio_Pause() {
 
-		if ( audioContext && masterGain && ! musicSource ) {
+	if ( ! initialized || ! enabled )
+		return;
 
-			try {
+	if ( ! playing )
+		return;
 
-				musicSource = audioContext.createMediaElementSource( musicElement );
-				musicGainNode = audioContext.createGain();
-				musicGainNode.gain.value = bgmvolume.value;
-				musicSource.connect( musicGainNode );
-				musicGainNode.connect( audioContext.destination );
+	if ( musicTrack && musicTrack.source ) {
 
-			} catch ( e ) {
+		musicTrack.offset = CDAudio_Position( musicTrack );
+		CDAudio_FadeOut( musicTrack, MUSIC_FADE );
 
-				// Fallback: direct playback without Web Audio routing
-				Con_DPrintf( 'CDAudio: Web Audio routing failed, using direct playback\n' );
+	}
 
-			}
+	wasPlaying = playing;
+	playing = false;
 
-		}
+}
 
-		if ( musicGainNode ) {
+/*
+================
+CDAudio_Resume
+================
+*/
+export function CDAudio_Resume() {
 
-			musicGainNode.gain.value = bgmvolume.value;
+	if ( ! initialized || ! enabled )
+		return;
 
-		}
+	if ( ! wasPlaying )
+		return;
 
-		musicElement.play().catch( function ( e ) {
+	if ( musicTrack && ! musicTrack.source )
+		CDAudio_StartSource( musicTrack, MUSIC_FADE );
 
-			Con_DPrintf( 'CDAudio_Play: playback failed: %s\n', e.message );
+	playing = true;
 
-		} );
+}
 
-		// Handle looping via ended event for non-loop mode
-		musicElement.onended = function () {
+/*
+================
+CDAudio_Update
+================
+*/
+export function CDAudio_Update() {
 
-			if ( ! playLooping ) {
+	if ( ! initialized || ! enabled )
+		return;
 
-				playing = false;
+	let newVolume = Math.floor( bgmvolume.value * 255.0 );
+	if ( newVolume !== cdvolume ) {
 
-			}
+		if ( newVolume < 0 ) {
 
-		};
+			Cvar_SetValue( 'bgmvolume', 0.0 );
+			newVolume = 0;
 
-		playing = true;
+		} else if ( newVolume > 255 ) {
 
-	} catch ( e ) {
+			Cvar_SetValue( 'bgmvolume', 1.0 );
+			newVolume = 255;
 
-		Con_DPrintf( 'CDAudio_Play: track %d failed: %s\n', track, e.message );
-		playing = false;
+		}
+
+		cdvolume = newVolume;
+
+		if ( musicGainNode )
+			musicGainNode.gain.value = bgmvolume.value;
 
 	}
 
 }
 
+/*
+==============================================================================
+
+			MUSIC PLAYBACK
+
+==============================================================================
+*/
+
 /*
 ================
-CDAudio_Stop
+CDAudio_StartMusic
+
+Finds and decodes the first of candidates there is, then crossfades to it.
+The old track keeps going until the new one is ready.
 ================
 */
-export function CDAudio_Stop() {
+function CDAudio_StartMusic( candidates, url, looping, description ) {
 
-	if ( ! initialized || ! enabled )
+	if ( ! S_GetAudioContext() ) {
+
+		Con_DPrintf( 'CDAudio: no sound output for %s\n', description );
 		return;
 
-	if ( musicElement ) {
+	}
 
-		try {
+	const request = ++ musicRequest;
+	playing = true;
 
-			musicElement.pause();
-			musicElement.currentTime = 0;
+	CDAudio_LoadMusic( candidates, url, request ).then( function ( found ) {
 
-		} catch ( e ) { /* ignore */ }
+		if ( request !== musicRequest )
+			return; // stopped or another track asked for meanwhile
 
-	}
+		const old = musicTrack;
+		musicTrack = null;
 
-	wasPlaying = playing;
-	playing = false;
+		if ( ! found ) {
+
+			Con_DPrintf( 'CDAudio: couldn\'t find %s\n', description );
+			if ( old )
+				CDAudio_FadeOut( old, MUSIC_FADE );
+			playing = false;
+			return;
+
+		}
+
+		let fade = 0;
+		if ( old && old.source ) {
+
+			CDAudio_FadeOut( old, MUSIC_CROSSFADE );
+			fade = MUSIC_CROSSFADE;
+
+		}
+
+		musicTrack = {
+			name: found.name,
+			buffer: found.buffer,
+			looping: looping,
+			source: null,
+			gain: null,
+			startTime: 0,
+			offset: 0
+		};
+
+		// paused while loading, CDAudio_Resume starts it
+		if ( playing )
+			CDAudio_StartSource( musicTrack, fade );
+
+	} );
 
 }
 
 /*
 ================
-CDAudio_Pause
+CDAudio_LoadMusic
+
+Returns a Promise of { name, buffer } for the first candidate that is there
+and decodes, or null
 ================
 */
-export function CDAudio_Pause() {
+async function CDAudio_LoadMusic( candidates, url, request ) {
 
-	if ( ! initialized || ! enabled )
-		return;
+	for ( const name of candidates ) {
 
-	if ( ! playing )
-		return;
+		const file = await COM_FetchFile( name );
+		if ( request !== musicRequest )
+			return null;
+		if ( ! file )
+			continue;
 
-	if ( musicElement ) {
+		const buffer = await CDAudio_Decode( file.data, name );
+		if ( buffer )
+			return { name: name, buffer: buffer };
 
-		try {
+	}
 
-			musicElement.pause();
+	if ( ! url || request !== musicRequest )
+		return null;
 
-		} catch ( e ) { /* ignore */ }
+	try {
 
-	}
+		const response = await fetch( url );
+		if ( ! response.ok )
+			return null;
 
-	wasPlaying = playing;
-	playing = false;
+		const buffer = await CDAudio_Decode( new Uint8Array( await response.arrayBuffer() ), url );
+		return buffer ? { name: url, buffer: buffer } : null;
+
+	} catch ( e ) {
+
+		Con_DPrintf( 'CDAudio: couldn\'t fetch %s: %s\n', url, e.message );
+		return null;
+
+	}
 
 }
 
 /*
 ================
-CDAudio_Resume
+CDAudio_Decode
+
+decodeAudioData detaches the buffer it is given, and pak files are views
+into the whole pak, so it gets a copy
 ================
 */
-export function CDAudio_Resume() {
+async function CDAudio_Decode( data, name ) {
 
-	if ( ! initialized || ! enabled )
-		return;
-
-	if ( ! wasPlaying )
-		return;
+	const audioContext = S_GetAudioContext();
+	if ( ! audioContext )
+		return null;
 
-	if ( musicElement ) {
+	try {
 
-		try {
+		return await audioContext.decodeAudioData( data.slice().buffer );
 
-			musicElement.play().catch( function () {} );
+	} catch ( e ) {
 
-		} catch ( e ) { /* ignore */ }
+		// e.g. .ogg where the browser has no Vorbis, the next extension may do
+		Con_DPrintf( 'CDAudio: couldn\'t decode %s\n', name );
+		return null;
 
 	}
 
-	playing = true;
+}
+
+/*
+================
+CDAudio_Output
+
+The bgmvolume gain the tracks play into, made again if the sound
+system has a new context
+================
+*/
+function CDAudio_Output( audioContext ) {
+
+	if ( musicGainNode && musicGainNode.context === audioContext )
+		return musicGainNode;
+
+	musicGainNode = audioContext.createGain();
+	musicGainNode.gain.value = bgmvolume.value;
+	musicGainNode.connect( audioContext.destination );
+	return musicGainNode;
 
 }
 
 /*
 ================
-CDAudio_Update
+CDAudio_StartSource
+
+Plays track from its offset, fading in over fade seconds
 ================
 */
-export function CDAudio_Update() {
+function CDAudio_StartSource( track, fade ) {
 
-	if ( ! initialized || ! enabled )
+	const audioContext = S_GetAudioContext();
+	if ( ! audioContext )
 		return;
 
-	let newVolume = Math.floor( bgmvolume.value * 255.0 );
-	if ( newVolume !== cdvolume ) {
+	const source = audioContext.createBufferSource();
+	source.buffer = track.buffer;
+	source.loop = track.looping;
 
-		if ( newVolume < 0 ) {
+	const gain = audioContext.createGain();
+	source.connect( gain );
+	gain.connect( CDAudio_Output( audioContext ) );
 
-			Cvar_SetValue( 'bgmvolume', 0.0 );
-			newVolume = 0;
+	const t = audioContext.currentTime;
+	if ( fade > 0 ) {
 
-		} else if ( newVolume > 255 ) {
+		gain.gain.setValueAtTime( 0, t );
+		gain.gain.linearRampToValueAtTime( 1, t + fade );
 
-			Cvar_SetValue( 'bgmvolume', 1.0 );
-			newVolume = 255;
+	}
+
+	source.onended = function () {
+
+		gain.disconnect();
+
+		// ran out by itself, not stopped
+		if ( musicTrack === track && track.source === source ) {
+
+			musicTrack = null;
+			playing = false;
 
 		}
 
-		cdvolume = newVolume;
+	};
 
-		if ( musicGainNode ) {
+	source.start( t, track.offset );
 
-			musicGainNode.gain.value = bgmvolume.value;
+	track.source = source;
+	track.gain = gain;
+	track.startTime = t - track.offset;
 
-		} else if ( musicElement ) {
+}
 
-			musicElement.volume = bgmvolume.value;
+/*
+================
+CDAudio_FadeOut
+================
+*/
+function CDAudio_FadeOut( track, fade ) {
 
-		}
+	if ( ! track.source )
+		return;
 
-	}
+	const t = track.source.context.currentTime;
+	const gain = track.gain.gain;
+	gain.cancelScheduledValues( t );
+	gain.setValueAtTime( gain.value, t );
+	gain.linearRampToValueAtTime( 0, t + fade );
+
+	try {
+
+		track.source.stop( t + fade );
+
+	} catch ( e ) { /* ignore */ }
+
+	track.source = null;
+
+}
+
+/*
+================
+CDAudio_Position
+
+Seconds into the track
+================
+*/
+function CDAudio_Position( track ) {
+
+	const position = track.source.context.currentTime - track.startTime;
+	const duration = track.buffer.duration;
+
+	if ( track.looping )
+		return position % duration;
+
+	return Math.min( position, duration );
 
 }
 
@@ -328,6 +512,7 @@ export function CDAudio_Init() {
 	enabled = true;
 
 	Cmd_AddCommand( 'cd', CD_f );
+	Cmd_AddCommand( 'music', Music_f );
 
 	Con_Printf( 'CD Audio Initialized (Web Audio)\n' );
 
@@ -347,18 +532,6 @@ export function CDAudio_Shutdown() {
 
 	CDAudio_Stop();
 
-	if ( musicSource ) {
-
-		try {
-
-			musicSource.disconnect();
-
-		} catch ( e ) { /* ignore */ }
-
-		musicSource = null;
-
-	}
-
 	if ( musicGainNode ) {
 
 		try {
@@ -371,7 +544,6 @@ export function CDAudio_Shutdown() {
 
 	}
 
-	musicElement = null;
 	initialized = false;
 
 }
@@ -477,14 +649,64 @@ function CD_f() {
 
 	if ( command === 'info' ) {
 
-		if ( playing )
+		if ( playing && playTrack )
 			Con_Printf( 'Currently %s track %d\n', playLooping ? 'looping' : 'playing', playTrack );
+		else if ( playing )
+			Con_Printf( 'Currently %s music\n', playLooping ? 'looping' : 'playing' );
 		else
 			Con_Printf( 'Not playing\n' );
 
+		if ( musicTrack )
+			Con_Printf( 'From %s\n', musicTrack.name );
+
 		Con_Printf( 'Volume is %d\n', cdvolume );
 		return;
 
 	}
 
 }
+
+/*
+================
+Music_f
+
+"music <file>" plays a music file, looping. Without a directory it is
+looked for in music/, without an extension as .ogg, .mp3 and .wav.
+================
+*/
+function Music_f() {
+
+	if ( Cmd_Argc() !== 2 ) {
+
+		Con_Printf( 'music <filename> : play a music file\n' );
+		return;
+
+	}
+
+	if ( ! enabled )
+		return;
+
+	let name = Cmd_Argv( 1 );
+	if ( name.indexOf( '/' ) === - 1 )
+		name = 'music/' + name;
+
+	const dot = name.lastIndexOf( '.' );
+	const candidates = [];
+	if ( dot > name.lastIndexOf( '/' ) && MUSIC_EXTENSIONS.indexOf( name.slice( dot + 1 ).toLowerCase() ) !== - 1 ) {
+
+		candidates.push( name );
+
+	} else {
+
+		for ( const ext of MUSIC_EXTENSIONS )
+			candidates.push( name + '.' + ext );
+
+	}
+
+	// not a cd track, so "cd loop" of the same number starts over
+	playTrack = 0;
+	playLooping = true;
+
+	CDAudio_StartMusic( candidates, null, true, name );
+
+}
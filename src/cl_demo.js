@@ -1,19 +1,22 @@
 // Ported from: WinQuake/cl_demo.c -- demo recording and playback
 
 import { MAX_MSGLEN } from './quakedef.js';
-import { Con_Printf, Con_DPrintf, SZ_Clear,
-	MSG_WriteByte, MSG_WriteString,
+import { Con_Printf, Con_DPrintf, sizebuf_t, SZ_Alloc, SZ_Clear,
+	MSG_WriteByte, MSG_WriteShort, MSG_WriteString,
 	LittleLong, LittleFloat,
 	net_message, COM_DefaultExtension } from './common.js';
 import { Sys_Error } from './sys.js';
-import { Cmd_Argc, Cmd_Argv, cmd_source, src_command } from './cmd.js';
-import { svc_nop, svc_disconnect } from './protocol.js';
+import { Cmd_Argc, Cmd_Argv, Cmd_ExecuteString, cmd_source, src_command } from './cmd.js';
+import { svc_nop, svc_disconnect, svc_time, svc_print, svc_serverinfo, svc_fog } from './protocol.js';
 import { VectorCopy } from './mathlib.js';
 import { SIGNONS, cl, cls, ca_disconnected, ca_connected } from './client.js';
 import { CL_Disconnect } from './cl_main.js';
+import { CL_ParseServerMessage } from './cl_parse.js';
 import { host_framecount, realtime } from './host.js';
 import { NET_GetMessage } from './net_main.js';
+import { S_StopAllSounds, S_StopDynamicSounds } from './snd_dma.js';
 import { COM_FindFile } from './pak.js';
+import { Storage_Put, Storage_Get, Storage_Keys, STORE_DEMOS } from './storage.js';
 
 /*
 ==============================================================================
@@ -46,11 +49,83 @@ export function CL_StopPlayback() {
 	cls.demopos = 0;
 	cls.state = ca_disconnected;
 
+	demo_paused = false;
+	demo_speed = 1;
+	demo_keyframes.length = 0;
+	demo_signons.length = 0;
+
 	if ( cls.timedemo )
 		CL_FinishTimeDemo();
 
 }
 
+/*
+==============================================================================
+
+DEMO FILE
+
+In the browser a demo being recorded is accumulated in memory. When recording
+stops the finished .dem is stored in IndexedDB, from where it can be played
+back or downloaded.
+==============================================================================
+*/
+
+class demofile_t {
+
+	constructor( name ) {
+
+		this.name = name;
+		this.data = new Uint8Array( 0x10000 );
+		this.size = 0;
+
+	}
+
+}
+
+// name of the last completed recording, the default for demodownload
+let last_demo_name = '';
+
+function CL_DemoReserve( file, length ) {
+
+	if ( file.size + length <= file.data.length )
+		return;
+
+	let newsize = file.data.length * 2;
+	while ( newsize < file.size + length )
+		newsize *= 2;
+
+	const data = new Uint8Array( newsize );
+	data.set( file.data.subarray( 0, file.size ) );
+	file.data = data;
+
+}
+
+function CL_DemoWriteBytes( file, bytes, length ) {
+
+	CL_DemoReserve( file, length );
+	file.data.set( bytes.subarray( 0, length ), file.size );
+	file.size += length;
+
+}
+
+function CL_DemoWriteBlock( msg ) {
+
+	const file = cls.demofile;
+	if ( ! file )
+		return;
+
+	CL_DemoReserve( file, 16 + msg.cursize );
+
+	const view = new DataView( file.data.buffer, file.size, 16 );
+	view.setInt32( 0, msg.cursize, true );
+	for ( let i = 0; i < 3; i ++ )
+		view.setFloat32( 4 + i * 4, cl.viewangles[ i ], true );
+	file.size += 16;
+
+	CL_DemoWriteBytes( file, msg.data, msg.cursize );
+
+}
+
 /*
 ====================
 CL_WriteDemoMessage
@@ -60,67 +135,161 @@ Dumps the current net message, prefixed by the length and view angles
 */
 export function CL_WriteDemoMessage() {
 
-	// In the browser, demo writing would need to accumulate to a buffer
-	// then offer as download. For now, this is a stub.
-	// The original writes: 4 bytes length, 3x4 bytes viewangles, then message data
+	CL_DemoWriteBlock( net_message );
 
-	if ( ! cls.demofile )
+}
+
+const demo_fog = new sizebuf_t();
+SZ_Alloc( demo_fog, 16 );
+
+/*
+====================
+CL_WriteDemoFog
+
+Records a fog change the server didn't send us (we don't ask for svc_fog
+while recording) as the svc_fog it would have been, so the demo plays back
+with it
+====================
+*/
+export function CL_WriteDemoFog( density, red, green, blue, time ) {
+
+	if ( ! cls.demorecording )
 		return;
 
-	// In a real implementation:
-	// const len = LittleLong( net_message.cursize );
-	// write len (4 bytes)
-	// for ( let i = 0; i < 3; i++ ) {
-	//     const f = LittleFloat( cl.viewangles[i] );
-	//     write f (4 bytes)
-	// }
-	// write net_message.data[0..cursize] bytes
+	SZ_Clear( demo_fog );
+	MSG_WriteByte( demo_fog, svc_fog );
+	for ( const v of [ density, red, green, blue ] )
+		MSG_WriteByte( demo_fog, Math.min( Math.max( Math.round( v * 255 ), 0 ), 255 ) );
+	MSG_WriteShort( demo_fog, Math.min( Math.round( time * 100 ), 32767 ) );
 
-	Con_DPrintf( 'CL_WriteDemoMessage: %i bytes\n', net_message.cursize );
+	CL_DemoWriteBlock( demo_fog );
 
 }
 
 /*
 ====================
-CL_GetMessage
+CL_DemoBlob
 
-Handles recording and playback of demos, on top of NET_ code
+Returns a Promise resolving to a downloadable Blob of a stored demo,
+or null if there is no such demo
 ====================
 */
-export function CL_GetMessage() {
+export async function CL_DemoBlob( name ) {
 
-	if ( cls.demoplayback ) {
+	const data = await Storage_Get( STORE_DEMOS, COM_DefaultExtension( name, '.dem' ) );
+	if ( ! data )
+		return null;
 
-		// decide if it is time to grab the next message
-		if ( cls.signon === SIGNONS ) { // allways grab until fully connected
+	return new Blob( [ data ], { type: 'application/octet-stream' } );
 
-			if ( cls.timedemo ) {
+}
 
-				if ( host_framecount === cls.td_lastframe )
-					return 0; // allready read this frame's message
-				cls.td_lastframe = host_framecount;
-				// if this is the second frame, grab the real td_starttime
-				// so the bogus time on the first frame doesn't count
-				if ( host_framecount === cls.td_startframe + 1 )
-					cls.td_starttime = realtime;
+/*
+====================
+CL_DemoDownload_f
 
-			} else if ( /* cl.time > 0 && */ cl.time <= cl.mtime[ 0 ] ) {
+demodownload [demoname]
+====================
+*/
+export function CL_DemoDownload_f() {
 
-				return 0; // don't need another message yet
+	if ( Cmd_Argc() > 2 ) {
 
-			}
+		Con_Printf( 'demodownload [demoname] : save a recorded demo to disk\n' );
+		return;
 
-		}
+	}
 
-		// get the next message from demo data
-		if ( ! cls.demodata || cls.demopos >= cls.demodata.length ) {
+	const name = COM_DefaultExtension( Cmd_Argc() === 2 ? Cmd_Argv( 1 ) : last_demo_name, '.dem' );
+	if ( name === '.dem' ) {
 
-			CL_StopPlayback();
-			return 0;
+		Con_Printf( 'No demo has been recorded.\n' );
+		return;
+
+	}
+
+	if ( typeof document === 'undefined' ) {
+
+		Con_Printf( 'demodownload is only available in the browser\n' );
+		return;
+
+	}
+
+	CL_DemoBlob( name ).then( ( blob ) => {
+
+		if ( ! blob ) {
+
+			Con_Printf( 'ERROR: couldn\'t open %s.\n', name );
+			return;
 
 		}
 
-		// read message length (4 bytes, little-endian)
+		const url = URL.createObjectURL( blob );
+		const a = document.createElement( 'a' );
+		a.href = url;
+		a.download = name;
+		document.body.appendChild( a );
+		a.click();
+		a.remove();
+		setTimeout( () => URL.revokeObjectURL( url ), 1000 );
+
+	} );
+
+}
+
+/*
+====================
+CL_DemoList_f
+
+Lists the demos stored in the browser
+====================
+*/
+export function CL_DemoList_f() {
+
+	Storage_Keys( STORE_DEMOS ).then( ( names ) => {
+
+		for ( const name of names )
+			Con_Printf( '%s\n', name );
+		Con_Printf( '%i demo(s)\n', names.length );
+
+	} );
+
+}
+
+/*
+====================
+CL_ReadDemoMessage
+
+Reads the next message out of the demo data into net_message.
+Returns 0 and stops playback at the end of the demo.
+====================
+*/
+function CL_ReadDemoMessage() {
+
+	// get the next message from demo data
+	if ( ! cls.demodata || cls.demopos >= cls.demodata.length ) {
+
+		CL_StopPlayback();
+		return 0;
+
+	}
+
+	// read message length (4 bytes, little-endian)
+	if ( cls.demopos + 4 > cls.demodata.length ) {
+
+		CL_StopPlayback();
+		return 0;
+
+	}
+
+	const view = new DataView( cls.demodata.buffer, cls.demodata.byteOffset + cls.demopos, 4 );
+	net_message.cursize = view.getInt32( 0, true ); // little-endian
+	cls.demopos += 4;
+
+	// read view angles (3 floats = 12 bytes)
+	VectorCopy( cl.mviewangles[ 0 ], cl.mviewangles[ 1 ] );
+	for ( let i = 0; i < 3; i ++ ) {
+
 		if ( cls.demopos + 4 > cls.demodata.length ) {
 
 			CL_StopPlayback();
@@ -128,48 +297,69 @@ export function CL_GetMessage() {
 
 		}
 
-		const view = new DataView( cls.demodata.buffer, cls.demodata.byteOffset + cls.demopos, 4 );
-		net_message.cursize = view.getInt32( 0, true ); // little-endian
+		const fview = new DataView( cls.demodata.buffer, cls.demodata.byteOffset + cls.demopos, 4 );
+		cl.mviewangles[ 0 ][ i ] = fview.getFloat32( 0, true );
 		cls.demopos += 4;
 
-		// read view angles (3 floats = 12 bytes)
-		VectorCopy( cl.mviewangles[ 0 ], cl.mviewangles[ 1 ] );
-		for ( let i = 0; i < 3; i ++ ) {
+	}
 
-			if ( cls.demopos + 4 > cls.demodata.length ) {
+	net_message.cursize = LittleLong( net_message.cursize );
+	if ( net_message.cursize > MAX_MSGLEN )
+		Sys_Error( 'Demo message > MAX_MSGLEN' );
 
-				CL_StopPlayback();
-				return 0;
+	// read message data
+	if ( cls.demopos + net_message.cursize > cls.demodata.length ) {
 
-			}
+		CL_StopPlayback();
+		return 0;
 
-			const fview = new DataView( cls.demodata.buffer, cls.demodata.byteOffset + cls.demopos, 4 );
-			cl.mviewangles[ 0 ][ i ] = fview.getFloat32( 0, true );
-			cls.demopos += 4;
+	}
 
-		}
+	// Ensure net_message.data is large enough
+	if ( ! net_message.data || net_message.data.length < net_message.cursize )
+		net_message.data = new Uint8Array( MAX_MSGLEN );
 
-		net_message.cursize = LittleLong( net_message.cursize );
-		if ( net_message.cursize > MAX_MSGLEN )
-			Sys_Error( 'Demo message > MAX_MSGLEN' );
+	for ( let i = 0; i < net_message.cursize; i ++ )
+		net_message.data[ i ] = cls.demodata[ cls.demopos + i ];
+	cls.demopos += net_message.cursize;
 
-		// read message data
-		if ( cls.demopos + net_message.cursize > cls.demodata.length ) {
+	return 1;
 
-			CL_StopPlayback();
-			return 0;
+}
 
-		}
+/*
+====================
+CL_GetMessage
 
-		// Ensure net_message.data is large enough
-		if ( ! net_message.data || net_message.data.length < net_message.cursize )
-			net_message.data = new Uint8Array( MAX_MSGLEN );
+Handles recording and playback of demos, on top of NET_ code
+====================
+*/
+export function CL_GetMessage() {
 
-		for ( let i = 0; i < net_message.cursize; i ++ )
-			net_message.data[ i ] = cls.demodata[ cls.demopos + i ];
-		cls.demopos += net_message.cursize;
+	if ( cls.demoplayback ) {
 
-		return 1;
+		// decide if it is time to grab the next message
+		if ( cls.signon === SIGNONS ) { // allways grab until fully connected
+
+			if ( cls.timedemo ) {
+
+				if ( host_framecount === cls.td_lastframe )
+					return 0; // allready read this frame's message
+				cls.td_lastframe = host_framecount;
+				// if this is the second frame, grab the real td_starttime
+				// so the bogus time on the first frame doesn't count
+				if ( host_framecount === cls.td_startframe + 1 )
+					cls.td_starttime = realtime;
+
+			} else if ( /* cl.time > 0 && */ cl.time <= cl.mtime[ 0 ] ) {
+
+				return 0; // don't need another message yet
+
+			}
+
+		}
+
+		return CL_ReadDemoMessage();
 
 	}
 
@@ -188,8 +378,9 @@ export function CL_GetMessage() {
 
 	}
 
-	// if ( cls.demorecording )
-	//     CL_WriteDemoMessage();
+	if ( cls.demorecording )
+		CL_WriteDemoMessage();
+
 	return r;
 
 }
@@ -219,9 +410,21 @@ export function CL_Stop_f() {
 	CL_WriteDemoMessage();
 
 	// finish up
+	const file = cls.demofile;
+	const data = file.data.slice( 0, file.size );
 	cls.demofile = null;
 	cls.demorecording = false;
-	Con_Printf( 'Completed demo\n' );
+	last_demo_name = file.name;
+
+	Storage_Put( STORE_DEMOS, file.name, data ).then( () => {
+
+		Con_Printf( 'Completed demo %s (%i bytes)\n', file.name, data.length );
+
+	}, ( e ) => {
+
+		Con_Printf( 'ERROR: couldn\'t store %s: %s\n', file.name, e && e.message ? e.message : e );
+
+	} );
 
 }
 
@@ -269,15 +472,25 @@ export function CL_Record_f() {
 	} else
 		track = - 1;
 
-	// In browser environment, demo recording would accumulate data in memory
-	// and offer it as a download when stopped
+	//
+	// start the map up
+	//
+	if ( c > 2 )
+		Cmd_ExecuteString( 'map ' + Cmd_Argv( 2 ), src_command );
+
+	//
+	// open the demo file
+	//
 	const name = COM_DefaultExtension( Cmd_Argv( 1 ), '.dem' );
 
 	Con_Printf( 'recording to %s.\n', name );
 
-	// TODO: Implement browser-based demo recording
-	// cls.demofile = ...;
+	cls.demofile = new demofile_t( name );
 	cls.forcetrack = track;
+
+	const header = new TextEncoder().encode( cls.forcetrack + '\n' );
+	CL_DemoWriteBytes( cls.demofile, header, header.length );
+
 	cls.demorecording = true;
 
 }
@@ -317,8 +530,30 @@ export function CL_PlayDemo_f() {
 	const result = COM_FindFile( name );
 	if ( ! result ) {
 
-		Con_Printf( 'ERROR: couldn\'t open %s.\n', name );
-		cls.demonum = - 1;
+		// not in the pak, try the demos recorded in this browser
+		Storage_Get( STORE_DEMOS, name ).then( ( data ) => {
+
+			if ( ! data ) {
+
+				Con_Printf( 'ERROR: couldn\'t open %s.\n', name );
+				cls.demonum = - 1;
+				return;
+
+			}
+
+			const timedemo = cls.timedemo;
+			CL_PlayDemoFromData( data );
+
+			// the load finished frames after CL_TimeDemo_f ran
+			if ( timedemo ) {
+
+				cls.timedemo = true;
+				cls.td_startframe = host_framecount;
+				cls.td_lastframe = - 1;
+
+			}
+
+		} );
 		return;
 
 	}
@@ -364,6 +599,8 @@ export function CL_PlayDemoFromData( data ) {
 	if ( neg )
 		cls.forcetrack = - cls.forcetrack;
 
+	CL_BuildDemoIndex();
+
 	Con_Printf( 'Playing demo (forcetrack %i)\n', cls.forcetrack );
 
 }
@@ -416,3 +653,363 @@ export function CL_TimeDemo_f() {
 	cls.td_lastframe = - 1; // get a new message this frame
 
 }
+
+/*
+==============================================================================
+
+DEMO CONTROLLER
+
+Pause, variable speed and seeking for demo playback. Speed and pause scale
+the rate cl.time advances at (see CL_ReadFromServer), so CL_GetMessage keeps
+metering messages out as usual. Seeking uses an index of the svc_time
+messages built when the demo is loaded: a forward seek parses messages until
+the target keyframe, a backward seek first rewinds to the serverinfo message
+that started the level and re-simulates from there.
+==============================================================================
+*/
+
+const DEMO_MIN_SPEED = 0.25;
+const DEMO_MAX_SPEED = 8;
+
+class demokeyframe_t {
+
+	constructor( pos, time, elapsed ) {
+
+		this.pos = pos; // offset of the message block in cls.demodata
+		this.time = time; // server time of the svc_time message
+		this.elapsed = elapsed; // seconds since the start of the demo
+
+	}
+
+}
+
+export let demo_paused = false;
+export let demo_speed = 1;
+let demo_seektime = - 999; // realtime of the last seek, shows the scrub bar
+
+const demo_keyframes = []; // demokeyframe_t for every svc_time message
+const demo_signons = []; // demo positions of svc_serverinfo messages
+
+/*
+====================
+CL_DemoIsServerinfo
+
+True if the message at ofs starts a level. The server sends svc_serverinfo
+right after its version svc_print.
+====================
+*/
+function CL_DemoIsServerinfo( data, ofs, len ) {
+
+	if ( len < 1 )
+		return false;
+
+	if ( data[ ofs ] === svc_serverinfo )
+		return true;
+
+	if ( data[ ofs ] !== svc_print )
+		return false;
+
+	let i = ofs + 1;
+	while ( i < ofs + len && data[ i ] !== 0 )
+		i ++;
+
+	return i + 1 < ofs + len && data[ i + 1 ] === svc_serverinfo;
+
+}
+
+/*
+====================
+CL_BuildDemoIndex
+
+Scans the message blocks from the current demo position
+====================
+*/
+function CL_BuildDemoIndex() {
+
+	demo_keyframes.length = 0;
+	demo_signons.length = 0;
+	demo_paused = false;
+	demo_speed = 1;
+
+	const data = cls.demodata;
+	const view = new DataView( data.buffer, data.byteOffset, data.byteLength );
+
+	let pos = cls.demopos;
+	let elapsed = 0;
+	let lasttime = - 1;
+
+	while ( pos + 16 <= data.length ) {
+
+		const len = view.getInt32( pos, true );
+		const ofs = pos + 16;
+		if ( len < 0 || len > MAX_MSGLEN || ofs + len > data.length )
+			break;
+
+		if ( CL_DemoIsServerinfo( data, ofs, len ) ) {
+
+			demo_signons.push( pos );
+			lasttime = - 1; // server time restarts with the level
+
+		}
+
+		if ( len >= 5 && data[ ofs ] === svc_time ) {
+
+			const time = view.getFloat32( ofs + 1, true );
+			if ( lasttime >= 0 && time > lasttime )
+				elapsed += time - lasttime;
+			lasttime = time;
+			demo_keyframes.push( new demokeyframe_t( pos, time, elapsed ) );
+
+		}
+
+		pos = ofs + len;
+
+	}
+
+	if ( demo_signons.length === 0 || demo_signons[ 0 ] > cls.demopos )
+		demo_signons.unshift( cls.demopos );
+
+}
+
+/*
+====================
+CL_DemoTimeScale
+
+How fast cl.time advances relative to real time
+====================
+*/
+export function CL_DemoTimeScale() {
+
+	if ( ! cls.demoplayback || cls.timedemo )
+		return 1;
+
+	if ( demo_paused )
+		return 0;
+
+	return demo_speed;
+
+}
+
+/*
+====================
+CL_DemoDuration / CL_DemoElapsed
+
+Playback position in seconds since the start of the demo
+====================
+*/
+export function CL_DemoDuration() {
+
+	if ( demo_keyframes.length === 0 )
+		return 0;
+
+	return demo_keyframes[ demo_keyframes.length - 1 ].elapsed;
+
+}
+
+export function CL_DemoElapsed() {
+
+	// last keyframe that has been read
+	let lo = 0;
+	let hi = demo_keyframes.length - 1;
+	let found = - 1;
+
+	while ( lo <= hi ) {
+
+		const mid = ( lo + hi ) >> 1;
+		if ( demo_keyframes[ mid ].pos < cls.demopos ) {
+
+			found = mid;
+			lo = mid + 1;
+
+		} else {
+
+			hi = mid - 1;
+
+		}
+
+	}
+
+	if ( found < 0 )
+		return 0;
+
+	// cl.time trails the last message read while interpolating
+	return Math.max( 0, demo_keyframes[ found ].elapsed + Math.min( 0, cl.time - cl.mtime[ 0 ] ) );
+
+}
+
+/*
+====================
+CL_DemoShowControls
+
+True while the scrub bar should be drawn
+====================
+*/
+export function CL_DemoShowControls() {
+
+	if ( ! cls.demoplayback || cls.timedemo || demo_keyframes.length === 0 )
+		return false;
+
+	return demo_paused || demo_speed !== 1 || realtime - demo_seektime < 2;
+
+}
+
+/*
+====================
+CL_DemoSeek
+
+Moves playback to the given number of seconds since the start of the demo
+====================
+*/
+export function CL_DemoSeek( seconds ) {
+
+	if ( ! cls.demoplayback || cls.timedemo || demo_keyframes.length === 0 )
+		return;
+
+	// last keyframe at or before the target
+	let target = demo_keyframes[ 0 ];
+	for ( let i = 1; i < demo_keyframes.length; i ++ ) {
+
+		if ( demo_keyframes[ i ].elapsed > seconds )
+			break;
+		target = demo_keyframes[ i ];
+
+	}
+
+	// nearest level start before it
+	let signon = demo_signons[ 0 ];
+	for ( let i = 1; i < demo_signons.length; i ++ ) {
+
+		if ( demo_signons[ i ] > target.pos )
+			break;
+		signon = demo_signons[ i ];
+
+	}
+
+	// can only fast-forward within the level that is already set up
+	if ( cls.demopos > target.pos || cls.demopos < signon ) {
+
+		cls.demopos = signon;
+		cls.signon = 0; // need new connection messages
+
+		// the signon starts the level's static sounds again
+		S_StopAllSounds( true );
+
+	}
+
+	while ( cls.demopos <= target.pos ) {
+
+		if ( ! CL_ReadDemoMessage() )
+			return;
+
+		cl.last_received_message = realtime;
+		CL_ParseServerMessage();
+
+		if ( ! cls.demoplayback )
+			return;
+
+	}
+
+	// resume smoothly from the keyframe
+	cl.mtime[ 1 ] = cl.mtime[ 0 ];
+	cl.time = cl.oldtime = cl.mtime[ 0 ];
+	VectorCopy( cl.mviewangles[ 0 ], cl.mviewangles[ 1 ] );
+
+	// the re-simulated messages started their sounds all at once, the
+	// static ones are the level's and play on
+	S_StopDynamicSounds();
+
+	demo_seektime = realtime;
+
+}
+
+/*
+====================
+CL_DemoPause_f
+
+demo_pause
+====================
+*/
+export function CL_DemoPause_f() {
+
+	if ( ! cls.demoplayback ) {
+
+		Con_Printf( 'Not playing a demo.\n' );
+		return;
+
+	}
+
+	demo_paused = ! demo_paused;
+
+}
+
+/*
+====================
+CL_DemoSpeed_f
+
+demo_speed [scale]
+====================
+*/
+export function CL_DemoSpeed_f() {
+
+	if ( Cmd_Argc() !== 2 ) {
+
+		Con_Printf( '"demo_speed" is "%s"\n', String( demo_speed ) );
+		return;
+
+	}
+
+	let speed = parseFloat( Cmd_Argv( 1 ) );
+	if ( isNaN( speed ) ) {
+
+		Con_Printf( 'demo_speed <%s-%s> : set demo playback speed\n', String( DEMO_MIN_SPEED ), String( DEMO_MAX_SPEED ) );
+		return;
+
+	}
+
+	if ( speed < DEMO_MIN_SPEED )
+		speed = DEMO_MIN_SPEED;
+	if ( speed > DEMO_MAX_SPEED )
+		speed = DEMO_MAX_SPEED;
+
+	demo_speed = speed;
+
+}
+
+/*
+====================
+CL_DemoSeek_f
+
+demo_seek <seconds | m:ss | +seconds | -seconds>
+====================
+*/
+export function CL_DemoSeek_f() {
+
+	if ( Cmd_Argc() !== 2 ) {
+
+		Con_Printf( 'demo_seek <time> : jump to a time (seconds, m:ss, or +/- seconds)\n' );
+		return;
+
+	}
+
+	if ( ! cls.demoplayback || cls.timedemo ) {
+
+		Con_Printf( 'Not playing a demo.\n' );
+		return;
+
+	}
+
+	const arg = Cmd_Argv( 1 );
+	let seconds = 0;
+
+	const parts = arg.replace( /^[+-]/, '' ).split( ':' );
+	for ( let i = 0; i < parts.length; i ++ )
+		seconds = seconds * 60 + ( parseFloat( parts[ i ] ) || 0 );
+
+	if ( arg[ 0 ] === '+' )
+		seconds = CL_DemoElapsed() + seconds;
+	else if ( arg[ 0 ] === '-' )
+		seconds = CL_DemoElapsed() - seconds;
+
+	CL_DemoSeek( Math.max( 0, seconds ) );
+
+}
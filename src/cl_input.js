@@ -2,12 +2,12 @@
 
 import { PITCH, YAW, ROLL } from './quakedef.js';
 import { Con_Printf, Q_atoi, SZ_Clear,
-	MSG_WriteByte, MSG_WriteFloat, MSG_WriteShort, MSG_WriteAngle,
+	MSG_WriteByte, MSG_WriteFloat, MSG_WriteShort, MSG_WriteLong, MSG_WriteAngle,
 	net_message } from './common.js';
 import { Cmd_AddCommand, Cmd_Argv } from './cmd.js';
 import { cvar_t, Cvar_RegisterVariable } from './cvar.js';
-import { clc_move } from './protocol.js';
-import { SIGNONS,
+import { clc_move, PEXT_PREDICTION, PEXT_DELTA } from './protocol.js';
+import { SIGNONS, UPDATE_MASK,
 	kbutton_t, usercmd_t,
 	cl, cls, cl_entities } from './client.js';
 import { anglemod } from './mathlib.js';
@@ -377,6 +377,24 @@ export function CL_SendMove( cmd ) {
 	MSG_WriteByte( buf, in_impulse );
 	in_impulse = 0;
 
+	//
+	// keep a copy for prediction
+	//
+	cl.movesequence ++;
+	const saved = cl.movecmds[ cl.movesequence & UPDATE_MASK ];
+	saved.viewangles.set( cl.viewangles );
+	saved.forwardmove = cmd.forwardmove;
+	saved.sidemove = cmd.sidemove;
+	saved.upmove = cmd.upmove;
+	saved.buttons = bits;
+	saved.frametime = host_frametime;
+
+	if ( cl.protocolext & PEXT_PREDICTION )
+		MSG_WriteLong( buf, cl.movesequence );
+
+	if ( cl.protocolext & PEXT_DELTA )
+		MSG_WriteLong( buf, cl.snapshotsequence );
+
 	//
 	// deliver the message
 	//
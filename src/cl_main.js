@@ -12,8 +12,10 @@ import { NET_Connect, NET_SendMessage, NET_CanSendMessage, NET_Close } from './n
 import { cvar_t, Cvar_RegisterVariable } from './cvar.js';
 import { Cmd_AddCommand } from './cmd.js';
 import { Cbuf_InsertText } from './cmd.js';
-import { clc_disconnect, clc_stringcmd } from './protocol.js';
-import { CL_GetMessage, CL_PlayDemo_f } from './cl_demo.js';
+import { clc_disconnect, clc_stringcmd, PEXT_PREDICTION, PEXT_DELTA, PEXT_FOG } from './protocol.js';
+import { CL_GetMessage, CL_PlayDemo_f, CL_StopPlayback, CL_Stop_f, CL_Record_f,
+	CL_TimeDemo_f, CL_DemoDownload_f, CL_DemoList_f,
+	CL_DemoTimeScale, CL_DemoPause_f, CL_DemoSpeed_f, CL_DemoSeek_f } from './cl_demo.js';
 import { CL_ParseServerMessage } from './cl_parse.js';
 import { SIGNONS, MAX_DLIGHTS, MAX_EFRAGS, MAX_BEAMS, MAX_TEMP_ENTITIES,
 	MAX_STATIC_ENTITIES, MAX_DEMOS, MAX_VISEDICTS,
@@ -23,16 +25,21 @@ import { SIGNONS, MAX_DLIGHTS, MAX_EFRAGS, MAX_BEAMS, MAX_TEMP_ENTITIES,
 	cl_numvisedicts, cl_visedicts, set_cl_numvisedicts,
 	dlight_t, entity_t, efrag_t, lightstyle_t, beam_t,
 	client_state_t, usercmd_t, cshift_t,
-	NUM_CSHIFTS } from './client.js';
-import { anglemod, VectorCopy, VectorSubtract, VectorMA, AngleVectors, DotProduct } from './mathlib.js';
-import { R_RocketTrail, R_RemoveEfrags } from './render.js';
+	NUM_CSHIFTS, DL_COLOR_MUZZLEFLASH, DL_COLOR_ROCKET } from './client.js';
+import { anglemod, VectorCopy, VectorSubtract, VectorMA, AngleVectors, DotProduct, VectorCompare } from './mathlib.js';
+import { R_RocketTrail, R_RemoveEfrags, LERP_MOVESTEP, LERP_RESETMOVE } from './render.js';
+import { r_lerpmove } from './gl_rmain.js';
 import { CL_InitTEnts, CL_UpdateTEnts } from './cl_tent.js';
+import { CL_InitPrediction, CL_PredictMove } from './cl_pred.js';
 import { host_frametime, realtime, host_framecount, Host_Error, Host_EndGame } from './host.js';
 import { SCR_EndLoadingPlaque, SCR_BeginLoadingPlaque } from './gl_screen.js';
 import { S_StopAllSounds } from './snd_dma.js';
 import { M_ConnectionError, M_ShouldReturnOnError } from './menu.js';
 import { key_menu, set_key_dest } from './keys.js';
 
+// protocol extensions this client understands, see Host_Pext_f
+const PEXT_CLIENT = PEXT_PREDICTION | PEXT_DELTA | PEXT_FOG;
+
 // we need to declare some mouse variables here, because the menu system
 // references them even when on a unix system.
 
@@ -124,6 +131,14 @@ export function CL_ClearState() {
 	cl.looptrack = 0;
 	cl.scores = null;
 
+	// extensions are agreed on again for every level
+	cl.protocolext = 0;
+	cl.validsequence = false;
+	cl.predicted_sequence = 0;
+	cl.snapshotsequence = 0;
+	for ( let i = 0; i < cl.frames.length; i ++ )
+		cl.frames[ i ].sequence = 0;
+
 	SZ_Clear( cls.message );
 
 	// clear other arrays
@@ -347,6 +362,18 @@ export function CL_SignonReply() {
 	switch ( cls.signon ) {
 
 		case 1:
+			// ask for the protocol extensions we support, servers that don't
+			// know the command ignore it. Not while recording: svc_protocolext,
+			// svc_packetentities and the prediction bits would end up in the
+			// demo, which has to play back in stock Quake. gl_fog.js writes
+			// svc_fog into it itself, only when the fog changes
+			if ( ! cls.demorecording ) {
+
+				MSG_WriteByte( cls.message, clc_stringcmd );
+				MSG_WriteString( cls.message, 'pext ' + PEXT_CLIENT );
+
+			}
+
 			MSG_WriteByte( cls.message, clc_stringcmd );
 			MSG_WriteString( cls.message, 'prespawn' );
 			break;
@@ -457,6 +484,7 @@ export function CL_AllocDlight( key ) {
 				dl.decay = 0;
 				dl.minlight = 0;
 				dl.key = key;
+				dl.color.fill( 1 );
 				return dl;
 
 			}
@@ -477,6 +505,7 @@ export function CL_AllocDlight( key ) {
 			dl.decay = 0;
 			dl.minlight = 0;
 			dl.key = key;
+			dl.color.fill( 1 );
 			return dl;
 
 		}
@@ -490,6 +519,7 @@ export function CL_AllocDlight( key ) {
 	dl.decay = 0;
 	dl.minlight = 0;
 	dl.key = key;
+	dl.color.fill( 1 );
 	return dl;
 
 }
@@ -573,6 +603,79 @@ export function CL_LerpPoint() {
 
 }
 
+/*
+===============
+CL_LerpMove
+
+MOVETYPE_STEP entities only move when they think, every 0.1 seconds, and
+come with U_NOLERP so they snap to each new spot. With r_lerpmove they
+slide there instead, starting at the time of the message that moved them
+===============
+*/
+function CL_LerpMove( ent, num ) {
+
+	const origin = ent.msg_origins[ 0 ];
+	const angles = ent.msg_angles[ 0 ];
+
+	if ( ent.lerpflags & LERP_RESETMOVE ) {
+
+		// kill any lerps in progress
+		ent.movelerpstart = 0;
+		VectorCopy( origin, ent.previousorigin );
+		VectorCopy( origin, ent.currentorigin );
+		VectorCopy( angles, ent.previousangles );
+		VectorCopy( angles, ent.currentangles );
+		ent.lerpflags &= ~ LERP_RESETMOVE;
+
+	} else if ( ! VectorCompare( origin, ent.currentorigin ) || ! VectorCompare( angles, ent.currentangles ) ) {
+
+		// origin/angles changed, start new lerp
+		ent.movelerpstart = ent.msgtime;
+		VectorCopy( ent.currentorigin, ent.previousorigin );
+		VectorCopy( origin, ent.currentorigin );
+		VectorCopy( ent.currentangles, ent.previousangles );
+		VectorCopy( angles, ent.currentangles );
+
+		// if the delta is large, assume a teleport and don't lerp
+		for ( let j = 0; j < 3; j ++ ) {
+
+			const d = ent.currentorigin[ j ] - ent.previousorigin[ j ];
+			if ( d > 100 || d < - 100 ) {
+
+				VectorCopy( origin, ent.previousorigin );
+				VectorCopy( angles, ent.previousangles );
+				break;
+
+			}
+
+		}
+
+	}
+
+	if ( ! r_lerpmove.value || ! ( ent.lerpflags & LERP_MOVESTEP ) || num === cl.viewentity )
+		return;
+
+	let blend = ( cl.time - ent.movelerpstart ) / 0.1;
+	if ( blend < 0 )
+		blend = 0;
+	else if ( blend > 1 )
+		blend = 1;
+
+	for ( let j = 0; j < 3; j ++ ) {
+
+		ent.origin[ j ] = ent.previousorigin[ j ] + blend * ( ent.currentorigin[ j ] - ent.previousorigin[ j ] );
+
+		let d = ent.currentangles[ j ] - ent.previousangles[ j ];
+		if ( d > 180 )
+			d -= 360;
+		else if ( d < - 180 )
+			d += 360;
+		ent.angles[ j ] = ent.previousangles[ j ] + blend * d;
+
+	}
+
+}
+
 /*
 ===============
 CL_RelinkEntities
@@ -684,6 +787,8 @@ export function CL_RelinkEntities() {
 
 		}
 
+		CL_LerpMove( ent, i );
+
 		// rotate binary objects locally
 		if ( ent.model && ent.model.flags & 0x0004 ) // EF_ROTATE
 			ent.angles[ 1 ] = bobjrotate;
@@ -703,6 +808,7 @@ export function CL_RelinkEntities() {
 			dl.radius = 200 + ( Math.random() * 32 | 0 );
 			dl.minlight = 32;
 			dl.die = cl.time + 0.1;
+			dl.color.set( DL_COLOR_MUZZLEFLASH );
 
 		}
 
@@ -743,6 +849,7 @@ export function CL_RelinkEntities() {
 				VectorCopy( ent.origin, dl.origin );
 				dl.radius = 200;
 				dl.die = cl.time + 0.01;
+				dl.color.set( DL_COLOR_ROCKET );
 
 			}
 			else if ( ent.model.flags & 0x02 ) // EF_GRENADE
@@ -766,6 +873,9 @@ export function CL_RelinkEntities() {
 
 	}
 
+	// move the view to where our own moves will put it
+	CL_PredictMove();
+
 }
 
 /*
@@ -778,7 +888,7 @@ Read all incoming data from the server
 export function CL_ReadFromServer() {
 
 	cl.oldtime = cl.time;
-	cl.time += host_frametime;
+	cl.time += host_frametime * CL_DemoTimeScale();
 
 	let ret;
 	do {
@@ -866,6 +976,7 @@ export function CL_Init() {
 
 	CL_InitInput();
 	CL_InitTEnts();
+	CL_InitPrediction();
 
 	//
 	// register our commands
@@ -893,10 +1004,15 @@ export function CL_Init() {
 
 	Cmd_AddCommand( 'entities', CL_PrintEntities_f );
 	Cmd_AddCommand( 'disconnect', CL_Disconnect_f );
-	// Cmd_AddCommand( 'record', CL_Record_f );
-	// Cmd_AddCommand( 'stop', CL_Stop_f );
+	Cmd_AddCommand( 'record', CL_Record_f );
+	Cmd_AddCommand( 'stop', CL_Stop_f );
 	Cmd_AddCommand( 'playdemo', CL_PlayDemo_f );
-	// Cmd_AddCommand( 'timedemo', CL_TimeDemo_f );
+	Cmd_AddCommand( 'timedemo', CL_TimeDemo_f );
+	Cmd_AddCommand( 'demodownload', CL_DemoDownload_f );
+	Cmd_AddCommand( 'demolist', CL_DemoList_f );
+	Cmd_AddCommand( 'demo_pause', CL_DemoPause_f );
+	Cmd_AddCommand( 'demo_speed', CL_DemoSpeed_f );
+	Cmd_AddCommand( 'demo_seek', CL_DemoSeek_f );
 
 }
 
@@ -910,19 +1026,6 @@ function CL_InitInput() {
 
 // CL_InitTEnts: imported from cl_tent.js
 
-// Import from cl_demo.js stubs
-function CL_StopPlayback() {
-
-	// Will be implemented in cl_demo.js
-
-}
-
-function CL_Stop_f() {
-
-	// Will be implemented in cl_demo.js
-
-}
-
 // Forward declarations for cvars and functions defined in cl_input.js
 import { cl_upspeed, cl_forwardspeed, cl_backspeed, cl_sidespeed,
 	cl_movespeedkey, cl_yawspeed, cl_pitchspeed,
@@ -5,8 +5,8 @@ import { MAX_MODELS, MAX_SOUNDS, MAX_EDICTS, MAX_LIGHTSTYLES,
 	STAT_HEALTH, STAT_FRAGS, STAT_WEAPON, STAT_AMMO, STAT_ARMOR,
 	STAT_WEAPONFRAME, STAT_SHELLS, STAT_ACTIVEWEAPON, STAT_MONSTERS,
 	STAT_SECRETS } from './quakedef.js';
-import { PITCH, YAW, ROLL } from './quakedef.js';
-import { Con_Printf, Con_DPrintf, SZ_Clear,
+import { PITCH, YAW, ROLL, entity_state_t, packet_entities_t } from './quakedef.js';
+import { Con_DPrintf, SZ_Clear,
 	MSG_BeginReading, MSG_ReadByte, MSG_ReadChar, MSG_ReadShort, MSG_ReadLong,
 	MSG_ReadFloat, MSG_ReadString, MSG_ReadCoord, MSG_ReadAngle,
 	MSG_WriteByte,
@@ -27,17 +27,20 @@ import {
 	svc_temp_entity, svc_setpause, svc_signonnum, svc_centerprint,
 	svc_killedmonster, svc_foundsecret, svc_spawnstaticsound,
 	svc_intermission, svc_finale, svc_cdtrack, svc_sellscreen,
-	svc_cutscene,
+	svc_cutscene, svc_protocolext, svc_packetentities, svc_fog,
 	clc_nop,
 	SND_VOLUME, SND_ATTENUATION,
 	DEFAULT_VIEWHEIGHT,
 	SU_VIEWHEIGHT, SU_IDEALPITCH, SU_PUNCH1, SU_VELOCITY1,
 	SU_ITEMS, SU_ONGROUND, SU_INWATER, SU_WEAPONFRAME,
-	SU_ARMOR, SU_WEAPON,
+	SU_ARMOR, SU_WEAPON, SU_PREDICT,
 	U_MOREBITS, U_ORIGIN1, U_ORIGIN2, U_ORIGIN3,
 	U_ANGLE1, U_ANGLE2, U_ANGLE3,
 	U_MODEL, U_FRAME, U_COLORMAP, U_SKIN, U_EFFECTS,
 	U_LONGENTITY, U_NOLERP,
+	SNAPSHOT_MASK,
+	PU_ORIGIN1, PU_ANGLE1, PU_MODEL, PU_FRAME, PU_COLORMAP, PU_SKIN, PU_EFFECTS,
+	PU_NOLERP, PU_REMOVE,
 	DEFAULT_SOUND_PACKET_VOLUME, DEFAULT_SOUND_PACKET_ATTENUATION
 } from './protocol.js';
 import {
@@ -50,13 +53,15 @@ import { V_ParseDamage } from './view.js';
 import { Mod_ForName } from './gl_model.js';
 import { R_TranslatePlayerSkin } from './gl_rmisc.js';
 import { R_NewMap } from './gl_rmisc.js';
-import { R_ParseParticleEffect, R_AddEfrags } from './render.js';
+import { Fog_ParseServerMessage } from './gl_fog.js';
+import { R_ParseParticleEffect, R_AddEfrags, LERP_MOVESTEP, LERP_RESETANIM, LERP_RESETMOVE } from './render.js';
 import { Host_Error, Host_EndGame, host_framecount, realtime, set_noclip_anglehack } from './host.js';
 import { CL_SignonReply, CL_ClearState, cl_shownet } from './cl_main.js';
 import { CL_ParseTEnt } from './cl_tent.js';
 import { S_PrecacheSound, S_StartSound, S_StopSound, S_StaticSound } from './snd_dma.js';
 import { CDAudio_Play, CDAudio_Pause, CDAudio_Resume } from './cd_audio.js';
 import { SCR_CenterPrint } from './gl_screen.js';
+import { Con_Printf } from './console.js';
 
 export const svc_strings = [
 	'svc_bad',
@@ -96,7 +101,10 @@ export const svc_strings = [
 	'svc_finale', // [string] music [string] text
 	'svc_cdtrack', // [byte] track [byte] looptrack
 	'svc_sellscreen',
-	'svc_cutscene'
+	'svc_cutscene',
+	'svc_protocolext', // [long] extensions
+	'svc_packetentities',
+	'svc_fog' // [byte] density [byte] r [byte] g [byte] b [short] time
 ];
 
 //=============================================================================
@@ -356,6 +364,7 @@ relinked. Other attributes can change without relinking.
 ==================
 */
 const bitcounts = new Int32Array( 16 );
+const update_state = new entity_state_t();
 
 export function CL_ParseUpdate( bits ) {
 
@@ -386,25 +395,92 @@ export function CL_ParseUpdate( bits ) {
 		if ( bits & ( 1 << i ) )
 			bitcounts[ i ] ++;
 
+	const state = update_state;
+
+	if ( bits & U_MODEL ) {
+
+		state.modelindex = MSG_ReadByte();
+		if ( state.modelindex >= MAX_MODELS )
+			Host_Error( 'CL_ParseModel: bad modnum' );
+
+	} else
+		state.modelindex = ent.baseline.modelindex;
+
+	if ( bits & U_FRAME )
+		state.frame = MSG_ReadByte();
+	else
+		state.frame = ent.baseline.frame;
+
+	if ( bits & U_COLORMAP )
+		state.colormap = MSG_ReadByte();
+	else
+		state.colormap = ent.baseline.colormap;
+
+	if ( bits & U_SKIN )
+		state.skin = MSG_ReadByte();
+	else
+		state.skin = ent.baseline.skin;
+
+	if ( bits & U_EFFECTS )
+		state.effects = MSG_ReadByte();
+	else
+		state.effects = ent.baseline.effects;
+
+	if ( bits & U_ORIGIN1 )
+		state.origin[ 0 ] = MSG_ReadCoord();
+	else
+		state.origin[ 0 ] = ent.baseline.origin[ 0 ];
+	if ( bits & U_ANGLE1 )
+		state.angles[ 0 ] = MSG_ReadAngle();
+	else
+		state.angles[ 0 ] = ent.baseline.angles[ 0 ];
+
+	if ( bits & U_ORIGIN2 )
+		state.origin[ 1 ] = MSG_ReadCoord();
+	else
+		state.origin[ 1 ] = ent.baseline.origin[ 1 ];
+	if ( bits & U_ANGLE2 )
+		state.angles[ 1 ] = MSG_ReadAngle();
+	else
+		state.angles[ 1 ] = ent.baseline.angles[ 1 ];
+
+	if ( bits & U_ORIGIN3 )
+		state.origin[ 2 ] = MSG_ReadCoord();
+	else
+		state.origin[ 2 ] = ent.baseline.origin[ 2 ];
+	if ( bits & U_ANGLE3 )
+		state.angles[ 2 ] = MSG_ReadAngle();
+	else
+		state.angles[ 2 ] = ent.baseline.angles[ 2 ];
+
+	CL_LinkUpdate( ent, num, state, ( bits & U_NOLERP ) !== 0 );
+
+}
+
+/*
+==================
+CL_LinkUpdate
+
+Puts an entity in the state from an svc_update or a snapshot, keeping the
+previous one to interpolate from
+==================
+*/
+function CL_LinkUpdate( ent, num, state, nolerp ) {
+
 	let forcelink;
 	if ( ent.msgtime !== cl.mtime[ 1 ] )
 		forcelink = true; // no previous frame to lerp from
 	else
 		forcelink = false;
 
-	ent.msgtime = cl.mtime[ 0 ];
-
-	let modnum;
-	if ( bits & U_MODEL ) {
-
-		modnum = MSG_ReadByte();
-		if ( modnum >= MAX_MODELS )
-			Host_Error( 'CL_ParseModel: bad modnum' );
+	// more than 0.2 seconds since the last message (most entities think
+	// every 0.1 sec), if we missed a think we'd be lerping from the wrong frame
+	if ( ent.msgtime + 0.2 < cl.mtime[ 0 ] )
+		ent.lerpflags |= LERP_RESETANIM;
 
-	} else
-		modnum = ent.baseline.modelindex;
+	ent.msgtime = cl.mtime[ 0 ];
 
-	const model = cl.model_precache[ modnum ];
+	const model = cl.model_precache[ state.modelindex ];
 	if ( model !== ent.model ) {
 
 		ent.model = model;
@@ -420,25 +496,21 @@ export function CL_ParseUpdate( bits ) {
 		} else
 			forcelink = true; // hack to make null model players work
 
+		// don't lerp animation across model changes
+		ent.lerpflags |= LERP_RESETANIM;
+
 	}
 
-	if ( bits & U_FRAME )
-		ent.frame = MSG_ReadByte();
-	else
-		ent.frame = ent.baseline.frame;
+	ent.frame = state.frame;
 
-	let i;
-	if ( bits & U_COLORMAP )
-		i = MSG_ReadByte();
-	else
-		i = ent.baseline.colormap;
+	const i = state.colormap;
 	if ( i === 0 )
 		ent.colormap = null; // vid.colormap
 	else {
 
 		if ( i > cl.maxclients ) {
 
-			console.error( 'colormap error: i=' + i + ', cl.maxclients=' + cl.maxclients + ', entity=' + num + ', bits=' + bits.toString( 16 ) );
+			console.error( 'colormap error: i=' + i + ', cl.maxclients=' + cl.maxclients + ', entity=' + num );
 			Sys_Error( 'i >= cl.maxclients' );
 
 		}
@@ -447,11 +519,7 @@ export function CL_ParseUpdate( bits ) {
 
 	}
 
-	let skin;
-	if ( bits & U_SKIN )
-		skin = MSG_ReadByte();
-	else
-		skin = ent.baseline.skin;
+	const skin = state.skin;
 	if ( skin !== ent.skinnum ) {
 
 		ent.skinnum = skin;
@@ -460,44 +528,23 @@ export function CL_ParseUpdate( bits ) {
 
 	}
 
-	if ( bits & U_EFFECTS )
-		ent.effects = MSG_ReadByte();
-	else
-		ent.effects = ent.baseline.effects;
+	ent.effects = state.effects;
 
 	// shift the known values for interpolation
 	VectorCopy( ent.msg_origins[ 0 ], ent.msg_origins[ 1 ] );
 	VectorCopy( ent.msg_angles[ 0 ], ent.msg_angles[ 1 ] );
 
-	if ( bits & U_ORIGIN1 )
-		ent.msg_origins[ 0 ][ 0 ] = MSG_ReadCoord();
-	else
-		ent.msg_origins[ 0 ][ 0 ] = ent.baseline.origin[ 0 ];
-	if ( bits & U_ANGLE1 )
-		ent.msg_angles[ 0 ][ 0 ] = MSG_ReadAngle();
-	else
-		ent.msg_angles[ 0 ][ 0 ] = ent.baseline.angles[ 0 ];
-
-	if ( bits & U_ORIGIN2 )
-		ent.msg_origins[ 0 ][ 1 ] = MSG_ReadCoord();
-	else
-		ent.msg_origins[ 0 ][ 1 ] = ent.baseline.origin[ 1 ];
-	if ( bits & U_ANGLE2 )
-		ent.msg_angles[ 0 ][ 1 ] = MSG_ReadAngle();
-	else
-		ent.msg_angles[ 0 ][ 1 ] = ent.baseline.angles[ 1 ];
+	VectorCopy( state.origin, ent.msg_origins[ 0 ] );
+	VectorCopy( state.angles, ent.msg_angles[ 0 ] );
 
-	if ( bits & U_ORIGIN3 )
-		ent.msg_origins[ 0 ][ 2 ] = MSG_ReadCoord();
-	else
-		ent.msg_origins[ 0 ][ 2 ] = ent.baseline.origin[ 2 ];
-	if ( bits & U_ANGLE3 )
-		ent.msg_angles[ 0 ][ 2 ] = MSG_ReadAngle();
-	else
-		ent.msg_angles[ 0 ][ 2 ] = ent.baseline.angles[ 2 ];
+	// a MOVETYPE_STEP entity, r_lerpmove smooths out its steps
+	if ( nolerp ) {
 
-	if ( bits & U_NOLERP )
 		ent.forcelink = true;
+		ent.lerpflags |= LERP_MOVESTEP;
+
+	} else
+		ent.lerpflags &= ~ LERP_MOVESTEP;
 
 	if ( forcelink ) {
 
@@ -507,6 +554,176 @@ export function CL_ParseUpdate( bits ) {
 		VectorCopy( ent.msg_angles[ 0 ], ent.msg_angles[ 1 ] );
 		VectorCopy( ent.msg_angles[ 0 ], ent.angles );
 		ent.forcelink = true;
+		ent.lerpflags |= LERP_RESETMOVE;
+
+	}
+
+}
+
+/*
+==================
+CL_CopyEntityState
+==================
+*/
+function CL_CopyEntityState( from, to ) {
+
+	to.number = from.number;
+	VectorCopy( from.origin, to.origin );
+	VectorCopy( from.angles, to.angles );
+	to.modelindex = from.modelindex;
+	to.frame = from.frame;
+	to.colormap = from.colormap;
+	to.skin = from.skin;
+	to.effects = from.effects;
+	to.nolerp = from.nolerp;
+
+}
+
+/*
+==================
+CL_PacketEntity
+
+Returns the next free entity_state_t of the snapshot
+==================
+*/
+function CL_PacketEntity( pack ) {
+
+	if ( pack.entities.length === pack.num_entities )
+		pack.entities.push( new entity_state_t() );
+
+	return pack.entities[ pack.num_entities ++ ];
+
+}
+
+/*
+==================
+CL_ParsePacketEntities
+
+A PEXT_DELTA snapshot: the entities that changed since an older snapshot,
+everything else is as it was in that one. A snapshot delta'd from one we
+no longer have is read and thrown away, acking 0 gets a full one.
+==================
+*/
+const packet_discard = new packet_entities_t();
+
+function CL_ParsePacketEntities() {
+
+	if ( cls.signon === SIGNONS - 1 ) {
+
+		// first update is the final signon stage
+		cls.signon = SIGNONS;
+		CL_SignonReply();
+
+	}
+
+	const sequence = MSG_ReadLong();
+	const delta = MSG_ReadLong();
+
+	let from = null;
+	let valid = true;
+	if ( sequence <= cl.snapshotsequence ) {
+
+		// arrived out of order, we already have something newer
+		valid = false;
+
+	} else if ( delta !== 0 ) {
+
+		from = cl.frames[ delta & SNAPSHOT_MASK ];
+		if ( from.sequence !== delta || ( delta & SNAPSHOT_MASK ) === ( sequence & SNAPSHOT_MASK ) ) {
+
+			Con_DPrintf( 'CL_ParsePacketEntities: delta from invalid snapshot %i\n', delta );
+			from = null;
+			valid = false;
+
+		}
+
+	}
+
+	const to = valid ? cl.frames[ sequence & SNAPSHOT_MASK ] : packet_discard;
+	to.sequence = 0;
+	to.num_entities = 0;
+
+	const oldmax = from !== null ? from.num_entities : 0;
+	let oldindex = 0;
+
+	while ( true ) {
+
+		const num = MSG_ReadShort();
+		if ( msg_badread )
+			Host_Error( 'CL_ParsePacketEntities: end of message' );
+
+		// unchanged entities up to this one
+		while ( oldindex < oldmax && ( num === 0 || from.entities[ oldindex ].number < num ) )
+			CL_CopyEntityState( from.entities[ oldindex ++ ], CL_PacketEntity( to ) );
+
+		if ( num === 0 )
+			break;
+
+		if ( num >= MAX_EDICTS )
+			Host_Error( 'CL_ParsePacketEntities: bad entity number ' + num );
+
+		const bits = MSG_ReadShort();
+
+		let base;
+		if ( oldindex < oldmax && from.entities[ oldindex ].number === num )
+			base = from.entities[ oldindex ++ ];
+		else
+			base = CL_EntityNum( num ).baseline;
+
+		if ( bits & PU_REMOVE )
+			continue;
+
+		const state = CL_PacketEntity( to );
+		CL_CopyEntityState( base, state );
+		state.number = num;
+
+		if ( bits & PU_MODEL ) {
+
+			state.modelindex = MSG_ReadByte();
+			if ( state.modelindex >= MAX_MODELS )
+				Host_Error( 'CL_ParseModel: bad modnum' );
+
+		}
+
+		if ( bits & PU_FRAME )
+			state.frame = MSG_ReadByte();
+		if ( bits & PU_COLORMAP )
+			state.colormap = MSG_ReadByte();
+		if ( bits & PU_SKIN )
+			state.skin = MSG_ReadByte();
+		if ( bits & PU_EFFECTS )
+			state.effects = MSG_ReadByte();
+		for ( let i = 0; i < 3; i ++ ) {
+
+			if ( bits & ( PU_ORIGIN1 << i ) )
+				state.origin[ i ] = MSG_ReadCoord();
+			if ( bits & ( PU_ANGLE1 << i ) )
+				state.angles[ i ] = MSG_ReadAngle();
+
+		}
+
+		// an unchanged MOVETYPE_STEP entity isn't sent, so it keeps this
+		state.nolerp = ( bits & PU_NOLERP ) !== 0;
+
+	}
+
+	if ( ! valid ) {
+
+		if ( sequence > cl.snapshotsequence )
+			cl.snapshotsequence = 0; // ask for a full snapshot
+		return;
+
+	}
+
+	to.sequence = sequence;
+	cl.snapshotsequence = sequence;
+
+	// every entity in the snapshot was in this message, the rest are removed
+	// by CL_RelinkEntities
+	for ( let i = 0; i < to.num_entities; i ++ ) {
+
+		const state = to.entities[ i ];
+		CL_LinkUpdate( CL_EntityNum( state.number ), state.number, state, state.nolerp );
 
 	}
 
@@ -609,6 +826,20 @@ export function CL_ParseClientdata( bits ) {
 
 	}
 
+	if ( bits & SU_PREDICT ) {
+
+		const state = cl.playerstate;
+		state.sequence = MSG_ReadLong();
+		for ( let j = 0; j < 3; j ++ )
+			state.origin[ j ] = MSG_ReadFloat();
+		for ( let j = 0; j < 3; j ++ )
+			state.velocity[ j ] = MSG_ReadFloat();
+		state.movetype = MSG_ReadByte();
+		state.flags = MSG_ReadShort();
+		cl.validsequence = true;
+
+	}
+
 	i = MSG_ReadShort();
 	if ( cl.stats[ STAT_HEALTH ] !== i ) {
 
@@ -695,6 +926,7 @@ export function CL_ParseStatic() {
 	ent.colormap = null; // vid.colormap
 	ent.skinnum = ent.baseline.skin;
 	ent.effects = ent.baseline.effects;
+	ent.lerpflags |= LERP_RESETANIM;
 
 	VectorCopy( ent.baseline.origin, ent.origin );
 	VectorCopy( ent.baseline.angles, ent.angles );
@@ -963,6 +1195,18 @@ export function CL_ParseServerMessage() {
 				Cmd_ExecuteString( 'help', src_command );
 				break;
 
+			case svc_protocolext:
+				cl.protocolext = MSG_ReadLong();
+				break;
+
+			case svc_packetentities:
+				CL_ParsePacketEntities();
+				break;
+
+			case svc_fog:
+				Fog_ParseServerMessage();
+				break;
+
 		}
 
 	}
@@ -0,0 +1,182 @@
+// Ported from: QuakeWorld/client/cl_pred.c -- client side movement prediction
+
+/*
+
+The server acknowledges the last move it ran in every clientdata message
+(SU_PREDICT, see PEXT_PREDICTION in protocol.js) along with the exact player
+state after it. Every frame the moves sent since then are replayed on top of
+that state with pmove.js, so the view moves as soon as a key is pressed
+instead of a round trip later.
+
+The server runs player physics once per server frame, not once per move, so
+the replay is only close. What is left is blended out over
+PREDICTION_ERROR_TIME.
+
+*/
+
+import { cvar_t, Cvar_RegisterVariable } from './cvar.js';
+import { VectorCopy, VectorSubtract, VectorMA, Length } from './mathlib.js';
+import { STAT_HEALTH } from './quakedef.js';
+import { PEXT_PREDICTION } from './protocol.js';
+import { cl, cls, cl_entities, UPDATE_BACKUP, UPDATE_MASK } from './client.js';
+import { sv, MOVETYPE_WALK, MOVETYPE_FLY, MOVETYPE_NOCLIP } from './server.js';
+import { mod_brush } from './gl_model.js';
+import { realtime } from './host.js';
+import { pmove, player_mins, player_maxs, MAX_PHYSENTS, PM_Init, PM_CheckWater, PM_PlayerMove } from './pmove.js';
+
+export const cl_predict = new cvar_t( 'cl_predict', '1', true );
+
+const PREDICTION_ERROR_TIME = 0.1; // seconds to blend out a misprediction
+const PREDICTION_ERROR_SNAP = 64; // larger errors are teleports, don't smooth them
+
+/*
+==============
+CL_InitPrediction
+==============
+*/
+export function CL_InitPrediction() {
+
+	Cvar_RegisterVariable( cl_predict );
+
+	PM_Init();
+
+}
+
+/*
+==============
+CL_SetSolidEntities
+
+Builds the physents list from the last server message: the world, brush
+entities and the other players
+==============
+*/
+function CL_SetSolidEntities() {
+
+	const world = pmove.physents[ 0 ];
+	world.model = cl.worldmodel;
+	world.origin.fill( 0 );
+	pmove.numphysent = 1;
+
+	for ( let i = 1; i < cl.num_entities; i ++ ) {
+
+		if ( pmove.numphysent === MAX_PHYSENTS )
+			break;
+
+		const ent = cl_entities[ i ];
+		if ( ! ent.model || ent.msgtime !== cl.mtime[ 0 ] )
+			continue;
+
+		if ( i === cl.viewentity )
+			continue;
+
+		const pe = pmove.physents[ pmove.numphysent ];
+
+		if ( ent.model.type === mod_brush && ent.model.name[ 0 ] === '*' ) {
+
+			pe.model = ent.model;
+
+		} else if ( i <= cl.maxclients ) {
+
+			pe.model = null;
+			VectorCopy( player_mins, pe.mins );
+			VectorCopy( player_maxs, pe.maxs );
+
+		} else {
+
+			continue;
+
+		}
+
+		VectorCopy( ent.msg_origins[ 0 ], pe.origin );
+		pmove.numphysent ++;
+
+	}
+
+}
+
+/*
+==============
+CL_PredictMove
+
+Called after CL_RelinkEntities, moves the view entity to where the
+server will put it once it has run every move sent so far
+==============
+*/
+export function CL_PredictMove() {
+
+	const state = cl.playerstate;
+
+	if ( ! cl_predict.value || cls.demoplayback || sv.active
+		|| ! ( cl.protocolext & PEXT_PREDICTION ) || ! cl.validsequence
+		|| cl.intermission || cl.paused || cl.stats[ STAT_HEALTH ] <= 0
+		|| ( state.movetype !== MOVETYPE_WALK && state.movetype !== MOVETYPE_FLY
+			&& state.movetype !== MOVETYPE_NOCLIP )
+		|| cl.movesequence - state.sequence >= UPDATE_BACKUP - 1 ) {
+
+		// nothing to compare against when prediction starts again
+		cl.predicted_sequence = 0;
+		return;
+
+	}
+
+	CL_SetSolidEntities();
+
+	VectorCopy( state.origin, pmove.origin );
+	VectorCopy( state.velocity, pmove.velocity );
+	pmove.movetype = state.movetype;
+	pmove.flags = state.flags;
+	pmove.viewheight = cl.viewheight || 22;
+	PM_CheckWater();
+
+	const error = new Float32Array( 3 );
+	let errorcheck = false;
+
+	for ( let seq = state.sequence + 1; seq <= cl.movesequence; seq ++ ) {
+
+		pmove.cmd = cl.movecmds[ seq & UPDATE_MASK ];
+		VectorCopy( pmove.cmd.viewangles, pmove.angles );
+		PM_PlayerMove();
+
+		// a new server state changes where the previous frame's last move
+		// ends up, keep the difference and blend it out instead of popping
+		if ( seq === cl.predicted_sequence ) {
+
+			VectorSubtract( cl.predicted_origin, pmove.origin, error );
+			errorcheck = true;
+
+		}
+
+	}
+
+	if ( errorcheck && Length( error ) > 0 ) {
+
+		if ( Length( error ) > PREDICTION_ERROR_SNAP ) {
+
+			cl.prediction_error.fill( 0 );
+
+		} else {
+
+			// add what is left of the previous error
+			let f = 1 - ( realtime - cl.prediction_errortime ) / PREDICTION_ERROR_TIME;
+			if ( f < 0 )
+				f = 0;
+			VectorMA( error, f, cl.prediction_error, cl.prediction_error );
+
+		}
+
+		cl.prediction_errortime = realtime;
+
+	}
+
+	cl.predicted_sequence = cl.movesequence;
+	VectorCopy( pmove.origin, cl.predicted_origin );
+
+	const ent = cl_entities[ cl.viewentity ];
+	VectorCopy( pmove.origin, ent.origin );
+	VectorCopy( pmove.velocity, cl.velocity );
+
+	const f = 1 - ( realtime - cl.prediction_errortime ) / PREDICTION_ERROR_TIME;
+	if ( f > 0 )
+		VectorMA( ent.origin, f, cl.prediction_error, ent.origin );
+
+}
@@ -15,7 +15,7 @@ import {
 	MAX_TEMP_ENTITIES, MAX_BEAMS, MAX_VISEDICTS,
 	cl, cls, cl_entities, cl_temp_entities, cl_beams,
 	cl_numvisedicts, cl_visedicts, set_cl_numvisedicts,
-	entity_t, beam_t
+	entity_t, beam_t, DL_COLOR_EXPLOSION, DL_COLOR_TAREXPLOSION
 } from './client.js';
 import { CL_AllocDlight } from './cl_main.js';
 import { VectorCopy, VectorSubtract, VectorNormalize, vec3_origin, M_PI } from './mathlib.js';
@@ -197,19 +197,29 @@ export function CL_ParseTEnt() {
 			dl.radius = 350;
 			dl.die = cl.time + 0.5;
 			dl.decay = 300;
+			dl.color.set( DL_COLOR_EXPLOSION );
 			S_StartSound( - 1, 0, cl_sfx_r_exp3, pos, 1, 1 );
 			break;
 
 		}
 
-		case TE_TAREXPLOSION: // tarbaby explosion
+		case TE_TAREXPLOSION: { // tarbaby explosion
+
 			pos[ 0 ] = MSG_ReadCoord();
 			pos[ 1 ] = MSG_ReadCoord();
 			pos[ 2 ] = MSG_ReadCoord();
 			R_BlobExplosion( pos );
+			const dl = CL_AllocDlight( 0 );
+			VectorCopy( pos, dl.origin );
+			dl.radius = 350;
+			dl.die = cl.time + 0.5;
+			dl.decay = 300;
+			dl.color.set( DL_COLOR_TAREXPLOSION );
 			S_StartSound( - 1, 0, cl_sfx_r_exp3, pos, 1, 1 );
 			break;
 
+		}
+
 		case TE_LIGHTNING1: // lightning bolts
 			CL_ParseBeam( Mod_ForName( 'progs/bolt.mdl', true ) );
 			break;
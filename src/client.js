@@ -3,7 +3,8 @@
 import { MAX_STYLESTRING, MAX_CL_STATS, MAX_SCOREBOARD, MAX_SCOREBOARDNAME,
 	MAX_MODELS, MAX_SOUNDS, MAX_EDICTS, MAX_LIGHTSTYLES } from './quakedef.js';
 import { sizebuf_t } from './common.js';
-import { entity_state_t } from './quakedef.js';
+import { entity_state_t, packet_entities_t } from './quakedef.js';
+import { SNAPSHOT_BACKUP } from './protocol.js';
 
 //=============================================================================
 
@@ -22,6 +23,15 @@ export const MAX_DEMONAME = 16;
 
 export const NAME_LENGTH = 64;
 
+// dynamic light colors, dlights are white unless an effect picks one
+export const DL_COLOR_MUZZLEFLASH = [ 1.0, 0.75, 0.45 ];
+export const DL_COLOR_ROCKET = [ 1.0, 0.6, 0.2 ];
+export const DL_COLOR_EXPLOSION = [ 1.0, 0.5, 0.25 ];
+export const DL_COLOR_TAREXPLOSION = [ 0.4, 0.5, 1.0 ];
+
+export const UPDATE_BACKUP = 64; // moves kept for prediction, must be power of 2
+export const UPDATE_MASK = UPDATE_BACKUP - 1;
+
 //
 // color shifts
 //
@@ -51,6 +61,27 @@ export class usercmd_t {
 		this.sidemove = 0;
 		this.upmove = 0;
 
+		// kept for prediction
+		this.buttons = 0; // attack and jump bits, as sent
+		this.frametime = 0; // seconds of movement this command covers
+
+	}
+
+}
+
+//
+// the player's movement state as the server last ran it, from SU_PREDICT
+//
+export class player_state_t {
+
+	constructor() {
+
+		this.sequence = 0; // last move the server had run
+		this.origin = new Float32Array( 3 );
+		this.velocity = new Float32Array( 3 );
+		this.movetype = 0;
+		this.flags = 0; // FL_ONGROUND, FL_WATERJUMP, FL_JUMPRELEASED
+
 	}
 
 }
@@ -101,6 +132,7 @@ export class dlight_t {
 		this.decay = 0; // drop this each second
 		this.minlight = 0; // don't add when contributing less
 		this.key = 0;
+		this.color = new Float32Array( [ 1, 1, 1 ] ); // lightmap and PointLight color
 
 	}
 
@@ -237,6 +269,25 @@ export class client_state_t {
 		this.movemessages = 0; // since connecting to this server
 		this.cmd = new usercmd_t(); // last command sent to the server
 
+		// client side prediction, see cl_pred.js
+		this.protocolext = 0; // PEXT_ bits the server accepted
+		this.movesequence = 0; // sequence of the last move sent
+		this.movecmds = []; // [movesequence & UPDATE_MASK]
+		for ( let i = 0; i < UPDATE_BACKUP; i ++ )
+			this.movecmds.push( new usercmd_t() );
+		this.playerstate = new player_state_t();
+		this.validsequence = false; // playerstate has been received
+		this.predicted_sequence = 0; // last move CL_PredictMove ran
+		this.predicted_origin = new Float32Array( 3 ); // origin after predicted_sequence
+		this.prediction_error = new Float32Array( 3 ); // decays to zero, see CL_PredictMove
+		this.prediction_errortime = 0;
+
+		// PEXT_DELTA snapshots, see CL_ParsePacketEntities
+		this.snapshotsequence = 0; // last valid snapshot, acked in clc_move
+		this.frames = []; // [sequence & SNAPSHOT_MASK]
+		for ( let i = 0; i < SNAPSHOT_BACKUP; i ++ )
+			this.frames.push( new packet_entities_t() );
+
 		// information for local display
 		this.stats = new Int32Array( MAX_CL_STATS ); // health, etc
 		this.items = 0; // inventory bit flags
@@ -710,21 +710,139 @@ export function COM_CheckParm( parm ) {
 
 }
 
+/*
+============
+va
+
+Formats a string with the printf subset Quake uses (%s %d %i %f %c)
+============
+*/
+export function va( fmt, ...args ) {
+
+	if ( typeof fmt !== 'string' ) return String( fmt );
+
+	let result = '';
+	let argIdx = 0;
+	let i = 0;
+
+	while ( i < fmt.length ) {
+
+		if ( fmt[ i ] === '%' && i + 1 < fmt.length ) {
+
+			i ++;
+			// skip flags
+			while ( i < fmt.length && '0123456789.-+ #'.indexOf( fmt[ i ] ) >= 0 )
+				i ++;
+
+			switch ( fmt[ i ] ) {
+
+				case 's':
+					result += String( args[ argIdx ++ ] || '' );
+					break;
+				case 'd':
+				case 'i':
+					result += Math.floor( Number( args[ argIdx ++ ] ) || 0 );
+					break;
+				case 'f':
+					result += Number( args[ argIdx ++ ] ) || 0;
+					break;
+				case 'c':
+					result += String.fromCharCode( args[ argIdx ++ ] || 0 );
+					break;
+				case '%':
+					result += '%';
+					break;
+				default:
+					result += fmt[ i ];
+					break;
+
+			}
+
+			i ++;
+
+		} else {
+
+			result += fmt[ i ];
+			i ++;
+
+		}
+
+	}
+
+	return result;
+
+}
+
 //============================================================================
-// Console print stub (will be replaced when console is initialized)
+// Console printing
+//
+// The modules shared with the dedicated server print through here. Once the
+// in-game console is up, console.js takes over with Con_SetPrintHandlers;
+// until then, and on the dedicated server, output goes to the debug console.
 //============================================================================
 
+let con_printhandler = null;
+let con_dprinthandler = null;
+let con_redirect = null;
+
+export function Con_SetPrintHandlers( printf, dprintf ) {
+
+	con_printhandler = printf;
+	con_dprinthandler = dprintf;
+
+}
+
+/*
+================
+Con_BeginRedirect / Con_EndRedirect
+
+While a redirect is active, console output is handed to the given function
+instead of the console (used to send rcon output back to the client)
+================
+*/
+export function Con_BeginRedirect( fn ) {
+
+	con_redirect = fn;
+
+}
+
+export function Con_EndRedirect() {
+
+	con_redirect = null;
+
+}
+
 export function Con_Printf( fmt, ...args ) {
 
-	// TODO: route to actual console when initialized
+	if ( con_redirect !== null ) {
+
+		const msg = args.length ? va( fmt, ...args ) : String( fmt );
+		con_redirect( msg );
+		return;
+
+	}
+
+	if ( con_printhandler !== null ) {
+
+		con_printhandler( fmt, ...args );
+		return;
+
+	}
+
 	console.log( fmt, ...args );
 
 }
 
 export function Con_DPrintf( fmt, ...args ) {
 
-	// debug printf - only prints when developer cvar is set
-	// TODO: check developer cvar
+	if ( con_dprinthandler !== null ) {
+
+		con_dprinthandler( fmt, ...args );
+		return;
+
+	}
+
+	// debug printf - the developer cvar lives in console.js
 	console.debug( fmt, ...args );
 
 }
@@ -3,8 +3,9 @@
 import { Cmd_AddCommand } from './cmd.js';
 import { Cvar_RegisterVariable } from './cvar.js';
 import { Sys_Printf } from './sys.js';
+import { va, Con_SetPrintHandlers } from './common.js';
 import { key_dest, set_key_dest, key_game, key_console, key_message,
-	key_lines, edit_line, key_linepos } from './keys.js';
+	key_lines, edit_line, key_linepos, chat_buffer, team_message, set_team_message } from './keys.js';
 
 /*
 ==============================================================================
@@ -158,6 +159,7 @@ Con_MessageMode_f
 function Con_MessageMode_f() {
 
 	set_key_dest( key_message );
+	set_team_message( false );
 
 }
 
@@ -169,6 +171,7 @@ Con_MessageMode2_f
 function Con_MessageMode2_f() {
 
 	set_key_dest( key_message );
+	set_team_message( true );
 
 }
 
@@ -260,6 +263,9 @@ export function Con_Init() {
 
 	Con_Printf( 'Console initialized.\n' );
 
+	// shared modules print through common.js, send that here too
+	Con_SetPrintHandlers( Con_Printf, Con_DPrintf );
+
 	//
 	// register our commands
 	//
@@ -398,7 +404,7 @@ export function Con_Printf( ...args ) {
 	} else {
 
 		// Simple printf-style formatting
-		msg = _sprintf( args[ 0 ], ...args.slice( 1 ) );
+		msg = va( args[ 0 ], ...args.slice( 1 ) );
 
 	}
 
@@ -540,10 +546,20 @@ export function Con_DrawNotify() {
 
 	if ( key_dest === key_message ) {
 
-		if ( _Draw_String ) _Draw_String( 8, v, 'say:' );
+		const prompt = team_message ? 'say_team:' : 'say:';
+		const skip = prompt.length + 1;
+
+		if ( _Draw_String ) _Draw_String( 8, v, prompt );
+
+		let x = 0;
+		while ( x < chat_buffer.length ) {
+
+			_Draw_Character( ( x + skip ) << 3, v, chat_buffer.charCodeAt( x ) );
+			x ++;
 
-		// Draw chat buffer - imported from keys module
-		// For now, a stub since chat_buffer is in keys.js
+		}
+
+		_Draw_Character( ( x + skip ) << 3, v, 10 + ( ( Math.floor( _getRealtime() * con_cursorspeed ) ) & 1 ) );
 		v += 8;
 
 	}
@@ -615,68 +631,3 @@ export function Con_NotifyBox( text ) {
 	// For now, just print the notification.
 
 }
-
-/*
-==============================================================================
-
-			INTERNAL HELPERS
-
-==============================================================================
-*/
-
-// Simple sprintf implementation for common Quake format strings
-function _sprintf( fmt, ...args ) {
-
-	if ( typeof fmt !== 'string' ) return String( fmt );
-
-	let result = '';
-	let argIdx = 0;
-	let i = 0;
-
-	while ( i < fmt.length ) {
-
-		if ( fmt[ i ] === '%' && i + 1 < fmt.length ) {
-
-			i ++;
-			// skip flags
-			while ( i < fmt.length && '0123456789.-+ #'.indexOf( fmt[ i ] ) >= 0 )
-				i ++;
-
-			switch ( fmt[ i ] ) {
-
-				case 's':
-					result += String( args[ argIdx ++ ] || '' );
-					break;
-				case 'd':
-				case 'i':
-					result += Math.floor( Number( args[ argIdx ++ ] ) || 0 );
-					break;
-				case 'f':
-					result += Number( args[ argIdx ++ ] ) || 0;
-					break;
-				case 'c':
-					result += String.fromCharCode( args[ argIdx ++ ] || 0 );
-					break;
-				case '%':
-					result += '%';
-					break;
-				default:
-					result += fmt[ i ];
-					break;
-
-			}
-
-			i ++;
-
-		} else {
-
-			result += fmt[ i ];
-			i ++;
-
-		}
-
-	}
-
-	return result;
-
-}
@@ -0,0 +1,295 @@
+// Ported from: FitzQuake/gl_fog.c -- global fog
+
+/*
+
+Exponential fog on everything in the scene but the sky. The sky shaders in
+gl_rsurf.js don't set fog: true, so three.js leaves them alone; every built in
+material (world, alias, sprite, particle) picks scene.fog up by itself.
+
+The worldspawn "fog" key sets the level default, svc_fog (PEXT_FOG) and the
+fog command change it while playing. In a local game the command goes through
+the server so the change reaches savegames. A demo is recorded without
+PEXT_FOG, so the fog changes we make ourselves are written into it as svc_fog
+(and a demo with one won't play in stock Quake).
+
+*/
+
+import * as THREE from 'three';
+import { Con_Printf, MSG_ReadByte, MSG_ReadShort } from './common.js';
+import { Cmd_AddCommand, Cmd_Argc, Cmd_Argv } from './cmd.js';
+import { PEXT_FOG } from './protocol.js';
+import { cl, cls } from './client.js';
+import { sv } from './server.js';
+
+const DEFAULT_DENSITY = 0.0;
+const DEFAULT_GRAY = 0.3;
+
+let fog_density = DEFAULT_DENSITY;
+let fog_red = DEFAULT_GRAY;
+let fog_green = DEFAULT_GRAY;
+let fog_blue = DEFAULT_GRAY;
+
+let old_density = DEFAULT_DENSITY;
+let old_red = DEFAULT_GRAY;
+let old_green = DEFAULT_GRAY;
+let old_blue = DEFAULT_GRAY;
+
+let fade_time = 0; // duration of fade
+let fade_done = 0; // time when fade will be done
+
+let fog = null; // THREE.FogExp2, made on first use
+
+// External references (set via Fog_SetExternals)
+let SV_SetFog = null;
+let CL_WriteDemoFog = null;
+
+export function Fog_SetExternals( externals ) {
+
+	if ( externals.SV_SetFog ) SV_SetFog = externals.SV_SetFog;
+	if ( externals.CL_WriteDemoFog ) CL_WriteDemoFog = externals.CL_WriteDemoFog;
+
+}
+
+/*
+=============
+Fog_Update
+
+update internal variables
+=============
+*/
+export function Fog_Update( density, red, green, blue, time ) {
+
+	// save previous settings for fade
+	if ( time > 0 ) {
+
+		// check for a fade in progress
+		if ( fade_done > cl.time ) {
+
+			const f = ( fade_done - cl.time ) / fade_time;
+			old_density = f * old_density + ( 1.0 - f ) * fog_density;
+			old_red = f * old_red + ( 1.0 - f ) * fog_red;
+			old_green = f * old_green + ( 1.0 - f ) * fog_green;
+			old_blue = f * old_blue + ( 1.0 - f ) * fog_blue;
+
+		} else {
+
+			old_density = fog_density;
+			old_red = fog_red;
+			old_green = fog_green;
+			old_blue = fog_blue;
+
+		}
+
+	}
+
+	fog_density = density;
+	fog_red = red;
+	fog_green = green;
+	fog_blue = blue;
+	fade_time = time;
+	fade_done = cl.time + time;
+
+}
+
+/*
+=============
+Fog_ParseServerMessage
+
+handle an svc_fog message from server
+=============
+*/
+export function Fog_ParseServerMessage() {
+
+	const density = MSG_ReadByte() / 255.0;
+	const red = MSG_ReadByte() / 255.0;
+	const green = MSG_ReadByte() / 255.0;
+	const blue = MSG_ReadByte() / 255.0;
+	const time = Math.max( 0.0, MSG_ReadShort() / 100.0 );
+
+	Fog_Update( density, red, green, blue, time );
+
+}
+
+/*
+=============
+Fog_UpdateLocal
+
+a change no svc_fog will bring, recorded into the demo as one
+=============
+*/
+function Fog_UpdateLocal( density, red, green, blue, time ) {
+
+	Fog_Update( density, red, green, blue, time );
+
+	if ( cls.demorecording && CL_WriteDemoFog )
+		CL_WriteDemoFog( density, red, green, blue, time );
+
+}
+
+/*
+=============
+Fog_Set
+
+the fog command's new values, sent through the server in a local game so
+they are saved
+=============
+*/
+function Fog_Set( density, red, green, blue, time ) {
+
+	density = Math.max( 0.0, density );
+	red = Math.min( Math.max( red, 0.0 ), 1.0 );
+	green = Math.min( Math.max( green, 0.0 ), 1.0 );
+	blue = Math.min( Math.max( blue, 0.0 ), 1.0 );
+
+	if ( sv.active && SV_SetFog ) {
+
+		SV_SetFog( density, red, green, blue, time );
+
+		// the server only sends it back if we asked for svc_fog
+		if ( cl.protocolext & PEXT_FOG )
+			return;
+
+	}
+
+	Fog_UpdateLocal( density, red, green, blue, time );
+
+}
+
+/*
+=============
+Fog_FogCommand_f
+
+handle the 'fog' console command
+=============
+*/
+function Fog_FogCommand_f() {
+
+	const arg = ( i ) => parseFloat( Cmd_Argv( i ) ) || 0;
+
+	switch ( Cmd_Argc() ) {
+
+		default:
+		case 1:
+			Con_Printf( 'usage:\n' );
+			Con_Printf( '   fog <density>\n' );
+			Con_Printf( '   fog <red> <green> <blue>\n' );
+			Con_Printf( '   fog <density> <red> <green> <blue>\n' );
+			Con_Printf( '   fog <density> [<red> <green> <blue>] <fade time>\n' );
+			Con_Printf( 'current values:\n' );
+			Con_Printf( '   "density" is "%f"\n', fog_density );
+			Con_Printf( '   "red" is "%f"\n', fog_red );
+			Con_Printf( '   "green" is "%f"\n', fog_green );
+			Con_Printf( '   "blue" is "%f"\n', fog_blue );
+			break;
+		case 2:
+			Fog_Set( arg( 1 ), fog_red, fog_green, fog_blue, 0.0 );
+			break;
+		case 3: // density, fading over the given time
+			Fog_Set( arg( 1 ), fog_red, fog_green, fog_blue, arg( 2 ) );
+			break;
+		case 4:
+			Fog_Set( fog_density, arg( 1 ), arg( 2 ), arg( 3 ), 0.0 );
+			break;
+		case 5:
+			Fog_Set( arg( 1 ), arg( 2 ), arg( 3 ), arg( 4 ), 0.0 );
+			break;
+		case 6: // density and colour, fading over the given time
+			Fog_Set( arg( 1 ), arg( 2 ), arg( 3 ), arg( 4 ), arg( 5 ) );
+			break;
+
+	}
+
+}
+
+/*
+=============
+Fog_GetDensity
+
+returns current density of fog
+=============
+*/
+export function Fog_GetDensity() {
+
+	if ( fade_done > cl.time ) {
+
+		const f = ( fade_done - cl.time ) / fade_time;
+		return f * old_density + ( 1.0 - f ) * fog_density;
+
+	}
+
+	return fog_density;
+
+}
+
+/*
+=============
+Fog_SetupFrame
+
+called at the beginning of each frame
+=============
+*/
+export function Fog_SetupFrame( scene ) {
+
+	const density = Fog_GetDensity();
+
+	if ( density <= 0 ) {
+
+		scene.fog = null;
+		return;
+
+	}
+
+	let r = fog_red, g = fog_green, b = fog_blue;
+
+	if ( fade_done > cl.time ) {
+
+		const f = ( fade_done - cl.time ) / fade_time;
+		r = f * old_red + ( 1.0 - f ) * fog_red;
+		g = f * old_green + ( 1.0 - f ) * fog_green;
+		b = f * old_blue + ( 1.0 - f ) * fog_blue;
+
+	}
+
+	if ( fog === null )
+		fog = new THREE.FogExp2( 0x000000, 0 );
+
+	// GL_EXP2 with density / 64, same falloff as FitzQuake
+	fog.density = density / 64.0;
+	fog.color.setRGB( r, g, b, THREE.SRGBColorSpace );
+	scene.fog = fog;
+
+}
+
+/*
+=============
+Fog_NewMap
+
+called whenever a map is loaded
+=============
+*/
+export function Fog_NewMap() {
+
+	const v = ( cl.worldmodel && cl.worldmodel.fog ) ||
+		[ DEFAULT_DENSITY, DEFAULT_GRAY, DEFAULT_GRAY, DEFAULT_GRAY ];
+
+	Fog_Update( v[ 0 ], v[ 1 ], v[ 2 ], v[ 3 ], 0.0 );
+
+	// a loaded game's fog reaches a recording client (no PEXT_FOG) only here
+	const f = sv.fog;
+	if ( sv.active && cls.demorecording && f.some( ( x, i ) => x !== v[ i ] ) )
+		Fog_UpdateLocal( f[ 0 ], f[ 1 ], f[ 2 ], f[ 3 ], 0.0 );
+
+}
+
+/*
+=============
+Fog_Init
+
+called when quake initializes
+=============
+*/
+export function Fog_Init() {
+
+	Cmd_AddCommand( 'fog', Fog_FogCommand_f );
+
+}
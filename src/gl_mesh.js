@@ -5,6 +5,8 @@ import { Con_Printf, Con_DPrintf } from './common.js';
 import { Sys_Error } from './sys.js';
 import { MAX_QPATH, MAX_OSPATH } from './quakedef.js';
 import { cl } from './client.js';
+import { LERP_RESETANIM } from './render.js';
+import { r_lerpmodels, r_nolerp_list, R_ModelInList, gl_fullbrights } from './gl_rmain.js';
 
 /*
 =================================================================
@@ -510,22 +512,25 @@ export function GL_MakeAliasModelDisplayLists( m, hdr ) {
 
 /*
 ================
-GL_DrawAliasFrame
+R_AliasPose
 
 Build a Three.js BufferGeometry from a single pose of an alias model.
 Uses the command list to reconstruct triangle strips/fans into indexed triangles.
 
 Caches geometry template (positions, UVs, indices, normals, lightnormalindices)
-per (paliashdr, posenum) to avoid recomputation every frame. Vertex colors
-are updated in place from a pre-allocated buffer.
+per (paliashdr, posenum) to avoid recomputation every frame. The attributes
+are shared by every entity drawing the pose, see GL_DrawAliasFrame.
 ================
 */
 
+// the two poses a frame is drawn between, see R_SetupAliasFrame
+const lerpdata = { pose1: 0, pose2: 0, blend: 1 };
+
 // Shared buffers for int-to-float bit casting
 const _castIntBuf = new Int32Array( 1 );
 const _castFloatView = new Float32Array( _castIntBuf.buffer );
 
-export function GL_DrawAliasFrame( paliashdr, posenum, shadedots, shadelight ) {
+function R_AliasPose( paliashdr, posenum ) {
 
 	const verts = paliashdr.posedata[ posenum ];
 	if ( ! verts ) return null;
@@ -631,18 +636,16 @@ export function GL_DrawAliasFrame( paliashdr, posenum, shadedots, shadelight ) {
 		const posArray = new Float32Array( positions );
 		const normalArray = new Float32Array( normals );
 		const uvArray = new Float32Array( uvs );
-		const colorArray = new Float32Array( positions.length ); // 3 components per vertex, same count as positions
 
 		const geometry = new THREE.BufferGeometry();
 		geometry.setAttribute( 'position', new THREE.BufferAttribute( posArray, 3 ) );
 		geometry.setAttribute( 'normal', new THREE.BufferAttribute( normalArray, 3 ) );
 		geometry.setAttribute( 'uv', new THREE.BufferAttribute( uvArray, 2 ) );
-		geometry.setAttribute( 'color', new THREE.BufferAttribute( colorArray, 3 ) );
 		geometry.setIndex( indices );
+		geometry.computeBoundingSphere();
 
 		cached = {
 			geometry,
-			colorArray,
 			lightnormalindices,
 			vertexCount
 		};
@@ -650,26 +653,69 @@ export function GL_DrawAliasFrame( paliashdr, posenum, shadedots, shadelight ) {
 
 	}
 
+	return cached;
+
+}
+
+/*
+================
+GL_DrawAliasFrame
+
+Sets up the entity's own geometry to be drawn between lerpdata.pose1 and
+lerpdata.pose2. Both poses' positions go to the vertex shader, which mixes
+them by lerpdata.blend (see R_GetAliasMaterial); only the vertex colors
+are worked out here, from both poses' normals and the RGB shadelight.
+================
+*/
+export function GL_DrawAliasFrame( entity, paliashdr, lerpdata, shadedots, shadelight ) {
+
+	const pose1 = R_AliasPose( paliashdr, lerpdata.pose1 );
+	const pose2 = R_AliasPose( paliashdr, lerpdata.pose2 );
+	if ( ! pose1 || ! pose2 )
+		return null;
+
+	let geometry = entity._aliasGeometry;
+	if ( ! geometry ) {
+
+		geometry = new THREE.BufferGeometry();
+		entity._aliasGeometry = geometry;
+
+	}
+
+	// the colors are the only attribute the entity owns
+	if ( ! geometry.attributes.color || geometry.attributes.color.count !== pose2.vertexCount )
+		geometry.setAttribute( 'color', new THREE.BufferAttribute( new Float32Array( pose2.vertexCount * 3 ), 3 ) );
+
+	geometry.setAttribute( 'position', pose1.geometry.attributes.position );
+	geometry.setAttribute( 'position2', pose2.geometry.attributes.position );
+	geometry.setAttribute( 'normal', pose2.geometry.attributes.normal );
+	geometry.setAttribute( 'uv', pose2.geometry.attributes.uv );
+	geometry.setIndex( pose2.geometry.index );
+	geometry.boundingSphere = pose2.geometry.boundingSphere;
+
 	// Update vertex colors in place from lighting data
-	const hasLighting = shadedots && shadelight !== undefined;
+	const hasLighting = !! shadedots && shadelight !== undefined;
 	if ( hasLighting ) {
 
-		const colorArr = cached.colorArray;
-		const lni = cached.lightnormalindices;
-		for ( let i = 0; i < cached.vertexCount; i ++ ) {
+		const colorArr = geometry.attributes.color.array;
+		const lni1 = pose1.lightnormalindices;
+		const lni2 = pose2.lightnormalindices;
+		const blend = lerpdata.blend;
+		for ( let i = 0; i < pose2.vertexCount; i ++ ) {
 
-			const l = shadedots[ lni[ i ] ] * shadelight;
-			colorArr[ i * 3 ] = l;
-			colorArr[ i * 3 + 1 ] = l;
-			colorArr[ i * 3 + 2 ] = l;
+			const d1 = shadedots[ lni1[ i ] ];
+			const l = d1 + ( shadedots[ lni2[ i ] ] - d1 ) * blend;
+			colorArr[ i * 3 ] = l * shadelight[ 0 ];
+			colorArr[ i * 3 + 1 ] = l * shadelight[ 1 ];
+			colorArr[ i * 3 + 2 ] = l * shadelight[ 2 ];
 
 		}
 
-		cached.geometry.attributes.color.needsUpdate = true;
+		geometry.attributes.color.needsUpdate = true;
 
 	}
 
-	return cached.geometry;
+	return geometry;
 
 }
 
@@ -692,12 +738,14 @@ export function GL_ClearAliasCache() {
 =================
 R_SetupAliasFrame
 
-Determine which pose to render for the given entity and alias model header.
+Determine which pose to render for the given entity and alias model header,
+and with r_lerpmodels the pose it is blending from, in lerpdata.
 =================
 */
-function R_SetupAliasFrame( entity, paliashdr ) {
+function R_SetupAliasFrame( entity, paliashdr, lerpdata ) {
 
 	let posenum = 0;
+	let frameinterval = 0.1; // most entities think every 0.1 seconds
 	if ( entity && entity.frame !== undefined ) {
 
 		let frame = entity.frame;
@@ -719,6 +767,7 @@ function R_SetupAliasFrame( entity, paliashdr ) {
 				const interval = frameInfo.interval;
 				const time = cl ? cl.time : 0;
 				posenum += ( ( time / interval ) | 0 ) % numposes;
+				frameinterval = interval;
 
 			}
 
@@ -733,7 +782,62 @@ function R_SetupAliasFrame( entity, paliashdr ) {
 
 	}
 
-	return posenum;
+	lerpdata.blend = 1;
+	lerpdata.pose1 = posenum;
+	lerpdata.pose2 = posenum;
+
+	if ( ! entity )
+		return;
+
+	if ( entity.lerpflags & LERP_RESETANIM ) {
+
+		// kill any lerp in progress
+		entity.lerpstart = 0;
+		entity.previouspose = posenum;
+		entity.currentpose = posenum;
+		entity.lerpflags &= ~ LERP_RESETANIM;
+
+	} else if ( entity.currentpose !== posenum ) {
+
+		// pose changed, start new lerp
+		entity.lerpstart = cl ? cl.time : 0;
+		entity.previouspose = entity.currentpose;
+		entity.currentpose = posenum;
+
+	}
+
+	// r_lerpmodels 2 lerps the r_nolerp_list models too
+	if ( r_lerpmodels.value && ! ( entity.model && R_ModelInList( entity.model, r_nolerp_list ) && r_lerpmodels.value !== 2 )
+		&& entity.previouspose < paliashdr.numposes ) {
+
+		const time = cl ? cl.time : 0;
+		lerpdata.blend = Math.min( Math.max( ( time - entity.lerpstart ) / frameinterval, 0 ), 1 );
+		lerpdata.pose1 = entity.previouspose;
+		lerpdata.pose2 = entity.currentpose;
+
+	}
+
+}
+
+/*
+=================
+R_AliasLerpShader
+
+onBeforeCompile for the alias materials: the vertex shader mixes the
+position of the pose lerped from (position) with the current one
+(position2) by each material's own lerpblend uniform. The fragment shader
+emits the skin times the light level in the vertex colors, the way GLQuake
+modulates it with glColor, plus the fullbright texels from the emissive map.
+=================
+*/
+function R_AliasLerpShader( shader ) {
+
+	shader.uniforms.lerpblend = this.userData.lerpblend;
+	shader.vertexShader = 'attribute vec3 position2;\nuniform float lerpblend;\n' +
+		shader.vertexShader.replace( '#include <begin_vertex>',
+			'vec3 transformed = mix( position, position2, lerpblend );' );
+	shader.fragmentShader = shader.fragmentShader.replace( '#include <emissivemap_fragment>',
+		'#include <emissivemap_fragment>\n\ttotalEmissiveRadiance += diffuseColor.rgb;' );
 
 }
 
@@ -741,27 +845,19 @@ function R_SetupAliasFrame( entity, paliashdr ) {
 =================
 R_GetAliasMaterial
 
-Get or create a cached material for the given alias model skin.
-Materials are cached per (paliashdr, skinnum, hasLighting) to avoid
-per-frame material creation and shader compilation.
+Get or create the entity's material for the given alias model skin.
+Every entity has its own so that it can have its own lerpblend; changing
+skins only swaps the texture, shaders are compiled once for all of them.
 =================
 */
 function R_GetAliasMaterial( paliashdr, entity, hasLighting ) {
 
-	if ( ! paliashdr._materialCache ) paliashdr._materialCache = new Map();
-
 	const skinnum = entity && entity.skinnum ? entity.skinnum : 0;
 
 	// Animated skins cycle through frames 0-3 every 0.1 seconds
 	// Original: anim = (int)(cl.time*10) & 3
 	const anim = cl && cl.time ? ( Math.floor( cl.time * 10 ) & 3 ) : 0;
 
-	// Cache key includes animation frame for animated skins
-	const cacheKey = skinnum * 8 + anim * 2 + ( hasLighting ? 1 : 0 );
-
-	let material = paliashdr._materialCache.get( cacheKey );
-	if ( material ) return material;
-
 	let texture = null;
 	if ( paliashdr.gl_texturenum ) {
 
@@ -775,28 +871,35 @@ function R_GetAliasMaterial( paliashdr, entity, hasLighting ) {
 
 	}
 
-	if ( texture ) {
+	let material = entity._aliasMaterial;
+	if ( ! material ) {
 
 		material = new THREE.MeshLambertMaterial( {
-			map: texture,
-			emissiveMap: texture,
-			emissive: 0xffffff,
-			emissiveIntensity: 1,
-			vertexColors: hasLighting
+			emissiveIntensity: 1
 		} );
+		material.userData.lerpblend = { value: 1 };
+		material.onBeforeCompile = R_AliasLerpShader;
+		entity._aliasMaterial = material;
 
-	} else {
+	}
 
-		material = new THREE.MeshLambertMaterial( {
-			color: 0xcccccc,
-			emissive: 0xcccccc,
-			emissiveIntensity: 1,
-			vertexColors: hasLighting
-		} );
+	const fullbright = texture && gl_fullbrights.value ? texture.userData.fullbright || null : null;
+	const normalmap = texture ? texture.userData.normalmap || null : null;
 
-	}
+	// untextured models are drawn grey
+	if ( ( material.map !== null ) !== ( texture !== null ) ||
+		( material.emissiveMap !== null ) !== ( fullbright !== null ) ||
+		( material.normalMap !== null ) !== ( normalmap !== null ) ||
+		material.vertexColors !== hasLighting )
+		material.needsUpdate = true;
+
+	material.map = texture;
+	material.emissiveMap = fullbright;
+	material.normalMap = normalmap;
+	material.color.setHex( texture ? 0xffffff : 0xcccccc );
+	material.emissive.setHex( fullbright ? 0xffffff : 0x000000 );
+	material.vertexColors = hasLighting;
 
-	paliashdr._materialCache.set( cacheKey, material );
 	return material;
 
 }
@@ -813,32 +916,33 @@ const _DEG2RAD = Math.PI / 180;
 R_DrawAliasModel
 
 Builds and returns a Three.js Mesh for the given alias model entity.
-Caches geometry per (model, pose), materials per (model, skin),
-and reuses mesh objects per entity to minimize per-frame allocations.
+Caches geometry per (model, pose), and reuses mesh, geometry and material
+objects per entity to minimize per-frame allocations. shadelight is the
+light's RGB level, as R_DrawAliasModel in gl_rmain.js works it out.
 =================
 */
 export function R_DrawAliasModel( entity, paliashdr, shadedots, shadelight ) {
 
-	if ( ! paliashdr || ! paliashdr.posedata )
+	if ( ! entity || ! paliashdr || ! paliashdr.posedata )
 		return null;
 
-	const posenum = R_SetupAliasFrame( entity, paliashdr );
-	const hasLighting = shadedots && shadelight !== undefined;
+	R_SetupAliasFrame( entity, paliashdr, lerpdata );
+	const hasLighting = !! shadedots && shadelight !== undefined;
 
-	// Get cached geometry (creates template on first call, updates colors in place)
-	const geometry = GL_DrawAliasFrame( paliashdr, posenum, shadedots, shadelight );
+	// Get the entity's geometry (pose templates are made on first use)
+	const geometry = GL_DrawAliasFrame( entity, paliashdr, lerpdata, shadedots, shadelight );
 	if ( ! geometry )
 		return null;
 
-	// Get cached material
 	const material = R_GetAliasMaterial( paliashdr, entity, hasLighting );
+	material.userData.lerpblend.value = lerpdata.blend;
 
 	// Get or create mesh for this entity
-	let mesh = entity ? entity._aliasMesh : null;
+	let mesh = entity._aliasMesh;
 	if ( ! mesh ) {
 
 		mesh = new THREE.Mesh( geometry, material );
-		if ( entity ) entity._aliasMesh = mesh;
+		entity._aliasMesh = mesh;
 
 	} else {
 
@@ -849,32 +953,28 @@ export function R_DrawAliasModel( entity, paliashdr, shadedots, shadelight ) {
 	}
 
 	// Apply entity transform — R_RotateForEntity equivalent
-	if ( entity ) {
+	if ( entity.origin ) {
 
-		if ( entity.origin ) {
+		mesh.position.set(
+			entity.origin[ 0 ],
+			entity.origin[ 1 ],
+			entity.origin[ 2 ]
+		);
 
-			mesh.position.set(
-				entity.origin[ 0 ],
-				entity.origin[ 1 ],
-				entity.origin[ 2 ]
-			);
-
-		}
-
-		if ( entity.angles ) {
+	}
 
-			const yaw = entity.angles[ 1 ] * _DEG2RAD;
-			const pitch = - entity.angles[ 0 ] * _DEG2RAD;
-			const roll = entity.angles[ 2 ] * _DEG2RAD;
+	if ( entity.angles ) {
 
-			_aliasMat.identity();
-			_aliasRZ.makeRotationZ( yaw );
-			_aliasRY.makeRotationY( pitch );
-			_aliasRX.makeRotationX( roll );
-			_aliasMat.multiply( _aliasRZ ).multiply( _aliasRY ).multiply( _aliasRX );
-			mesh.setRotationFromMatrix( _aliasMat );
+		const yaw = entity.angles[ 1 ] * _DEG2RAD;
+		const pitch = - entity.angles[ 0 ] * _DEG2RAD;
+		const roll = entity.angles[ 2 ] * _DEG2RAD;
 
-		}
+		_aliasMat.identity();
+		_aliasRZ.makeRotationZ( yaw );
+		_aliasRY.makeRotationY( pitch );
+		_aliasRX.makeRotationX( roll );
+		_aliasMat.multiply( _aliasRZ ).multiply( _aliasRY ).multiply( _aliasRX );
+		mesh.setRotationFromMatrix( _aliasMat );
 
 	}
 
@@ -891,3 +991,77 @@ export function R_DrawAliasModel( entity, paliashdr, shadedots, shadelight ) {
 	return mesh;
 
 }
+
+let _shadowMaterial = null;
+
+/*
+=================
+GL_DrawAliasShadow
+
+Flattens the entity's current frame onto the floor at lightspot, slanted
+along shadevector, in a mesh kept next to entity._aliasMesh. Without a
+stencil buffer overlapping triangles would darken twice, so the shadow
+writes depth and only the first fragment at each pixel of the plane passes.
+=================
+*/
+export function GL_DrawAliasShadow( entity, paliashdr, lightspot, shadevector ) {
+
+	R_SetupAliasFrame( entity, paliashdr, lerpdata );
+	const pose1 = R_AliasPose( paliashdr, lerpdata.pose1 );
+	const pose2 = R_AliasPose( paliashdr, lerpdata.pose2 );
+	if ( ! pose1 || ! pose2 )
+		return null;
+
+	if ( ! _shadowMaterial ) {
+
+		_shadowMaterial = new THREE.MeshBasicMaterial( {
+			color: 0x000000,
+			transparent: true,
+			opacity: 0.5,
+			depthFunc: THREE.LessDepth
+		} );
+
+	}
+
+	let mesh = entity._shadowMesh;
+	if ( ! mesh ) {
+
+		mesh = new THREE.Mesh( new THREE.BufferGeometry(), _shadowMaterial );
+		mesh.frustumCulled = false;
+		entity._shadowMesh = mesh;
+
+	}
+
+	// the index is the pose's own, so the geometry is never disposed
+	const geometry = mesh.geometry;
+	if ( ! geometry.attributes.position || geometry.attributes.position.count !== pose2.vertexCount )
+		geometry.setAttribute( 'position', new THREE.BufferAttribute( new Float32Array( pose2.vertexCount * 3 ), 3 ) );
+	geometry.setIndex( pose2.geometry.index );
+
+	const lheight = entity.origin[ 2 ] - lightspot[ 2 ];
+	const height = - lheight + 1.0;
+
+	const src1 = pose1.geometry.attributes.position.array;
+	const src2 = pose2.geometry.attributes.position.array;
+	const dst = geometry.attributes.position.array;
+	const blend = lerpdata.blend;
+	for ( let i = 0; i < pose2.vertexCount * 3; i += 3 ) {
+
+		const x = src1[ i ] + ( src2[ i ] - src1[ i ] ) * blend;
+		const y = src1[ i + 1 ] + ( src2[ i + 1 ] - src1[ i + 1 ] ) * blend;
+		const z = src1[ i + 2 ] + ( src2[ i + 2 ] - src1[ i + 2 ] ) * blend + lheight;
+		dst[ i ] = x - shadevector[ 0 ] * z;
+		dst[ i + 1 ] = y - shadevector[ 1 ] * z;
+		dst[ i + 2 ] = height;
+
+	}
+
+	geometry.attributes.position.needsUpdate = true;
+
+	// only the yaw, so the shadow stays flat on the floor
+	mesh.position.set( entity.origin[ 0 ], entity.origin[ 1 ], entity.origin[ 2 ] );
+	mesh.rotation.set( 0, 0, entity.angles ? entity.angles[ 1 ] * _DEG2RAD : 0 );
+
+	return mesh;
+
+}
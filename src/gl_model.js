@@ -6,7 +6,7 @@
 
 import * as THREE from 'three';
 import { Sys_Error } from './sys.js';
-import { Con_Printf, Con_DPrintf, COM_FileBase } from './common.js';
+import { Con_Printf, Con_DPrintf, COM_FileBase, COM_StripExtension, COM_Parse, com_token } from './common.js';
 import { d_8to24table } from './vid.js';
 import { COM_LoadFile } from './pak.js';
 import { CRC_Init, CRC_ProcessByte, CRC_Value } from './crc.js';
@@ -18,7 +18,7 @@ import { GL_MakeAliasModelDisplayLists as GL_MakeAliasModelDisplayLists_mesh } f
 export let solidskytexture = null;
 export let alphaskytexture = null;
 import {
-	BSPVERSION,
+	BSPVERSION, BSP2VERSION_2PSB, BSP2VERSION_BSP2,
 	LUMP_ENTITIES, LUMP_PLANES, LUMP_TEXTURES, LUMP_VERTEXES,
 	LUMP_VISIBILITY, LUMP_NODES, LUMP_TEXINFO, LUMP_FACES,
 	LUMP_LIGHTING, LUMP_CLIPNODES, LUMP_LEAFS, LUMP_MARKSURFACES,
@@ -29,7 +29,8 @@ import {
 	TEX_SPECIAL
 } from './bspfile.js';
 import { MAX_QPATH } from './quakedef.js';
-import { gl_texturemode, GL_RegisterTexture } from './glquake.js';
+import { gl_texturemode, gl_texturemode_external, GL_RegisterTexture } from './glquake.js';
+import { Image_LoadImage } from './image.js';
 
 // ============================================================================
 // modelgen.h constants
@@ -194,7 +195,7 @@ export class medge_t {
 
 	constructor() {
 
-		this.v = new Uint16Array( 2 );
+		this.v = new Uint32Array( 2 );
 		this.cachededgeoffset = 0;
 
 	}
@@ -262,7 +263,7 @@ export class msurface_t {
 		this.styles = new Uint8Array( MAXLIGHTMAPS );
 		this.cached_light = new Int32Array( MAXLIGHTMAPS );	// values currently used in lightmap
 		this.cached_dlight = false;							// true if dynamic light in cache
-		this.samples = null;		// Uint8Array -- [numstyles*surfsize]
+		this.samples = null;		// Uint8Array -- [numstyles*surfsize*3]
 		this.sampleOffset = 0;		// offset into lightdata
 
 	}
@@ -323,7 +324,7 @@ export class dclipnode_t {
 	constructor() {
 
 		this.planenum = 0;
-		this.children = new Int16Array( 2 );
+		this.children = new Int32Array( 2 ); // negative numbers are contents
 
 	}
 
@@ -600,8 +601,10 @@ export class model_t {
 		this.textures = null;		// array of texture_t
 
 		this.visdata = null;		// Uint8Array
-		this.lightdata = null;		// Uint8Array
+		this.lightdata = null;		// Uint8Array, RGB
 		this.entities = null;		// string
+		this.skyname = '';		// worldspawn "sky" key, see R_LoadSkys
+		this.fog = null;		// worldspawn "fog" key as [ density, r, g, b ]
 
 		// additional model data
 		this.cache = { data: null };	// cache_user_t equivalent
@@ -658,6 +661,10 @@ function GL_LoadTexture( name, width, height, data, mipmap, alpha ) {
 	// Convert 8-bit palette-indexed pixels to RGBA and create a THREE.DataTexture
 	const rgba = new Uint8Array( width * height * 4 );
 
+	// Palette indices 224-255 ignore lighting; they are copied into a second,
+	// otherwise black, texture that the materials add as their emissive map
+	let fullbright = null;
+
 	for ( let i = 0; i < width * height; i ++ ) {
 
 		const palIdx = data[ i ];
@@ -678,10 +685,36 @@ function GL_LoadTexture( name, width, height, data, mipmap, alpha ) {
 			rgba[ i * 4 + 2 ] = ( color >> 16 ) & 0xff;
 			rgba[ i * 4 + 3 ] = 255;
 
+			if ( palIdx >= 224 ) {
+
+				if ( fullbright === null ) {
+
+					fullbright = new Uint8Array( width * height * 4 );
+					for ( let j = 3; j < fullbright.length; j += 4 )
+						fullbright[ j ] = 255;
+
+				}
+
+				fullbright[ i * 4 ] = rgba[ i * 4 ];
+				fullbright[ i * 4 + 1 ] = rgba[ i * 4 + 1 ];
+				fullbright[ i * 4 + 2 ] = rgba[ i * 4 + 2 ];
+
+			}
+
 		}
 
 	}
 
+	const texture = GL_MakeTexture( rgba, width, height, mipmap );
+	if ( fullbright !== null )
+		texture.userData.fullbright = GL_MakeTexture( fullbright, width, height, mipmap );
+
+	return texture;
+
+}
+
+function GL_MakeTexture( rgba, width, height, mipmap ) {
+
 	const texture = new THREE.DataTexture( rgba, width, height, THREE.RGBAFormat );
 	// Use cvar to determine filter mode: 0 = nearest (pixelated), 1 = linear (smooth)
 	const filter = gl_texturemode.value ? THREE.LinearFilter : THREE.NearestFilter;
@@ -703,6 +736,56 @@ function GL_LoadTexture( name, width, height, data, mipmap, alpha ) {
 
 }
 
+/*
+================
+GL_LoadExternalTexture
+
+Looks for the first of names as an external image (image.js) and puts it in
+place of texture's 8-bit pixels once it has loaded, along with its optional
+_glow (fullbright) and _norm (normal map) companions.
+================
+*/
+async function GL_LoadExternalTexture( texture, names ) {
+
+	if ( ! gl_texturemode_external.value )
+		return;
+
+	for ( const name of names ) {
+
+		const image = await Image_LoadImage( name );
+		if ( ! image )
+			continue;
+
+		// three.js can't resize a texture in place, dispose drops the old one
+		texture.dispose();
+		texture.image = image;
+		texture.needsUpdate = true;
+
+		// the 8-bit fullbright mask doesn't match the new pixels
+		const glow = await Image_LoadImage( name + '_glow' );
+		texture.userData.fullbright = glow ? GL_MakeTexture( glow.data, glow.width, glow.height, texture.generateMipmaps ) : null;
+
+		const norm = await Image_LoadImage( name + '_norm' );
+		if ( norm ) {
+
+			texture.userData.normalmap = GL_MakeTexture( norm.data, norm.width, norm.height, texture.generateMipmaps );
+			texture.userData.normalmap.colorSpace = THREE.NoColorSpace;
+
+		}
+
+		return;
+
+	}
+
+}
+
+// loading a replacement is best effort, the 8-bit texture stays on failure
+function GL_ExternalTextureError( e ) {
+
+	Con_DPrintf( 'GL_LoadExternalTexture: %s\n', e.message );
+
+}
+
 function GL_SubdivideSurface( s ) {
 
 	GL_Warp_SetLoadmodel( loadmodel );
@@ -1025,6 +1108,20 @@ const SIZEOF_TEXINFO = 40;			// float vecs[2][4], int miptex, int flags
 const SIZEOF_DPLANE = 20;			// float normal[3], float dist, int type
 const SIZEOF_DMODEL = 64;			// float mins[3], maxs[3], origin[3], int headnode[4], int visleafs, int firstface, int numfaces
 
+// BSP2 and 2PSB widen every index to 32 bits
+const SIZEOF_DEDGE_BSP2 = 8;		// 2 unsigned ints
+const SIZEOF_DFACE_BSP2 = 28;		// int planenum, int side, int firstedge, int numedges, int texinfo, byte styles[4], int lightofs
+const SIZEOF_DNODE_2PSB = 32;		// int planenum, int children[2], short mins[3], short maxs[3], unsigned int firstface, unsigned int numfaces
+const SIZEOF_DNODE_BSP2 = 44;		// int planenum, int children[2], float mins[3], float maxs[3], unsigned int firstface, unsigned int numfaces
+const SIZEOF_DLEAF_2PSB = 32;		// int contents, int visofs, short mins[3], short maxs[3], unsigned int firstmarksurface, unsigned int nummarksurfaces, byte ambient_level[4]
+const SIZEOF_DLEAF_BSP2 = 44;		// int contents, int visofs, float mins[3], float maxs[3], unsigned int firstmarksurface, unsigned int nummarksurfaces, byte ambient_level[4]
+const SIZEOF_DCLIPNODE_BSP2 = 12;	// int planenum, int children[2]
+
+// the bsp2 argument of the lump loaders
+const BSP2_NONE = 0;
+const BSP2_2PSB = 1;
+const BSP2_BSP2 = 2;
+
 // ============================================================================
 // Helper: read a null-terminated string from Uint8Array
 // ============================================================================
@@ -1114,6 +1211,10 @@ function Mod_LoadTextures( fileofs, filelen ) {
 
 			tx.gl_texture = GL_LoadTexture( name, tx.width, tx.height, tx.pixels, true, false );
 
+			// '*' can't be in file names
+			const file = name.replace( /\*/g, '#' );
+			GL_LoadExternalTexture( tx.gl_texture, [ 'textures/' + loadname + '/' + file, 'textures/' + file ] ).catch( GL_ExternalTextureError );
+
 		}
 
 	}
@@ -1232,15 +1333,59 @@ function Mod_LoadTextures( fileofs, filelen ) {
 
 function Mod_LoadLighting( fileofs, filelen ) {
 
-	if ( filelen === 0 ) {
+	loadmodel.lightdata = null;
+
+	// lightdata is always RGB; maps/<name>.lit (QLIT version 1) holds the
+	// coloured version of the lighting lump, three bytes for every one
+	const litfilename = COM_StripExtension( loadmodel.name ) + '.lit';
+	const buf = COM_LoadFile( litfilename );
+	if ( buf ) {
+
+		const data = new Uint8Array( buf );
+		if ( data.length >= 8 && String.fromCharCode( data[ 0 ], data[ 1 ], data[ 2 ], data[ 3 ] ) === 'QLIT' ) {
+
+			const version = new DataView( buf ).getInt32( 4, true );
+			if ( version === 1 ) {
+
+				if ( data.length - 8 === filelen * 3 ) {
+
+					Con_DPrintf( '%s loaded\n', litfilename );
+					loadmodel.lightdata = data.subarray( 8 );
+					return;
+
+				}
+
+				Con_Printf( 'Outdated .lit file (%s should be %d bytes, not %d)\n', litfilename, 8 + filelen * 3, data.length );
+
+			} else {
 
-		loadmodel.lightdata = null;
+				Con_Printf( 'Unknown .lit file version (%d)\n', version );
+
+			}
+
+		} else {
+
+			Con_Printf( 'Corrupt .lit file (old version?), ignoring\n' );
+
+		}
+
+	}
+
+	// no .lit file, expand the white lighting data to color
+	if ( filelen === 0 )
 		return;
 
+	const lightdata = new Uint8Array( filelen * 3 );
+	for ( let i = 0; i < filelen; i ++ ) {
+
+		const l = mod_base[ fileofs + i ];
+		lightdata[ i * 3 ] = l;
+		lightdata[ i * 3 + 1 ] = l;
+		lightdata[ i * 3 + 2 ] = l;
+
 	}
 
-	loadmodel.lightdata = new Uint8Array( filelen );
-	loadmodel.lightdata.set( mod_base.subarray( fileofs, fileofs + filelen ) );
+	loadmodel.lightdata = lightdata;
 
 }
 
@@ -1268,6 +1413,9 @@ function Mod_LoadVisibility( fileofs, filelen ) {
 
 function Mod_LoadEntities( fileofs, filelen ) {
 
+	loadmodel.skyname = '';
+	loadmodel.fog = null;
+
 	if ( filelen === 0 ) {
 
 		loadmodel.entities = null;
@@ -1287,6 +1435,50 @@ function Mod_LoadEntities( fileofs, filelen ) {
 
 	loadmodel.entities = s;
 
+	// a skybox can be picked by the worldspawn's "sky" key, and global fog
+	// set with "fog" "density red green blue"
+	let data = COM_Parse( s );
+	if ( data === null || com_token !== '{' )
+		return;
+
+	while ( true ) {
+
+		data = COM_Parse( data );
+		if ( data === null || com_token === '}' )
+			break;
+
+		const key = com_token;
+
+		data = COM_Parse( data );
+		if ( data === null )
+			break;
+
+		if ( key === 'sky' )
+			loadmodel.skyname = com_token;
+		else if ( key === 'fog' )
+			loadmodel.fog = Mod_ParseFog( com_token );
+
+	}
+
+}
+
+// missing values keep FitzQuake's defaults, like its sscanf
+function Mod_ParseFog( value ) {
+
+	const fog = [ 0, 0.3, 0.3, 0.3 ];
+	const tokens = value.trim().split( /\s+/ );
+
+	for ( let i = 0; i < 4 && i < tokens.length; i ++ ) {
+
+		const f = parseFloat( tokens[ i ] );
+		if ( isNaN( f ) )
+			break;
+		fog[ i ] = f;
+
+	}
+
+	return fog;
+
 }
 
 // ============================================================================
@@ -1322,12 +1514,13 @@ function Mod_LoadVertexes( fileofs, filelen ) {
 // Mod_LoadEdges
 // ============================================================================
 
-function Mod_LoadEdges( fileofs, filelen ) {
+function Mod_LoadEdges( fileofs, filelen, bsp2 ) {
 
-	if ( filelen % SIZEOF_DEDGE )
+	const size = bsp2 ? SIZEOF_DEDGE_BSP2 : SIZEOF_DEDGE;
+	if ( filelen % size )
 		Sys_Error( 'MOD_LoadBmodel: funny lump size in ' + loadmodel.name );
 
-	const count = filelen / SIZEOF_DEDGE;
+	const count = filelen / size;
 	const view = new DataView( mod_base.buffer, mod_base.byteOffset + fileofs, filelen );
 	const out = new Array( count + 1 );
 
@@ -1337,9 +1530,18 @@ function Mod_LoadEdges( fileofs, filelen ) {
 	for ( let i = 0; i < count; i ++ ) {
 
 		const e = new medge_t();
-		const base = i * SIZEOF_DEDGE;
-		e.v[ 0 ] = view.getUint16( base, true );
-		e.v[ 1 ] = view.getUint16( base + 2, true );
+		if ( bsp2 ) {
+
+			e.v[ 0 ] = view.getUint32( i * size, true );
+			e.v[ 1 ] = view.getUint32( i * size + 4, true );
+
+		} else {
+
+			e.v[ 0 ] = view.getUint16( i * size, true );
+			e.v[ 1 ] = view.getUint16( i * size + 2, true );
+
+		}
+
 		out[ i ] = e;
 
 	}
@@ -1537,12 +1739,13 @@ function CalcSurfaceExtents( s ) {
 // Mod_LoadFaces
 // ============================================================================
 
-function Mod_LoadFaces( fileofs, filelen ) {
+function Mod_LoadFaces( fileofs, filelen, bsp2 ) {
 
-	if ( filelen % SIZEOF_DFACE )
+	const size = bsp2 ? SIZEOF_DFACE_BSP2 : SIZEOF_DFACE;
+	if ( filelen % size )
 		Sys_Error( 'MOD_LoadBmodel: funny lump size in ' + loadmodel.name );
 
-	const count = filelen / SIZEOF_DFACE;
+	const count = filelen / size;
 	const view = new DataView( mod_base.buffer, mod_base.byteOffset + fileofs, filelen );
 	const out = new Array( count );
 
@@ -1552,28 +1755,45 @@ function Mod_LoadFaces( fileofs, filelen ) {
 	for ( let surfnum = 0; surfnum < count; surfnum ++ ) {
 
 		const s = new msurface_t();
-		const base = surfnum * SIZEOF_DFACE;
+		const base = surfnum * size;
 
-		s.firstedge = view.getInt32( base + 4, true );
-		s.numedges = view.getInt16( base + 8, true );
-		s.flags = 0;
+		let planenum, side, texinfo, stylesofs, lightofs;
+		if ( bsp2 ) {
+
+			planenum = view.getInt32( base, true );
+			side = view.getInt32( base + 4, true );
+			s.firstedge = view.getInt32( base + 8, true );
+			s.numedges = view.getInt32( base + 12, true );
+			texinfo = view.getInt32( base + 16, true );
+			stylesofs = base + 20;
+			lightofs = view.getInt32( base + 24, true );
+
+		} else {
 
-		const planenum = view.getUint16( base, true );
-		const side = view.getInt16( base + 2, true );
+			planenum = view.getUint16( base, true );
+			side = view.getInt16( base + 2, true );
+			s.firstedge = view.getInt32( base + 4, true );
+			s.numedges = view.getInt16( base + 8, true );
+			texinfo = view.getInt16( base + 10, true );
+			stylesofs = base + 12;
+			lightofs = view.getInt32( base + 16, true );
+
+		}
+
+		s.flags = 0;
 		if ( side )
 			s.flags |= SURF_PLANEBACK;
 
 		s.plane = loadmodel.planes[ planenum ];
 
-		s.texinfo = loadmodel.texinfo[ view.getInt16( base + 10, true ) ];
+		s.texinfo = loadmodel.texinfo[ texinfo ];
 
 		CalcSurfaceExtents( s );
 
 		// lighting info
 		for ( let i = 0; i < MAXLIGHTMAPS; i ++ )
-			s.styles[ i ] = mod_base[ fileofs + base + 12 + i ];
+			s.styles[ i ] = mod_base[ fileofs + stylesofs + i ];
 
-		const lightofs = view.getInt32( base + 16, true );
 		if ( lightofs === - 1 ) {
 
 			s.samples = null;
@@ -1581,7 +1801,7 @@ function Mod_LoadFaces( fileofs, filelen ) {
 		} else {
 
 			s.samples = loadmodel.lightdata;
-			s.sampleOffset = lightofs;
+			s.sampleOffset = lightofs * 3; // lightdata is RGB
 
 		}
 
@@ -1635,12 +1855,13 @@ function Mod_SetParent( node, parent ) {
 // Mod_LoadNodes
 // ============================================================================
 
-function Mod_LoadNodes( fileofs, filelen ) {
+function Mod_LoadNodes( fileofs, filelen, bsp2 ) {
 
-	if ( filelen % SIZEOF_DNODE )
+	const size = bsp2 === BSP2_BSP2 ? SIZEOF_DNODE_BSP2 : bsp2 === BSP2_2PSB ? SIZEOF_DNODE_2PSB : SIZEOF_DNODE;
+	if ( filelen % size )
 		Sys_Error( 'MOD_LoadBmodel: funny lump size in ' + loadmodel.name );
 
-	const count = filelen / SIZEOF_DNODE;
+	const count = filelen / size;
 	const view = new DataView( mod_base.buffer, mod_base.byteOffset + fileofs, filelen );
 	const out = new Array( count );
 
@@ -1650,24 +1871,47 @@ function Mod_LoadNodes( fileofs, filelen ) {
 	for ( let i = 0; i < count; i ++ ) {
 
 		const node = new mnode_t();
-		const base = i * SIZEOF_DNODE;
+		const base = i * size;
 
 		for ( let j = 0; j < 3; j ++ ) {
 
-			node.minmaxs[ j ] = view.getInt16( base + 8 + j * 2, true );
-			node.minmaxs[ 3 + j ] = view.getInt16( base + 14 + j * 2, true );
+			if ( bsp2 === BSP2_BSP2 ) {
+
+				node.minmaxs[ j ] = view.getFloat32( base + 12 + j * 4, true );
+				node.minmaxs[ 3 + j ] = view.getFloat32( base + 24 + j * 4, true );
+
+			} else if ( bsp2 === BSP2_2PSB ) {
+
+				node.minmaxs[ j ] = view.getInt16( base + 12 + j * 2, true );
+				node.minmaxs[ 3 + j ] = view.getInt16( base + 18 + j * 2, true );
+
+			} else {
+
+				node.minmaxs[ j ] = view.getInt16( base + 8 + j * 2, true );
+				node.minmaxs[ 3 + j ] = view.getInt16( base + 14 + j * 2, true );
+
+			}
 
 		}
 
 		const p = view.getInt32( base, true );
 		node.plane = loadmodel.planes[ p ];
 
-		node.firstsurface = view.getUint16( base + 20, true );
-		node.numsurfaces = view.getUint16( base + 22, true );
+		if ( bsp2 ) {
+
+			node.firstsurface = view.getUint32( base + size - 8, true );
+			node.numsurfaces = view.getUint32( base + size - 4, true );
+
+		} else {
+
+			node.firstsurface = view.getUint16( base + 20, true );
+			node.numsurfaces = view.getUint16( base + 22, true );
+
+		}
 
 		for ( let j = 0; j < 2; j ++ ) {
 
-			const child = view.getInt16( base + 4 + j * 2, true );
+			const child = bsp2 ? view.getInt32( base + 4 + j * 4, true ) : view.getInt16( base + 4 + j * 2, true );
 			if ( child >= 0 ) {
 
 				node.children[ j ] = null; // will be resolved after all nodes created
@@ -1718,12 +1962,13 @@ function Mod_LoadNodes( fileofs, filelen ) {
 // Mod_LoadLeafs
 // ============================================================================
 
-function Mod_LoadLeafs( fileofs, filelen ) {
+function Mod_LoadLeafs( fileofs, filelen, bsp2 ) {
 
-	if ( filelen % SIZEOF_DLEAF )
+	const size = bsp2 === BSP2_BSP2 ? SIZEOF_DLEAF_BSP2 : bsp2 === BSP2_2PSB ? SIZEOF_DLEAF_2PSB : SIZEOF_DLEAF;
+	if ( filelen % size )
 		Sys_Error( 'MOD_LoadBmodel: funny lump size in ' + loadmodel.name );
 
-	const count = filelen / SIZEOF_DLEAF;
+	const count = filelen / size;
 	const view = new DataView( mod_base.buffer, mod_base.byteOffset + fileofs, filelen );
 	const out = new Array( count );
 
@@ -1734,19 +1979,38 @@ function Mod_LoadLeafs( fileofs, filelen ) {
 
 		const leaf = new mleaf_t();
 		leaf._leafIndex = i; // store index for PVS checks (C uses pointer arithmetic: leaf - sv.worldmodel->leafs)
-		const base = i * SIZEOF_DLEAF;
+		const base = i * size;
 
 		for ( let j = 0; j < 3; j ++ ) {
 
-			leaf.minmaxs[ j ] = view.getInt16( base + 8 + j * 2, true );
-			leaf.minmaxs[ 3 + j ] = view.getInt16( base + 14 + j * 2, true );
+			if ( bsp2 === BSP2_BSP2 ) {
+
+				leaf.minmaxs[ j ] = view.getFloat32( base + 8 + j * 4, true );
+				leaf.minmaxs[ 3 + j ] = view.getFloat32( base + 20 + j * 4, true );
+
+			} else {
+
+				leaf.minmaxs[ j ] = view.getInt16( base + 8 + j * 2, true );
+				leaf.minmaxs[ 3 + j ] = view.getInt16( base + 14 + j * 2, true );
+
+			}
 
 		}
 
 		leaf.contents = view.getInt32( base, true );
 
-		const firstmarksurfaceIdx = view.getUint16( base + 20, true );
-		leaf.nummarksurfaces = view.getUint16( base + 22, true );
+		let firstmarksurfaceIdx;
+		if ( bsp2 ) {
+
+			firstmarksurfaceIdx = view.getUint32( base + size - 12, true );
+			leaf.nummarksurfaces = view.getUint32( base + size - 8, true );
+
+		} else {
+
+			firstmarksurfaceIdx = view.getUint16( base + 20, true );
+			leaf.nummarksurfaces = view.getUint16( base + 22, true );
+
+		}
 
 		// In C: leaf->firstmarksurface = loadmodel->marksurfaces + firstmarksurface;
 		// This is a pointer into the marksurfaces array (which is an array of msurface_t*)
@@ -1770,7 +2034,7 @@ function Mod_LoadLeafs( fileofs, filelen ) {
 		leaf.efrags = null;
 
 		for ( let j = 0; j < 4; j ++ )
-			leaf.ambient_sound_level[ j ] = mod_base[ fileofs + base + 24 + j ];
+			leaf.ambient_sound_level[ j ] = mod_base[ fileofs + base + size - 4 + j ];
 
 		// gl underwater warp
 		if ( leaf.contents !== CONTENTS_EMPTY ) {
@@ -1793,12 +2057,13 @@ function Mod_LoadLeafs( fileofs, filelen ) {
 // Mod_LoadClipnodes
 // ============================================================================
 
-function Mod_LoadClipnodes( fileofs, filelen ) {
+function Mod_LoadClipnodes( fileofs, filelen, bsp2 ) {
 
-	if ( filelen % SIZEOF_DCLIPNODE )
+	const size = bsp2 ? SIZEOF_DCLIPNODE_BSP2 : SIZEOF_DCLIPNODE;
+	if ( filelen % size )
 		Sys_Error( 'MOD_LoadBmodel: funny lump size in ' + loadmodel.name );
 
-	const count = filelen / SIZEOF_DCLIPNODE;
+	const count = filelen / size;
 	const view = new DataView( mod_base.buffer, mod_base.byteOffset + fileofs, filelen );
 	const out = new Array( count );
 
@@ -1834,11 +2099,20 @@ function Mod_LoadClipnodes( fileofs, filelen ) {
 	for ( let i = 0; i < count; i ++ ) {
 
 		const cn = new dclipnode_t();
-		const base = i * SIZEOF_DCLIPNODE;
+		const base = i * size;
 
 		cn.planenum = view.getInt32( base, true );
-		cn.children[ 0 ] = view.getInt16( base + 4, true );
-		cn.children[ 1 ] = view.getInt16( base + 6, true );
+		if ( bsp2 ) {
+
+			cn.children[ 0 ] = view.getInt32( base + 4, true );
+			cn.children[ 1 ] = view.getInt32( base + 8, true );
+
+		} else {
+
+			cn.children[ 0 ] = view.getInt16( base + 4, true );
+			cn.children[ 1 ] = view.getInt16( base + 6, true );
+
+		}
 
 		out[ i ] = cn;
 
@@ -1865,12 +2139,20 @@ function Mod_MakeHull0() {
 	hull.lastclipnode = count - 1;
 	hull.planes = loadmodel.planes;
 
+	// indexOf on every node is quadratic, too slow for BSP2 sized maps
+	const planenums = new Map();
+	for ( let i = 0; i < loadmodel.planes.length; i ++ )
+		planenums.set( loadmodel.planes[ i ], i );
+	const nodenums = new Map();
+	for ( let i = 0; i < count; i ++ )
+		nodenums.set( _in[ i ], i );
+
 	for ( let i = 0; i < count; i ++ ) {
 
 		const cn = new dclipnode_t();
 		const node = _in[ i ];
 
-		cn.planenum = loadmodel.planes.indexOf( node.plane );
+		cn.planenum = planenums.get( node.plane );
 
 		for ( let j = 0; j < 2; j ++ ) {
 
@@ -1878,7 +2160,7 @@ function Mod_MakeHull0() {
 			if ( child.contents < 0 )
 				cn.children[ j ] = child.contents;
 			else
-				cn.children[ j ] = loadmodel.nodes.indexOf( child );
+				cn.children[ j ] = nodenums.get( child );
 
 		}
 
@@ -1892,12 +2174,13 @@ function Mod_MakeHull0() {
 // Mod_LoadMarksurfaces
 // ============================================================================
 
-function Mod_LoadMarksurfaces( fileofs, filelen ) {
+function Mod_LoadMarksurfaces( fileofs, filelen, bsp2 ) {
 
-	if ( filelen % 2 )
+	const size = bsp2 ? 4 : 2;
+	if ( filelen % size )
 		Sys_Error( 'MOD_LoadBmodel: funny lump size in ' + loadmodel.name );
 
-	const count = filelen / 2;
+	const count = filelen / size;
 	const view = new DataView( mod_base.buffer, mod_base.byteOffset + fileofs, filelen );
 	const out = new Array( count );
 
@@ -1906,7 +2189,7 @@ function Mod_LoadMarksurfaces( fileofs, filelen ) {
 
 	for ( let i = 0; i < count; i ++ ) {
 
-		const j = view.getUint16( i * 2, true );
+		const j = bsp2 ? view.getUint32( i * 4, true ) : view.getUint16( i * 2, true );
 		if ( j >= loadmodel.numsurfaces )
 			Sys_Error( 'Mod_ParseMarksurfaces: bad surface number' );
 		out[ i ] = loadmodel.surfaces[ j ];
@@ -1985,7 +2268,14 @@ function Mod_LoadBrushModel( mod, buffer ) {
 	const view = new DataView( buffer );
 
 	const version = view.getInt32( 0, true );
-	if ( version !== BSPVERSION )
+	let bsp2;
+	if ( version === BSP2VERSION_2PSB )
+		bsp2 = BSP2_2PSB;
+	else if ( version === BSP2VERSION_BSP2 )
+		bsp2 = BSP2_BSP2;
+	else if ( version === BSPVERSION )
+		bsp2 = BSP2_NONE;
+	else
 		Sys_Error( 'Mod_LoadBrushModel: ' + mod.name + ' has wrong version number (' + version + ' should be ' + BSPVERSION + ')' );
 
 	// swap all the lumps
@@ -2004,18 +2294,18 @@ function Mod_LoadBrushModel( mod, buffer ) {
 
 	// load into heap (order matters! same as original C code)
 	Mod_LoadVertexes( lumps[ LUMP_VERTEXES ].fileofs, lumps[ LUMP_VERTEXES ].filelen );
-	Mod_LoadEdges( lumps[ LUMP_EDGES ].fileofs, lumps[ LUMP_EDGES ].filelen );
+	Mod_LoadEdges( lumps[ LUMP_EDGES ].fileofs, lumps[ LUMP_EDGES ].filelen, bsp2 );
 	Mod_LoadSurfedges( lumps[ LUMP_SURFEDGES ].fileofs, lumps[ LUMP_SURFEDGES ].filelen );
 	Mod_LoadTextures( lumps[ LUMP_TEXTURES ].fileofs, lumps[ LUMP_TEXTURES ].filelen );
 	Mod_LoadLighting( lumps[ LUMP_LIGHTING ].fileofs, lumps[ LUMP_LIGHTING ].filelen );
 	Mod_LoadPlanes( lumps[ LUMP_PLANES ].fileofs, lumps[ LUMP_PLANES ].filelen );
 	Mod_LoadTexinfo( lumps[ LUMP_TEXINFO ].fileofs, lumps[ LUMP_TEXINFO ].filelen );
-	Mod_LoadFaces( lumps[ LUMP_FACES ].fileofs, lumps[ LUMP_FACES ].filelen );
-	Mod_LoadMarksurfaces( lumps[ LUMP_MARKSURFACES ].fileofs, lumps[ LUMP_MARKSURFACES ].filelen );
+	Mod_LoadFaces( lumps[ LUMP_FACES ].fileofs, lumps[ LUMP_FACES ].filelen, bsp2 );
+	Mod_LoadMarksurfaces( lumps[ LUMP_MARKSURFACES ].fileofs, lumps[ LUMP_MARKSURFACES ].filelen, bsp2 );
 	Mod_LoadVisibility( lumps[ LUMP_VISIBILITY ].fileofs, lumps[ LUMP_VISIBILITY ].filelen );
-	Mod_LoadLeafs( lumps[ LUMP_LEAFS ].fileofs, lumps[ LUMP_LEAFS ].filelen );
-	Mod_LoadNodes( lumps[ LUMP_NODES ].fileofs, lumps[ LUMP_NODES ].filelen );
-	Mod_LoadClipnodes( lumps[ LUMP_CLIPNODES ].fileofs, lumps[ LUMP_CLIPNODES ].filelen );
+	Mod_LoadLeafs( lumps[ LUMP_LEAFS ].fileofs, lumps[ LUMP_LEAFS ].filelen, bsp2 );
+	Mod_LoadNodes( lumps[ LUMP_NODES ].fileofs, lumps[ LUMP_NODES ].filelen, bsp2 );
+	Mod_LoadClipnodes( lumps[ LUMP_CLIPNODES ].fileofs, lumps[ LUMP_CLIPNODES ].filelen, bsp2 );
 	Mod_LoadEntities( lumps[ LUMP_ENTITIES ].fileofs, lumps[ LUMP_ENTITIES ].filelen );
 	Mod_LoadSubmodels( lumps[ LUMP_MODELS ].fileofs, lumps[ LUMP_MODELS ].filelen );
 
@@ -2346,11 +2636,12 @@ function Mod_LoadAllSkins( buf, numskins, offset ) {
 			pheader.texels[ i ].set( skin );
 
 			const name = loadmodel.name + '_' + i;
+			const texture = GL_LoadTexture( name, pheader.skinwidth, pheader.skinheight, skin, true, false );
+			GL_LoadExternalTexture( texture, [ name ] ).catch( GL_ExternalTextureError );
 			pheader.gl_texturenum[ i ][ 0 ] =
 			pheader.gl_texturenum[ i ][ 1 ] =
 			pheader.gl_texturenum[ i ][ 2 ] =
-			pheader.gl_texturenum[ i ][ 3 ] =
-				GL_LoadTexture( name, pheader.skinwidth, pheader.skinheight, skin, true, false );
+			pheader.gl_texturenum[ i ][ 3 ] = texture;
 
 			pos = skinDataOfs + s;
 
@@ -2380,6 +2671,7 @@ function Mod_LoadAllSkins( buf, numskins, offset ) {
 				const name = loadmodel.name + '_' + i + '_' + j;
 				pheader.gl_texturenum[ i ][ j & 3 ] =
 					GL_LoadTexture( name, pheader.skinwidth, pheader.skinheight, skin, true, false );
+				GL_LoadExternalTexture( pheader.gl_texturenum[ i ][ j & 3 ], [ name ] ).catch( GL_ExternalTextureError );
 
 				pos += s;
 
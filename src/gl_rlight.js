@@ -115,6 +115,7 @@ export function R_RenderDlight( light, dlightIndex ) {
 
 	// Position the light in Quake coordinates (same as camera/geometry)
 	pointLight.position.set( light.origin[ 0 ], light.origin[ 1 ], light.origin[ 2 ] );
+	pointLight.color.setRGB( light.color[ 0 ], light.color[ 1 ], light.color[ 2 ] );
 
 	// Set intensity and distance based on Quake light radius
 	// Original Quake uses linear falloff: contribution = (radius - distance)
@@ -155,6 +156,7 @@ export function R_RenderDlights( cl, scene ) {
 			// Active - update properties
 			const pointLight = _getDlight( i );
 			pointLight.position.set( l.origin[ 0 ], l.origin[ 1 ], l.origin[ 2 ] );
+			pointLight.color.setRGB( l.color[ 0 ], l.color[ 1 ], l.color[ 2 ] );
 			pointLight.intensity = l.radius * 5;
 			pointLight.decay = 1; // Linear falloff
 
@@ -276,6 +278,7 @@ LIGHT SAMPLING
 
 export let lightplane = null;
 export let lightspot = new Float32Array( 3 );
+export const lightcolor = new Float32Array( 3 ); // set by R_LightPoint, 0-255 per channel
 
 /*
 =============
@@ -341,32 +344,34 @@ export function RecursiveLightPoint( node, start, end, surfaces, depth = 0 ) {
 		if ( ds > surf.extents[ 0 ] || dt > surf.extents[ 1 ] )
 			continue;
 
+		lightcolor.fill( 0 );
+
 		if ( ! surf.samples )
 			return 0;
 
 		const ds4 = ds >> 4;
 		const dt4 = dt >> 4;
 
+		// lightdata is RGB, three bytes per sample
 		const lightmap = surf.samples;
-		r = 0;
-		if ( lightmap ) {
-
-			let lightmapOffset = ( surf.sampleOffset || 0 ) + dt4 * ( ( surf.extents[ 0 ] >> 4 ) + 1 ) + ds4;
-
-			for ( let maps = 0; maps < MAXLIGHTMAPS && surf.styles[ maps ] !== 255; maps ++ ) {
-
-				const scale = d_lightstylevalue[ surf.styles[ maps ] ];
-				r += lightmap[ lightmapOffset ] * scale;
-				lightmapOffset += ( ( surf.extents[ 0 ] >> 4 ) + 1 )
-					* ( ( surf.extents[ 1 ] >> 4 ) + 1 );
+		let lightmapOffset = ( surf.sampleOffset || 0 ) + ( dt4 * ( ( surf.extents[ 0 ] >> 4 ) + 1 ) + ds4 ) * 3;
 
-			}
+		for ( let maps = 0; maps < MAXLIGHTMAPS && surf.styles[ maps ] !== 255; maps ++ ) {
 
-			r >>= 8;
+			const scale = d_lightstylevalue[ surf.styles[ maps ] ];
+			lightcolor[ 0 ] += lightmap[ lightmapOffset ] * scale;
+			lightcolor[ 1 ] += lightmap[ lightmapOffset + 1 ] * scale;
+			lightcolor[ 2 ] += lightmap[ lightmapOffset + 2 ] * scale;
+			lightmapOffset += ( ( surf.extents[ 0 ] >> 4 ) + 1 )
+				* ( ( surf.extents[ 1 ] >> 4 ) + 1 ) * 3;
 
 		}
 
-		return r;
+		lightcolor[ 0 ] /= 256;
+		lightcolor[ 1 ] /= 256;
+		lightcolor[ 2 ] /= 256;
+
+		return ( ( lightcolor[ 0 ] + lightcolor[ 1 ] + lightcolor[ 2 ] ) / 3 ) | 0;
 
 	}
 
@@ -378,23 +383,42 @@ export function RecursiveLightPoint( node, start, end, surfaces, depth = 0 ) {
 /*
 =============
 R_LightPoint
+
+returns the light level at p and leaves its color in lightcolor
 =============
 */
 export function R_LightPoint( p, cl ) {
 
-	if ( ! cl.worldmodel || ! cl.worldmodel.lightdata )
+	if ( ! cl.worldmodel ) {
+
+		lightcolor.fill( 255 );
 		return 255;
 
+	}
+
 	const end = new Float32Array( 3 );
 	end[ 0 ] = p[ 0 ];
 	end[ 1 ] = p[ 1 ];
 	end[ 2 ] = p[ 2 ] - 2048;
 
+	// traced even on maps without light data, alias shadows use lightspot
+	VectorCopy( end, lightspot );
 	let r = RecursiveLightPoint( cl.worldmodel.nodes[ 0 ], p, end, cl.worldmodel.surfaces );
 
-	if ( r === - 1 )
+	if ( ! cl.worldmodel.lightdata ) {
+
+		lightcolor.fill( 255 );
+		return 255;
+
+	}
+
+	if ( r === - 1 ) {
+
+		lightcolor.fill( 0 );
 		r = 0;
 
+	}
+
 	return r;
 
 }
@@ -449,6 +473,7 @@ export class dlight_t {
 		this.decay = 0; // drop this each second
 		this.minlight = 0; // don't add when contributing less
 		this.key = 0;
+		this.color = new Float32Array( [ 1, 1, 1 ] ); // lightmap and PointLight color
 
 	}
 
@@ -6,16 +6,16 @@ import { Sys_Error, Sys_FloatTime } from './sys.js';
 import { Con_Printf, Con_DPrintf, COM_CheckParm } from './common.js';
 import { PITCH, YAW, ROLL } from './quakedef.js';
 import { cvar_t } from './cvar.js';
-import { vid, renderer } from './vid.js';
+import { vid, renderer, vid_antialias, vid_gamma, vid_contrast } from './vid.js';
 import { r_refdef, r_origin, vpn, vright, vup, entity_t } from './render.js';
 import {
-	M_PI, DotProduct, VectorCopy, VectorAdd, VectorSubtract, VectorMA,
+	M_PI, vec3_origin, DotProduct, VectorCopy, VectorAdd, VectorSubtract, VectorMA,
 	VectorNormalize, AngleVectors, Length, RotatePointAroundVector, BoxOnPlaneSide
 } from './mathlib.js';
-import { R_DrawWorld as R_DrawWorld_impl, R_MarkLeaves as R_MarkLeaves_impl, GL_BuildLightmaps as GL_BuildLightmaps_rsurf, R_DrawBrushModel as R_DrawBrushModel_rsurf, R_DrawWaterSurfaces as R_DrawWaterSurfaces_rsurf, R_CleanupWaterMeshes as R_CleanupWaterMeshes_rsurf } from './gl_rsurf.js';
+import { R_DrawWorld as R_DrawWorld_impl, R_MarkLeaves as R_MarkLeaves_impl, GL_BuildLightmaps as GL_BuildLightmaps_rsurf, R_DrawBrushModel as R_DrawBrushModel_rsurf, R_DrawWaterSurfaces as R_DrawWaterSurfaces_rsurf, R_CleanupWaterMeshes as R_CleanupWaterMeshes_rsurf, R_DrawMirrorSurfaces } from './gl_rsurf.js';
 import { Mod_PointInLeaf, Mod_LeafPVS, Mod_Extradata } from './gl_model.js';
-import { R_AnimateLight as R_AnimateLight_impl, R_PushDlights as R_PushDlights_impl, R_RenderDlights as R_RenderDlights_impl, R_LightPoint } from './gl_rlight.js';
-import { R_DrawAliasModel as R_DrawAliasModel_mesh } from './gl_mesh.js';
+import { R_AnimateLight as R_AnimateLight_impl, R_PushDlights as R_PushDlights_impl, R_RenderDlights as R_RenderDlights_impl, R_LightPoint, lightspot, lightcolor } from './gl_rlight.js';
+import { R_DrawAliasModel as R_DrawAliasModel_mesh, GL_DrawAliasShadow } from './gl_mesh.js';
 import { r_avertexnormal_dots } from './anorm_dots.js';
 import { V_SetContentsColor as V_SetContentsColor_view, V_CalcBlend as V_CalcBlend_view, v_blend as v_blend_view } from './view.js';
 import {
@@ -27,6 +27,8 @@ import {
 	cl_lightstyle
 } from './client.js';
 import { d_lightstylevalue } from './glquake.js';
+import { CONTENTS_WATER, CONTENTS_SLIME, CONTENTS_LAVA } from './bspfile.js';
+import { Fog_SetupFrame } from './gl_fog.js';
 export { GL_BuildLightmaps_rsurf as GL_BuildLightmaps };
 
 //============================================================================
@@ -114,7 +116,7 @@ export const cnttextures = [ - 1, - 1 ]; // cached
 export let particletexture = 0; // little dot for particles
 export let playertextures = 0; // up to 16 color translated skins
 
-export let mirrortexturenum = 0; // quake texturenum, not gltexturenum
+export let mirrortexturenum = - 1; // quake texturenum, not gltexturenum
 export let mirror = false;
 export let mirror_plane = null; // mplane_t pointer
 
@@ -145,6 +147,7 @@ export function set_r_oldviewleaf( v ) { r_oldviewleaf = v; }
 export function set_r_viewleaf( v ) { r_viewleaf = v; }
 export function set_mirror( v ) { mirror = v; }
 export function set_mirror_plane( v ) { mirror_plane = v; }
+export function set_mirrortexturenum( v ) { mirrortexturenum = v; }
 
 export let glx = 0, gly = 0, glwidth = 0, glheight = 0;
 
@@ -166,7 +169,11 @@ export const r_speeds = new cvar_t( 'r_speeds', '0' );
 export const r_fullbright = new cvar_t( 'r_fullbright', '0' );
 export const r_lightmap = new cvar_t( 'r_lightmap', '0' );
 export const r_shadows = new cvar_t( 'r_shadows', '0' );
+export const r_noshadow_list = new cvar_t( 'r_noshadow_list', 'progs/flame2.mdl,progs/flame.mdl,progs/bolt1.mdl,progs/bolt2.mdl,progs/bolt3.mdl,progs/laser.mdl' );
 export const r_mirroralpha = new cvar_t( 'r_mirroralpha', '1' );
+export const r_lerpmodels = new cvar_t( 'r_lerpmodels', '1' );
+export const r_lerpmove = new cvar_t( 'r_lerpmove', '1' );
+export const r_nolerp_list = new cvar_t( 'r_nolerp_list', 'progs/flame.mdl,progs/flame2.mdl,progs/braztall.mdl,progs/brazshrt.mdl,progs/longtrch.mdl,progs/flame_pyre.mdl,progs/v_saw.mdl,progs/v_xfist.mdl,progs/h2stuff/newfire.mdl' );
 export const r_wateralpha = new cvar_t( 'r_wateralpha', '1' );
 export const r_dynamic = new cvar_t( 'r_dynamic', '1' );
 export const r_novis = new cvar_t( 'r_novis', '0' );
@@ -186,6 +193,7 @@ export const gl_nocolors = new cvar_t( 'gl_nocolors', '0' );
 export const gl_keeptjunctions = new cvar_t( 'gl_keeptjunctions', '0' );
 export const gl_reporttjunctions = new cvar_t( 'gl_reporttjunctions', '0' );
 export const gl_doubleeyes = new cvar_t( 'gl_doubleeyes', '1' );
+export const gl_fullbrights = new cvar_t( 'gl_fullbrights', '1', true );
 export const gl_ztrick = new cvar_t( 'gl_ztrick', '1' );
 export const gl_max_size = new cvar_t( 'gl_max_size', '1024' );
 
@@ -591,6 +599,9 @@ export function R_DrawViewModel() {
 
 const SHADEDOT_QUANT = 16;
 
+const shadevector = new Float32Array( 3 );
+const shadecolor = new Float32Array( 3 );
+
 // Track entity meshes currently in the scene for efficient add/remove
 let _entityMeshesInScene = new Set();
 let _entityMeshesThisFrame = new Set();
@@ -607,11 +618,15 @@ function R_DrawAliasModel( e ) {
 	let ambientlight = 0;
 	let shadelight = 0;
 	let shadedots = null;
+	let colorlevel = 0; // level of lightcolor, 0 leaves the light white
 
 	if ( cl && e.origin ) {
 
 		ambientlight = shadelight = R_LightPoint( e.origin, cl );
 
+		// colored light (.lit files) only tints, the level below stays the same
+		colorlevel = ( lightcolor[ 0 ] + lightcolor[ 1 ] + lightcolor[ 2 ] ) / 3;
+
 		// always give the gun some light
 		if ( e === cl.viewent && ambientlight < 24 )
 			ambientlight = shadelight = 24;
@@ -640,17 +655,30 @@ function R_DrawAliasModel( e ) {
 
 		// HACK HACK HACK -- no fullbright colors, so make torches full light
 		const clmodel = e.model;
-		if ( clmodel.name === 'progs/flame2.mdl' || clmodel.name === 'progs/flame.mdl' )
+		if ( clmodel.name === 'progs/flame2.mdl' || clmodel.name === 'progs/flame.mdl' ) {
+
 			ambientlight = shadelight = 256;
+			colorlevel = 0;
+
+		}
 
 		// select shadedots row based on yaw angle
 		const yaw = e.angles ? e.angles[ 1 ] : 0;
 		shadedots = r_avertexnormal_dots[ ( ( yaw * ( SHADEDOT_QUANT / 360.0 ) ) | 0 ) & ( SHADEDOT_QUANT - 1 ) ];
 		shadelight = shadelight / 200.0;
 
+		for ( let i = 0; i < 3; i ++ )
+			shadecolor[ i ] = colorlevel > 0 ? shadelight * lightcolor[ i ] / colorlevel : shadelight;
+
+		const an = yaw / 180 * M_PI;
+		shadevector[ 0 ] = Math.cos( - an );
+		shadevector[ 1 ] = Math.sin( - an );
+		shadevector[ 2 ] = 1;
+		VectorNormalize( shadevector );
+
 	}
 
-	const mesh = R_DrawAliasModel_mesh( e, paliashdr, shadedots, shadelight );
+	const mesh = R_DrawAliasModel_mesh( e, paliashdr, shadedots, shadedots ? shadecolor : undefined );
 	if ( mesh && scene ) {
 
 		if ( ! _entityMeshesInScene.has( mesh ) ) {
@@ -664,10 +692,48 @@ function R_DrawAliasModel( e ) {
 
 	}
 
+	if ( mesh && scene && r_shadows.value && cl && e.origin && e !== cl.viewent && ! R_ModelInList( e.model, r_noshadow_list ) ) {
+
+		// lightspot is where R_LightPoint's trace hit the floor
+		const shadow = GL_DrawAliasShadow( e, paliashdr, lightspot, shadevector );
+		if ( shadow ) {
+
+			if ( ! _entityMeshesInScene.has( shadow ) ) {
+
+				scene.add( shadow );
+				_entityMeshesInScene.add( shadow );
+
+			}
+
+			_entityMeshesThisFrame.add( shadow );
+
+		}
+
+	}
+
 	c_alias_polys ++;
 
 }
 
+// r_noshadow_list and r_nolerp_list are comma separated model names, the
+// answer is kept on the model until the list changes
+export function R_ModelInList( model, list ) {
+
+	if ( ! model._inlist )
+		model._inlist = {};
+
+	let cached = model._inlist[ list.name ];
+	if ( ! cached || cached.string !== list.string ) {
+
+		cached = { string: list.string, value: list.string.split( ',' ).indexOf( model.name ) !== - 1 };
+		model._inlist[ list.name ] = cached;
+
+	}
+
+	return cached.value;
+
+}
+
 //============================================================================
 // R_DrawBrushModel (stub -- full implementation in gl_rsurf.js)
 //============================================================================
@@ -845,6 +911,133 @@ export function R_PolyBlend() {
 
 }
 
+//============================================================================
+// R_PostProcess
+//
+// The view is rendered into post_target and this pass draws it to the
+// screen, with software Quake's underwater screen warp (D_WarpScreen) while
+// r_viewleaf is in a liquid and the gamma curve and contrast that GLQuake
+// left to the hardware gamma ramp. three.js leaves tone mapping and the sRGB
+// conversion out of render targets, so they happen here too.
+//============================================================================
+
+// D_WarpScreen's constants, in pixels of a 320x200 screen
+const WARP_AMP = 8;
+const WARP_CYCLE = 128;
+const WARP_SPEED = 20;
+
+let post_target = null; // THREE.WebGLRenderTarget
+let post_size = null; // THREE.Vector2
+let postMesh = null;
+let postScene = null;
+let postCamera = null;
+
+function R_PostTarget() {
+
+	if ( post_target === null ) {
+
+		post_size = new THREE.Vector2();
+		post_target = new THREE.WebGLRenderTarget( 1, 1, { type: THREE.HalfFloatType } );
+
+	}
+
+	renderer.getDrawingBufferSize( post_size );
+	if ( post_target.width !== post_size.x || post_target.height !== post_size.y )
+		post_target.setSize( post_size.x, post_size.y );
+
+	// the multisampled buffers are made with the target, make them again
+	const samples = vid_antialias.value ? 4 : 0;
+	if ( post_target.samples !== samples ) {
+
+		post_target.dispose();
+		post_target.samples = samples;
+
+	}
+
+	return post_target;
+
+}
+
+function R_PostProcess() {
+
+	if ( postScene === null ) {
+
+		postScene = new THREE.Scene();
+		postCamera = new THREE.OrthographicCamera( - 1, 1, 1, - 1, 0, 1 );
+
+		const material = new THREE.ShaderMaterial( {
+			uniforms: {
+				tDiffuse: { value: null },
+				warp: { value: 0 },
+				time: { value: 0 },
+				gamma: { value: 1 },
+				contrast: { value: 1 }
+			},
+			vertexShader: /* glsl */`
+				varying vec2 vUv;
+
+				void main() {
+
+					vUv = uv;
+					gl_Position = vec4( position.xy, 0.0, 1.0 );
+
+				}
+			`,
+			fragmentShader: /* glsl */`
+				uniform sampler2D tDiffuse;
+				uniform float warp;
+				uniform float time;
+				uniform float gamma;
+				uniform float contrast;
+				varying vec2 vUv;
+
+				void main() {
+
+					vec2 uv = vUv;
+
+					if ( warp > 0.0 ) {
+
+						// squeezed in by the amplitude on each side so the
+						// wave never samples past the edges
+						vec2 amp = vec2( ${WARP_AMP}.0 / 320.0, ${WARP_AMP}.0 / 200.0 );
+						vec2 p = vUv.yx * vec2( 200.0, 320.0 ) + time * ${WARP_SPEED}.0;
+						uv = uv * ( 1.0 - 2.0 * amp ) + amp + amp * sin( p * ( 6.28318531 / ${WARP_CYCLE}.0 ) );
+
+					}
+
+					gl_FragColor = texture2D( tDiffuse, uv );
+
+					#include <tonemapping_fragment>
+					#include <colorspace_fragment>
+
+					gl_FragColor.rgb = pow( max( gl_FragColor.rgb * contrast, 0.0 ), vec3( gamma ) );
+					gl_FragColor.a = 1.0;
+
+				}
+			`,
+			depthTest: false,
+			depthWrite: false
+		} );
+
+		postMesh = new THREE.Mesh( new THREE.PlaneGeometry( 2, 2 ), material );
+		postMesh.frustumCulled = false;
+		postScene.add( postMesh );
+
+	}
+
+	const contents = r_viewleaf ? r_viewleaf.contents : 0;
+	const uniforms = postMesh.material.uniforms;
+	uniforms.tDiffuse.value = post_target.texture;
+	uniforms.warp.value = r_waterwarp.value && ( contents === CONTENTS_WATER ||
+		contents === CONTENTS_SLIME || contents === CONTENTS_LAVA ) ? 1 : 0;
+	uniforms.time.value = cl ? cl.time : 0;
+	uniforms.gamma.value = vid_gamma;
+	uniforms.contrast.value = vid_contrast;
+
+	renderer.render( postScene, postCamera );
+
+}
+
 //============================================================================
 // R_RenderScene
 //
@@ -917,8 +1110,15 @@ export function R_RenderView() {
 
 	mirror = false;
 
+	// everything up to R_PostProcess goes to the scene target
+	if ( renderer )
+		renderer.setRenderTarget( R_PostTarget() );
+
 	R_Clear();
 
+	if ( scene )
+		Fog_SetupFrame( scene );
+
 	// render normal view
 	R_RenderScene();
 	R_DrawViewModel();
@@ -927,8 +1127,6 @@ export function R_RenderView() {
 	// render mirror view
 	R_Mirror();
 
-	R_PolyBlend();
-
 	// Present the frame via Three.js
 	if ( renderer && scene && camera ) {
 
@@ -936,6 +1134,16 @@ export function R_RenderView() {
 
 	}
 
+	// drawn over the rendered scene
+	R_PolyBlend();
+
+	if ( renderer ) {
+
+		renderer.setRenderTarget( null );
+		R_PostProcess();
+
+	}
+
 	// Clean up water meshes AFTER rendering (they need to exist during render)
 	R_CleanupWaterMeshes_rsurf();
 
@@ -949,17 +1157,215 @@ export function R_RenderView() {
 }
 
 //============================================================================
-// R_Mirror (stub)
+// R_Mirror
+//
+// GLQuake drew the reflected view straight into the framebuffer. Here the
+// scene is rendered from the reflected camera into mirror_target instead,
+// and R_DrawMirrorSurfaces projects it onto the mirror surfaces. The near
+// plane of the reflected view is replaced by the mirror plane (oblique
+// clipping) so nothing behind the mirror shows up in it.
 //============================================================================
 
+let mirror_target = null; // THREE.WebGLRenderTarget
+let mirror_material = null; // THREE.ShaderMaterial
+
+// created with the material, see R_MirrorMaterial
+let mirror_size = null; // THREE.Vector2
+let mirror_texturematrix = null; // THREE.Matrix4
+let mirror_clipplane = null; // THREE.Plane
+let mirror_clip = null; // THREE.Vector4
+let mirror_q = null; // THREE.Vector4
+
+const mirror_normal = new Float32Array( 3 );
+const mirror_vieworg = new Float32Array( 3 );
+const mirror_viewangles = new Float32Array( 3 );
+
+function R_MirrorMaterial() {
+
+	if ( mirror_material )
+		return mirror_material;
+
+	mirror_size = new THREE.Vector2();
+	mirror_texturematrix = new THREE.Matrix4();
+	mirror_clipplane = new THREE.Plane();
+	mirror_clip = new THREE.Vector4();
+	mirror_q = new THREE.Vector4();
+
+	mirror_target = new THREE.WebGLRenderTarget( 1, 1, { type: THREE.HalfFloatType } );
+
+	mirror_material = new THREE.ShaderMaterial( {
+		uniforms: {
+			mirrorMap: { value: mirror_target.texture },
+			textureMatrix: { value: mirror_texturematrix },
+			opacity: { value: 1 }
+		},
+		vertexShader: /* glsl */`
+			uniform mat4 textureMatrix;
+			varying vec4 vMirrorCoord;
+
+			void main() {
+
+				vMirrorCoord = textureMatrix * modelMatrix * vec4( position, 1.0 );
+				gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );
+
+			}
+		`,
+		fragmentShader: /* glsl */`
+			uniform sampler2D mirrorMap;
+			uniform float opacity;
+			varying vec4 vMirrorCoord;
+
+			void main() {
+
+				gl_FragColor = vec4( texture2DProj( mirrorMap, vMirrorCoord ).rgb, opacity );
+
+				#include <tonemapping_fragment>
+				#include <colorspace_fragment>
+
+			}
+		`,
+		transparent: true,
+		depthWrite: false,
+		// drawn over the mirror texture the world already has there
+		polygonOffset: true,
+		polygonOffsetFactor: - 1,
+		polygonOffsetUnits: - 1
+	} );
+
+	return mirror_material;
+
+}
+
 function R_Mirror() {
 
 	if ( ! mirror )
 		return;
 
-	// TODO: full mirror implementation
-	// Save r_base_world_matrix, reflect vieworg across mirror_plane,
-	// re-render scene, blend on top
+	if ( ! renderer || ! scene || ! camera )
+		return;
+
+	const material = R_MirrorMaterial();
+
+	renderer.getDrawingBufferSize( mirror_size );
+	if ( mirror_target.width !== mirror_size.x || mirror_target.height !== mirror_size.y )
+		mirror_target.setSize( mirror_size.x, mirror_size.y );
+
+	// reflect from the side of the mirror the view is on
+	let dist = mirror_plane.dist;
+	VectorCopy( mirror_plane.normal, mirror_normal );
+	let d = DotProduct( r_refdef.vieworg, mirror_normal ) - dist;
+	if ( d < 0 ) {
+
+		VectorSubtract( vec3_origin, mirror_normal, mirror_normal );
+		dist = - dist;
+		d = - d;
+
+	}
+
+	VectorCopy( r_refdef.vieworg, mirror_vieworg );
+	VectorCopy( r_refdef.viewangles, mirror_viewangles );
+
+	VectorMA( r_refdef.vieworg, - 2 * d, mirror_normal, r_refdef.vieworg );
+
+	d = DotProduct( vpn, mirror_normal );
+	VectorMA( vpn, - 2 * d, mirror_normal, vpn );
+
+	r_refdef.viewangles[ 0 ] = - Math.asin( vpn[ 2 ] ) / M_PI * 180;
+	r_refdef.viewangles[ 1 ] = Math.atan2( vpn[ 1 ], vpn[ 0 ] ) / M_PI * 180;
+	r_refdef.viewangles[ 2 ] = - r_refdef.viewangles[ 2 ];
+
+	VectorCopy( r_refdef.vieworg, r_origin );
+	AngleVectors( r_refdef.viewangles, vpn, vright, vup );
+	R_SetFrustum();
+	R_SetupGL();
+
+	// brush models were only added if the normal view could see them
+	if ( r_drawentities.value ) {
+
+		for ( let i = 0; i < cl_numvisedicts; i ++ ) {
+
+			currententity = cl_visedicts[ i ];
+			if ( currententity && currententity.model && currententity.model.type === mod_brush )
+				R_DrawBrushModel( currententity );
+
+		}
+
+	}
+
+	// CL_RelinkEntities leaves out the player's own entity, but it does
+	// show up in the mirror
+	const player = cl_entities[ cl.viewentity ];
+	if ( r_drawentities.value && player.model && player.model.type === mod_alias )
+		R_DrawAliasModel( player );
+
+	const gun = cl.viewent._aliasMesh;
+	const gunvisible = gun ? gun.visible : false;
+	if ( gun )
+		gun.visible = false;
+
+	// projects world positions into the reflection for the mirror surfaces
+	mirror_texturematrix.set(
+		0.5, 0.0, 0.0, 0.5,
+		0.0, 0.5, 0.0, 0.5,
+		0.0, 0.0, 0.5, 0.5,
+		0.0, 0.0, 0.0, 1.0
+	);
+	mirror_texturematrix.multiply( camera.projectionMatrix );
+	mirror_texturematrix.multiply( camera.matrixWorldInverse );
+
+	// clip to the viewer's side of the mirror plane
+	mirror_clipplane.normal.set( mirror_normal[ 0 ], mirror_normal[ 1 ], mirror_normal[ 2 ] );
+	mirror_clipplane.constant = - dist;
+	mirror_clipplane.applyMatrix4( camera.matrixWorldInverse );
+	mirror_clip.set( mirror_clipplane.normal.x, mirror_clipplane.normal.y,
+		mirror_clipplane.normal.z, mirror_clipplane.constant );
+
+	const proj = camera.projectionMatrix.elements;
+	mirror_q.x = ( Math.sign( mirror_clip.x ) + proj[ 8 ] ) / proj[ 0 ];
+	mirror_q.y = ( Math.sign( mirror_clip.y ) + proj[ 9 ] ) / proj[ 5 ];
+	mirror_q.z = - 1.0;
+	mirror_q.w = ( 1.0 + proj[ 10 ] ) / proj[ 14 ];
+	mirror_clip.multiplyScalar( 2.0 / mirror_clip.dot( mirror_q ) );
+	proj[ 2 ] = mirror_clip.x;
+	proj[ 6 ] = mirror_clip.y;
+	proj[ 10 ] = mirror_clip.z + 1.0;
+	proj[ 14 ] = mirror_clip.w;
+	camera.projectionMatrixInverse.copy( camera.projectionMatrix ).invert();
+
+	material.visible = false;
+
+	const target = renderer.getRenderTarget();
+	renderer.setRenderTarget( mirror_target );
+	renderer.clear( true, true, false );
+	renderer.render( scene, camera );
+	renderer.setRenderTarget( target );
+
+	material.visible = true;
+
+	if ( gun )
+		gun.visible = gunvisible;
+
+	for ( const mesh of [ player._aliasMesh, player._shadowMesh ] ) {
+
+		if ( mesh ) {
+
+			scene.remove( mesh );
+			_entityMeshesInScene.delete( mesh );
+
+		}
+
+	}
+
+	// back to the normal view
+	VectorCopy( mirror_vieworg, r_refdef.vieworg );
+	VectorCopy( mirror_viewangles, r_refdef.viewangles );
+	VectorCopy( r_refdef.vieworg, r_origin );
+	AngleVectors( r_refdef.viewangles, vpn, vright, vup );
+	R_SetFrustum();
+	R_SetupGL();
+
+	material.uniforms.opacity.value = Math.min( Math.max( 1 - r_mirroralpha.value, 0 ), 1 );
+	R_DrawMirrorSurfaces( material );
 
 }
 
@@ -3,18 +3,24 @@
 import * as THREE from 'three';
 import { Sys_FloatTime } from './sys.js';
 import { Con_Printf } from './common.js';
+import { Cmd_AddCommand as Cmd_AddCommand_impl } from './cmd.js';
 import { Cvar_RegisterVariable as Cvar_RegisterVariable_impl, Cvar_SetValue as Cvar_SetValue_impl } from './cvar.js';
 import { d_lightstylevalue, r_viewleaf, r_norefresh, r_lightmap,
-	r_fullbright, r_drawentities, r_drawviewmodel, r_shadows,
-	r_mirroralpha, r_wateralpha, r_dynamic, r_novis, r_speeds,
+	r_fullbright, r_drawentities, r_drawviewmodel,
+	r_wateralpha, r_dynamic, r_novis, r_speeds,
 	gl_clear, gl_texsort, gl_cull, gl_smoothmodels, gl_affinemodels,
 	gl_polyblend, gl_flashblend, gl_playermip, gl_nocolors,
 	gl_keeptjunctions, gl_reporttjunctions, gl_doubleeyes, gl_texturemode,
+	gl_texturemode_external, gl_texturemode_external_url, gl_texture_anisotropy,
 	gl_mtexable, skytexturenum, mirrortexturenum,
 	getTextureExtensionNumber, particletexture, playertextures,
 	envmap } from './glquake.js';
-import { r_worldentity, R_Init as R_Init_rmain, GL_BuildLightmaps as GL_BuildLightmaps_impl } from './gl_rmain.js';
+import { r_worldentity, R_Init as R_Init_rmain, GL_BuildLightmaps as GL_BuildLightmaps_impl,
+	r_mirroralpha, set_mirrortexturenum, r_shadows, r_noshadow_list,
+	r_lerpmodels, r_lerpmove, r_nolerp_list, gl_fullbrights } from './gl_rmain.js';
 import { set_skytexturenum as set_skytexturenum_rsurf } from './gl_rsurf.js';
+import { R_LoadSkys, R_Sky_f } from './gl_warp.js';
+import { Fog_Init, Fog_NewMap } from './gl_fog.js';
 import { cl, cl_entities } from './client.js';
 import { d_8to24table } from './vid.js';
 
@@ -222,6 +228,11 @@ export function R_Init() {
 
 	}
 
+	const _Cmd_AddCommand = Cmd_AddCommand || Cmd_AddCommand_impl;
+	_Cmd_AddCommand( 'sky', R_Sky_f );
+
+	Fog_Init();
+
 	// Register cvars
 	const _Cvar_RegisterVariable = Cvar_RegisterVariable || Cvar_RegisterVariable_impl;
 	const _Cvar_SetValue = Cvar_SetValue || Cvar_SetValue_impl;
@@ -233,6 +244,10 @@ export function R_Init() {
 		_Cvar_RegisterVariable( r_drawentities );
 		_Cvar_RegisterVariable( r_drawviewmodel );
 		_Cvar_RegisterVariable( r_shadows );
+		_Cvar_RegisterVariable( r_noshadow_list );
+		_Cvar_RegisterVariable( r_lerpmodels );
+		_Cvar_RegisterVariable( r_lerpmove );
+		_Cvar_RegisterVariable( r_nolerp_list );
 		_Cvar_RegisterVariable( r_mirroralpha );
 		_Cvar_RegisterVariable( r_wateralpha );
 		_Cvar_RegisterVariable( r_dynamic );
@@ -260,8 +275,12 @@ export function R_Init() {
 		_Cvar_RegisterVariable( gl_reporttjunctions );
 
 		_Cvar_RegisterVariable( gl_doubleeyes );
+		_Cvar_RegisterVariable( gl_fullbrights );
 
 		_Cvar_RegisterVariable( gl_texturemode );
+		_Cvar_RegisterVariable( gl_texturemode_external );
+		_Cvar_RegisterVariable( gl_texturemode_external_url );
+		_Cvar_RegisterVariable( gl_texture_anisotropy );
 
 	}
 
@@ -423,6 +442,12 @@ export function R_NewMap( cl ) {
 
 	// Set sky texture number in gl_rsurf.js for DrawTextureChains
 	set_skytexturenum_rsurf( skyTexNum );
+	set_mirrortexturenum( mirrorTexNum );
+
+	// skybox from the worldspawn, or back to the sky layers
+	R_LoadSkys( cl.worldmodel ? cl.worldmodel.skyname : '' );
+
+	Fog_NewMap();
 
 	return {
 		worldEntity: r_worldentity,
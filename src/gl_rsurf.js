@@ -11,12 +11,17 @@ function createQuakeLightmapMaterial( diffuseMap, lightmapTex ) {
 
 	// Use MeshLambertMaterial so surfaces respond to Three.js PointLights
 	// for dynamic lighting effects (explosions, muzzle flashes, etc.)
-	return new THREE.MeshLambertMaterial( {
+	const material = new THREE.MeshLambertMaterial( {
 		map: diffuseMap,
 		lightMap: lightmapTex,
 		lightMapIntensity: 2
 	} );
 
+	R_SetTextureLayers( material );
+	lightmappedMaterials.add( material );
+
+	return material;
+
 }
 import { cl, cl_dlights } from './client.js';
 import {
@@ -33,7 +38,7 @@ import {
 	d_lightstylevalue, r_world_matrix,
 	r_norefresh, r_drawentities, r_drawworld, r_fullbright,
 	r_lightmap, r_dynamic, r_wateralpha, r_mirroralpha, r_novis,
-	gl_texsort, gl_flashblend, gl_keeptjunctions,
+	gl_texsort, gl_fullbrights, gl_flashblend, gl_keeptjunctions,
 	R_CullBox, scene, gldepthmin, gldepthmax,
 	r_viewleaf, r_oldviewleaf,
 	inc_r_visframecount, set_r_framecount,
@@ -45,6 +50,7 @@ import {
 	AngleVectors, Length
 } from './mathlib.js';
 import { Mod_LeafPVS, solidskytexture, alphaskytexture } from './gl_model.js';
+import { skyboxname, skyboxtextures } from './gl_warp.js';
 import { realtime } from './host.js';
 
 //============================================================================
@@ -71,7 +77,7 @@ export function set_skytexturenum( v ) { skytexturenum = v; }
 let lightmap_bytes = 1; // 1, 2, or 4
 let lightmap_textures = 0;
 
-const blocklights = new Uint32Array( 18 * 18 );
+const blocklights = new Uint32Array( 18 * 18 * 3 ); // RGB
 
 let active_lightmaps = 0;
 
@@ -176,6 +182,10 @@ const instanceVisInfo = [];
 // All BatchedMesh objects for the world (one per texture/lightmap combo)
 const worldBatchedMeshes = [];
 
+// Lightmapped materials, kept in step with their texture's fullbright and
+// normal map layers by R_SetTextureLayers
+const lightmappedMaterials = new Set();
+
 // Pre-allocated scratch arrays to avoid per-frame allocations
 const _cullBoxMaxs = new Float32Array( 3 ); // for R_CullBox in R_RecursiveWorldNode
 
@@ -595,106 +605,60 @@ function EmitWaterPolysQuake( fa, realtime ) {
 //============================================================================
 // EmitSkyPolysQuake
 //
-// Builds sky geometry in Quake coordinate space.
-// layer: 0 = solid layer, 1 = alpha layer
+// Builds sky geometry in Quake coordinate space. Only the positions are
+// needed, the sky shader works out where each pixel looks at.
 //============================================================================
 
-function EmitSkyPolysQuake( fa, speedscale, layer ) {
+function EmitSkyPolysQuake( fa ) {
 
-	// Sky positions are static per surface; UVs depend on camera origin and speedscale.
-	// Cache the geometry and positions; update UVs in place each frame.
+	if ( fa._skyGeoCache )
+		return fa._skyGeoCache;
 
-	// We use two caches per surface: _skyGeoCache (solid layer) and _skyGeoCache2 (alpha layer)
-	const cacheKey = layer === 1 ? '_skyGeoCache2' : '_skyGeoCache';
-	let cached = fa[ cacheKey ];
+	const posArr = [];
+	const idxArr = [];
+	let vertexCount = 0;
 
-	if ( ! cached ) {
+	for ( let p = fa.polys; p; p = p.next ) {
 
-		// First time: build positions and indices
-		const posArr = [];
-		const idxArr = [];
-		let vertexCount = 0;
+		const startVert = vertexCount;
+		const numverts = p.numverts;
 
-		for ( let p = fa.polys; p; p = p.next ) {
-
-			const startVert = vertexCount;
-			const numverts = p.numverts;
-
-			for ( let i = 0; i < numverts; i ++ ) {
-
-				let vx, vy, vz;
-
-				if ( p.verts instanceof Float32Array ) {
-
-					const vi = i * VERTEXSIZE;
-					vx = p.verts[ vi + 0 ];
-					vy = p.verts[ vi + 1 ];
-					vz = p.verts[ vi + 2 ];
+		for ( let i = 0; i < numverts; i ++ ) {
 
-				} else {
+			if ( p.verts instanceof Float32Array ) {
 
-					const v = p.verts[ i ];
-					vx = v[ 0 ];
-					vy = v[ 1 ];
-					vz = v[ 2 ];
+				const vi = i * VERTEXSIZE;
+				posArr.push( p.verts[ vi + 0 ], p.verts[ vi + 1 ], p.verts[ vi + 2 ] );
 
-				}
+			} else {
 
-				posArr.push( vx, vy, vz );
-				vertexCount ++;
+				const v = p.verts[ i ];
+				posArr.push( v[ 0 ], v[ 1 ], v[ 2 ] );
 
 			}
 
-			for ( let i = 2; i < numverts; i ++ ) {
-
-				idxArr.push( startVert, startVert + i - 1, startVert + i );
-
-			}
+			vertexCount ++;
 
 		}
 
-		if ( posArr.length === 0 )
-			return null;
+		for ( let i = 2; i < numverts; i ++ ) {
 
-		const positions = new Float32Array( posArr );
-		const uvs = new Float32Array( vertexCount * 2 );
+			idxArr.push( startVert, startVert + i - 1, startVert + i );
 
-		const geometry = new THREE.BufferGeometry();
-		geometry.setAttribute( 'position', new THREE.BufferAttribute( positions, 3 ) );
-		geometry.setAttribute( 'uv', new THREE.BufferAttribute( uvs, 2 ) );
-		geometry.setIndex( idxArr );
-
-		cached = { geometry, positions, uvs, vertexCount };
-		fa[ cacheKey ] = cached;
+		}
 
 	}
 
-	// Update UVs based on current camera origin and speedscale
-	const pos = cached.positions;
-	const uvs = cached.uvs;
-	const count = cached.vertexCount;
-
-	for ( let i = 0; i < count; i ++ ) {
-
-		const vx = pos[ i * 3 ];
-		const vy = pos[ i * 3 + 1 ];
-		const vz = pos[ i * 3 + 2 ];
-
-		let dx = vx - r_origin[ 0 ];
-		let dy = vy - r_origin[ 1 ];
-		let dz = ( vz - r_origin[ 2 ] ) * 3; // flatten the sphere
-
-		let length = Math.sqrt( dx * dx + dy * dy + dz * dz );
-		length = 6 * 63 / length;
+	if ( posArr.length === 0 )
+		return null;
 
-		uvs[ i * 2 ] = ( speedscale + dx * length ) * ( 1.0 / 128 );
-		uvs[ i * 2 + 1 ] = ( speedscale + dy * length ) * ( 1.0 / 128 );
+	const geometry = new THREE.BufferGeometry();
+	geometry.setAttribute( 'position', new THREE.BufferAttribute( new Float32Array( posArr ), 3 ) );
+	geometry.setIndex( idxArr );
 
-	}
+	fa._skyGeoCache = geometry;
 
-	cached.geometry.attributes.uv.needsUpdate = true;
-
-	return cached.geometry;
+	return geometry;
 
 }
 
@@ -772,7 +736,9 @@ export function R_RenderBrushPoly( fa ) {
 	if ( fa.flags & SURF_DRAWSKY ) {
 
 		// warp texture, no lightmaps
-		// EmitBothSkyLayers(fa) -- TODO
+		const material = R_SkyMaterial();
+		if ( material )
+			EmitBothSkyLayers( fa, material );
 		return;
 
 	}
@@ -1013,6 +979,7 @@ export function R_AddDynamicLights( surf ) {
 			continue; // not lit by this light
 
 		const dl = cl_dlights[ lnum ];
+		const color = dl.color;
 		let rad = dl.radius;
 		let dist = DotProduct( dl.origin, surf.plane.normal ) - surf.plane.dist;
 		rad -= Math.abs( dist );
@@ -1050,8 +1017,15 @@ export function R_AddDynamicLights( surf ) {
 				else
 					dist = td + ( sd >> 1 );
 
-				if ( dist < minlight )
-					blocklights[ t * smax + s ] += ( ( rad - dist ) * 256 ) | 0;
+				if ( dist < minlight ) {
+
+					const bl = ( t * smax + s ) * 3;
+					const amount = ( rad - dist ) * 256;
+					blocklights[ bl ] += ( amount * color[ 0 ] ) | 0;
+					blocklights[ bl + 1 ] += ( amount * color[ 1 ] ) | 0;
+					blocklights[ bl + 2 ] += ( amount * color[ 2 ] ) | 0;
+
+				}
 
 			}
 
@@ -1080,13 +1054,13 @@ export function R_BuildLightMap( surf, dest, destOffset, stride ) {
 	// set to full bright if no light data
 	if ( r_fullbright.value || ! lightmap ) {
 
-		for ( let i = 0; i < size; i ++ )
+		for ( let i = 0; i < size * 3; i ++ )
 			blocklights[ i ] = 255 * 256;
 
 	} else {
 
 		// clear to no light
-		for ( let i = 0; i < size; i ++ )
+		for ( let i = 0; i < size * 3; i ++ )
 			blocklights[ i ] = 0;
 
 		// add all the lightmaps
@@ -1096,9 +1070,9 @@ export function R_BuildLightMap( surf, dest, destOffset, stride ) {
 
 				const scale = d_lightstylevalue[ surf.styles[ maps ] ];
 				surf.cached_light[ maps ] = scale; // 8.8 fraction
-				for ( let i = 0; i < size; i ++ )
+				for ( let i = 0; i < size * 3; i ++ )
 					blocklights[ i ] += lightmap[ lightmapOffset + i ] * scale;
-				lightmapOffset += size; // skip to next lightmap
+				lightmapOffset += size * 3; // skip to next lightmap
 
 			}
 
@@ -1111,8 +1085,8 @@ export function R_BuildLightMap( surf, dest, destOffset, stride ) {
 	}
 
 	// bound, invert, and shift
-	// store as luminance (single byte per texel)
-	stride -= smax;
+	// store as RGBA (four bytes per texel)
+	stride -= smax * 4;
 	let bl = 0; // index into blocklights
 	let di = destOffset;
 
@@ -1120,11 +1094,17 @@ export function R_BuildLightMap( surf, dest, destOffset, stride ) {
 
 		for ( let j = 0; j < smax; j ++ ) {
 
-			let t = blocklights[ bl ++ ];
-			t >>= 7;
-			if ( t > 255 ) t = 255;
-			dest[ di ] = 255 - t;
-			di ++;
+			for ( let c = 0; c < 3; c ++ ) {
+
+				let t = blocklights[ bl ++ ];
+				t >>= 7;
+				if ( t > 255 ) t = 255;
+				dest[ di + c ] = 255 - t;
+
+			}
+
+			dest[ di + 3 ] = 255;
+			di += 4;
 
 		}
 
@@ -1432,6 +1412,34 @@ export function R_RecursiveWorldNode( node ) {
 // R_DrawWorld
 //============================================================================
 
+/*
+================
+R_SetTextureLayers
+
+the fullbright texels of the material's texture are added on top of the
+lightmapped texture while gl_fullbrights is set; an external texture can
+bring its own fullbright (_glow) and normal map (_norm) after it has loaded
+================
+*/
+function R_SetTextureLayers( material ) {
+
+	const layers = material.map.userData;
+	const fullbright = gl_fullbrights.value && layers.fullbright || null;
+	const normalmap = layers.normalmap || null;
+
+	if ( material.emissiveMap === fullbright && material.normalMap === normalmap )
+		return;
+
+	if ( ( material.emissiveMap === null ) !== ( fullbright === null ) ||
+		( material.normalMap === null ) !== ( normalmap === null ) )
+		material.needsUpdate = true;
+
+	material.emissiveMap = fullbright;
+	material.emissive.setHex( fullbright ? 0xffffff : 0x000000 );
+	material.normalMap = normalmap;
+
+}
+
 export function R_DrawWorld() {
 
 	const cl_ref = cl;
@@ -1457,6 +1465,9 @@ export function R_DrawWorld() {
 	// Begin new water/sky frame: clear "this frame" set
 	_waterMeshesThisFrame = new Set();
 
+	for ( const material of lightmappedMaterials )
+		R_SetTextureLayers( material );
+
 	// Remove brush entity groups from scene (don't dispose - they're cached on entities)
 	for ( let i = 0; i < brushEntityGroups.length; i ++ ) {
 
@@ -1593,13 +1604,12 @@ export function R_BlendLightmaps() {
 				const dstData = tex.image.data;
 				const pixelCount = BLOCK_WIDTH * BLOCK_HEIGHT;
 
-				for ( let p = 0; p < pixelCount; p ++ ) {
+				for ( let p = 0; p < pixelCount * 4; p += 4 ) {
 
-					const val = 255 - lightmaps[ srcOffset + p ];
-					dstData[ p * 4 ] = val;
-					dstData[ p * 4 + 1 ] = val;
-					dstData[ p * 4 + 2 ] = val;
-					dstData[ p * 4 + 3 ] = 255;
+					dstData[ p ] = 255 - lightmaps[ srcOffset + p ];
+					dstData[ p + 1 ] = 255 - lightmaps[ srcOffset + p + 1 ];
+					dstData[ p + 2 ] = 255 - lightmaps[ srcOffset + p + 2 ];
+					dstData[ p + 3 ] = 255;
 
 				}
 
@@ -1769,128 +1779,270 @@ function R_MirrorChain( s ) {
 }
 
 //============================================================================
-// R_DrawSkyChain
+// R_DrawMirrorSurfaces
+//
+// Called from R_Mirror once the reflection has been rendered, draws it
+// over the mirror surfaces R_MirrorChain left in the texture chain
 //============================================================================
 
-let solidSkyMaterial = null;
-let alphaSkyMaterial = null;
+export function R_DrawMirrorSurfaces( material ) {
 
-function R_DrawSkyChain( s ) {
+	const cl_ref = cl;
+	if ( ! cl_ref || ! cl_ref.worldmodel || ! worldGroup ) return;
 
-	if ( ! worldGroup ) return;
+	const t = cl_ref.worldmodel.textures[ mirrortexturenum ];
+	if ( ! t ) return;
 
-	// Create or update sky materials from the sky textures
-	if ( solidskytexture && ! solidSkyMaterial ) {
+	for ( let s = t.texturechain; s; s = s.texturechain ) {
 
-		solidSkyMaterial = new THREE.MeshBasicMaterial( {
-			map: solidskytexture,
-			side: THREE.DoubleSide
-		} );
+		if ( ! s.polys ) continue;
+
+		// world surfaces don't move, build the geometry once
+		let geometry = s._mirrorGeometry;
+		if ( ! geometry ) {
+
+			geometry = DrawGLPoly( s.polys, s.plane.normal );
+			if ( ! geometry ) continue;
+			s._mirrorGeometry = geometry;
+
+		}
+
+		_getWaterMesh( s, geometry, material, worldGroup );
 
 	}
 
-	if ( alphaskytexture && ! alphaSkyMaterial ) {
+	t.texturechain = null;
 
-		alphaSkyMaterial = new THREE.MeshBasicMaterial( {
-			map: alphaskytexture,
-			side: THREE.DoubleSide,
-			transparent: true,
-			alphaTest: 0.05
-		} );
+}
+
+//============================================================================
+// R_DrawSkyChain
+//
+// The sky is drawn by a shader from the direction each pixel looks at: the
+// two scrolling layers of the sky texture with the same squashed sphere
+// mapping as EmitSkyPolys, or the skybox faces loaded by R_LoadSkys.
+//============================================================================
+
+const sky_vertexshader = /* glsl */`
+	varying vec3 vWorldPosition;
+
+	void main() {
+
+		vec4 worldPosition = modelMatrix * vec4( position, 1.0 );
+		vWorldPosition = worldPosition.xyz;
+		gl_Position = projectionMatrix * viewMatrix * worldPosition;
 
 	}
+`;
 
-	// Fallback if sky textures not loaded
-	if ( ! solidSkyMaterial ) {
+const sky_fragmentshader = /* glsl */`
+	uniform sampler2D solidSky;
+	uniform sampler2D alphaSky;
+	uniform float solidScroll;
+	uniform float alphaScroll;
+	varying vec3 vWorldPosition;
 
-		solidSkyMaterial = new THREE.MeshBasicMaterial( {
-			color: 0x3366aa,
-			side: THREE.DoubleSide
-		} );
+	void main() {
+
+		vec3 dir = vWorldPosition - cameraPosition;
+		dir.z *= 3.0; // flatten the sphere
+
+		vec2 st = dir.xy * ( 6.0 * 63.0 / length( dir ) );
+
+		vec4 solid = texture2D( solidSky, ( solidScroll + st ) / 128.0 );
+		vec4 alpha = texture2D( alphaSky, ( alphaScroll + st ) / 128.0 );
+
+		gl_FragColor = vec4( mix( solid.rgb, alpha.rgb, alpha.a ), 1.0 );
+
+		#include <tonemapping_fragment>
+		#include <colorspace_fragment>
 
 	}
+`;
 
-	// Solid sky layer (background, speed = realtime*8)
-	let solidSpeed = realtime * 8;
-	solidSpeed -= ( solidSpeed | 0 ) & ~127;
+// faces in R_LoadSkys order, each one seen from inside with +Z up
+const skybox_fragmentshader = /* glsl */`
+	uniform sampler2D skyRT;
+	uniform sampler2D skyBK;
+	uniform sampler2D skyLF;
+	uniform sampler2D skyFT;
+	uniform sampler2D skyUP;
+	uniform sampler2D skyDN;
+	varying vec3 vWorldPosition;
 
-	for ( let fa = s; fa; fa = fa.texturechain ) {
+	vec2 SkyFace( float s, float t, float dist ) {
 
-		if ( ! fa.polys ) continue;
+		return vec2( s, t ) / dist * 0.5 + 0.5;
 
-		const geometry = EmitSkyPolysQuake( fa, solidSpeed, 0 );
-		if ( geometry ) {
+	}
 
-			// Cache sky mesh on surface, keyed by layer
-			let mesh = fa._skyMesh;
-			if ( ! mesh ) {
+	void main() {
 
-				mesh = new THREE.Mesh( geometry, solidSkyMaterial );
-				fa._skyMesh = mesh;
+		vec3 dir = vWorldPosition - cameraPosition;
+		vec3 a = abs( dir );
 
-			} else {
+		vec4 color;
+		if ( a.x >= a.y && a.x >= a.z ) {
 
-				if ( mesh.geometry !== geometry ) mesh.geometry = geometry;
-				mesh.material = solidSkyMaterial;
+			if ( dir.x > 0.0 )
+				color = texture2D( skyRT, SkyFace( - dir.y, dir.z, a.x ) );
+			else
+				color = texture2D( skyLF, SkyFace( dir.y, dir.z, a.x ) );
 
-			}
+		} else if ( a.y >= a.z ) {
+
+			if ( dir.y > 0.0 )
+				color = texture2D( skyBK, SkyFace( dir.x, dir.z, a.y ) );
+			else
+				color = texture2D( skyFT, SkyFace( - dir.x, dir.z, a.y ) );
 
-			if ( mesh.parent !== worldGroup ) {
+		} else {
 
-				if ( mesh.parent ) mesh.parent.remove( mesh );
-				worldGroup.add( mesh );
+			if ( dir.z > 0.0 )
+				color = texture2D( skyUP, SkyFace( - dir.y, - dir.x, a.z ) );
+			else
+				color = texture2D( skyDN, SkyFace( - dir.y, dir.x, a.z ) );
 
-			}
+		}
+
+		gl_FragColor = vec4( color.rgb, 1.0 );
+
+		#include <tonemapping_fragment>
+		#include <colorspace_fragment>
 
-			_waterMeshesThisFrame.add( mesh );
-			_waterMeshesInScene.add( mesh );
+	}
+`;
+
+let skyMaterial = null;
+let skyboxMaterial = null;
+
+/*
+================
+R_SkyMaterial
+
+Returns the sky material for this frame, null if there is nothing to draw
+================
+*/
+function R_SkyMaterial() {
+
+	if ( skyboxname ) {
+
+		if ( ! skyboxMaterial ) {
+
+			skyboxMaterial = new THREE.ShaderMaterial( {
+				uniforms: {
+					skyRT: { value: null },
+					skyBK: { value: null },
+					skyLF: { value: null },
+					skyFT: { value: null },
+					skyUP: { value: null },
+					skyDN: { value: null }
+				},
+				vertexShader: sky_vertexshader,
+				fragmentShader: skybox_fragmentshader,
+				side: THREE.DoubleSide
+			} );
 
 		}
 
+		const u = skyboxMaterial.uniforms;
+		u.skyRT.value = skyboxtextures[ 0 ];
+		u.skyBK.value = skyboxtextures[ 1 ];
+		u.skyLF.value = skyboxtextures[ 2 ];
+		u.skyFT.value = skyboxtextures[ 3 ];
+		u.skyUP.value = skyboxtextures[ 4 ];
+		u.skyDN.value = skyboxtextures[ 5 ];
+
+		return skyboxMaterial;
+
 	}
 
-	// Alpha sky layer (overlay, speed = realtime*16)
-	if ( alphaSkyMaterial ) {
+	if ( ! solidskytexture || ! alphaskytexture )
+		return null;
 
-		let alphaSpeed = realtime * 16;
-		alphaSpeed -= ( alphaSpeed | 0 ) & ~127;
+	if ( ! skyMaterial ) {
 
-		for ( let fa = s; fa; fa = fa.texturechain ) {
+		skyMaterial = new THREE.ShaderMaterial( {
+			uniforms: {
+				solidSky: { value: null },
+				alphaSky: { value: null },
+				solidScroll: { value: 0 },
+				alphaScroll: { value: 0 }
+			},
+			vertexShader: sky_vertexshader,
+			fragmentShader: sky_fragmentshader,
+			side: THREE.DoubleSide
+		} );
 
-			if ( ! fa.polys ) continue;
+	}
 
-			const geometry = EmitSkyPolysQuake( fa, alphaSpeed, 1 );
-			if ( geometry ) {
+	// the back layer moves at half the speed of the front one
+	let solidScroll = realtime * 8;
+	solidScroll -= ( solidScroll | 0 ) & ~127;
+	let alphaScroll = realtime * 16;
+	alphaScroll -= ( alphaScroll | 0 ) & ~127;
 
-				let mesh = fa._skyMesh2;
-				if ( ! mesh ) {
+	// the textures change with the map
+	const u = skyMaterial.uniforms;
+	u.solidSky.value = solidskytexture;
+	u.alphaSky.value = alphaskytexture;
+	u.solidScroll.value = solidScroll;
+	u.alphaScroll.value = alphaScroll;
 
-					mesh = new THREE.Mesh( geometry, alphaSkyMaterial );
-					fa._skyMesh2 = mesh;
+	return skyMaterial;
 
-				} else {
+}
 
-					if ( mesh.geometry !== geometry ) mesh.geometry = geometry;
-					mesh.material = alphaSkyMaterial;
+/*
+================
+EmitBothSkyLayers
 
-				}
+Puts the sky mesh of one surface in the current render group. Both sky
+layers are in the one mesh, the shader draws them together.
+================
+*/
+function EmitBothSkyLayers( fa, material ) {
 
-				if ( mesh.parent !== worldGroup ) {
+	const renderGroup = currentRenderGroup || worldGroup;
+	if ( ! fa.polys || ! renderGroup ) return;
 
-					if ( mesh.parent ) mesh.parent.remove( mesh );
-					worldGroup.add( mesh );
+	const geometry = EmitSkyPolysQuake( fa );
+	if ( ! geometry ) return;
 
-				}
+	let mesh = fa._skyMesh;
+	if ( ! mesh ) {
+
+		mesh = new THREE.Mesh( geometry, material );
+		fa._skyMesh = mesh;
 
-				_waterMeshesThisFrame.add( mesh );
-				_waterMeshesInScene.add( mesh );
+	} else if ( mesh.material !== material ) {
 
-			}
+		mesh.material = material;
 
-		}
+	}
+
+	if ( mesh.parent !== renderGroup ) {
+
+		if ( mesh.parent ) mesh.parent.remove( mesh );
+		renderGroup.add( mesh );
 
 	}
 
+	_waterMeshesThisFrame.add( mesh );
+	_waterMeshesInScene.add( mesh );
+
+}
+
+function R_DrawSkyChain( s ) {
+
+	if ( ! worldGroup ) return;
+
+	const material = R_SkyMaterial();
+	if ( ! material ) return;
+
+	for ( let fa = s; fa; fa = fa.texturechain )
+		EmitBothSkyLayers( fa, material );
+
 }
 
 //============================================================================
@@ -2387,6 +2539,7 @@ export function GL_BuildLightmaps() {
 	// Clear brush entity material cache (dispose old materials first)
 	for ( const mat of _brushMaterialCache.values() ) mat.dispose();
 	_brushMaterialCache.clear();
+	lightmappedMaterials.clear();
 
 	// Dispose all cached brush entity groups (geometry disposal)
 	for ( const group of _allBrushEntityGroups ) {
@@ -2412,9 +2565,9 @@ export function GL_BuildLightmaps() {
 
 	set_r_framecount( 1 ); // no dlightcache
 
-	// set lightmap format -- use luminance (1 byte per texel)
-	gl_lightmap_format = GL_LUMINANCE;
-	lightmap_bytes = 1;
+	// set lightmap format -- RGBA (4 bytes per texel), lightdata is coloured
+	gl_lightmap_format = GL_RGBA;
+	lightmap_bytes = 4;
 
 	// build lightmaps for all brush models
 	const MAX_MODELS = 256;
@@ -2470,13 +2623,12 @@ export function GL_BuildLightmaps() {
 		const offset = i * BLOCK_WIDTH * BLOCK_HEIGHT * lightmap_bytes;
 		const pixelCount = BLOCK_WIDTH * BLOCK_HEIGHT;
 		const data = new Uint8Array( pixelCount * 4 );
-		for ( let p = 0; p < pixelCount; p ++ ) {
+		for ( let p = 0; p < pixelCount * 4; p += 4 ) {
 
-			const val = 255 - lightmaps[ offset + p ];
-			data[ p * 4 ] = val;
-			data[ p * 4 + 1 ] = val;
-			data[ p * 4 + 2 ] = val;
-			data[ p * 4 + 3 ] = 255;
+			data[ p ] = 255 - lightmaps[ offset + p ];
+			data[ p + 1 ] = 255 - lightmaps[ offset + p + 1 ];
+			data[ p + 2 ] = 255 - lightmaps[ offset + p + 2 ];
+			data[ p + 3 ] = 255;
 
 		}
 
@@ -5,7 +5,7 @@ import { Con_Printf, Con_CheckResize, Con_DrawConsole, Con_DrawNotify, Con_Clear
 	con_forcedup, Con_SetForcedup, con_initialized } from './console.js';
 import { Sbar_Draw, Sbar_Changed, Sbar_IntermissionOverlay, Sbar_FinaleOverlay, SBAR_HEIGHT, set_sb_lines as Sbar_set_sb_lines } from './sbar.js';
 import { M_Draw } from './menu.js';
-import { Draw_Character, Draw_CachePic, Draw_Pic, Draw_FadeScreen, Draw_BeginFrame,
+import { Draw_Character, Draw_String, Draw_CachePic, Draw_Pic, Draw_FadeScreen, Draw_BeginFrame,
 	GL_Set2D, Draw_TileClear, Draw_PicFromWad } from './gl_draw.js';
 import { Cvar_RegisterVariable, Cvar_Set } from './cvar.js';
 import { Cmd_AddCommand } from './cmd.js';
@@ -36,7 +36,7 @@ let oldfov = 0;
 let oldscreensize = 0;
 
 export const scr_viewsize = { name: 'viewsize', string: '100', value: 100, archive: true };
-const scr_fov = { name: 'fov', string: '90', value: 90 };
+export const scr_fov = { name: 'fov', string: '90', value: 90, archive: true };
 const scr_conspeed = { name: 'scr_conspeed', string: '300', value: 300 };
 const scr_centertime = { name: 'scr_centertime', string: '2', value: 2 };
 const scr_showram = { name: 'showram', string: '1', value: 1 };
@@ -46,6 +46,8 @@ const scr_printspeed = { name: 'scr_printspeed', string: '8', value: 8 };
 const gl_triplebuffer = { name: 'gl_triplebuffer', string: '1', value: 1, archive: true };
 const crosshair = { name: 'crosshair', string: '0', value: 0, archive: true };
 
+const DEMOBAR_RANGE = 30; // characters in the demo scrub bar
+
 export let scr_initialized = false;
 
 let scr_ram = null;
@@ -108,6 +110,10 @@ let _V_UpdatePalette = null;
 let _GL_BeginRendering = null;
 let _GL_EndRendering = null;
 let _S_StopAllSounds = null;
+let _CL_DemoShowControls = null;
+let _CL_DemoElapsed = null;
+let _CL_DemoDuration = null;
+let _CL_DemoTimeScale = null;
 let _r_cache_thrash = false;
 
 export function SCR_SetExternals( externals ) {
@@ -121,6 +127,10 @@ export function SCR_SetExternals( externals ) {
 	if ( externals.GL_BeginRendering ) _GL_BeginRendering = externals.GL_BeginRendering;
 	if ( externals.GL_EndRendering ) _GL_EndRendering = externals.GL_EndRendering;
 	if ( externals.S_StopAllSounds ) _S_StopAllSounds = externals.S_StopAllSounds;
+	if ( externals.CL_DemoShowControls ) _CL_DemoShowControls = externals.CL_DemoShowControls;
+	if ( externals.CL_DemoElapsed ) _CL_DemoElapsed = externals.CL_DemoElapsed;
+	if ( externals.CL_DemoDuration ) _CL_DemoDuration = externals.CL_DemoDuration;
+	if ( externals.CL_DemoTimeScale ) _CL_DemoTimeScale = externals.CL_DemoTimeScale;
 
 }
 
@@ -507,6 +517,59 @@ function SCR_DrawPause() {
 
 }
 
+/*
+==============
+SCR_FormatTime
+
+m:ss for the demo scrub bar
+==============
+*/
+function SCR_FormatTime( seconds ) {
+
+	const t = Math.floor( seconds );
+	return Math.floor( t / 60 ) + ':' + String( t % 60 ).padStart( 2, '0' );
+
+}
+
+/*
+==============
+SCR_DrawDemoControls
+
+Scrub bar for demo playback, shown while paused, at a non-default speed
+or just after a seek
+==============
+*/
+function SCR_DrawDemoControls() {
+
+	if ( ! _CL_DemoShowControls || ! _CL_DemoShowControls() )
+		return;
+
+	const duration = _CL_DemoDuration();
+	const elapsed = _CL_DemoElapsed();
+	const speed = _CL_DemoTimeScale();
+	let range = duration > 0 ? elapsed / duration : 0;
+	if ( range > 1 )
+		range = 1;
+
+	const x = Math.floor( ( _vid.width - DEMOBAR_RANGE * 8 ) / 2 );
+	const y = _vid.height - sb_lines - 24;
+
+	Draw_Character( x - 8, y, 128 );
+	for ( let i = 0; i < DEMOBAR_RANGE; i ++ )
+		Draw_Character( x + i * 8, y, 129 );
+	Draw_Character( x + DEMOBAR_RANGE * 8, y, 130 );
+	Draw_Character( x + Math.floor( ( DEMOBAR_RANGE - 1 ) * 8 * range ), y, 131 );
+
+	let text = SCR_FormatTime( elapsed ) + ' / ' + SCR_FormatTime( duration );
+	if ( speed === 0 )
+		text += '  paused';
+	else if ( speed !== 1 )
+		text += '  ' + speed + 'x';
+
+	Draw_String( x, y - 10, text );
+
+}
+
 /*
 ==============
 SCR_DrawLoading
@@ -848,6 +911,7 @@ export function SCR_UpdateScreen() {
 		SCR_DrawPause();
 		SCR_CheckDrawCenterString();
 		Sbar_Draw();
+		SCR_DrawDemoControls();
 		SCR_DrawConsole();
 		M_Draw();
 
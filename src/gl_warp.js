@@ -3,6 +3,8 @@
 import * as THREE from 'three';
 import { Sys_Error } from './sys.js';
 import { Con_Printf } from './common.js';
+import { Cmd_Argc, Cmd_Argv } from './cmd.js';
+import { Image_LoadImage } from './image.js';
 import { DotProduct, VectorCopy, VectorAdd, VectorSubtract, M_PI,
 	vec3_origin } from './mathlib.js';
 import { VERTEXSIZE, glpoly_t, gl_subdivide_size, r_origin,
@@ -14,6 +16,11 @@ export let solidskytexture = 0;
 export let alphaskytexture = 0;
 let speedscale = 0; // for top sky and bottom sky
 
+// skybox faces, null while the sky layers are drawn instead
+export let skyboxname = '';
+export const skyboxtextures = [ null, null, null, null, null, null ];
+let skybox_request = 0; // bumped by R_LoadSkys, a slower earlier load is dropped
+
 let warpface = null; // msurface_t *
 
 // external reference
@@ -535,3 +542,121 @@ export function R_InitSky( mt, d_8to24table ) {
 	return { solidTexture, alphaTexture };
 
 }
+
+/*
+==================================================================
+
+SKYBOX
+
+==================================================================
+*/
+
+// in the order R_DrawSkyChain's shader samples them
+const suf = [ 'rt', 'bk', 'lf', 'ft', 'up', 'dn' ];
+
+/*
+=============
+R_SkyTexture
+
+A skybox face from an image.js image, which comes top row first; the faces
+are uploaded bottom row first
+=============
+*/
+function R_SkyTexture( image ) {
+
+	const { width, height } = image;
+	const rowbytes = width * 4;
+	const pixels = new Uint8Array( rowbytes * height );
+	for ( let y = 0; y < height; y ++ )
+		pixels.set( image.data.subarray( y * rowbytes, ( y + 1 ) * rowbytes ), ( height - 1 - y ) * rowbytes );
+
+	const texture = new THREE.DataTexture( pixels, width, height, THREE.RGBAFormat );
+	texture.magFilter = THREE.LinearFilter;
+	texture.minFilter = THREE.LinearFilter;
+	texture.generateMipmaps = false; // mip levels would show the face seams
+	texture.wrapS = THREE.ClampToEdgeWrapping;
+	texture.wrapT = THREE.ClampToEdgeWrapping;
+	texture.colorSpace = THREE.SRGBColorSpace;
+	texture.needsUpdate = true;
+
+	return texture;
+
+}
+
+/*
+==================
+R_LoadSkys
+
+Loads gfx/env/<name>rt and the other five faces through Image_LoadImage, so
+any of its image types from the paks or gl_texturemode_external_url. The
+skybox shows once all six are in. An empty name goes back to the sky layers.
+==================
+*/
+export function R_LoadSkys( name ) {
+
+	for ( let i = 0; i < 6; i ++ ) {
+
+		if ( skyboxtextures[ i ] ) {
+
+			skyboxtextures[ i ].dispose();
+			skyboxtextures[ i ] = null;
+
+		}
+
+	}
+
+	skyboxname = '';
+	const request = ++ skybox_request;
+
+	if ( ! name )
+		return;
+
+	Promise.all( suf.map( ( s ) => Image_LoadImage( 'gfx/env/' + name + s ) ) ).then( function ( images ) {
+
+		if ( request !== skybox_request )
+			return; // another sky was asked for meanwhile
+
+		for ( let i = 0; i < 6; i ++ ) {
+
+			if ( ! images[ i ] ) {
+
+				Con_Printf( 'Couldn\'t load gfx/env/' + name + suf[ i ] + '\n' );
+				return;
+
+			}
+
+		}
+
+		for ( let i = 0; i < 6; i ++ )
+			skyboxtextures[ i ] = R_SkyTexture( images[ i ] );
+
+		skyboxname = name;
+
+	} ).catch( function ( e ) {
+
+		Con_Printf( 'Couldn\'t load sky ' + name + ': ' + e.message + '\n' );
+
+	} );
+
+}
+
+/*
+==================
+R_Sky_f
+
+sky [name]
+==================
+*/
+export function R_Sky_f() {
+
+	if ( Cmd_Argc() < 2 ) {
+
+		Con_Printf( 'Current skybox is "' + skyboxname + '"\n' );
+		Con_Printf( 'usage: sky <skyname>, sky "" for the sky layers\n' );
+		return;
+
+	}
+
+	R_LoadSkys( Cmd_Argv( 1 ) );
+
+}
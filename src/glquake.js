@@ -259,6 +259,12 @@ export const gl_playermip = { name: 'gl_playermip', string: '0', value: 0 };
 export const gl_subdivide_size = { name: 'gl_subdivide_size', string: '128', value: 128 };
 // Texture filtering: 0 = nearest (pixelated), 1 = linear (smooth)
 export const gl_texturemode = { name: 'gl_texturemode', string: '0', value: 0, archive: true };
+// Replacement textures: 0 = the 8-bit mips only, 1 = look for external images
+// (see image.js), from the next map on; _url is an optional HTTP folder
+export const gl_texturemode_external = { name: 'gl_texturemode_external', string: '0', value: 0, archive: true };
+export const gl_texturemode_external_url = { name: 'gl_texturemode_external_url', string: '', value: 0, archive: true };
+// Anisotropic filtering samples, 1 = off; three.js clamps it to what the GPU has
+export const gl_texture_anisotropy = { name: 'gl_texture_anisotropy', string: '1', value: 1, archive: true };
 
 // Track all game textures for filter updates
 export const _allGameTextures = [];
@@ -267,16 +273,30 @@ export function GL_RegisterTexture( texture ) {
 
 	if ( texture && ! _allGameTextures.includes( texture ) ) {
 
+		texture.anisotropy = GL_TextureAnisotropy();
 		_allGameTextures.push( texture );
 
 	}
 
 }
 
+function GL_TextureAnisotropy() {
+
+	return Math.min( Math.max( gl_texture_anisotropy.value, 1 ), 16 );
+
+}
+
+let old_texturemode = 0;
+let old_anisotropy = 1;
+
 export function GL_UpdateTextureFiltering() {
 
+	old_texturemode = gl_texturemode.value;
+	old_anisotropy = gl_texture_anisotropy.value;
+
 	const filter = gl_texturemode.value ? THREE.LinearFilter : THREE.NearestFilter;
 	const mipFilter = gl_texturemode.value ? THREE.LinearMipmapLinearFilter : THREE.NearestMipmapLinearFilter;
+	const anisotropy = GL_TextureAnisotropy();
 
 	for ( const texture of _allGameTextures ) {
 
@@ -284,6 +304,7 @@ export function GL_UpdateTextureFiltering() {
 
 			texture.magFilter = filter;
 			texture.minFilter = texture.generateMipmaps ? mipFilter : filter;
+			texture.anisotropy = anisotropy;
 			texture.needsUpdate = true;
 
 		}
@@ -292,6 +313,15 @@ export function GL_UpdateTextureFiltering() {
 
 }
 
+// Called every frame so gl_texturemode and gl_texture_anisotropy changes
+// from the console apply right away, like the ones from the menus
+export function GL_CheckTextureFiltering() {
+
+	if ( gl_texturemode.value !== old_texturemode || gl_texture_anisotropy.value !== old_anisotropy )
+		GL_UpdateTextureFiltering();
+
+}
+
 /*
 ===============================================================================
 
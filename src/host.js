@@ -1,57 +1,64 @@
 // Ported from: WinQuake/host.c -- coordinates spawning and killing of local servers
 
-import { Sys_Printf, Sys_Error, Sys_FloatTime } from './sys.js';
-import { Con_Printf, Con_DPrintf, SZ_Write, SZ_Clear,
-	MSG_WriteByte, MSG_WriteShort, MSG_WriteLong, MSG_WriteFloat,
-	MSG_WriteString, MSG_WriteAngle } from './common.js';
-import { svc_signonnum, svc_time, svc_updatename, svc_updatefrags,
-	svc_updatecolors, svc_lightstyle, svc_updatestat, svc_setangle,
-	svc_clientdata, svc_print } from './protocol.js';
-import { STAT_TOTALSECRETS, STAT_TOTALMONSTERS, STAT_SECRETS, STAT_MONSTERS,
-	MAX_LIGHTSTYLES } from './quakedef.js';
-import { NUM_FOR_EDICT, EDICT_NUM, EDICT_TO_PROG } from './progs.js';
-import { PR_ExecuteProgram } from './pr_exec.js';
-import { sv_player } from './sv_phys.js';
-import { cvar_t, Cvar_RegisterVariable, Cvar_Set } from './cvar.js';
-import { Cmd_Init, Cmd_AddCommand, Cbuf_Init, Cbuf_Execute, Cbuf_AddText, Cbuf_InsertText, Cmd_Argc, Cmd_Argv, Cmd_Args, Cmd_ExecuteString, cmd_source, src_command, src_client, Cmd_SetClientCallbacks, Cmd_ForwardToServer } from './cmd.js';
+import { Sys_Printf, Sys_Error } from './sys.js';
+import { Con_DPrintf, COM_Parse, com_token, COM_DefaultExtension } from './common.js';
+import { STAT_TOTALMONSTERS, STAT_MONSTERS,
+	MAX_LIGHTSTYLES, SAVEGAME_COMMENT_LENGTH } from './quakedef.js';
+import { EDICT_NUM } from './progs.js';
+import { cvar_t, Cvar_RegisterVariable, Cvar_SetValue } from './cvar.js';
+import { Cmd_Init, Cmd_AddCommand, Cbuf_Init, Cbuf_Execute, Cbuf_AddText, Cbuf_InsertText, Cmd_Argc, Cmd_Argv, cmd_source, src_command, Cmd_SetClientCallbacks, Cmd_ForwardToServer } from './cmd.js';
 import { Memory_Init } from './zone.js';
-import { V_Init } from './view.js';
+// menu.js goes first so the client and renderer modules it pulls in
+// initialise before view.js needs them (they import each other in cycles)
+import { M_Init, M_SetExternals } from './menu.js';
+import { Key_Init } from './keys.js';
+import { Con_Init, Con_SetExternals } from './console.js';
+import { V_Init, V_CalcRoll } from './view.js';
 import { Chase_Init } from './chase.js';
 import { W_LoadWadFile } from './wad.js';
 import { COM_LoadFile } from './pak.js';
-import { Key_Init } from './keys.js';
-import { Con_Init, Con_SetExternals } from './console.js';
-import { M_Init, M_SetExternals } from './menu.js';
-import { PR_Init, ED_NewString } from './pr_edict.js';
-import { Mod_Init } from './gl_model.js';
+import { PR_Init, ED_Write, ED_WriteGlobals, ED_ParseGlobals, ED_ParseEdict } from './pr_edict.js';
+import { SV_LinkEdict, SV_UnlinkEdict } from './world.js';
+import { Mod_Init, Mod_ForName, Mod_PointInLeaf, Mod_LeafPVS } from './gl_model.js';
 import { NET_Init, NET_Poll, NET_Shutdown, WT_QueryRooms, WT_CreateRoom } from './net_main.js';
-import { SV_Init, SV_SpawnServer, SV_SaveSpawnparms, SV_CheckForNewClients, SV_ClearDatagram, SV_SendClientMessages, SV_WriteClientdataToMessage, SV_DropClient } from './sv_main.js';
-import { SV_RunClients } from './sv_user.js';
-import { SV_Physics, SV_SetFrametime, FL_GODMODE, FL_NOTARGET,
-	MOVETYPE_WALK, MOVETYPE_FLY, MOVETYPE_NOCLIP } from './sv_phys.js';
-import { sv, svs, client_t, NUM_SPAWN_PARMS,
-	host_client, set_host_client } from './server.js';
+import { WT_SetExternals } from './net_webtransport.js';
+import { SV_Init, SV_SpawnServer, current_skill, SV_CheckForNewClients, SV_ClearDatagram, SV_SendClientMessages, SV_SetModelCallbacks, SV_SetRealtime, SV_SetFog } from './sv_main.js';
+import { SV_RunClients, SV_User_SetCallbacks } from './sv_user.js';
+import { SV_Physics, SV_SetFrametime } from './sv_phys.js';
+import { sv, svs, client_t, NUM_SPAWN_PARMS, host_client,
+	fraglimit, timelimit, teamplay, samelevel, noexit,
+	skill, deathmatch, coop } from './server.js';
+import { Host_InitCommands, Host_SetExternals, Host_ShutdownServer } from './host_cmd.js';
 import { R_InitTextures } from './gl_rmisc.js';
 import { R_Init } from './gl_rmisc.js';
-import { VID_Init, VID_Shutdown } from './vid.js';
+import { VID_Init, VID_Shutdown, VID_CheckSettings } from './vid.js';
+import { GL_CheckTextureFiltering } from './glquake.js';
 import { Draw_Init, Draw_Character, Draw_String, Draw_ConsoleBackground, Draw_SetExternals, Draw_PicFromWad, Draw_CachePic, Draw_Pic, Draw_TransPic, Draw_Fill, Draw_FadeScreen } from './gl_draw.js';
 import { SCR_Init, SCR_UpdateScreen, SCR_SetExternals, SCR_EndLoadingPlaque, SCR_BeginLoadingPlaque } from './gl_screen.js';
 import { S_Init, S_Update, S_Shutdown, S_StopAllSounds, S_SetCallbacks } from './snd_dma.js';
 import { CDAudio_Init, CDAudio_Update, CDAudio_Shutdown } from './cd_audio.js';
 import { Sbar_Init, Sbar_SetExternals } from './sbar.js';
 import { CL_Init, CL_SendCmd, CL_ReadFromServer, CL_DecayLights, CL_Disconnect, CL_EstablishConnection, CL_NextDemo, cl_name } from './cl_main.js';
-import { CL_StopPlayback } from './cl_demo.js';
+import { CL_StopPlayback, CL_WriteDemoFog, CL_DemoShowControls, CL_DemoElapsed, CL_DemoDuration, CL_DemoTimeScale } from './cl_demo.js';
 import { IN_Init, IN_Commands, IN_Shutdown, IN_UpdateTouch, IN_RequestPointerLock } from './in_web.js';
 import { cls, cl, SIGNONS, ca_connected, ca_dedicated, MAX_DEMOS } from './client.js';
-import { key_dest, key_game, Key_SetExternals, set_key_dest } from './keys.js';
+import { key_dest, key_game, key_menu, Key_SetExternals, set_key_dest } from './keys.js';
 import { r_origin, vpn, vright, vup } from './render.js';
 import { R_Efrag_SetExternals } from './gl_refrag.js';
+import { Fog_SetExternals } from './gl_fog.js';
 import { vec3_origin } from './mathlib.js';
 import { pr_global_struct } from './progs.js';
 import { vid, d_8to24table, renderer } from './vid.js';
 import { V_RenderView, V_UpdatePalette } from './view.js';
 import { S_LocalSound } from './snd_dma.js';
 import { M_Menu_Main_f } from './menu.js';
+import { Con_Printf } from './console.js';
+import { Storage_Init, Storage_WriteSave, Storage_ReadSave } from './storage.js';
+
+// server side commands and cvars, re-exported for existing importers
+export { Host_InitCommands, Host_SetExternals, Host_ShutdownServer,
+	SV_ClientPrintf, SV_BroadcastPrintf, rcon_password,
+	noclip_anglehack, set_noclip_anglehack } from './host_cmd.js';
 
 /*
 
@@ -81,23 +88,17 @@ export let host_colormap = null;
 
 const host_framerate = new cvar_t( 'host_framerate', '0' ); // set for slow motion
 const host_speeds = new cvar_t( 'host_speeds', '0' ); // set for running times
+const host_maxfps = new cvar_t( 'host_maxfps', '72', true ); // 0 leaves it to requestAnimationFrame
 
 const sys_ticrate = new cvar_t( 'sys_ticrate', '0.05' );
 const serverprofile = new cvar_t( 'serverprofile', '0' );
 
-export const fraglimit = new cvar_t( 'fraglimit', '0', false, true );
-export const timelimit = new cvar_t( 'timelimit', '0', false, true );
-export const teamplay = new cvar_t( 'teamplay', '0', false, true );
-
-export const samelevel = new cvar_t( 'samelevel', '0' );
-export const noexit = new cvar_t( 'noexit', '0', false, true );
+// game rule cvars live in server.js so the dedicated server can share them
+export { fraglimit, timelimit, teamplay, samelevel, noexit,
+	skill, deathmatch, coop };
 
 const developer = new cvar_t( 'developer', '0' );
 
-export const skill = new cvar_t( 'skill', '1' ); // 0 - 3
-export const deathmatch = new cvar_t( 'deathmatch', '0' ); // 0, 1, or 2
-export const coop = new cvar_t( 'coop', '0' ); // 0 or 1
-
 const pausable = new cvar_t( 'pausable', '1' );
 
 const temp1 = new cvar_t( 'temp1', '0' );
@@ -117,6 +118,9 @@ For Three.js, BeginRendering clears the renderer and EndRendering is a no-op
 */
 function _GL_BeginRendering() {
 
+	VID_CheckSettings();
+	GL_CheckTextureFiltering();
+
 	if ( renderer ) {
 
 		renderer.clear();
@@ -139,9 +143,11 @@ Host_InitLocal
 function Host_InitLocal() {
 
 	Host_InitCommands();
+	Host_InitClientCommands();
 
 	Cvar_RegisterVariable( host_framerate );
 	Cvar_RegisterVariable( host_speeds );
+	Cvar_RegisterVariable( host_maxfps );
 	Cvar_RegisterVariable( sys_ticrate );
 	Cvar_RegisterVariable( serverprofile );
 
@@ -194,40 +200,21 @@ function Host_FindMaxClients() {
 
 /*
 ======================
-Host_InitCommands
+Host_InitClientCommands
+
+The server side commands are registered by Host_InitCommands (host_cmd.js)
 ======================
 */
-export function Host_InitCommands() {
+function Host_InitClientCommands() {
 
-	Cmd_AddCommand( 'status', Host_Status_f );
 	Cmd_AddCommand( 'quit', Host_Quit_f );
-	Cmd_AddCommand( 'map', Host_Map_f );
-	Cmd_AddCommand( 'changelevel', Host_Changelevel_f );
-	Cmd_AddCommand( 'restart', Host_Restart_f );
 	Cmd_AddCommand( 'reconnect', Host_Reconnect_f );
 	Cmd_AddCommand( 'connect', Host_Connect_f );
-	Cmd_AddCommand( 'name', Host_Name_f );
-	Cmd_AddCommand( 'pause', Host_Pause_f );
-	Cmd_AddCommand( 'say', Host_Say_f );
-	Cmd_AddCommand( 'say_team', Host_Say_Team_f );
-	Cmd_AddCommand( 'tell', Host_Tell_f );
-	Cmd_AddCommand( 'color', Host_Color_f );
-	Cmd_AddCommand( 'kill', Host_Kill_f );
-	Cmd_AddCommand( 'god', Host_God_f );
-	Cmd_AddCommand( 'notarget', Host_Notarget_f );
-	Cmd_AddCommand( 'fly', Host_Fly_f );
-	Cmd_AddCommand( 'noclip', Host_Noclip_f );
-	Cmd_AddCommand( 'give', Host_Give_f );
-	Cmd_AddCommand( 'ping', Host_Ping_f );
-	Cmd_AddCommand( 'kick', Host_Kick_f );
-	Cmd_AddCommand( 'savegame', Host_Savegame_f );
-	Cmd_AddCommand( 'loadgame', Host_Loadgame_f );
+	Cmd_AddCommand( 'save', Host_Savegame_f );
+	Cmd_AddCommand( 'load', Host_Loadgame_f );
 	Cmd_AddCommand( 'startdemos', Host_Startdemos_f );
 	Cmd_AddCommand( 'demos', Host_Demos_f );
 	Cmd_AddCommand( 'stopdemo', Host_Stopdemo_f );
-	Cmd_AddCommand( 'spawn', Host_Spawn_f );
-	Cmd_AddCommand( 'begin', Host_Begin_f );
-	Cmd_AddCommand( 'prespawn', Host_PreSpawn_f );
 
 }
 
@@ -250,6 +237,9 @@ export async function Host_Init( parms ) {
 	Con_Printf( 'Three-Quake Version 1.09\n' );
 	Con_Printf( 'Exe: three-quake (JavaScript/Three.js)\n' );
 
+	// savegames live in IndexedDB; preload them so save/load stay synchronous
+	await Storage_Init();
+
 	// W_LoadWadFile("gfx.wad") - load from pak
 	const wadData = COM_LoadFile( 'gfx.wad' );
 	if ( wadData ) {
@@ -271,6 +261,28 @@ export async function Host_Init( parms ) {
 	NET_Init();
 	SV_Init();
 
+	// the server modules don't import the renderer or the client directly
+	SV_SetModelCallbacks( {
+		Mod_ForName: Mod_ForName,
+		Mod_PointInLeaf: Mod_PointInLeaf,
+		Mod_LeafPVS: Mod_LeafPVS
+	} );
+	SV_User_SetCallbacks( {
+		V_CalcRoll: V_CalcRoll,
+		get_key_dest: () => key_dest
+	} );
+	Host_SetExternals( {
+		CL_Disconnect: CL_Disconnect,
+		SCR_BeginLoadingPlaque: SCR_BeginLoadingPlaque,
+		set_key_dest: set_key_dest,
+		key_game: key_game
+	} );
+	WT_SetExternals( {
+		M_Menu_Main_f: M_Menu_Main_f,
+		set_key_dest: set_key_dest,
+		key_menu: key_menu
+	} );
+
 	R_InitTextures(); // needed even for dedicated servers
 
 	// Load palette and colormap from pak
@@ -383,7 +395,11 @@ export async function Host_Init( parms ) {
 		V_UpdatePalette: V_UpdatePalette,
 		GL_BeginRendering: _GL_BeginRendering,
 		GL_EndRendering: _GL_EndRendering,
-		S_StopAllSounds: S_StopAllSounds
+		S_StopAllSounds: S_StopAllSounds,
+		CL_DemoShowControls: CL_DemoShowControls,
+		CL_DemoElapsed: CL_DemoElapsed,
+		CL_DemoDuration: CL_DemoDuration,
+		CL_DemoTimeScale: CL_DemoTimeScale
 	} );
 
 	Key_SetExternals( {
@@ -395,6 +411,11 @@ export async function Host_Init( parms ) {
 		cl: cl
 	} );
 
+	Fog_SetExternals( {
+		SV_SetFog: SV_SetFog,
+		CL_WriteDemoFog: CL_WriteDemoFog
+	} );
+
 	Cbuf_InsertText( 'exec quake.rc\n' );
 
 	// Default WASD bindings for the web port (after quake.rc so user config can override)
@@ -404,6 +425,8 @@ export async function Host_Init( parms ) {
 	Cbuf_AddText( 'bind d +moveright\n' );
 	Cbuf_AddText( 'bind SPACE +jump\n' );
 	Cbuf_AddText( 'bind MOUSE1 +attack\n' );
+	Cbuf_AddText( 'bind F5 "echo Quicksaving...; wait; save quick"\n' );
+	Cbuf_AddText( 'bind F9 "echo Quick Loading...; wait; load quick"\n' );
 
 	// Always run by default for the web port
 	Cbuf_AddText( 'cl_forwardspeed 400\n' );
@@ -424,8 +447,9 @@ Runs server simulation for the current frame
 */
 export function Host_ServerFrame() {
 
-	// sync frametime to physics module
+	// sync frametime and realtime to the server modules
 	SV_SetFrametime( host_frametime );
+	SV_SetRealtime( realtime );
 
 	// run the world state
 	if ( pr_global_struct ) {
@@ -574,9 +598,10 @@ function _Host_FilterTime( time ) {
 
 	realtime += time;
 
-	// Don't run too fast - cap at 72 FPS
+	// Don't run too fast - cap at host_maxfps, 72 FPS by default
 	// This prevents packets from flooding out and keeps physics consistent
-	if ( cls.timedemo !== true && realtime - oldrealtime < 1.0 / 72.0 )
+	const maxfps = Math.min( Math.max( host_maxfps.value, 10 ), 1000 );
+	if ( host_maxfps.value && cls.timedemo !== true && realtime - oldrealtime < 1.0 / maxfps )
 		return false; // framerate is too high
 
 	host_frametime = realtime - oldrealtime;
@@ -657,41 +682,6 @@ export function Host_EndGame( message ) {
 
 }
 
-/*
-================
-Host_ShutdownServer
-
-This only happens at the end of a game, not between levels
-================
-*/
-export function Host_ShutdownServer( crash ) {
-
-	if ( ! sv.active )
-		return;
-
-	sv.active = false;
-
-	// stop all client sounds immediately
-	if ( cls.state === ca_connected )
-		CL_Disconnect();
-
-	// drop all active clients (matches C: SV_DropClient loop + memset)
-	for ( let i = 0; i < svs.maxclients; i ++ ) {
-
-		if ( svs.clients[ i ] && svs.clients[ i ].active ) {
-
-			set_host_client( svs.clients[ i ] );
-			SV_DropClient( crash );
-
-		}
-
-	}
-
-	// clear structures
-	Object.assign( sv, new ( sv.constructor )() );
-
-}
-
 /*
 ================
 Host_Shutdown
@@ -720,114 +710,18 @@ export function Host_Shutdown() {
 /*
 =============================================================================
 
-HOST COMMANDS -- ported from WinQuake/host_cmd.c
+CLIENT COMMANDS -- ported from WinQuake/host_cmd.c
 
-These are stub implementations. Full implementations require the complete
-server/client pipeline to be operational.
+The server side commands live in host_cmd.js
 =============================================================================
 */
 
-function Host_Status_f() {
-
-	Con_Printf( 'host:    Three-Quake\n' );
-	Con_Printf( 'map:     ' + ( sv.name || 'none' ) + '\n' );
-	Con_Printf( 'players: ' + svs.maxclients + ' max\n' );
-
-}
-
 function Host_Quit_f() {
 
 	Host_Shutdown();
 
 }
 
-function Host_Map_f() {
-
-	if ( cmd_source !== src_command )
-		return;
-
-	cls.demonum = - 1; // stop demo loop in case this fails
-
-	CL_Disconnect();
-	Host_ShutdownServer( false );
-
-	set_key_dest( key_game ); // remove console or menu
-	SCR_BeginLoadingPlaque();
-
-	cls.mapstring = '';
-	for ( let i = 0; i < Cmd_Argc(); i ++ ) {
-
-		cls.mapstring += Cmd_Argv( i ) + ' ';
-
-	}
-
-	cls.mapstring += '\n';
-
-	svs.serverflags = 0; // haven't completed an episode yet
-	const name = Cmd_Argv( 1 );
-
-	console.log( 'Host_Map_f: spawning server for map "' + name + '"' );
-	SV_SpawnServer( name );
-	console.log( 'Host_Map_f: sv.active=' + sv.active );
-
-	if ( ! sv.active )
-		return;
-
-	if ( cls.state !== ca_dedicated ) {
-
-		cls.spawnparms = '';
-
-		for ( let i = 2; i < Cmd_Argc(); i ++ ) {
-
-			cls.spawnparms += Cmd_Argv( i ) + ' ';
-
-		}
-
-		Cmd_ExecuteString( 'connect local', src_command );
-
-	}
-
-}
-
-function Host_Changelevel_f() {
-
-	if ( Cmd_Argc() !== 2 ) {
-
-		Con_Printf( 'changelevel <levelname> : continue game on a new level\n' );
-		return;
-
-	}
-
-	if ( ! sv.active || cls.demoplayback ) {
-
-		Con_Printf( 'Only the server may changelevel\n' );
-		return;
-
-	}
-
-	SV_SaveSpawnparms();
-	const level = Cmd_Argv( 1 );
-	SV_SpawnServer( level );
-	// Note: SV_SpawnServer handles client reconnection internally via SV_SendReconnect
-	// which calls Host_Reconnect_f to reset cls.signon. We do NOT call CL_EstablishConnection
-	// here because the client is already connected - it just needs new signon messages.
-
-}
-
-function Host_Restart_f() {
-
-	if ( ! sv.active )
-		return;
-
-	const mapname = sv.name;
-	if ( mapname ) {
-
-		Cbuf_AddText( 'map ' + mapname + '\n' );
-
-	}
-
-}
-
 function Host_Reconnect_f() {
 
 	SCR_BeginLoadingPlaque();
@@ -851,286 +745,278 @@ function Host_Connect_f() {
 
 }
 
-function Host_Name_f() {
 
-	let newName;
+/*
+===============================================================================
 
-	if ( Cmd_Argc() === 1 ) {
+LOAD / SAVE GAME
 
-		Con_Printf( '"name" is "%s"\n', cl_name.string );
-		return;
+Savegames use the original .sav text format and are stored in IndexedDB
+under their filename (see storage.js).
+===============================================================================
+*/
 
-	}
+const SAVEGAME_VERSION = 5;
 
-	if ( Cmd_Argc() === 2 )
-		newName = Cmd_Argv( 1 );
-	else
-		newName = Cmd_Args();
+/*
+===============
+Host_SavegameComment
 
-	// Sanitize name: only printable ASCII, max 15 chars
-	newName = newName.replace( /[^\x20-\x7E]/g, '' ); // Remove non-printable chars
-	if ( newName.length > 15 )
-		newName = newName.substring( 0, 15 );
-	if ( newName.length === 0 )
-		newName = 'player'; // Fallback for empty names
+Returns a SAVEGAME_COMMENT_LENGTH character comment describing the current
+level name and kill count
+===============
+*/
+function Host_SavegameComment() {
 
-	if ( cmd_source === src_command ) {
+	let text = cl.levelname.substring( 0, 22 ).padEnd( 22, ' ' );
+	const kills = 'kills:' + String( cl.stats[ STAT_MONSTERS ] ).padStart( 3, ' ' ) +
+		'/' + String( cl.stats[ STAT_TOTALMONSTERS ] ).padStart( 3, ' ' );
+	text = ( text + kills ).padEnd( SAVEGAME_COMMENT_LENGTH, ' ' ).substring( 0, SAVEGAME_COMMENT_LENGTH );
 
-		// Client-side: update cvar and forward to server
-		if ( cl_name.string === newName )
-			return;
+	// convert space to _ to make stdio happy
+	return text.replace( / /g, '_' );
 
-		Cvar_Set( '_cl_name', newName );
+}
 
-		if ( cls.state === ca_connected )
-			Cmd_ForwardToServer();
+/*
+===============
+Host_Savegame_f
+===============
+*/
+function Host_Savegame_f() {
 
+	if ( cmd_source !== src_command )
 		return;
 
-	}
-
-	// Server-side: update the client's name (only if changed)
-	if ( host_client.name === newName )
-		return; // No change, skip update
-
-	if ( host_client.name !== '' && host_client.name !== 'unconnected' ) {
+	if ( ! sv.active ) {
 
-		Con_Printf( '%s renamed to %s\n', host_client.name, newName );
+		Con_Printf( 'Not playing a local game.\n' );
+		return;
 
 	}
 
-	host_client.name = newName;
+	if ( cl.intermission ) {
 
-	// Set the netname on the edict
-	if ( host_client.edict != null ) {
-
-		host_client.edict.v.netname = ED_NewString( newName );
+		Con_Printf( 'Can\'t save in intermission.\n' );
+		return;
 
 	}
 
-	// Send notification to all clients
-	MSG_WriteByte( sv.reliable_datagram, svc_updatename );
-	MSG_WriteByte( sv.reliable_datagram, svs.clients.indexOf( host_client ) );
-	MSG_WriteString( sv.reliable_datagram, host_client.name );
+	if ( svs.maxclients !== 1 ) {
 
-}
-
-function Host_Pause_f() {
-
-	Con_Printf( 'pause not yet implemented\n' );
-
-}
-
-function Host_Say_f() {
-
-	Con_Printf( 'say not yet implemented\n' );
-
-}
-
-function Host_Say_Team_f() {
-
-	Con_Printf( 'say_team not yet implemented\n' );
-
-}
+		Con_Printf( 'Can\'t save multiplayer games.\n' );
+		return;
 
-function Host_Tell_f() {
+	}
 
-	Con_Printf( 'tell not yet implemented\n' );
+	if ( Cmd_Argc() !== 2 ) {
 
-}
+		Con_Printf( 'save <savename> : save a game\n' );
+		return;
 
-function Host_Color_f() {
+	}
 
-	Con_Printf( 'color not yet implemented\n' );
+	if ( Cmd_Argv( 1 ).indexOf( '..' ) !== - 1 ) {
 
-}
+		Con_Printf( 'Relative pathnames are not allowed.\n' );
+		return;
 
-function Host_Kill_f() {
+	}
 
-	if ( cmd_source === src_command ) {
+	for ( let i = 0; i < svs.maxclients; i ++ ) {
 
-		// If not running a local server, forward the command to the remote server
-		if ( ! sv.active ) {
+		const client = svs.clients[ i ];
+		if ( client.active && ( client.edict.v.health <= 0 ) ) {
 
-			Cmd_ForwardToServer();
+			Con_Printf( 'Can\'t savegame with a dead player\n' );
 			return;
 
 		}
 
-		Cmd_ExecuteString( 'kill', src_client );
-		return;
-
-	}
-
-	if ( sv_player == null || sv_player.v.health <= 0 ) {
-
-		SV_ClientPrintf( 'Can\'t suicide -- allready dead!\n' );
-		return;
-
 	}
 
-	pr_global_struct.time = sv.time;
-	pr_global_struct.self = EDICT_TO_PROG( sv_player );
-	PR_ExecuteProgram( pr_global_struct.ClientKill );
+	const name = COM_DefaultExtension( Cmd_Argv( 1 ), '.sav' );
 
-}
+	Con_Printf( 'Saving game to %s...\n', name );
 
-export let noclip_anglehack = false;
+	const lines = [];
+	lines.push( String( SAVEGAME_VERSION ) );
+	lines.push( Host_SavegameComment() );
+	for ( let i = 0; i < NUM_SPAWN_PARMS; i ++ )
+		lines.push( svs.clients[ 0 ].spawn_parms[ i ].toFixed( 6 ) );
+	lines.push( String( current_skill ) );
+	lines.push( sv.name );
+	lines.push( sv.time.toFixed( 6 ) );
 
-export function set_noclip_anglehack( v ) {
+	// write the light styles
+	for ( let i = 0; i < MAX_LIGHTSTYLES; i ++ ) {
 
-	noclip_anglehack = v;
+		if ( sv.lightstyles[ i ] )
+			lines.push( sv.lightstyles[ i ] );
+		else
+			lines.push( 'm' );
 
-}
-
-function Host_God_f() {
+	}
 
-	if ( ! sv.active )
-		return;
+	// the fog goes in a comment, engines that don't know it skip the line
+	lines.push( '// fog ' + sv.fog.map( ( v ) => v.toFixed( 6 ) ).join( ' ' ) );
 
-	if ( pr_global_struct.deathmatch )
-		return;
+	ED_WriteGlobals( lines );
+	for ( let i = 0; i < sv.num_edicts; i ++ )
+		ED_Write( lines, EDICT_NUM( i ) );
 
-	sv_player.v.flags = ( sv_player.v.flags | 0 ) ^ FL_GODMODE;
-	if ( ! ( ( sv_player.v.flags | 0 ) & FL_GODMODE ) )
-		SV_ClientPrintf( 'godmode OFF\n' );
-	else
-		SV_ClientPrintf( 'godmode ON\n' );
+	Storage_WriteSave( name, lines.join( '\n' ) + '\n' );
+	Con_Printf( 'done.\n' );
 
 }
 
-function Host_Notarget_f() {
-
-	if ( ! sv.active )
-		return;
+/*
+===============
+Host_Loadgame_f
+===============
+*/
+function Host_Loadgame_f() {
 
-	if ( pr_global_struct.deathmatch )
+	if ( cmd_source !== src_command )
 		return;
 
-	sv_player.v.flags = ( sv_player.v.flags | 0 ) ^ FL_NOTARGET;
-	if ( ! ( ( sv_player.v.flags | 0 ) & FL_NOTARGET ) )
-		SV_ClientPrintf( 'notarget OFF\n' );
-	else
-		SV_ClientPrintf( 'notarget ON\n' );
+	if ( Cmd_Argc() !== 2 ) {
 
-}
+		Con_Printf( 'load <savename> : load a game\n' );
+		return;
 
-function Host_Fly_f() {
+	}
 
-	if ( ! sv.active )
-		return;
+	cls.demonum = - 1; // stop demo loop in case this fails
 
-	if ( pr_global_struct.deathmatch )
-		return;
+	const name = COM_DefaultExtension( Cmd_Argv( 1 ), '.sav' );
 
-	if ( sv_player.v.movetype !== MOVETYPE_FLY ) {
+	// we can't call SCR_BeginLoadingPlaque, because too much stack space has
+	// been used. The menu calls it before stuffing loadgame command
+	// SCR_BeginLoadingPlaque ();
 
-		sv_player.v.movetype = MOVETYPE_FLY;
-		SV_ClientPrintf( 'flymode ON\n' );
+	Con_Printf( 'Loading game from %s...\n', name );
 
-	} else {
+	const text = Storage_ReadSave( name );
+	if ( text === null ) {
 
-		sv_player.v.movetype = MOVETYPE_WALK;
-		SV_ClientPrintf( 'flymode OFF\n' );
+		Con_Printf( 'ERROR: couldn\'t open.\n' );
+		return;
 
 	}
 
-}
+	// the header is line oriented, the rest is parsed as tokens
+	const lines = text.split( '\n' );
+	let line = 0;
 
-function Host_Noclip_f() {
+	const version = parseInt( lines[ line ++ ] );
+	if ( version !== SAVEGAME_VERSION ) {
 
-	if ( ! sv.active )
+		Con_Printf( 'Savegame is version %i, not %i\n', version, SAVEGAME_VERSION );
 		return;
 
-	if ( pr_global_struct.deathmatch )
-		return;
+	}
 
-	if ( sv_player.v.movetype !== MOVETYPE_NOCLIP ) {
+	line ++; // comment
 
-		noclip_anglehack = true;
-		sv_player.v.movetype = MOVETYPE_NOCLIP;
-		SV_ClientPrintf( 'noclip ON\n' );
+	const spawn_parms = new Float32Array( NUM_SPAWN_PARMS );
+	for ( let i = 0; i < NUM_SPAWN_PARMS; i ++ )
+		spawn_parms[ i ] = parseFloat( lines[ line ++ ] ) || 0;
 
-	} else {
+	// this silliness is so we can load 1.06 save files, which have float skill values
+	const tfloat = parseFloat( lines[ line ++ ] ) || 0;
+	Cvar_SetValue( 'skill', ( tfloat + 0.1 ) | 0 );
 
-		noclip_anglehack = false;
-		sv_player.v.movetype = MOVETYPE_WALK;
-		SV_ClientPrintf( 'noclip OFF\n' );
+	const mapname = ( lines[ line ++ ] || '' ).trim();
+	const time = parseFloat( lines[ line ++ ] ) || 0;
 
-	}
+	CL_Disconnect();
+	Host_ShutdownServer( false );
 
-}
+	SV_SpawnServer( mapname );
 
-function Host_Give_f() {
+	if ( ! sv.active ) {
 
-	if ( ! sv.active )
+		Con_Printf( 'Couldn\'t load map\n' );
 		return;
 
-	if ( pr_global_struct.deathmatch )
-		return;
+	}
 
-	const t = Cmd_Argv( 1 );
-	const v = parseInt( Cmd_Argv( 2 ) ) || 0;
+	sv.paused = true; // pause until all clients connect
+	sv.loadgame = true;
 
-	if ( ! t ) return;
+	// load the light styles
+	for ( let i = 0; i < MAX_LIGHTSTYLES; i ++ )
+		sv.lightstyles[ i ] = ( lines[ line ++ ] || 'm' ).trim();
 
-	switch ( t[ 0 ] ) {
+	// older saves have no fog line and keep the level's own
+	const fog = ( lines[ line ] || '' ).trim().split( /\s+/ );
+	if ( fog[ 0 ] === '//' && fog[ 1 ] === 'fog' ) {
 
-		case '2': case '3': case '4': case '5':
-		case '6': case '7': case '8': {
+		for ( let i = 0; i < 4; i ++ )
+			sv.fog[ i ] = parseFloat( fog[ i + 2 ] ) || 0;
+		line ++;
 
-			const IT_SHOTGUN = 1;
-			if ( t.charCodeAt( 0 ) >= 50 ) // '2'
-				sv_player.v.items = ( sv_player.v.items | 0 ) | ( IT_SHOTGUN << ( t.charCodeAt( 0 ) - 50 ) );
-			break;
+	}
 
-		}
+	// load the edicts out of the savegame file
+	const spawned_edicts = sv.num_edicts;
+	let data = lines.slice( line ).join( '\n' );
+	let entnum = - 1; // -1 is the globals
 
-		case 's':
-			sv_player.v.ammo_shells = v;
-			break;
+	while ( true ) {
 
-		case 'n':
-			sv_player.v.ammo_nails = v;
-			break;
+		data = COM_Parse( data );
+		if ( data === null )
+			break; // end of file
+		if ( com_token !== '{' )
+			Sys_Error( 'First token isn\'t a brace' );
 
-		case 'r':
-			sv_player.v.ammo_rockets = v;
-			break;
+		if ( entnum === - 1 ) {
 
-		case 'h':
-			sv_player.v.health = v;
-			break;
+			// parse the global vars
+			data = ED_ParseGlobals( data );
 
-		case 'c':
-			sv_player.v.ammo_cells = v;
-			break;
+		} else {
 
-	}
+			// parse an edict
+			const ent = EDICT_NUM( entnum );
+			SV_UnlinkEdict( ent );
+			ent.clearFields();
+			ent.free = false;
+			data = ED_ParseEdict( data, ent );
 
-}
+			// link it into the bsp tree
+			if ( ! ent.free )
+				SV_LinkEdict( ent, false );
 
-function Host_Ping_f() {
+		}
 
-	Con_Printf( 'ping not yet implemented\n' );
+		entnum ++;
 
-}
+	}
 
-function Host_Kick_f() {
+	// anything the map spawned past the saved edicts must not stay in the world
+	for ( let i = entnum; i < spawned_edicts; i ++ ) {
 
-	Con_Printf( 'kick not yet implemented\n' );
+		const ent = EDICT_NUM( i );
+		SV_UnlinkEdict( ent );
+		ent.free = true;
 
-}
+	}
 
-function Host_Savegame_f() {
+	sv.num_edicts = entnum;
+	sv.time = time;
 
-	Con_Printf( 'save not yet implemented\n' );
+	for ( let i = 0; i < NUM_SPAWN_PARMS; i ++ )
+		svs.clients[ 0 ].spawn_parms[ i ] = spawn_parms[ i ];
 
-}
+	if ( cls.state !== ca_dedicated ) {
 
-function Host_Loadgame_f() {
+		CL_EstablishConnection( 'local' );
+		Host_Reconnect_f();
 
-	Con_Printf( 'load not yet implemented\n' );
+	}
 
 }
 
@@ -1191,242 +1077,3 @@ function Host_Stopdemo_f() {
 	CL_Disconnect();
 
 }
-
-/*
-==================
-Host_PreSpawn_f
-==================
-*/
-function Host_PreSpawn_f() {
-
-	if ( cmd_source === src_command ) {
-
-		Con_Printf( 'prespawn is not valid from the console\n' );
-		return;
-
-	}
-
-	if ( host_client.spawned ) {
-
-		Con_Printf( 'prespawn not valid -- allready spawned\n' );
-		return;
-
-	}
-
-	SZ_Write( host_client.message, sv.signon.data, sv.signon.cursize );
-	MSG_WriteByte( host_client.message, svc_signonnum );
-	MSG_WriteByte( host_client.message, 2 );
-	host_client.sendsignon = true;
-
-}
-
-/*
-==================
-Host_Spawn_f
-==================
-*/
-function Host_Spawn_f() {
-
-	if ( cmd_source === src_command ) {
-
-		Con_Printf( 'spawn is not valid from the console\n' );
-		return;
-
-	}
-
-	if ( host_client.spawned ) {
-
-		Con_Printf( 'Spawn not valid -- allready spawned\n' );
-		return;
-
-	}
-
-	const clientIdx = svs.clients.indexOf( host_client );
-	console.log( '[MP] Host_Spawn_f: client', clientIdx, host_client.name );
-
-	// run the entrance script
-	if ( sv.loadgame ) {
-
-		// loaded games are fully inited allready
-		// if this is the last client to be connected, unpause
-		sv.paused = false;
-
-	} else {
-
-		// set up the edict
-		const ent = host_client.edict;
-
-		// clear entity fields (C does: memset(&ent->v, 0, progs->entityfields * 4))
-		ent.clearFields();
-
-		// set key fields after clearing
-		const colormap = NUM_FOR_EDICT( ent );
-		const team = ( host_client.colors & 15 ) + 1;
-		ent.v.colormap = colormap;
-		ent.v.team = team;
-
-		// copy spawn parms out of the client_t
-		if ( pr_global_struct ) {
-
-			for ( let i = 0; i < NUM_SPAWN_PARMS; i ++ )
-				pr_global_struct[ 'parm' + ( i + 1 ) ] = host_client.spawn_parms[ i ];
-
-			// call the spawn function
-			pr_global_struct.time = sv.time;
-			pr_global_struct.self = EDICT_TO_PROG( sv_player );
-			PR_ExecuteProgram( pr_global_struct.ClientConnect );
-
-			if ( ( Sys_FloatTime() - host_client.netconnection.connecttime ) <= sv.time )
-				Sys_Printf( '%s entered the game\n', host_client.name );
-
-			PR_ExecuteProgram( pr_global_struct.PutClientInServer );
-
-			// Log entity state after PutClientInServer
-			console.log( '[MP] After PutClientInServer: entity', clientIdx + 1, 'modelindex=', ent.v.modelindex );
-
-		}
-
-	}
-
-	// send all current names, colors, and frag counts
-	SZ_Clear( host_client.message );
-
-	// send time of update
-	MSG_WriteByte( host_client.message, svc_time );
-	MSG_WriteFloat( host_client.message, sv.time );
-
-	for ( let i = 0; i < svs.maxclients; i ++ ) {
-
-		const client = svs.clients[ i ];
-		MSG_WriteByte( host_client.message, svc_updatename );
-		MSG_WriteByte( host_client.message, i );
-		MSG_WriteString( host_client.message, client.name );
-		MSG_WriteByte( host_client.message, svc_updatefrags );
-		MSG_WriteByte( host_client.message, i );
-		MSG_WriteShort( host_client.message, client.old_frags );
-		MSG_WriteByte( host_client.message, svc_updatecolors );
-		MSG_WriteByte( host_client.message, i );
-		MSG_WriteByte( host_client.message, client.colors );
-
-	}
-
-	// send all current light styles
-	for ( let i = 0; i < MAX_LIGHTSTYLES; i ++ ) {
-
-		MSG_WriteByte( host_client.message, svc_lightstyle );
-		MSG_WriteByte( host_client.message, i );
-		MSG_WriteString( host_client.message, sv.lightstyles[ i ] || '' );
-
-	}
-
-	// send some stats
-	MSG_WriteByte( host_client.message, svc_updatestat );
-	MSG_WriteByte( host_client.message, STAT_TOTALSECRETS );
-	MSG_WriteLong( host_client.message, pr_global_struct ? pr_global_struct.total_secrets : 0 );
-
-	MSG_WriteByte( host_client.message, svc_updatestat );
-	MSG_WriteByte( host_client.message, STAT_TOTALMONSTERS );
-	MSG_WriteLong( host_client.message, pr_global_struct ? pr_global_struct.total_monsters : 0 );
-
-	MSG_WriteByte( host_client.message, svc_updatestat );
-	MSG_WriteByte( host_client.message, STAT_SECRETS );
-	MSG_WriteLong( host_client.message, pr_global_struct ? pr_global_struct.found_secrets : 0 );
-
-	MSG_WriteByte( host_client.message, svc_updatestat );
-	MSG_WriteByte( host_client.message, STAT_MONSTERS );
-	MSG_WriteLong( host_client.message, pr_global_struct ? pr_global_struct.killed_monsters : 0 );
-
-	// send a fixangle
-	const ent = EDICT_NUM( 1 + svs.clients.indexOf( host_client ) );
-	MSG_WriteByte( host_client.message, svc_setangle );
-	for ( let i = 0; i < 2; i ++ )
-		MSG_WriteAngle( host_client.message, ent.v.angles[ i ] );
-	MSG_WriteAngle( host_client.message, 0 );
-
-	SV_WriteClientdataToMessage( sv_player, host_client.message );
-
-	MSG_WriteByte( host_client.message, svc_signonnum );
-	MSG_WriteByte( host_client.message, 3 );
-	host_client.sendsignon = true;
-
-}
-
-/*
-==================
-Host_Begin_f
-==================
-*/
-function Host_Begin_f() {
-
-	if ( cmd_source === src_command ) {
-
-		Con_Printf( 'begin is not valid from the console\n' );
-		return;
-
-	}
-
-	const clientIdx = svs.clients.indexOf( host_client );
-	console.log( '[MP] Host_Begin_f: client', clientIdx, host_client.name, 'spawned=true' );
-	host_client.spawned = true;
-
-}
-
-/*
-================
-SV_ClientPrintf
-
-Sends text across to be displayed
-================
-*/
-export function SV_ClientPrintf( fmt, ...args ) {
-
-	// Format the string
-	let msg = fmt;
-	if ( args.length > 0 ) {
-
-		msg = fmt.replace( /%s/g, () => args.shift() || '' );
-
-	}
-
-	// Write to host_client's message buffer
-	if ( host_client && host_client.message ) {
-
-		MSG_WriteByte( host_client.message, svc_print );
-		MSG_WriteString( host_client.message, msg );
-
-	}
-
-	Con_Printf( '%s', msg );
-
-}
-
-/*
-================
-SV_BroadcastPrintf
-
-Sends text to all active clients
-================
-*/
-export function SV_BroadcastPrintf( fmt, ...args ) {
-
-	// Format the string
-	let msg = fmt;
-	if ( args.length > 0 ) {
-
-		msg = fmt.replace( /%s/g, () => args.shift() || '' );
-
-	}
-
-	Con_Printf( '%s', msg );
-
-	// Write to all active clients
-	for ( let i = 0; i < svs.maxclients; i ++ ) {
-
-		const client = svs.clients[ i ];
-		if ( ! client || ! client.active ) continue;
-		MSG_WriteByte( client.message, svc_print );
-		MSG_WriteString( client.message, msg );
-
-	}
-
-}
@@ -0,0 +1,1546 @@
+// Ported from: WinQuake/host_cmd.c -- server side console commands
+
+// Client-side commands (connect, save/load, demos) stay in host.js. This
+// module only imports server code, so the headless server can share it.
+
+import { Sys_Printf, Sys_FloatTime } from './sys.js';
+import { Con_Printf, Con_BeginRedirect, Con_EndRedirect, SZ_Write, SZ_Clear,
+	MSG_WriteByte, MSG_WriteShort, MSG_WriteLong, MSG_WriteFloat,
+	MSG_WriteString, MSG_WriteAngle, COM_Parse } from './common.js';
+import { svc_signonnum, svc_time, svc_updatename, svc_updatefrags,
+	svc_updatecolors, svc_lightstyle, svc_updatestat, svc_setangle,
+	svc_print, svc_protocolext, clc_stringcmd, PEXT_PREDICTION, PEXT_DELTA, PEXT_FOG } from './protocol.js';
+import { STAT_TOTALSECRETS, STAT_TOTALMONSTERS, STAT_SECRETS, STAT_MONSTERS,
+	MAX_LIGHTSTYLES, VERSION } from './quakedef.js';
+import { NUM_FOR_EDICT, EDICT_NUM, EDICT_TO_PROG, pr_global_struct } from './progs.js';
+import { PR_ExecuteProgram } from './pr_exec.js';
+import { ED_NewString } from './pr_edict.js';
+import { sv_player, FL_GODMODE, FL_NOTARGET,
+	MOVETYPE_WALK, MOVETYPE_FLY, MOVETYPE_NOCLIP } from './sv_phys.js';
+import { cvar_t, Cvar_RegisterVariable, Cvar_Set, Cvar_SetValue, Cvar_VariableValue, Cvar_VariableString } from './cvar.js';
+import { Cmd_AddCommand, Cbuf_AddText, Cmd_Argc, Cmd_Argv, Cmd_Args, Cmd_ExecuteString,
+	cmd_source, src_command, src_client, Cmd_ForwardToServer } from './cmd.js';
+import { hostname } from './net_main.js';
+import { net_time, net_activeconnections } from './net.js';
+import { SV_SpawnServer, SV_SaveSpawnparms, SV_WriteClientdataToMessage, SV_DropClient, SV_WriteFog } from './sv_main.js';
+import { sv, svs, NUM_SPAWN_PARMS, NUM_PING_TIMES, host_client, set_host_client,
+	teamplay, MAX_FLOOD_MESSAGES } from './server.js';
+import { cls, ca_connected, ca_dedicated } from './client.js';
+
+// chat flood protection: no more than fp_messages in fp_persecond seconds,
+// or the client is silenced for fp_secondsdead seconds
+const fp_messages = new cvar_t( 'fp_messages', '4', false, true );
+const fp_persecond = new cvar_t( 'fp_persecond', '4', false, true );
+const fp_secondsdead = new cvar_t( 'fp_secondsdead', '10', false, true );
+
+// protocol extensions this server implements, see Host_Pext_f
+const PEXT_SERVER = PEXT_PREDICTION | PEXT_DELTA | PEXT_FOG;
+
+// remote administration, see Host_Rcon_f
+export const rcon_password = new cvar_t( 'rcon_password', '' );
+
+// a host that gets the password wrong RCON_MAX_FAILURES times in a row
+// can't try again for RCON_LOCKOUT seconds
+const RCON_MAX_FAILURES = 5;
+const RCON_LOCKOUT = 60;
+const rcon_failures = new Map(); // host, without the port -> { count, lockedtill }
+
+// Set by host.js when there is a local client, null on the dedicated server
+let _CL_Disconnect = null;
+let _SCR_BeginLoadingPlaque = null;
+let _set_key_dest = null;
+let _key_game = 0;
+
+// Set by the dedicated server, see BANS below
+let _WT_BanAddress = null;
+let _WT_UnbanAddress = null;
+let _WT_ListBans = null;
+
+export function Host_SetExternals( externals ) {
+
+	if ( externals.CL_Disconnect ) _CL_Disconnect = externals.CL_Disconnect;
+	if ( externals.SCR_BeginLoadingPlaque ) _SCR_BeginLoadingPlaque = externals.SCR_BeginLoadingPlaque;
+	if ( externals.set_key_dest ) _set_key_dest = externals.set_key_dest;
+	if ( externals.key_game !== undefined ) _key_game = externals.key_game;
+	if ( externals.WT_BanAddress ) _WT_BanAddress = externals.WT_BanAddress;
+	if ( externals.WT_UnbanAddress ) _WT_UnbanAddress = externals.WT_UnbanAddress;
+	if ( externals.WT_ListBans ) _WT_ListBans = externals.WT_ListBans;
+
+}
+
+/*
+======================
+Host_InitCommands
+======================
+*/
+export function Host_InitCommands() {
+
+	Cmd_AddCommand( 'status', Host_Status_f );
+	Cmd_AddCommand( 'map', Host_Map_f );
+	Cmd_AddCommand( 'changelevel', Host_Changelevel_f );
+	Cmd_AddCommand( 'restart', Host_Restart_f );
+	Cmd_AddCommand( 'name', Host_Name_f );
+	Cmd_AddCommand( 'pause', Host_Pause_f );
+	Cmd_AddCommand( 'say', Host_Say_f );
+	Cmd_AddCommand( 'say_team', Host_Say_Team_f );
+	Cmd_AddCommand( 'tell', Host_Tell_f );
+	Cmd_AddCommand( 'color', Host_Color_f );
+	Cmd_AddCommand( 'kill', Host_Kill_f );
+	Cmd_AddCommand( 'god', Host_God_f );
+	Cmd_AddCommand( 'notarget', Host_Notarget_f );
+	Cmd_AddCommand( 'fly', Host_Fly_f );
+	Cmd_AddCommand( 'noclip', Host_Noclip_f );
+	Cmd_AddCommand( 'give', Host_Give_f );
+	Cmd_AddCommand( 'ping', Host_Ping_f );
+	Cmd_AddCommand( 'kick', Host_Kick_f );
+	Cmd_AddCommand( 'ban', Host_Ban_f );
+	Cmd_AddCommand( 'unban', Host_Unban_f );
+	Cmd_AddCommand( 'rcon', Host_Rcon_f );
+	Cmd_AddCommand( 'spawn', Host_Spawn_f );
+	Cmd_AddCommand( 'begin', Host_Begin_f );
+	Cmd_AddCommand( 'prespawn', Host_PreSpawn_f );
+	Cmd_AddCommand( 'pext', Host_Pext_f );
+
+	Cvar_RegisterVariable( fp_messages );
+	Cvar_RegisterVariable( fp_persecond );
+	Cvar_RegisterVariable( fp_secondsdead );
+
+	Cvar_RegisterVariable( rcon_password );
+
+}
+
+/*
+================
+Host_ShutdownServer
+
+This only happens at the end of a game, not between levels
+================
+*/
+export function Host_ShutdownServer( crash ) {
+
+	if ( ! sv.active )
+		return;
+
+	sv.active = false;
+
+	// stop all client sounds immediately
+	if ( cls.state === ca_connected && _CL_Disconnect )
+		_CL_Disconnect();
+
+	// drop all active clients (matches C: SV_DropClient loop + memset)
+	for ( let i = 0; i < svs.maxclients; i ++ ) {
+
+		if ( svs.clients[ i ] && svs.clients[ i ].active ) {
+
+			set_host_client( svs.clients[ i ] );
+			SV_DropClient( crash );
+
+		}
+
+	}
+
+	// clear structures
+	Object.assign( sv, new ( sv.constructor )() );
+
+}
+
+/*
+==================
+Host_Status_f
+==================
+*/
+function Host_Status_f() {
+
+	let print;
+
+	if ( cmd_source === src_command ) {
+
+		if ( ! sv.active ) {
+
+			Cmd_ForwardToServer();
+			return;
+
+		}
+
+		print = Con_Printf;
+
+	} else {
+
+		print = SV_ClientPrintf;
+
+	}
+
+	print( 'host:    ' + hostname.string + '\n' );
+	print( 'version: ' + VERSION.toFixed( 2 ) + '\n' );
+	print( 'map:     ' + sv.name + '\n' );
+	print( 'players: ' + net_activeconnections + ' active (' + svs.maxclients + ' max)\n\n' );
+
+	for ( let j = 0; j < svs.maxclients; j ++ ) {
+
+		const client = svs.clients[ j ];
+		if ( ! client.active )
+			continue;
+
+		let seconds = 0;
+		if ( client.netconnection )
+			seconds = Math.max( 0, ( net_time - client.netconnection.connecttime ) | 0 );
+
+		let minutes = ( seconds / 60 ) | 0;
+		let hours = 0;
+		if ( minutes ) {
+
+			seconds -= minutes * 60;
+			hours = ( minutes / 60 ) | 0;
+			if ( hours )
+				minutes -= hours * 60;
+
+		}
+
+		const frags = client.edict ? client.edict.v.frags | 0 : 0;
+
+		print( '#' + String( j + 1 ).padEnd( 2 ) + ' '
+			+ client.name.substring( 0, 16 ).padEnd( 16 ) + '  '
+			+ String( frags ).padStart( 3 ) + '  '
+			+ String( Host_ClientPing( client ) ).padStart( 4 ) + 'ms  '
+			+ String( hours ).padStart( 2 ) + ':'
+			+ String( minutes ).padStart( 2, '0' ) + ':'
+			+ String( seconds ).padStart( 2, '0' ) + '\n' );
+		print( '   ' + ( client.netconnection ? client.netconnection.address : '' ) + '\n' );
+
+	}
+
+}
+
+function Host_Map_f() {
+
+	if ( cmd_source !== src_command )
+		return;
+
+	cls.demonum = - 1; // stop demo loop in case this fails
+
+	if ( _CL_Disconnect ) _CL_Disconnect();
+	Host_ShutdownServer( false );
+
+	if ( _set_key_dest ) _set_key_dest( _key_game ); // remove console or menu
+	if ( _SCR_BeginLoadingPlaque ) _SCR_BeginLoadingPlaque();
+
+	cls.mapstring = '';
+	for ( let i = 0; i < Cmd_Argc(); i ++ ) {
+
+		cls.mapstring += Cmd_Argv( i ) + ' ';
+
+	}
+
+	cls.mapstring += '\n';
+
+	svs.serverflags = 0; // haven't completed an episode yet
+	const name = Cmd_Argv( 1 );
+
+	console.log( 'Host_Map_f: spawning server for map "' + name + '"' );
+	SV_SpawnServer( name );
+	console.log( 'Host_Map_f: sv.active=' + sv.active );
+
+	if ( ! sv.active )
+		return;
+
+	if ( cls.state !== ca_dedicated ) {
+
+		cls.spawnparms = '';
+
+		for ( let i = 2; i < Cmd_Argc(); i ++ ) {
+
+			cls.spawnparms += Cmd_Argv( i ) + ' ';
+
+		}
+
+		Cmd_ExecuteString( 'connect local', src_command );
+
+	}
+
+}
+
+function Host_Changelevel_f() {
+
+	if ( Cmd_Argc() !== 2 ) {
+
+		Con_Printf( 'changelevel <levelname> : continue game on a new level\n' );
+		return;
+
+	}
+
+	if ( ! sv.active || cls.demoplayback ) {
+
+		Con_Printf( 'Only the server may changelevel\n' );
+		return;
+
+	}
+
+	SV_SaveSpawnparms();
+	const level = Cmd_Argv( 1 );
+	SV_SpawnServer( level );
+	// Note: SV_SpawnServer handles client reconnection internally via SV_SendReconnect
+	// which calls Host_Reconnect_f to reset cls.signon. We do NOT call CL_EstablishConnection
+	// here because the client is already connected - it just needs new signon messages.
+
+}
+
+function Host_Restart_f() {
+
+	if ( ! sv.active )
+		return;
+
+	const mapname = sv.name;
+	if ( mapname ) {
+
+		Cbuf_AddText( 'map ' + mapname + '\n' );
+
+	}
+
+}
+
+function Host_Name_f() {
+
+	let newName;
+
+	if ( Cmd_Argc() === 1 ) {
+
+		Con_Printf( '"name" is "%s"\n', Cvar_VariableString( '_cl_name' ) );
+		return;
+
+	}
+
+	if ( Cmd_Argc() === 2 )
+		newName = Cmd_Argv( 1 );
+	else
+		newName = Cmd_Args();
+
+	// Sanitize name: only printable ASCII, max 15 chars
+	newName = newName.replace( /[^\x20-\x7E]/g, '' ); // Remove non-printable chars
+	if ( newName.length > 15 )
+		newName = newName.substring( 0, 15 );
+	if ( newName.length === 0 )
+		newName = 'player'; // Fallback for empty names
+
+	if ( cmd_source === src_command ) {
+
+		// Client-side: update cvar and forward to server
+		if ( Cvar_VariableString( '_cl_name' ) === newName )
+			return;
+
+		Cvar_Set( '_cl_name', newName );
+
+		if ( cls.state === ca_connected )
+			Cmd_ForwardToServer();
+
+		return;
+
+	}
+
+	// Server-side: update the client's name (only if changed)
+	if ( host_client.name === newName )
+		return; // No change, skip update
+
+	if ( host_client.name !== '' && host_client.name !== 'unconnected' ) {
+
+		Con_Printf( '%s renamed to %s\n', host_client.name, newName );
+
+	}
+
+	host_client.name = newName;
+
+	// Set the netname on the edict
+	if ( host_client.edict != null ) {
+
+		host_client.edict.v.netname = ED_NewString( newName );
+
+	}
+
+	// Send notification to all clients
+	MSG_WriteByte( sv.reliable_datagram, svc_updatename );
+	MSG_WriteByte( sv.reliable_datagram, svs.clients.indexOf( host_client ) );
+	MSG_WriteString( sv.reliable_datagram, host_client.name );
+
+}
+
+function Host_Pause_f() {
+
+	Con_Printf( 'pause not yet implemented\n' );
+
+}
+
+/*
+==================
+Host_ChatText
+
+Returns the chat text from the command arguments after the first skip
+arguments, with surrounding quotes removed
+==================
+*/
+function Host_ChatText( skip ) {
+
+	let p = Cmd_Args() || '';
+	for ( let i = 0; i < skip; i ++ )
+		p = COM_Parse( p ) || '';
+
+	p = p.trim();
+
+	// remove quotes if present
+	if ( p[ 0 ] === '"' && p.length > 1 && p[ p.length - 1 ] === '"' )
+		p = p.substring( 1, p.length - 1 );
+
+	return p;
+
+}
+
+/*
+==================
+Host_CheckFlood
+
+Returns true if host_client has to be silenced
+==================
+*/
+function Host_CheckFlood() {
+
+	const client = host_client;
+	const now = Sys_FloatTime(); // realtime isn't advanced on the dedicated server
+
+	if ( now < client.lockedtill ) {
+
+		SV_ClientPrintf( 'You can\'t talk for %s more seconds\n', String( Math.ceil( client.lockedtill - now ) ) );
+		return true;
+
+	}
+
+	let messages = fp_messages.value | 0;
+	if ( messages < 1 )
+		return false; // flood protection disabled
+	if ( messages > MAX_FLOOD_MESSAGES )
+		messages = MAX_FLOOD_MESSAGES;
+
+	let i = client.whensaidhead - messages + 1;
+	if ( i < 0 )
+		i += MAX_FLOOD_MESSAGES;
+
+	if ( client.whensaid[ i ] && now - client.whensaid[ i ] < fp_persecond.value ) {
+
+		client.lockedtill = now + fp_secondsdead.value;
+		SV_ClientPrintf( 'FloodProt: You can\'t talk for %s seconds.\n', String( fp_secondsdead.value | 0 ) );
+		return true;
+
+	}
+
+	client.whensaidhead = ( client.whensaidhead + 1 ) % MAX_FLOOD_MESSAGES;
+	client.whensaid[ client.whensaidhead ] = now;
+
+	return false;
+
+}
+
+/*
+==================
+Host_Chat
+
+Sends text to a client as a chat message. The leading 1 turns on colour
+set 1 and the talk sound on the receiving console.
+==================
+*/
+function Host_Chat( client, text ) {
+
+	MSG_WriteByte( client.message, svc_print );
+	MSG_WriteString( client.message, '\x01' + text );
+
+}
+
+/*
+==================
+Host_Say
+==================
+*/
+function Host_Say( teamonly ) {
+
+	let fromServer = false;
+
+	if ( cmd_source === src_command ) {
+
+		if ( cls.state === ca_dedicated ) {
+
+			fromServer = true;
+			teamonly = false;
+
+		} else {
+
+			Cmd_ForwardToServer();
+			return;
+
+		}
+
+	}
+
+	if ( Cmd_Argc() < 2 )
+		return;
+
+	const save = host_client;
+
+	if ( ! fromServer && Host_CheckFlood() )
+		return;
+
+	let text;
+	if ( ! fromServer )
+		text = save.name + ': ';
+	else
+		text = '<' + hostname.string + '> ';
+
+	// 64 byte buffer, -2 for \n and null terminator, -1 for the colour byte
+	text = ( text + Host_ChatText( 0 ) ).substring( 0, 61 ) + '\n';
+
+	for ( let j = 0; j < svs.maxclients; j ++ ) {
+
+		const client = svs.clients[ j ];
+		if ( ! client || ! client.active || ! client.spawned )
+			continue;
+		if ( teamplay.value && teamonly && client.edict.v.team !== save.edict.v.team )
+			continue;
+		Host_Chat( client, text );
+
+	}
+
+	Sys_Printf( '%s', text );
+
+}
+
+function Host_Say_f() {
+
+	Host_Say( false );
+
+}
+
+function Host_Say_Team_f() {
+
+	Host_Say( true );
+
+}
+
+/*
+==================
+Host_Tell_f
+
+tell <player> <message>
+==================
+*/
+function Host_Tell_f() {
+
+	if ( cmd_source === src_command ) {
+
+		Cmd_ForwardToServer();
+		return;
+
+	}
+
+	if ( Cmd_Argc() < 3 )
+		return;
+
+	if ( Host_CheckFlood() )
+		return;
+
+	const text = ( host_client.name + ': ' + Host_ChatText( 1 ) ).substring( 0, 61 ) + '\n';
+	const target = Cmd_Argv( 1 ).toLowerCase();
+
+	for ( let j = 0; j < svs.maxclients; j ++ ) {
+
+		const client = svs.clients[ j ];
+		if ( ! client.active || ! client.spawned )
+			continue;
+		if ( client.name.toLowerCase() !== target )
+			continue;
+		Host_Chat( client, text );
+		return;
+
+	}
+
+	SV_ClientPrintf( 'tell: no player named %s\n', Cmd_Argv( 1 ) );
+
+}
+
+/*
+==================
+Host_Color_f
+
+color <0-13> [0-13], shirt and pants. The pants pick the team in teamplay
+==================
+*/
+function Host_Color_f() {
+
+	if ( Cmd_Argc() === 1 ) {
+
+		const color = Cvar_VariableValue( '_cl_color' ) | 0;
+		Con_Printf( '"color" is "%i %i"\n', color >> 4, color & 0x0f );
+		Con_Printf( 'color <0-13> [0-13]\n' );
+		return;
+
+	}
+
+	let top, bottom;
+	if ( Cmd_Argc() === 2 )
+		top = bottom = parseInt( Cmd_Argv( 1 ), 10 ) | 0;
+	else {
+
+		top = parseInt( Cmd_Argv( 1 ), 10 ) | 0;
+		bottom = parseInt( Cmd_Argv( 2 ), 10 ) | 0;
+
+	}
+
+	top = Math.min( top & 15, 13 );
+	bottom = Math.min( bottom & 15, 13 );
+
+	const playercolor = top * 16 + bottom;
+
+	if ( cmd_source === src_command ) {
+
+		Cvar_SetValue( '_cl_color', playercolor );
+		if ( cls.state === ca_connected )
+			Cmd_ForwardToServer();
+		return;
+
+	}
+
+	host_client.colors = playercolor;
+	if ( host_client.edict != null )
+		host_client.edict.v.team = bottom + 1;
+
+	// send notification to all clients
+	MSG_WriteByte( sv.reliable_datagram, svc_updatecolors );
+	MSG_WriteByte( sv.reliable_datagram, svs.clients.indexOf( host_client ) );
+	MSG_WriteByte( sv.reliable_datagram, host_client.colors );
+
+}
+
+function Host_Kill_f() {
+
+	if ( cmd_source === src_command ) {
+
+		// If not running a local server, forward the command to the remote server
+		if ( ! sv.active ) {
+
+			Cmd_ForwardToServer();
+			return;
+
+		}
+
+		Cmd_ExecuteString( 'kill', src_client );
+		return;
+
+	}
+
+	if ( sv_player == null || sv_player.v.health <= 0 ) {
+
+		SV_ClientPrintf( 'Can\'t suicide -- allready dead!\n' );
+		return;
+
+	}
+
+	pr_global_struct.time = sv.time;
+	pr_global_struct.self = EDICT_TO_PROG( sv_player );
+	PR_ExecuteProgram( pr_global_struct.ClientKill );
+
+}
+
+export let noclip_anglehack = false;
+
+export function set_noclip_anglehack( v ) {
+
+	noclip_anglehack = v;
+
+}
+
+function Host_God_f() {
+
+	if ( ! sv.active )
+		return;
+
+	if ( pr_global_struct.deathmatch )
+		return;
+
+	sv_player.v.flags = ( sv_player.v.flags | 0 ) ^ FL_GODMODE;
+	if ( ! ( ( sv_player.v.flags | 0 ) & FL_GODMODE ) )
+		SV_ClientPrintf( 'godmode OFF\n' );
+	else
+		SV_ClientPrintf( 'godmode ON\n' );
+
+}
+
+function Host_Notarget_f() {
+
+	if ( ! sv.active )
+		return;
+
+	if ( pr_global_struct.deathmatch )
+		return;
+
+	sv_player.v.flags = ( sv_player.v.flags | 0 ) ^ FL_NOTARGET;
+	if ( ! ( ( sv_player.v.flags | 0 ) & FL_NOTARGET ) )
+		SV_ClientPrintf( 'notarget OFF\n' );
+	else
+		SV_ClientPrintf( 'notarget ON\n' );
+
+}
+
+function Host_Fly_f() {
+
+	if ( ! sv.active )
+		return;
+
+	if ( pr_global_struct.deathmatch )
+		return;
+
+	if ( sv_player.v.movetype !== MOVETYPE_FLY ) {
+
+		sv_player.v.movetype = MOVETYPE_FLY;
+		SV_ClientPrintf( 'flymode ON\n' );
+
+	} else {
+
+		sv_player.v.movetype = MOVETYPE_WALK;
+		SV_ClientPrintf( 'flymode OFF\n' );
+
+	}
+
+}
+
+function Host_Noclip_f() {
+
+	if ( ! sv.active )
+		return;
+
+	if ( pr_global_struct.deathmatch )
+		return;
+
+	if ( sv_player.v.movetype !== MOVETYPE_NOCLIP ) {
+
+		noclip_anglehack = true;
+		sv_player.v.movetype = MOVETYPE_NOCLIP;
+		SV_ClientPrintf( 'noclip ON\n' );
+
+	} else {
+
+		noclip_anglehack = false;
+		sv_player.v.movetype = MOVETYPE_WALK;
+		SV_ClientPrintf( 'noclip OFF\n' );
+
+	}
+
+}
+
+function Host_Give_f() {
+
+	if ( ! sv.active )
+		return;
+
+	if ( pr_global_struct.deathmatch )
+		return;
+
+	const t = Cmd_Argv( 1 );
+	const v = parseInt( Cmd_Argv( 2 ) ) || 0;
+
+	if ( ! t ) return;
+
+	switch ( t[ 0 ] ) {
+
+		case '2': case '3': case '4': case '5':
+		case '6': case '7': case '8': {
+
+			const IT_SHOTGUN = 1;
+			if ( t.charCodeAt( 0 ) >= 50 ) // '2'
+				sv_player.v.items = ( sv_player.v.items | 0 ) | ( IT_SHOTGUN << ( t.charCodeAt( 0 ) - 50 ) );
+			break;
+
+		}
+
+		case 's':
+			sv_player.v.ammo_shells = v;
+			break;
+
+		case 'n':
+			sv_player.v.ammo_nails = v;
+			break;
+
+		case 'r':
+			sv_player.v.ammo_rockets = v;
+			break;
+
+		case 'h':
+			sv_player.v.health = v;
+			break;
+
+		case 'c':
+			sv_player.v.ammo_cells = v;
+			break;
+
+	}
+
+}
+
+/*
+==================
+Host_ClientPing
+
+Average of the client's recent ping times, in milliseconds
+==================
+*/
+function Host_ClientPing( client ) {
+
+	const count = Math.min( client.num_pings, NUM_PING_TIMES );
+	if ( count === 0 )
+		return 0;
+
+	let total = 0;
+	for ( let i = 0; i < count; i ++ )
+		total += client.ping_times[ i ];
+
+	return ( total / count * 1000 ) | 0;
+
+}
+
+/*
+==================
+Host_Ping_f
+==================
+*/
+function Host_Ping_f() {
+
+	let print;
+
+	if ( cmd_source === src_command ) {
+
+		if ( ! sv.active ) {
+
+			Cmd_ForwardToServer();
+			return;
+
+		}
+
+		print = Con_Printf;
+
+	} else {
+
+		print = SV_ClientPrintf;
+
+	}
+
+	print( 'Client ping times:\n' );
+	for ( let i = 0; i < svs.maxclients; i ++ ) {
+
+		const client = svs.clients[ i ];
+		if ( ! client.active )
+			continue;
+		print( String( Host_ClientPing( client ) ).padStart( 4 ) + ' ' + client.name + '\n' );
+
+	}
+
+}
+
+/*
+==================
+Host_FindClient
+
+Resolves "<name>" or "# <slot>" at argument first. Returns the client and
+the number of arguments used, or null.
+==================
+*/
+function Host_FindClient( first ) {
+
+	if ( Cmd_Argc() > first + 1 && Cmd_Argv( first ) === '#' ) {
+
+		const i = ( parseFloat( Cmd_Argv( first + 1 ) ) | 0 ) - 1;
+		if ( i < 0 || i >= svs.maxclients )
+			return null;
+		if ( ! svs.clients[ i ].active )
+			return null;
+		return { client: svs.clients[ i ], argc: 2 };
+
+	}
+
+	const name = Cmd_Argv( first ).toLowerCase();
+	for ( let i = 0; i < svs.maxclients; i ++ ) {
+
+		const client = svs.clients[ i ];
+		if ( ! client.active )
+			continue;
+		if ( client.name.toLowerCase() === name )
+			return { client: client, argc: 1 };
+
+	}
+
+	return null;
+
+}
+
+/*
+==================
+Host_ArgsFrom
+
+Returns the raw argument text starting at argument first
+==================
+*/
+function Host_ArgsFrom( first ) {
+
+	let p = Cmd_Args() || '';
+	for ( let i = 1; i < first; i ++ )
+		p = COM_Parse( p ) || '';
+
+	return p.trim();
+
+}
+
+/*
+==================
+Host_AdminName
+
+Who to credit in kick and ban messages
+==================
+*/
+function Host_AdminName( save ) {
+
+	if ( cmd_source === src_command ) {
+
+		if ( cls.state === ca_dedicated )
+			return 'Console';
+		return Cvar_VariableString( '_cl_name' );
+
+	}
+
+	return save.name;
+
+}
+
+/*
+==================
+Host_Kick_f
+
+kick <name> [reason]
+kick # <slot> [reason]
+==================
+*/
+function Host_Kick_f() {
+
+	if ( cmd_source === src_command ) {
+
+		if ( ! sv.active ) {
+
+			Cmd_ForwardToServer();
+			return;
+
+		}
+
+	} else if ( ! host_client.privileged ) {
+
+		return;
+
+	}
+
+	if ( Cmd_Argc() < 2 ) {
+
+		Con_Printf( 'usage: kick <name | # slot> [reason]\n' );
+		return;
+
+	}
+
+	const save = host_client;
+	const found = Host_FindClient( 1 );
+	if ( found === null )
+		return;
+
+	// can't kick yourself!
+	if ( found.client === save )
+		return;
+
+	const who = Host_AdminName( save );
+	const message = Host_ArgsFrom( 1 + found.argc );
+
+	set_host_client( found.client );
+
+	if ( message )
+		SV_ClientPrintf( 'Kicked by %s: %s\n', who, message );
+	else
+		SV_ClientPrintf( 'Kicked by %s\n', who );
+	SV_DropClient( false );
+
+	set_host_client( save );
+
+}
+
+/*
+===============================================================================
+
+BANS
+
+The ban list lives in the network driver of the dedicated server, which
+hands in its functions through Host_SetExternals. Bans are keyed by host
+address without the port, so reconnecting doesn't get around them.
+===============================================================================
+*/
+
+/*
+==================
+Host_Ban_f
+
+ban
+ban <name | # slot> [minutes] [reason]
+
+Kicks the player and refuses new connections from their address. A time
+of 0 minutes bans until the server exits.
+==================
+*/
+function Host_Ban_f() {
+
+	let print;
+
+	if ( cmd_source === src_command ) {
+
+		if ( ! sv.active ) {
+
+			Cmd_ForwardToServer();
+			return;
+
+		}
+
+		print = Con_Printf;
+
+	} else {
+
+		if ( ! host_client.privileged )
+			return;
+
+		print = SV_ClientPrintf;
+
+	}
+
+	if ( _WT_BanAddress === null ) {
+
+		print( 'Bans are only available on a dedicated server\n' );
+		return;
+
+	}
+
+	if ( Cmd_Argc() < 2 ) {
+
+		const bans = _WT_ListBans();
+		if ( bans.length === 0 ) {
+
+			print( 'Ban list is empty\n' );
+			return;
+
+		}
+
+		const now = Date.now();
+		for ( const ban of bans ) {
+
+			const left = ban.expires ? Math.ceil( ( ban.expires - now ) / 60000 ) + ' min' : 'permanent';
+			print( ban.address.padEnd( 24 ) + ' ' + left.padStart( 9 ) + '  ' + ban.reason + '\n' );
+
+		}
+
+		return;
+
+	}
+
+	const save = host_client;
+	const found = Host_FindClient( 1 );
+	if ( found === null ) {
+
+		print( 'ban: no player ' + Host_ArgsFrom( 1 ) + '\n' );
+		return;
+
+	}
+
+	// can't ban yourself!
+	if ( found.client === save )
+		return;
+
+	if ( found.client.netconnection === null ) {
+
+		print( 'ban: ' + found.client.name + ' has no address\n' );
+		return;
+
+	}
+
+	let next = 1 + found.argc;
+	let minutes = 60;
+	if ( Cmd_Argc() > next && /^\d+$/.test( Cmd_Argv( next ) ) ) {
+
+		minutes = parseInt( Cmd_Argv( next ), 10 );
+		next ++;
+
+	}
+
+	const reason = Host_ArgsFrom( next );
+	const who = Host_AdminName( save );
+	const address = _WT_BanAddress( found.client.netconnection.address, minutes, reason );
+
+	print( 'Banned ' + found.client.name + ' (' + address + ') '
+		+ ( minutes ? 'for ' + minutes + ' minutes' : 'permanently' ) + '\n' );
+
+	set_host_client( found.client );
+
+	if ( reason )
+		SV_ClientPrintf( 'Banned by %s: %s\n', who, reason );
+	else
+		SV_ClientPrintf( 'Banned by %s\n', who );
+	SV_DropClient( false );
+
+	set_host_client( save );
+
+}
+
+/*
+==================
+Host_Unban_f
+
+unban <address>
+==================
+*/
+function Host_Unban_f() {
+
+	if ( cmd_source !== src_command )
+		return;
+
+	if ( _WT_UnbanAddress === null ) {
+
+		Con_Printf( 'Bans are only available on a dedicated server\n' );
+		return;
+
+	}
+
+	if ( Cmd_Argc() !== 2 ) {
+
+		Con_Printf( 'usage: unban <address>\n' );
+		return;
+
+	}
+
+	if ( _WT_UnbanAddress( Cmd_Argv( 1 ) ) )
+		Con_Printf( 'Removed ban on %s\n', Cmd_Argv( 1 ) );
+	else
+		Con_Printf( '%s is not banned\n', Cmd_Argv( 1 ) );
+
+}
+
+/*
+==================
+Host_CompareSecret
+
+Compares without returning early at the first differing character, so the
+time taken doesn't tell how much of a guess was right
+==================
+*/
+function Host_CompareSecret( guess, secret ) {
+
+	let diff = guess.length ^ secret.length;
+	for ( let i = 0; i < secret.length; i ++ )
+		diff |= ( i < guess.length ? guess.charCodeAt( i ) : 0 ) ^ secret.charCodeAt( i );
+
+	return diff === 0;
+
+}
+
+/*
+==================
+Host_AddressHost
+
+"host:port" without the port, a client reconnecting gets a new one
+==================
+*/
+function Host_AddressHost( address ) {
+
+	const colon = address.lastIndexOf( ':' );
+	return colon > 0 ? address.substring( 0, colon ) : address;
+
+}
+
+/*
+==================
+Host_Rcon_f
+
+rcon <command>
+
+On the client, sends the command to the server along with rcon_password.
+On the server, runs it as if it was typed at the server console and sends
+the console output back to the client.
+==================
+*/
+function Host_Rcon_f() {
+
+	if ( cmd_source === src_command ) {
+
+		if ( ! rcon_password.string ) {
+
+			Con_Printf( 'You must set \'rcon_password\' before issuing an rcon command.\n' );
+			return;
+
+		}
+
+		if ( Cmd_Argc() < 2 ) {
+
+			Con_Printf( 'usage: rcon <command>\n' );
+			return;
+
+		}
+
+		if ( cls.state !== ca_connected ) {
+
+			Con_Printf( 'Can\'t "rcon", not connected\n' );
+			return;
+
+		}
+
+		if ( cls.demoplayback )
+			return;
+
+		MSG_WriteByte( cls.message, clc_stringcmd );
+		MSG_WriteString( cls.message, 'rcon "' + rcon_password.string + '" ' + Cmd_Args() );
+		return;
+
+	}
+
+	const client = host_client;
+
+	if ( Cmd_Argc() < 3 )
+		return;
+
+	const address = client.netconnection ? Host_AddressHost( client.netconnection.address ) : '';
+	const now = Sys_FloatTime();
+	let failures = rcon_failures.get( address );
+
+	if ( failures && now < failures.lockedtill ) {
+
+		MSG_WriteByte( client.message, svc_print );
+		MSG_WriteString( client.message, 'Too many bad rcon attempts, try again later.\n' );
+		return;
+
+	}
+
+	if ( ! rcon_password.string || ! Host_CompareSecret( Cmd_Argv( 1 ), rcon_password.string ) ) {
+
+		Sys_Printf( 'Bad rcon from %s (%s)\n', client.name, address );
+
+		if ( ! failures ) {
+
+			failures = { count: 0, lockedtill: 0 };
+			rcon_failures.set( address, failures );
+
+		}
+
+		if ( ++ failures.count >= RCON_MAX_FAILURES ) {
+
+			failures.count = 0;
+			failures.lockedtill = now + RCON_LOCKOUT;
+			Sys_Printf( 'Locking out rcon from %s for %d seconds\n', address, RCON_LOCKOUT );
+
+		}
+
+		MSG_WriteByte( client.message, svc_print );
+		MSG_WriteString( client.message, 'Bad rcon_password.\n' );
+		return;
+
+	}
+
+	rcon_failures.delete( address );
+
+	const command = Host_ArgsFrom( 2 );
+	Sys_Printf( 'Rcon from %s: %s\n', client.name, command );
+
+	let output = '';
+	Con_BeginRedirect( ( text ) => {
+
+		output += text;
+
+	} );
+	Cmd_ExecuteString( command, src_command );
+	Con_EndRedirect();
+
+	set_host_client( client );
+
+	// send back as much of the output as fits in the reliable buffer
+	const msg = client.message;
+	for ( let i = 0; i < output.length && client.active; i += 1024 ) {
+
+		const chunk = output.substring( i, i + 1024 );
+		if ( msg.cursize + chunk.length + 2 > msg.maxsize )
+			break;
+		MSG_WriteByte( msg, svc_print );
+		MSG_WriteString( msg, chunk );
+
+	}
+
+}
+
+/*
+==================
+Host_Pext_f
+
+The client lists the protocol extensions it understands before prespawn,
+answer with the ones both sides will use from now on
+==================
+*/
+function Host_Pext_f() {
+
+	if ( cmd_source === src_command ) {
+
+		Con_Printf( 'pext is not valid from the console\n' );
+		return;
+
+	}
+
+	host_client.protocolext = ( parseInt( Cmd_Argv( 1 ), 10 ) | 0 ) & PEXT_SERVER;
+
+	// the client starts a new level with no snapshots
+	host_client.delta_sequence = 0;
+	for ( let i = 0; i < host_client.frames.length; i ++ )
+		host_client.frames[ i ].sequence = 0;
+
+	MSG_WriteByte( host_client.message, svc_protocolext );
+	MSG_WriteLong( host_client.message, host_client.protocolext );
+
+}
+
+/*
+==================
+Host_PreSpawn_f
+==================
+*/
+function Host_PreSpawn_f() {
+
+	if ( cmd_source === src_command ) {
+
+		Con_Printf( 'prespawn is not valid from the console\n' );
+		return;
+
+	}
+
+	if ( host_client.spawned ) {
+
+		Con_Printf( 'prespawn not valid -- allready spawned\n' );
+		return;
+
+	}
+
+	SZ_Write( host_client.message, sv.signon.data, sv.signon.cursize );
+	MSG_WriteByte( host_client.message, svc_signonnum );
+	MSG_WriteByte( host_client.message, 2 );
+	host_client.sendsignon = true;
+
+}
+
+/*
+==================
+Host_Spawn_f
+==================
+*/
+function Host_Spawn_f() {
+
+	if ( cmd_source === src_command ) {
+
+		Con_Printf( 'spawn is not valid from the console\n' );
+		return;
+
+	}
+
+	if ( host_client.spawned ) {
+
+		Con_Printf( 'Spawn not valid -- allready spawned\n' );
+		return;
+
+	}
+
+	const clientIdx = svs.clients.indexOf( host_client );
+	console.log( '[MP] Host_Spawn_f: client', clientIdx, host_client.name );
+
+	// run the entrance script
+	if ( sv.loadgame ) {
+
+		// loaded games are fully inited allready
+		// if this is the last client to be connected, unpause
+		sv.paused = false;
+
+	} else {
+
+		// set up the edict
+		const ent = host_client.edict;
+
+		// clear entity fields (C does: memset(&ent->v, 0, progs->entityfields * 4))
+		ent.clearFields();
+
+		// set key fields after clearing
+		const colormap = NUM_FOR_EDICT( ent );
+		const team = ( host_client.colors & 15 ) + 1;
+		ent.v.colormap = colormap;
+		ent.v.team = team;
+
+		// copy spawn parms out of the client_t
+		if ( pr_global_struct ) {
+
+			for ( let i = 0; i < NUM_SPAWN_PARMS; i ++ )
+				pr_global_struct[ 'parm' + ( i + 1 ) ] = host_client.spawn_parms[ i ];
+
+			// call the spawn function
+			pr_global_struct.time = sv.time;
+			pr_global_struct.self = EDICT_TO_PROG( sv_player );
+			PR_ExecuteProgram( pr_global_struct.ClientConnect );
+
+			if ( ( Sys_FloatTime() - host_client.netconnection.connecttime ) <= sv.time )
+				Sys_Printf( '%s entered the game\n', host_client.name );
+
+			PR_ExecuteProgram( pr_global_struct.PutClientInServer );
+
+			// Log entity state after PutClientInServer
+			console.log( '[MP] After PutClientInServer: entity', clientIdx + 1, 'modelindex=', ent.v.modelindex );
+
+		}
+
+	}
+
+	// send all current names, colors, and frag counts
+	SZ_Clear( host_client.message );
+
+	// send time of update
+	MSG_WriteByte( host_client.message, svc_time );
+	MSG_WriteFloat( host_client.message, sv.time );
+
+	for ( let i = 0; i < svs.maxclients; i ++ ) {
+
+		const client = svs.clients[ i ];
+		MSG_WriteByte( host_client.message, svc_updatename );
+		MSG_WriteByte( host_client.message, i );
+		MSG_WriteString( host_client.message, client.name );
+		MSG_WriteByte( host_client.message, svc_updatefrags );
+		MSG_WriteByte( host_client.message, i );
+		MSG_WriteShort( host_client.message, client.old_frags );
+		MSG_WriteByte( host_client.message, svc_updatecolors );
+		MSG_WriteByte( host_client.message, i );
+		MSG_WriteByte( host_client.message, client.colors );
+
+	}
+
+	// send all current light styles
+	for ( let i = 0; i < MAX_LIGHTSTYLES; i ++ ) {
+
+		MSG_WriteByte( host_client.message, svc_lightstyle );
+		MSG_WriteByte( host_client.message, i );
+		MSG_WriteString( host_client.message, sv.lightstyles[ i ] || '' );
+
+	}
+
+	// and the fog, the saved one in a loaded game
+	if ( host_client.protocolext & PEXT_FOG )
+		SV_WriteFog( host_client.message, 0 );
+
+	// send some stats
+	MSG_WriteByte( host_client.message, svc_updatestat );
+	MSG_WriteByte( host_client.message, STAT_TOTALSECRETS );
+	MSG_WriteLong( host_client.message, pr_global_struct ? pr_global_struct.total_secrets : 0 );
+
+	MSG_WriteByte( host_client.message, svc_updatestat );
+	MSG_WriteByte( host_client.message, STAT_TOTALMONSTERS );
+	MSG_WriteLong( host_client.message, pr_global_struct ? pr_global_struct.total_monsters : 0 );
+
+	MSG_WriteByte( host_client.message, svc_updatestat );
+	MSG_WriteByte( host_client.message, STAT_SECRETS );
+	MSG_WriteLong( host_client.message, pr_global_struct ? pr_global_struct.found_secrets : 0 );
+
+	MSG_WriteByte( host_client.message, svc_updatestat );
+	MSG_WriteByte( host_client.message, STAT_MONSTERS );
+	MSG_WriteLong( host_client.message, pr_global_struct ? pr_global_struct.killed_monsters : 0 );
+
+	// send a fixangle
+	const ent = EDICT_NUM( 1 + svs.clients.indexOf( host_client ) );
+	MSG_WriteByte( host_client.message, svc_setangle );
+	for ( let i = 0; i < 2; i ++ )
+		MSG_WriteAngle( host_client.message, ent.v.angles[ i ] );
+	MSG_WriteAngle( host_client.message, 0 );
+
+	SV_WriteClientdataToMessage( sv_player, host_client.message );
+
+	MSG_WriteByte( host_client.message, svc_signonnum );
+	MSG_WriteByte( host_client.message, 3 );
+	host_client.sendsignon = true;
+
+}
+
+/*
+==================
+Host_Begin_f
+==================
+*/
+function Host_Begin_f() {
+
+	if ( cmd_source === src_command ) {
+
+		Con_Printf( 'begin is not valid from the console\n' );
+		return;
+
+	}
+
+	const clientIdx = svs.clients.indexOf( host_client );
+	console.log( '[MP] Host_Begin_f: client', clientIdx, host_client.name, 'spawned=true' );
+	host_client.spawned = true;
+
+}
+
+/*
+================
+SV_ClientPrintf
+
+Sends text across to be displayed
+================
+*/
+export function SV_ClientPrintf( fmt, ...args ) {
+
+	// Format the string
+	let msg = fmt;
+	if ( args.length > 0 ) {
+
+		msg = fmt.replace( /%s/g, () => args.shift() || '' );
+
+	}
+
+	// Write to host_client's message buffer
+	if ( host_client && host_client.message ) {
+
+		MSG_WriteByte( host_client.message, svc_print );
+		MSG_WriteString( host_client.message, msg );
+
+	}
+
+	Con_Printf( '%s', msg );
+
+}
+
+/*
+================
+SV_BroadcastPrintf
+
+Sends text to all active clients
+================
+*/
+export function SV_BroadcastPrintf( fmt, ...args ) {
+
+	// Format the string
+	let msg = fmt;
+	if ( args.length > 0 ) {
+
+		msg = fmt.replace( /%s/g, () => args.shift() || '' );
+
+	}
+
+	Con_Printf( '%s', msg );
+
+	// Write to all active clients
+	for ( let i = 0; i < svs.maxclients; i ++ ) {
+
+		const client = svs.clients[ i ];
+		if ( ! client || ! client.active ) continue;
+		MSG_WriteByte( client.message, svc_print );
+		MSG_WriteString( client.message, msg );
+
+	}
+
+}
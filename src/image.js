@@ -0,0 +1,219 @@
+// Ported from: Quakespasm/image.c -- image loading
+
+/*
+
+External images for the replacement textures in gl_model.js and the skybox
+faces in gl_warp.js. Names come without an extension: each supported type
+is looked for in the pak search path first and, when
+gl_texturemode_external_url is set, fetched from that folder over HTTP. Images are returned as { data, width, height } with RGBA
+bytes, top row first like the 8-bit mips.
+
+*/
+
+import { Con_DPrintf } from './common.js';
+import { COM_FindFile } from './pak.js';
+import { gl_texturemode_external_url } from './glquake.js';
+
+const IMAGE_EXTENSIONS = [ 'png', 'tga', 'jpg', 'jpeg' ];
+
+// files already known not to exist, so every map load doesn't ask again
+const image_missing = new Set();
+
+/*
+============
+Image_LoadImage
+
+returns a promise of the first name.ext found, or null
+============
+*/
+export async function Image_LoadImage( name ) {
+
+	for ( const ext of IMAGE_EXTENSIONS ) {
+
+		const file = COM_FindFile( name + '.' + ext );
+		if ( file )
+			return Image_Decode( name + '.' + ext, file.data, ext );
+
+	}
+
+	const url = gl_texturemode_external_url.string;
+	if ( ! url || typeof fetch === 'undefined' )
+		return null;
+
+	for ( const ext of IMAGE_EXTENSIONS ) {
+
+		const path = url.replace( /\/+$/, '' ) + '/' + name + '.' + ext;
+		if ( image_missing.has( path ) )
+			continue;
+
+		// a response that fails halfway through counts as missing too
+		let data = null;
+		try {
+
+			const response = await fetch( path );
+			if ( response.ok )
+				data = new Uint8Array( await response.arrayBuffer() );
+
+		} catch ( e ) {
+
+			data = null;
+
+		}
+
+		if ( ! data ) {
+
+			image_missing.add( path );
+			continue;
+
+		}
+
+		return Image_Decode( path, data, ext );
+
+	}
+
+	return null;
+
+}
+
+/*
+============
+Image_Decode
+============
+*/
+async function Image_Decode( path, data, ext ) {
+
+	const image = ext === 'tga' ? Image_LoadTGA( data ) : await Image_LoadBrowserImage( data );
+	if ( ! image ) {
+
+		Con_DPrintf( 'Image_Decode: couldn\'t decode %s\n', path );
+		return null;
+
+	}
+
+	Con_DPrintf( 'loaded %s\n', path );
+	return image;
+
+}
+
+/*
+============
+Image_LoadBrowserImage
+
+PNG and JPEG, decoded by the browser and read back through a canvas
+============
+*/
+async function Image_LoadBrowserImage( data ) {
+
+	if ( typeof createImageBitmap === 'undefined' || typeof document === 'undefined' )
+		return null;
+
+	let bitmap;
+	try {
+
+		bitmap = await createImageBitmap( new Blob( [ data ] ), { premultiplyAlpha: 'none', colorSpaceConversion: 'none' } );
+
+	} catch ( e ) {
+
+		return null;
+
+	}
+
+	const cs = document.createElement( 'canvas' );
+	cs.width = bitmap.width;
+	cs.height = bitmap.height;
+	const ctx = cs.getContext( '2d' );
+	ctx.drawImage( bitmap, 0, 0 );
+	bitmap.close();
+
+	const pixels = ctx.getImageData( 0, 0, cs.width, cs.height );
+	return { data: new Uint8Array( pixels.data.buffer ), width: cs.width, height: cs.height };
+
+}
+
+/*
+============
+Image_LoadTGA
+
+truecolor and grayscale, uncompressed or RLE
+============
+*/
+function Image_LoadTGA( data ) {
+
+	if ( data.length < 18 )
+		return null;
+
+	const id_length = data[ 0 ];
+	const colormap_type = data[ 1 ];
+	const image_type = data[ 2 ];
+	const width = data[ 12 ] | ( data[ 13 ] << 8 );
+	const height = data[ 14 ] | ( data[ 15 ] << 8 );
+	const pixel_size = data[ 16 ];
+	const attributes = data[ 17 ];
+
+	const gray = image_type === 3 || image_type === 11;
+	const rle = image_type === 10 || image_type === 11;
+
+	if ( colormap_type !== 0 || ( image_type !== 2 && image_type !== 3 && image_type !== 10 && image_type !== 11 ) )
+		return null;
+	if ( gray ? pixel_size !== 8 : ( pixel_size !== 24 && pixel_size !== 32 ) )
+		return null;
+	if ( width === 0 || height === 0 )
+		return null;
+
+	const bpp = pixel_size >> 3;
+	const out = new Uint8Array( width * height * 4 );
+	const upside_down = ! ( attributes & 0x20 ); // bottom row first unless bit 5 is set
+	let pos = 18 + id_length;
+	let packet = 0; // pixels left in the current RLE packet
+	let repeat = false;
+
+	for ( let n = 0; n < width * height; n ++ ) {
+
+		if ( rle && packet === 0 ) {
+
+			if ( pos >= data.length )
+				return null;
+
+			const header = data[ pos ++ ];
+			packet = ( header & 0x7f ) + 1;
+			repeat = ( header & 0x80 ) !== 0;
+
+		}
+
+		if ( pos + bpp > data.length )
+			return null;
+
+		const row = Math.floor( n / width );
+		const o = ( ( upside_down ? height - 1 - row : row ) * width + n % width ) * 4;
+
+		if ( gray ) {
+
+			out[ o ] = out[ o + 1 ] = out[ o + 2 ] = data[ pos ];
+			out[ o + 3 ] = 255;
+
+		} else {
+
+			out[ o ] = data[ pos + 2 ];
+			out[ o + 1 ] = data[ pos + 1 ];
+			out[ o + 2 ] = data[ pos ];
+			out[ o + 3 ] = bpp === 4 ? data[ pos + 3 ] : 255;
+
+		}
+
+		if ( rle ) {
+
+			packet --;
+			if ( ! repeat || packet === 0 )
+				pos += bpp;
+
+		} else {
+
+			pos += bpp;
+
+		}
+
+	}
+
+	return { data: out, width: width, height: height };
+
+}
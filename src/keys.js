@@ -270,6 +270,12 @@ export function Key_SetExternals( externals ) {
 export let chat_buffer = '';
 export let team_message = false;
 
+export function set_team_message( v ) {
+
+	team_message = v;
+
+}
+
 /*
 ====================
 Key_Console
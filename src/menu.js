@@ -12,10 +12,12 @@ import {
 import { cl_forwardspeed, cl_backspeed } from './cl_input.js';
 import { sensitivity, m_pitch, lookspring, lookstrafe } from './cl_main.js';
 import { volume } from './sound.js';
-import { Cvar_SetValue } from './cvar.js';
-import { scr_viewsize, scr_con_current } from './gl_screen.js';
-import { v_gamma } from './view.js';
-import { gl_texturemode, GL_UpdateTextureFiltering } from './glquake.js';
+import { Cvar_SetValue, Cvar_Set, Cvar_VariableString, Cvar_VariableValue } from './cvar.js';
+import { Storage_ReadSave } from './storage.js';
+import { scr_viewsize, scr_con_current, scr_fov } from './gl_screen.js';
+import { v_gamma, v_brightness } from './view.js';
+import { gl_texturemode, gl_texture_anisotropy } from './glquake.js';
+import { vid_renderscale, vid_antialias } from './vid.js';
 import { skill, coop, teamplay, fraglimit, timelimit, deathmatch, svs } from './server.js';
 
 /*
@@ -744,14 +746,53 @@ for ( let i = 0; i < MAX_SAVEGAMES; i ++ ) {
 
 }
 
+/*
+================
+M_SaveDescription
+
+Builds the menu line for a savegame from its header: map name,
+level time and the level name out of the comment
+================
+*/
+function M_SaveDescription( text ) {
+
+	const lines = text.split( '\n' );
+	if ( lines.length < 21 )
+		return null;
+
+	// version, comment, 16 spawn parms, skill, map name, time
+	const comment = lines[ 1 ].substring( 0, 22 ).replace( /_/g, ' ' ).trim();
+	const mapname = lines[ 19 ].trim();
+	const time = Math.floor( parseFloat( lines[ 20 ] ) || 0 );
+	const minutes = Math.floor( time / 60 );
+	const seconds = time % 60;
+
+	let desc = mapname.padEnd( 8, ' ' ) + ' ';
+	desc += ( minutes + ':' + String( seconds ).padStart( 2, '0' ) ).padStart( 5, ' ' ) + ' ';
+	desc += comment;
+
+	return desc.substring( 0, 36 );
+
+}
+
 function M_ScanSaves() {
 
-	// In browser, save games would be stored in localStorage or IndexedDB
 	for ( let i = 0; i < MAX_SAVEGAMES; i ++ ) {
 
 		m_filenames[ i ] = '--- UNUSED SLOT ---';
 		loadable[ i ] = false;
 
+		const text = Storage_ReadSave( 's' + i + '.sav' );
+		if ( text === null )
+			continue;
+
+		const desc = M_SaveDescription( text );
+		if ( desc === null )
+			continue;
+
+		m_filenames[ i ] = desc;
+		loadable[ i ] = true;
+
 	}
 
 }
@@ -1312,10 +1353,19 @@ function M_GameOptions_Key( key ) {
 
 					if ( _SCR_BeginLoadingPlaque ) _SCR_BeginLoadingPlaque();
 
+					// the room creator administers it with rcon
+					if ( ! Cvar_VariableString( 'rcon_password' ) ) {
+
+						const bytes = crypto.getRandomValues( new Uint8Array( 8 ) );
+						Cvar_Set( 'rcon_password', Array.from( bytes, ( b ) => b.toString( 16 ).padStart( 2, '0' ) ).join( '' ) );
+
+					}
+
 					_WT_CreateRoom( serverUrl, {
 						map: mapName,
 						maxPlayers: maxplayers,
-						hostName: _cl_name ? _cl_name.string : 'Player'
+						hostName: _cl_name ? _cl_name.string : 'Player',
+						rconPassword: Cvar_VariableString( 'rcon_password' )
 					} ).then( ( room ) => {
 
 						if ( room && room.id ) {
@@ -1424,11 +1474,6 @@ function M_AdjustSliders( dir ) {
 
 	switch ( m_options_cursor ) {
 
-		case 3: // texture filtering
-			Cvar_SetValue( 'gl_texturemode', ! gl_texturemode.value ? 1 : 0 );
-			GL_UpdateTextureFiltering();
-			break;
-
 		case 4: // screen size
 			Cvar_SetValue( 'viewsize', scr_viewsize.value + dir * 10 );
 			if ( scr_viewsize.value < 30 )
@@ -1523,14 +1568,13 @@ function M_Options_Draw() {
 	M_Print( 16, 40, '         Go to console' );
 	M_Print( 16, 48, '     Reset to defaults' );
 
-	M_Print( 16, 56, '     Texture Filtering' );
-	M_DrawCheckbox( 220, 56, gl_texturemode.value );
+	M_Print( 16, 56, '         Video Options' );
 
 	M_Print( 16, 64, '           Screen size' );
 	let r = ( scr_viewsize.value - 30 ) / ( 120 - 30 );
 	M_DrawSlider( 220, 64, r );
 
-	M_Print( 16, 72, '            Brightness' );
+	M_Print( 16, 72, '                 Gamma' );
 	r = ( 1.0 - v_gamma.value ) / 0.5;
 	M_DrawSlider( 220, 72, r );
 
@@ -1580,6 +1624,9 @@ function M_Options_Key( key ) {
 				case 2:
 					Cbuf_AddText( 'exec default.cfg\n' );
 					break;
+				case 3:
+					M_Menu_Video_f();
+					break;
 				default:
 					M_AdjustSliders( 1 );
 					break;
@@ -2070,11 +2117,17 @@ function M_Quit_Key( key ) {
 /*
 ==============================================================================
 
-			VIDEO MENU (stub)
+			VIDEO MENU
 
 ==============================================================================
 */
 
+const VIDEO_ITEMS = 8;
+let m_video_cursor = 0;
+
+const video_anisotropy = [ 1, 2, 4, 8, 16 ];
+const video_maxfps = [ 30, 60, 72, 100, 120, 144, 240, 0 ];
+
 function M_Menu_Video_f() {
 
 	setKeyDest( key_menu );
@@ -2083,16 +2136,146 @@ function M_Menu_Video_f() {
 
 }
 
+/*
+================
+M_CycleValue
+
+next or previous entry of list after value, wrapping around
+================
+*/
+function M_CycleValue( list, value, dir ) {
+
+	let i = list.indexOf( value );
+	if ( i < 0 )
+		i = 0;
+	else
+		i = ( i + dir + list.length ) % list.length;
+
+	return list[ i ];
+
+}
+
 function M_Video_Draw() {
 
-	M_Print( 16, 32, 'Video settings not available in browser' );
+	if ( ! _Draw_CachePic ) return;
+
+	M_DrawTransPic( 16, 4, _Draw_CachePic( 'gfx/qplaque.lmp' ) );
+	const p = _Draw_CachePic( 'gfx/vidmodes.lmp' );
+	M_DrawPic( ( 320 - ( p ? p.width : 0 ) ) / 2, 4, p );
+
+	M_Print( 16, 32, '          Render Scale' );
+	M_Print( 220, 32, Math.round( vid_renderscale.value * 100 ) + '%' );
+
+	M_Print( 16, 40, '         Field of View' );
+	M_Print( 220, 40, String( scr_fov.value ) );
+
+	M_Print( 16, 48, '                 Gamma' );
+	let r = ( 1.0 - v_gamma.value ) / 0.5;
+	M_DrawSlider( 220, 48, r );
+
+	M_Print( 16, 56, '            Brightness' );
+	r = ( v_brightness.value - 0.5 ) / 1.5;
+	M_DrawSlider( 220, 56, r );
+
+	M_Print( 16, 64, '        Texture Filter' );
+	M_Print( 220, 64, gl_texturemode.value ? 'trilinear' : 'nearest' );
+
+	M_Print( 16, 72, '            Anisotropy' );
+	M_Print( 220, 72, gl_texture_anisotropy.value > 1 ? gl_texture_anisotropy.value + 'x' : 'off' );
+
+	M_Print( 16, 80, '               Max FPS' );
+	const maxfps = Cvar_VariableValue( 'host_maxfps' );
+	M_Print( 220, 80, maxfps ? String( maxfps ) : 'unlimited' );
+
+	M_Print( 16, 88, '          Antialiasing' );
+	M_DrawCheckbox( 220, 88, vid_antialias.value );
+
+	// cursor
+	M_DrawCharacter( 200, 32 + m_video_cursor * 8, 12 + ( ( Math.floor( _realtime_get() * 4 ) ) & 1 ) );
+
+}
+
+/*
+================
+M_Video_AdjustSliders
+
+the cvars are archived and the renderer picks the new values up on the
+next frame
+================
+*/
+function M_Video_AdjustSliders( dir ) {
+
+	if ( _S_LocalSound ) _S_LocalSound( 'misc/menu3.wav' );
+
+	switch ( m_video_cursor ) {
+
+		case 0: // render scale
+			Cvar_SetValue( 'vid_renderscale', Math.min( Math.max( vid_renderscale.value + dir * 0.25, 0.25 ), 2 ) );
+			break;
+
+		case 1: // field of view
+			Cvar_SetValue( 'fov', Math.min( Math.max( scr_fov.value + dir * 5, 50 ), 130 ) );
+			break;
+
+		case 2: // gamma
+			Cvar_SetValue( 'gamma', Math.min( Math.max( v_gamma.value - dir * 0.05, 0.5 ), 1 ) );
+			break;
+
+		case 3: // brightness
+			Cvar_SetValue( 'brightness', Math.min( Math.max( Math.round( ( v_brightness.value + dir * 0.1 ) * 10 ) / 10, 0.5 ), 2 ) );
+			break;
+
+		case 4: // texture filtering
+			Cvar_SetValue( 'gl_texturemode', ! gl_texturemode.value ? 1 : 0 );
+			break;
+
+		case 5: // anisotropy
+			Cvar_SetValue( 'gl_texture_anisotropy', M_CycleValue( video_anisotropy, gl_texture_anisotropy.value, dir ) );
+			break;
+
+		case 6: // max fps
+			Cvar_SetValue( 'host_maxfps', M_CycleValue( video_maxfps, Cvar_VariableValue( 'host_maxfps' ), dir ) );
+			break;
+
+		case 7: // antialiasing
+			Cvar_SetValue( 'vid_antialias', ! vid_antialias.value ? 1 : 0 );
+			break;
+
+	}
 
 }
 
 function M_Video_Key( key ) {
 
-	if ( key === K_ESCAPE )
-		M_Menu_Options_f();
+	switch ( key ) {
+
+		case K_ESCAPE:
+			M_Menu_Options_f();
+			break;
+		case K_ENTER:
+			m_entersound = true;
+			M_Video_AdjustSliders( 1 );
+			break;
+		case K_UPARROW:
+			if ( _S_LocalSound ) _S_LocalSound( 'misc/menu1.wav' );
+			m_video_cursor --;
+			if ( m_video_cursor < 0 )
+				m_video_cursor = VIDEO_ITEMS - 1;
+			break;
+		case K_DOWNARROW:
+			if ( _S_LocalSound ) _S_LocalSound( 'misc/menu1.wav' );
+			m_video_cursor ++;
+			if ( m_video_cursor >= VIDEO_ITEMS )
+				m_video_cursor = 0;
+			break;
+		case K_LEFTARROW:
+			M_Video_AdjustSliders( - 1 );
+			break;
+		case K_RIGHTARROW:
+			M_Video_AdjustSliders( 1 );
+			break;
+
+	}
 
 }
 
@@ -135,6 +135,7 @@ export class net_driver_t {
 		this.SendUnreliableMessage = null;
 		this.CanSendMessage = null;
 		this.CanSendUnreliableMessage = null;
+		this.MaxUnreliableMessage = null; // optional, for drivers with a smaller limit than MAX_DATAGRAM
 		this.Close = null;
 		this.Shutdown = null;
 		this.controlSock = 0;
@@ -36,13 +36,13 @@ import {
 	WT_Init, WT_Shutdown, WT_Listen,
 	WT_SearchForHosts, WT_Connect, WT_CheckNewConnections,
 	WT_QGetMessage, WT_QSendMessage, WT_SendUnreliableMessage,
-	WT_CanSendMessage, WT_CanSendUnreliableMessage, WT_Close,
+	WT_CanSendMessage, WT_CanSendUnreliableMessage, WT_MaxUnreliableMessage, WT_Close,
 	WT_QueryRooms, WT_CreateRoom
 } from './net_webtransport.js';
 
 // Re-export for menu room list/creation
 export { WT_QueryRooms, WT_CreateRoom };
-import { MAX_SCOREBOARD } from './quakedef.js';
+import { MAX_SCOREBOARD, MAX_DATAGRAM } from './quakedef.js';
 
 //============================================================================
 // Module-level state
@@ -653,6 +653,23 @@ export function NET_SendUnreliableMessage( sock, data ) {
 
 }
 
+/*
+==================
+NET_MaxUnreliableMessage
+
+How much of MAX_DATAGRAM an unreliable message to sock can use. A datagram
+the transport can't carry in one piece is dropped whole.
+==================
+*/
+export function NET_MaxUnreliableMessage( sock ) {
+
+	const driver = net_drivers[ sock.driver ];
+	const size = driver.MaxUnreliableMessage ? driver.MaxUnreliableMessage( sock ) : 0;
+
+	return size > 0 && size < MAX_DATAGRAM ? size : MAX_DATAGRAM;
+
+}
+
 /*
 ==================
 NET_CanSendMessage
@@ -862,6 +879,7 @@ export function NET_Init() {
 		net_drivers[ 1 ].SendUnreliableMessage = WT_SendUnreliableMessage;
 		net_drivers[ 1 ].CanSendMessage = WT_CanSendMessage;
 		net_drivers[ 1 ].CanSendUnreliableMessage = WT_CanSendUnreliableMessage;
+		net_drivers[ 1 ].MaxUnreliableMessage = WT_MaxUnreliableMessage;
 		net_drivers[ 1 ].Close = WT_Close;
 		net_drivers[ 1 ].Shutdown = WT_Shutdown;
 
@@ -10,12 +10,31 @@ import {
 	hostCacheCount, set_hostCacheCount,
 	hostcache
 } from './net.js';
-import { M_Menu_Main_f } from './menu.js';
-import { set_key_dest, key_menu } from './keys.js';
 
 // WebTransport connection state
 let wt_initialized = false;
 
+// Menu hooks, set by host.js (the driver is also loaded by the dedicated server)
+let _M_Menu_Main_f = null;
+let _set_key_dest = null;
+let _key_menu = 0;
+
+export function WT_SetExternals( externals ) {
+
+	if ( externals.M_Menu_Main_f ) _M_Menu_Main_f = externals.M_Menu_Main_f;
+	if ( externals.set_key_dest ) _set_key_dest = externals.set_key_dest;
+	if ( externals.key_menu !== undefined ) _key_menu = externals.key_menu;
+
+}
+
+// Returns to the main menu after a failed connect
+function WT_ReturnToMenu() {
+
+	if ( _M_Menu_Main_f ) _M_Menu_Main_f();
+	if ( _set_key_dest ) _set_key_dest( _key_menu );
+
+}
+
 // Timeout for lobby room join operations (in milliseconds)
 // This should be long enough for slow connections but short enough to not hang indefinitely
 const ROOM_JOIN_TIMEOUT_MS = 10000; // 10 seconds
@@ -609,8 +628,7 @@ export async function WT_Connect( host ) {
 				}
 
 				// Return to main menu and show error message
-				M_Menu_Main_f();
-				set_key_dest( key_menu );
+				WT_ReturnToMenu();
 				Con_Printf( '\nConnection timed out - server may be offline\n\n' );
 
 				return null;
@@ -633,8 +651,7 @@ export async function WT_Connect( host ) {
 				}
 
 				// Return to main menu and show error message
-				M_Menu_Main_f();
-				set_key_dest( key_menu );
+				WT_ReturnToMenu();
 				Con_Printf( '\n%s\n\n', errMsg );
 
 				return null;
@@ -726,8 +743,7 @@ export async function WT_Connect( host ) {
 		}
 
 		// Return to main menu
-		M_Menu_Main_f();
-		set_key_dest( key_menu );
+		WT_ReturnToMenu();
 
 		return null;
 
@@ -827,8 +843,7 @@ async function _WT_ConnectDirect( url, originalHost ) {
 		}
 
 		// Return to main menu
-		M_Menu_Main_f();
-		set_key_dest( key_menu );
+		WT_ReturnToMenu();
 
 		return null;
 
@@ -1184,6 +1199,24 @@ export function WT_SendUnreliableMessage( sock, data ) {
 
 }
 
+/*
+=============
+WT_MaxUnreliableMessage
+
+The largest unreliable message a datagram can carry, 0 if the browser
+doesn't say
+=============
+*/
+export function WT_MaxUnreliableMessage( sock ) {
+
+	const conn = sock.driverdata;
+	if ( ! conn || ! conn.transport )
+		return 0;
+
+	return conn.transport.datagrams.maxDatagramSize || 0;
+
+}
+
 /*
 =============
 WT_CanSendMessage
@@ -41,6 +41,9 @@ const loadedPacks = [];
 // Virtual files (for loose files not in pak)
 const virtualFiles = new Map();
 
+// Game directory files COM_FetchFile didn't find, so they aren't asked for again
+const missingFiles = new Set();
+
 /*
 =================
 COM_LoadPackFile
@@ -218,6 +221,80 @@ export function COM_LoadFileAsString( filename ) {
 
 }
 
+/*
+=================
+COM_FetchFile
+
+Like COM_FindFile, but game directories are searched too, fetching the
+file from path/filename. Returns a Promise of { data, size } or null.
+=================
+*/
+export async function COM_FetchFile( filename ) {
+
+	const search = filename.toLowerCase();
+
+	for ( let i = 0; i < com_searchpaths.length; i ++ ) {
+
+		const sp = com_searchpaths[ i ];
+
+		if ( sp.pack ) {
+
+			const pack = sp.pack;
+			for ( let j = 0; j < pack.files.length; j ++ ) {
+
+				if ( pack.files[ j ].name === search ) {
+
+					const file = pack.files[ j ];
+					const data = new Uint8Array( pack.data, file.filepos, file.filelen );
+					return { data: data, size: file.filelen };
+
+				}
+
+			}
+
+			continue;
+
+		}
+
+		const url = sp.path + '/' + filename;
+		if ( missingFiles.has( url ) )
+			continue;
+
+		try {
+
+			let data;
+			if ( typeof Deno !== 'undefined' ) {
+
+				data = await Deno.readFile( url );
+
+			} else {
+
+				const response = await fetch( url );
+				if ( ! response.ok ) {
+
+					missingFiles.add( url );
+					continue;
+
+				}
+
+				data = new Uint8Array( await response.arrayBuffer() );
+
+			}
+
+			return { data: data, size: data.length };
+
+		} catch ( e ) {
+
+			missingFiles.add( url );
+
+		}
+
+	}
+
+	return null;
+
+}
+
 /*
 =================
 COM_FetchPak
@@ -0,0 +1,1009 @@
+// Ported from: QuakeWorld/client/pmove.c -- player movement for client side prediction
+
+/*
+
+The player movement code from sv_user.c and sv_phys.c, run on a standalone
+playermove_t instead of an edict so the client can replay its own moves.
+Traces use the world.js hull code against a list of physents: the world,
+brush entities and the bounding boxes of the other players.
+
+Anything that changes the outcome of SV_ClientThink / SV_Physics_Client has
+to be mirrored here or the prediction will be corrected every frame.
+
+*/
+
+import { vec3_origin, DotProduct, VectorCopy, VectorAdd, VectorSubtract, VectorMA,
+	VectorScale, VectorNormalize, CrossProduct, Length, AngleVectors } from './mathlib.js';
+import { PITCH, YAW, ROLL } from './quakedef.js';
+import {
+	CONTENTS_EMPTY, CONTENTS_WATER, CONTENTS_SLIME,
+	CONTENTS_CURRENT_0, CONTENTS_CURRENT_DOWN
+} from './bspfile.js';
+import {
+	MOVETYPE_WALK, MOVETYPE_FLY, MOVETYPE_NOCLIP,
+	FL_ONGROUND, FL_WATERJUMP, FL_JUMPRELEASED
+} from './server.js';
+import { trace_t, SV_InitBoxHull, SV_HullForBox, SV_HullPointContents, SV_RecursiveHullCheck } from './world.js';
+import { ClipVelocity, sv_friction, sv_stopspeed, sv_gravity, sv_maxvelocity, sv_nostep } from './sv_phys.js';
+import { sv_maxspeed, sv_accelerate, sv_edgefriction } from './sv_user.js';
+
+export const MAX_PHYSENTS = 32;
+const MAX_CLIP_PLANES = 5;
+const STEPSIZE = 18;
+
+// V_CalcRoll defaults, the server applies these to the player angles
+const ROLL_ANGLE = 2.0;
+const ROLL_SPEED = 200;
+
+export const player_mins = new Float32Array( [ - 16, - 16, - 24 ] );
+export const player_maxs = new Float32Array( [ 16, 16, 32 ] );
+
+//============================================================================
+// pmove.h types
+//============================================================================
+
+export class physent_t {
+
+	constructor() {
+
+		this.origin = new Float32Array( 3 );
+		this.model = null; // only for bsp models
+		this.mins = new Float32Array( 3 ); // only for non-bsp models
+		this.maxs = new Float32Array( 3 );
+
+	}
+
+}
+
+export class playermove_t {
+
+	constructor() {
+
+		// player state
+		this.origin = new Float32Array( 3 );
+		this.velocity = new Float32Array( 3 );
+		this.angles = new Float32Array( 3 );
+		this.movetype = MOVETYPE_WALK;
+		this.flags = 0;
+		this.viewheight = 22;
+
+		// set by PM_CheckWater
+		this.waterlevel = 0;
+		this.watertype = CONTENTS_EMPTY;
+
+		// the usercmd_t being run
+		this.cmd = null;
+
+		// world state
+		this.numphysent = 0;
+		this.physents = [];
+		for ( let i = 0; i < MAX_PHYSENTS; i ++ )
+			this.physents[ i ] = new physent_t();
+
+	}
+
+}
+
+export const pmove = new playermove_t();
+
+let frametime = 0;
+
+const forward = new Float32Array( 3 );
+const right = new Float32Array( 3 );
+const up = new Float32Array( 3 );
+
+let wishspeed = 0;
+const wishdir = new Float32Array( 3 );
+
+/*
+==================
+PM_Init
+==================
+*/
+export function PM_Init() {
+
+	// the box hull is normally built by SV_ClearWorld, which a remote client
+	// never calls
+	SV_InitBoxHull();
+
+}
+
+/*
+===============================================================================
+
+TRACING
+
+===============================================================================
+*/
+
+/*
+==================
+PM_ClipMoveToEntity
+==================
+*/
+function PM_ClipMoveToEntity( pe, start, mins, maxs, end ) {
+
+	const trace = new trace_t();
+
+	// fill in a default trace
+	trace.fraction = 1;
+	trace.allsolid = true;
+	VectorCopy( end, trace.endpos );
+
+	// get the clipping hull
+	const offset = new Float32Array( 3 );
+	let hull;
+
+	if ( pe.model ) {
+
+		const size = new Float32Array( 3 );
+		VectorSubtract( maxs, mins, size );
+		if ( size[ 0 ] < 3 )
+			hull = pe.model.hulls[ 0 ];
+		else if ( size[ 0 ] <= 32 )
+			hull = pe.model.hulls[ 1 ];
+		else
+			hull = pe.model.hulls[ 2 ];
+
+		VectorSubtract( hull.clip_mins, mins, offset );
+		VectorAdd( offset, pe.origin, offset );
+
+	} else {
+
+		const hullmins = new Float32Array( 3 );
+		const hullmaxs = new Float32Array( 3 );
+		VectorSubtract( pe.mins, maxs, hullmins );
+		VectorSubtract( pe.maxs, mins, hullmaxs );
+		hull = SV_HullForBox( hullmins, hullmaxs );
+
+		VectorCopy( pe.origin, offset );
+
+	}
+
+	const start_l = new Float32Array( 3 );
+	const end_l = new Float32Array( 3 );
+	VectorSubtract( start, offset, start_l );
+	VectorSubtract( end, offset, end_l );
+
+	// trace a line through the apropriate clipping hull
+	SV_RecursiveHullCheck( hull, hull.firstclipnode, 0, 1, start_l, end_l, trace );
+
+	// fix trace up by the offset
+	if ( trace.fraction !== 1 )
+		VectorAdd( trace.endpos, offset, trace.endpos );
+
+	// did we clip the move?
+	if ( trace.fraction < 1 || trace.startsolid )
+		trace.ent = pe;
+
+	return trace;
+
+}
+
+/*
+==================
+PM_PlayerTrace
+
+Same combining rules as SV_ClipToLinks. nomonsters only clips against
+bsp physents, like MOVE_NOMONSTERS.
+==================
+*/
+function PM_PlayerTrace( start, mins, maxs, end, nomonsters ) {
+
+	// the world is always physents[0]
+	let total = PM_ClipMoveToEntity( pmove.physents[ 0 ], start, mins, maxs, end );
+
+	for ( let i = 1; i < pmove.numphysent; i ++ ) {
+
+		if ( total.allsolid )
+			break;
+
+		const pe = pmove.physents[ i ];
+		if ( nomonsters && ! pe.model )
+			continue;
+
+		const trace = PM_ClipMoveToEntity( pe, start, mins, maxs, end );
+
+		if ( trace.allsolid || trace.startsolid || trace.fraction < total.fraction ) {
+
+			if ( total.startsolid )
+				trace.startsolid = true;
+			total = trace;
+
+		} else if ( trace.startsolid ) {
+
+			total.startsolid = true;
+
+		}
+
+	}
+
+	return total;
+
+}
+
+/*
+==================
+PM_PointContents
+
+World contents only, like SV_PointContents
+==================
+*/
+function PM_PointContents( p ) {
+
+	const model = pmove.physents[ 0 ].model;
+	const cont = SV_HullPointContents( model.hulls[ 0 ], 0, p );
+	if ( cont <= CONTENTS_CURRENT_0 && cont >= CONTENTS_CURRENT_DOWN )
+		return CONTENTS_WATER;
+	return cont;
+
+}
+
+/*
+============
+PM_PushEntity
+
+Does not change the entities velocity at all
+============
+*/
+function PM_PushEntity( push ) {
+
+	const end = new Float32Array( 3 );
+
+	VectorAdd( pmove.origin, push, end );
+
+	const trace = PM_PlayerTrace( pmove.origin, player_mins, player_maxs, end, false );
+	VectorCopy( trace.endpos, pmove.origin );
+
+	return trace;
+
+}
+
+/*
+===============================================================================
+
+SV_ClientThink
+
+===============================================================================
+*/
+
+/*
+==================
+PM_UserFriction
+==================
+*/
+function PM_UserFriction() {
+
+	const vel = pmove.velocity;
+	const start = new Float32Array( 3 );
+	const stop = new Float32Array( 3 );
+
+	const speed = Math.sqrt( vel[ 0 ] * vel[ 0 ] + vel[ 1 ] * vel[ 1 ] );
+	if ( speed === 0 )
+		return;
+
+	// if the leading edge is over a dropoff, increase friction
+	start[ 0 ] = stop[ 0 ] = pmove.origin[ 0 ] + vel[ 0 ] / speed * 16;
+	start[ 1 ] = stop[ 1 ] = pmove.origin[ 1 ] + vel[ 1 ] / speed * 16;
+	start[ 2 ] = pmove.origin[ 2 ] + player_mins[ 2 ];
+	stop[ 2 ] = start[ 2 ] - 34;
+
+	const trace = PM_PlayerTrace( start, vec3_origin, vec3_origin, stop, true );
+
+	let friction;
+	if ( trace.fraction === 1.0 )
+		friction = sv_friction.value * sv_edgefriction.value;
+	else
+		friction = sv_friction.value;
+
+	// apply friction
+	const control = speed < sv_stopspeed.value ? sv_stopspeed.value : speed;
+	let newspeed = speed - frametime * control * friction;
+
+	if ( newspeed < 0 )
+		newspeed = 0;
+	newspeed /= speed;
+
+	vel[ 0 ] = vel[ 0 ] * newspeed;
+	vel[ 1 ] = vel[ 1 ] * newspeed;
+	vel[ 2 ] = vel[ 2 ] * newspeed;
+
+}
+
+/*
+==============
+PM_Accelerate
+==============
+*/
+function PM_Accelerate() {
+
+	const currentspeed = DotProduct( pmove.velocity, wishdir );
+	const addspeed = wishspeed - currentspeed;
+	if ( addspeed <= 0 )
+		return;
+	let accelspeed = sv_accelerate.value * frametime * wishspeed;
+	if ( accelspeed > addspeed )
+		accelspeed = addspeed;
+
+	for ( let i = 0; i < 3; i ++ )
+		pmove.velocity[ i ] += accelspeed * wishdir[ i ];
+
+}
+
+/*
+==============
+PM_AirAccelerate
+==============
+*/
+function PM_AirAccelerate( wishveloc ) {
+
+	const wishvelCopy = new Float32Array( 3 );
+	VectorCopy( wishveloc, wishvelCopy );
+
+	let wishspd = VectorNormalize( wishvelCopy );
+	if ( wishspd > 30 )
+		wishspd = 30;
+	const currentspeed = DotProduct( pmove.velocity, wishvelCopy );
+	const addspeed = wishspd - currentspeed;
+	if ( addspeed <= 0 )
+		return;
+	let accelspeed = sv_accelerate.value * wishspeed * frametime;
+	if ( accelspeed > addspeed )
+		accelspeed = addspeed;
+
+	for ( let i = 0; i < 3; i ++ )
+		pmove.velocity[ i ] += accelspeed * wishvelCopy[ i ];
+
+}
+
+/*
+===================
+PM_WaterMove
+===================
+*/
+function PM_WaterMove() {
+
+	const cmd = pmove.cmd;
+	const wishvel = new Float32Array( 3 );
+
+	//
+	// user intentions
+	//
+	AngleVectors( pmove.angles, forward, right, up );
+
+	for ( let i = 0; i < 3; i ++ )
+		wishvel[ i ] = forward[ i ] * cmd.forwardmove + right[ i ] * cmd.sidemove;
+
+	if ( cmd.forwardmove === 0 && cmd.sidemove === 0 && cmd.upmove === 0 )
+		wishvel[ 2 ] -= 60; // drift towards bottom
+	else
+		wishvel[ 2 ] += cmd.upmove;
+
+	let _wishspeed = Length( wishvel );
+	if ( _wishspeed > sv_maxspeed.value ) {
+
+		VectorScale( wishvel, sv_maxspeed.value / _wishspeed, wishvel );
+		_wishspeed = sv_maxspeed.value;
+
+	}
+
+	_wishspeed *= 0.7;
+
+	//
+	// water friction
+	//
+	const speed = Length( pmove.velocity );
+	let newspeed;
+	if ( speed ) {
+
+		newspeed = speed - frametime * speed * sv_friction.value;
+		if ( newspeed < 0 )
+			newspeed = 0;
+		VectorScale( pmove.velocity, newspeed / speed, pmove.velocity );
+
+	} else {
+
+		newspeed = 0;
+
+	}
+
+	//
+	// water acceleration
+	//
+	if ( _wishspeed === 0 )
+		return;
+
+	const addspeed = _wishspeed - newspeed;
+	if ( addspeed <= 0 )
+		return;
+
+	VectorNormalize( wishvel );
+	let accelspeed = sv_accelerate.value * _wishspeed * frametime;
+	if ( accelspeed > addspeed )
+		accelspeed = addspeed;
+
+	for ( let i = 0; i < 3; i ++ )
+		pmove.velocity[ i ] += accelspeed * wishvel[ i ];
+
+}
+
+/*
+===================
+PM_CalcRoll
+
+V_CalcRoll with the default cl_rollangle / cl_rollspeed
+===================
+*/
+function PM_CalcRoll( angles, velocity ) {
+
+	AngleVectors( angles, forward, right, up );
+	let side = DotProduct( velocity, right );
+	const sign = side < 0 ? - 1 : 1;
+	side = Math.abs( side );
+
+	if ( side < ROLL_SPEED )
+		side = side * ROLL_ANGLE / ROLL_SPEED;
+	else
+		side = ROLL_ANGLE;
+
+	return side * sign;
+
+}
+
+/*
+===================
+PM_AirMove
+===================
+*/
+function PM_AirMove( onground ) {
+
+	const cmd = pmove.cmd;
+	const wishvel = new Float32Array( 3 );
+	const angles = new Float32Array( 3 );
+
+	// the server moves along the player's model angles: 1/3 the pitch and
+	// the view roll
+	angles[ PITCH ] = - pmove.angles[ PITCH ] / 3;
+	angles[ YAW ] = pmove.angles[ YAW ];
+	angles[ ROLL ] = PM_CalcRoll( angles, pmove.velocity ) * 4;
+
+	AngleVectors( angles, forward, right, up );
+
+	for ( let i = 0; i < 3; i ++ )
+		wishvel[ i ] = forward[ i ] * cmd.forwardmove + right[ i ] * cmd.sidemove;
+
+	if ( pmove.movetype !== MOVETYPE_WALK )
+		wishvel[ 2 ] = cmd.upmove;
+	else
+		wishvel[ 2 ] = 0;
+
+	VectorCopy( wishvel, wishdir );
+	wishspeed = VectorNormalize( wishdir );
+	if ( wishspeed > sv_maxspeed.value ) {
+
+		VectorScale( wishvel, sv_maxspeed.value / wishspeed, wishvel );
+		wishspeed = sv_maxspeed.value;
+
+	}
+
+	if ( pmove.movetype === MOVETYPE_NOCLIP ) {
+
+		// noclip
+		VectorCopy( wishvel, pmove.velocity );
+
+	} else if ( onground ) {
+
+		PM_UserFriction();
+		PM_Accelerate();
+
+	} else {
+
+		// not on ground, so little effect on velocity
+		PM_AirAccelerate( wishvel );
+
+	}
+
+}
+
+/*
+===================
+PM_ClientThink
+===================
+*/
+function PM_ClientThink() {
+
+	const onground = pmove.flags & FL_ONGROUND;
+
+	if ( pmove.flags & FL_WATERJUMP ) {
+
+		// the server keeps the horizontal velocity at movedir until
+		// teleport_time, the base state already carries it
+		if ( pmove.waterlevel === 0 )
+			pmove.flags &= ~ FL_WATERJUMP;
+		return;
+
+	}
+
+	//
+	// walk
+	//
+	if ( pmove.waterlevel >= 2 && pmove.movetype !== MOVETYPE_NOCLIP ) {
+
+		PM_WaterMove();
+		return;
+
+	}
+
+	PM_AirMove( onground );
+
+}
+
+/*
+===================
+PM_CheckJump
+
+PlayerJump from the standard progs client.qc, run by PlayerPreThink
+===================
+*/
+function PM_CheckJump() {
+
+	if ( ! ( pmove.cmd.buttons & 2 ) ) {
+
+		pmove.flags |= FL_JUMPRELEASED;
+		return;
+
+	}
+
+	if ( pmove.flags & FL_WATERJUMP )
+		return;
+
+	if ( pmove.waterlevel >= 2 ) {
+
+		if ( pmove.watertype === CONTENTS_WATER )
+			pmove.velocity[ 2 ] = 100;
+		else if ( pmove.watertype === CONTENTS_SLIME )
+			pmove.velocity[ 2 ] = 80;
+		else
+			pmove.velocity[ 2 ] = 50;
+		return;
+
+	}
+
+	if ( ! ( pmove.flags & FL_ONGROUND ) )
+		return; // in air, so no effect
+
+	if ( ! ( pmove.flags & FL_JUMPRELEASED ) )
+		return; // don't pogo stick
+
+	pmove.flags &= ~ ( FL_JUMPRELEASED | FL_ONGROUND );
+	pmove.velocity[ 2 ] += 270;
+
+}
+
+/*
+===============================================================================
+
+SV_Physics_Client
+
+===============================================================================
+*/
+
+/*
+=============
+PM_CheckVelocity
+=============
+*/
+function PM_CheckVelocity() {
+
+	for ( let i = 0; i < 3; i ++ ) {
+
+		if ( pmove.velocity[ i ] > sv_maxvelocity.value )
+			pmove.velocity[ i ] = sv_maxvelocity.value;
+		else if ( pmove.velocity[ i ] < - sv_maxvelocity.value )
+			pmove.velocity[ i ] = - sv_maxvelocity.value;
+
+	}
+
+}
+
+/*
+=============
+PM_CheckWater
+
+Sets waterlevel and watertype, returns true if the player is swimming
+=============
+*/
+export function PM_CheckWater() {
+
+	const point = new Float32Array( 3 );
+
+	point[ 0 ] = pmove.origin[ 0 ];
+	point[ 1 ] = pmove.origin[ 1 ];
+	point[ 2 ] = pmove.origin[ 2 ] + player_mins[ 2 ] + 1;
+
+	pmove.waterlevel = 0;
+	pmove.watertype = CONTENTS_EMPTY;
+	let cont = PM_PointContents( point );
+	if ( cont <= CONTENTS_WATER ) {
+
+		pmove.watertype = cont;
+		pmove.waterlevel = 1;
+		point[ 2 ] = pmove.origin[ 2 ] + ( player_mins[ 2 ] + player_maxs[ 2 ] ) * 0.5;
+		cont = PM_PointContents( point );
+		if ( cont <= CONTENTS_WATER ) {
+
+			pmove.waterlevel = 2;
+			point[ 2 ] = pmove.origin[ 2 ] + pmove.viewheight;
+			cont = PM_PointContents( point );
+			if ( cont <= CONTENTS_WATER )
+				pmove.waterlevel = 3;
+
+		}
+
+	}
+
+	return pmove.waterlevel > 1;
+
+}
+
+/*
+============
+PM_FlyMove
+
+The basic solid body movement clip that slides along multiple planes
+Returns the clipflags if the velocity was modified (hit something solid)
+1 = floor
+2 = wall / step
+4 = dead stop
+If steptrace is not null, the trace of any vertical wall hit will be stored
+============
+*/
+function PM_FlyMove( time, steptrace ) {
+
+	const numbumps = 4;
+
+	let blocked = 0;
+	const original_velocity = new Float32Array( 3 );
+	const primal_velocity = new Float32Array( 3 );
+	const new_velocity = new Float32Array( 3 );
+	const dir = new Float32Array( 3 );
+	const end = new Float32Array( 3 );
+	const planes = [];
+	for ( let i = 0; i < MAX_CLIP_PLANES; i ++ )
+		planes[ i ] = new Float32Array( 3 );
+
+	VectorCopy( pmove.velocity, original_velocity );
+	VectorCopy( pmove.velocity, primal_velocity );
+	let numplanes = 0;
+
+	let time_left = time;
+
+	for ( let bumpcount = 0; bumpcount < numbumps; bumpcount ++ ) {
+
+		if ( pmove.velocity[ 0 ] === 0 && pmove.velocity[ 1 ] === 0 && pmove.velocity[ 2 ] === 0 )
+			break;
+
+		for ( let i = 0; i < 3; i ++ )
+			end[ i ] = pmove.origin[ i ] + time_left * pmove.velocity[ i ];
+
+		const trace = PM_PlayerTrace( pmove.origin, player_mins, player_maxs, end, false );
+
+		if ( trace.allsolid ) {
+
+			// entity is trapped in another solid
+			VectorCopy( vec3_origin, pmove.velocity );
+			return 3;
+
+		}
+
+		if ( trace.fraction > 0 ) {
+
+			// actually covered some distance
+			VectorCopy( trace.endpos, pmove.origin );
+			VectorCopy( pmove.velocity, original_velocity );
+			numplanes = 0;
+
+		}
+
+		if ( trace.fraction === 1 )
+			break; // moved the entire distance
+
+		if ( trace.plane.normal[ 2 ] > 0.7 ) {
+
+			blocked |= 1; // floor
+			if ( trace.ent.model )
+				pmove.flags |= FL_ONGROUND;
+
+		}
+
+		if ( trace.plane.normal[ 2 ] === 0 ) {
+
+			blocked |= 2; // step
+			if ( steptrace )
+				Object.assign( steptrace, trace ); // save for player extrafriction
+
+		}
+
+		time_left -= time_left * trace.fraction;
+
+		// cliped to another plane
+		if ( numplanes >= MAX_CLIP_PLANES ) {
+
+			// this shouldn't really happen
+			VectorCopy( vec3_origin, pmove.velocity );
+			return 3;
+
+		}
+
+		VectorCopy( trace.plane.normal, planes[ numplanes ] );
+		numplanes ++;
+
+		//
+		// modify original_velocity so it parallels all of the clip planes
+		//
+		let i, j;
+		for ( i = 0; i < numplanes; i ++ ) {
+
+			ClipVelocity( original_velocity, planes[ i ], new_velocity, 1 );
+			for ( j = 0; j < numplanes; j ++ )
+				if ( j !== i ) {
+
+					if ( DotProduct( new_velocity, planes[ j ] ) < 0 )
+						break; // not ok
+
+				}
+
+			if ( j === numplanes )
+				break;
+
+		}
+
+		if ( i !== numplanes ) {
+
+			// go along this plane
+			VectorCopy( new_velocity, pmove.velocity );
+
+		} else {
+
+			// go along the crease
+			if ( numplanes !== 2 ) {
+
+				VectorCopy( vec3_origin, pmove.velocity );
+				return 7;
+
+			}
+
+			CrossProduct( planes[ 0 ], planes[ 1 ], dir );
+			const d = DotProduct( dir, pmove.velocity );
+			VectorScale( dir, d, pmove.velocity );
+
+		}
+
+		//
+		// if original velocity is against the original velocity, stop dead
+		// to avoid tiny occilations in sloping corners
+		//
+		if ( DotProduct( pmove.velocity, primal_velocity ) <= 0 ) {
+
+			VectorCopy( vec3_origin, pmove.velocity );
+			return blocked;
+
+		}
+
+	}
+
+	return blocked;
+
+}
+
+/*
+============
+PM_WallFriction
+============
+*/
+function PM_WallFriction( trace ) {
+
+	const into = new Float32Array( 3 );
+	const side = new Float32Array( 3 );
+
+	AngleVectors( pmove.angles, forward, right, up );
+	let d = DotProduct( trace.plane.normal, forward );
+
+	d += 0.5;
+	if ( d >= 0 )
+		return;
+
+	// cut the tangential velocity
+	const i = DotProduct( trace.plane.normal, pmove.velocity );
+	VectorScale( trace.plane.normal, i, into );
+	VectorSubtract( pmove.velocity, into, side );
+
+	pmove.velocity[ 0 ] = side[ 0 ] * ( 1 + d );
+	pmove.velocity[ 1 ] = side[ 1 ] * ( 1 + d );
+
+}
+
+/*
+=====================
+PM_TryUnstick
+======================
+*/
+function PM_TryUnstick( oldvel ) {
+
+	const oldorg = new Float32Array( 3 );
+	const dir = new Float32Array( 3 );
+	const steptrace = new trace_t();
+
+	VectorCopy( pmove.origin, oldorg );
+
+	for ( let i = 0; i < 8; i ++ ) {
+
+		// try pushing a little in an axial direction
+		switch ( i ) {
+
+			case 0: dir[ 0 ] = 2; dir[ 1 ] = 0; break;
+			case 1: dir[ 0 ] = 0; dir[ 1 ] = 2; break;
+			case 2: dir[ 0 ] = - 2; dir[ 1 ] = 0; break;
+			case 3: dir[ 0 ] = 0; dir[ 1 ] = - 2; break;
+			case 4: dir[ 0 ] = 2; dir[ 1 ] = 2; break;
+			case 5: dir[ 0 ] = - 2; dir[ 1 ] = 2; break;
+			case 6: dir[ 0 ] = 2; dir[ 1 ] = - 2; break;
+			case 7: dir[ 0 ] = - 2; dir[ 1 ] = - 2; break;
+
+		}
+
+		PM_PushEntity( dir );
+
+		// retry the original move
+		pmove.velocity[ 0 ] = oldvel[ 0 ];
+		pmove.velocity[ 1 ] = oldvel[ 1 ];
+		pmove.velocity[ 2 ] = 0;
+		const clip = PM_FlyMove( 0.1, steptrace );
+
+		if ( Math.abs( oldorg[ 1 ] - pmove.origin[ 1 ] ) > 4
+			|| Math.abs( oldorg[ 0 ] - pmove.origin[ 0 ] ) > 4 ) {
+
+			return clip;
+
+		}
+
+		// go back to the original pos and try again
+		VectorCopy( oldorg, pmove.origin );
+
+	}
+
+	VectorCopy( vec3_origin, pmove.velocity );
+	return 7; // still not moving
+
+}
+
+/*
+=====================
+PM_WalkMove
+======================
+*/
+function PM_WalkMove() {
+
+	const upmove = new Float32Array( 3 );
+	const downmove = new Float32Array( 3 );
+	const oldorg = new Float32Array( 3 );
+	const oldvel = new Float32Array( 3 );
+	const nosteporg = new Float32Array( 3 );
+	const nostepvel = new Float32Array( 3 );
+	let steptrace = new trace_t();
+
+	//
+	// do a regular slide move unless it looks like you ran into a step
+	//
+	const oldonground = pmove.flags & FL_ONGROUND;
+	pmove.flags &= ~ FL_ONGROUND;
+
+	VectorCopy( pmove.origin, oldorg );
+	VectorCopy( pmove.velocity, oldvel );
+
+	let clip = PM_FlyMove( frametime, steptrace );
+
+	if ( ! ( clip & 2 ) )
+		return; // move didn't block on a step
+
+	if ( ! oldonground && pmove.waterlevel === 0 )
+		return; // don't stair up while jumping
+
+	if ( sv_nostep.value )
+		return;
+
+	if ( pmove.flags & FL_WATERJUMP )
+		return;
+
+	VectorCopy( pmove.origin, nosteporg );
+	VectorCopy( pmove.velocity, nostepvel );
+
+	//
+	// try moving up and forward to go up a step
+	//
+	VectorCopy( oldorg, pmove.origin ); // back to start pos
+
+	upmove[ 2 ] = STEPSIZE;
+	downmove[ 2 ] = - STEPSIZE + oldvel[ 2 ] * frametime;
+
+	// move up
+	PM_PushEntity( upmove );
+
+	// move forward
+	pmove.velocity[ 0 ] = oldvel[ 0 ];
+	pmove.velocity[ 1 ] = oldvel[ 1 ];
+	pmove.velocity[ 2 ] = 0;
+	steptrace = new trace_t();
+	clip = PM_FlyMove( frametime, steptrace );
+
+	// check for stuckness, possibly due to the limited precision of floats
+	// in the clipping hulls
+	if ( clip ) {
+
+		if ( Math.abs( oldorg[ 1 ] - pmove.origin[ 1 ] ) < 0.03125
+			&& Math.abs( oldorg[ 0 ] - pmove.origin[ 0 ] ) < 0.03125 ) {
+
+			// stepping up didn't make any progress
+			clip = PM_TryUnstick( oldvel );
+
+		}
+
+	}
+
+	// extra friction based on view angle
+	if ( clip & 2 )
+		PM_WallFriction( steptrace );
+
+	// move down
+	const downtrace = PM_PushEntity( downmove );
+
+	// SV_WalkMove only sets FL_ONGROUND here for SOLID_BSP players, which
+	// never happens, so neither does this
+	if ( downtrace.plane.normal[ 2 ] <= 0.7 ) {
+
+		// if the push down didn't end up on good ground, use the move without
+		// the step up. This happens near wall / slope combinations, and can
+		// cause the player to hop up higher on a slope too steep to climb
+		VectorCopy( nosteporg, pmove.origin );
+		VectorCopy( nostepvel, pmove.velocity );
+
+	}
+
+}
+
+/*
+=============
+PM_PlayerMove
+
+Runs pmove.cmd on the player state in pmove: the SV_ClientThink part for
+the movement keys, the PlayerPreThink part for jumping and then the
+SV_Physics_Client part for the actual move.
+=============
+*/
+export function PM_PlayerMove() {
+
+	frametime = pmove.cmd.frametime;
+
+	PM_ClientThink();
+	PM_CheckJump();
+	PM_CheckVelocity();
+
+	switch ( pmove.movetype ) {
+
+		case MOVETYPE_WALK:
+			if ( ! PM_CheckWater() && ! ( pmove.flags & FL_WATERJUMP ) )
+				pmove.velocity[ 2 ] -= sv_gravity.value * frametime;
+			PM_WalkMove();
+			break;
+
+		case MOVETYPE_FLY:
+			PM_FlyMove( frametime, null );
+			break;
+
+		case MOVETYPE_NOCLIP:
+			VectorMA( pmove.origin, frametime, pmove.velocity, pmove.origin );
+			break;
+
+	}
+
+}
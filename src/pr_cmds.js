@@ -33,13 +33,12 @@ import {
 	ED_FindFunction, ED_FindField,
 } from './pr_edict.js';
 import { PR_ExecuteProgram, PR_RunError } from './pr_exec.js';
-import { SV_Move, SV_LinkEdict, SV_PointContents } from './world.js';
+import { SV_Move, SV_UnlagMove, SV_LinkEdict, SV_PointContents } from './world.js';
 import { SV_movestep, SV_CheckBottom, SV_MoveToGoal as SV_MoveToGoal_Real, SV_Move_SetCallbacks } from './sv_move.js';
-import { SV_StartSound, SV_StartParticle } from './sv_main.js';
+import { SV_StartSound, SV_StartParticle, Mod_PointInLeaf, Mod_LeafPVS } from './sv_main.js';
 import { Cbuf_AddText } from './cmd.js';
 import { Cvar_VariableValue, Cvar_Set } from './cvar.js';
 import { FL_ONGROUND, FL_FLY, FL_SWIM, svs, ss_active } from './server.js';
-import { Mod_PointInLeaf, Mod_LeafPVS } from './gl_model.js';
 import {
 	svc_sound, svc_print, svc_centerprint, svc_stufftext, svc_lightstyle,
 	svc_spawnstatic, svc_spawnstaticsound,
@@ -539,7 +538,7 @@ function PF_break() {
 =================
 PF_traceline
 
-Used for use tracing and shot targeting
+Used for use tracing and shot targeting, rewound for lagged clients
 
 traceline (vector1, vector2, tryents, ignore)
 =================
@@ -551,7 +550,7 @@ function PF_traceline() {
 	const nomonsters = G_FLOAT( OFS_PARM2 ) | 0;
 	const ent = G_EDICT( OFS_PARM3 );
 
-	const trace = SV_Move( v1, vec3_origin, vec3_origin, v2, nomonsters, ent );
+	const trace = SV_UnlagMove( v1, vec3_origin, vec3_origin, v2, nomonsters, ent );
 
 	pr_global_struct.trace_allsolid = trace.allsolid ? 1 : 0;
 	pr_global_struct.trace_startsolid = trace.startsolid ? 1 : 0;
@@ -710,6 +710,8 @@ export function ED_ParseGlobals( data ) {
 
 	}
 
+	return data;
+
 }
 
 //============================================================================
@@ -2,6 +2,16 @@
 
 export const PROTOCOL_VERSION = 15;
 
+// protocol extensions, asked for with the "pext" command at signon and
+// accepted with svc_protocolext. A server that doesn't answer speaks plain 15.
+export const PEXT_PREDICTION = ( 1 << 0 ); // move sequence in clc_move, SU_PREDICT in clientdata
+export const PEXT_DELTA = ( 1 << 1 ); // svc_packetentities instead of svc_update, acked in clc_move
+export const PEXT_FOG = ( 1 << 2 ); // svc_fog at spawn and whenever the fog changes
+
+// PEXT_DELTA snapshots kept by both sides to delta from, must be power of 2
+export const SNAPSHOT_BACKUP = 32;
+export const SNAPSHOT_MASK = SNAPSHOT_BACKUP - 1;
+
 // if the high bit of the servercmd is set, the low bits are fast update flags:
 export const U_MOREBITS = ( 1 << 0 );
 export const U_ORIGIN1 = ( 1 << 1 );
@@ -21,6 +31,22 @@ export const U_SKIN = ( 1 << 12 );
 export const U_EFFECTS = ( 1 << 13 );
 export const U_LONGENTITY = ( 1 << 14 );
 
+// svc_packetentities bits, each field is sent when it differs from the
+// entity's state in the snapshot being delta'd from (or its baseline)
+export const PU_ORIGIN1 = ( 1 << 0 );
+export const PU_ORIGIN2 = ( 1 << 1 );
+export const PU_ORIGIN3 = ( 1 << 2 );
+export const PU_ANGLE1 = ( 1 << 3 );
+export const PU_ANGLE2 = ( 1 << 4 );
+export const PU_ANGLE3 = ( 1 << 5 );
+export const PU_MODEL = ( 1 << 6 );
+export const PU_FRAME = ( 1 << 7 );
+export const PU_COLORMAP = ( 1 << 8 );
+export const PU_SKIN = ( 1 << 9 );
+export const PU_EFFECTS = ( 1 << 10 );
+export const PU_NOLERP = ( 1 << 11 ); // don't interpolate movement
+export const PU_REMOVE = ( 1 << 15 ); // no longer in the snapshot, no data follows
+
 export const SU_VIEWHEIGHT = ( 1 << 0 );
 export const SU_IDEALPITCH = ( 1 << 1 );
 export const SU_PUNCH1 = ( 1 << 2 );
@@ -29,7 +55,7 @@ export const SU_PUNCH3 = ( 1 << 4 );
 export const SU_VELOCITY1 = ( 1 << 5 );
 export const SU_VELOCITY2 = ( 1 << 6 );
 export const SU_VELOCITY3 = ( 1 << 7 );
-// SU_AIMENT (1<<8) AVAILABLE BIT
+export const SU_PREDICT = ( 1 << 8 ); // PEXT_PREDICTION: the player's movement state follows
 export const SU_ITEMS = ( 1 << 9 );
 export const SU_ONGROUND = ( 1 << 10 ); // no data follows, the bit is it
 export const SU_INWATER = ( 1 << 11 ); // no data follows, the bit is it
@@ -96,6 +122,10 @@ export const svc_finale = 31; // [string] music [string] text
 export const svc_cdtrack = 32; // [byte] track [byte] looptrack
 export const svc_sellscreen = 33;
 export const svc_cutscene = 34;
+export const svc_protocolext = 35; // [long] PEXT_ bits the server accepted
+export const svc_packetentities = 36; // [long] sequence [long] delta from, 0 = baselines
+// { [short] entity [short] PU_ bits [fields] } [short] 0
+export const svc_fog = 37; // [byte] density [byte] red [byte] green [byte] blue [short] fade time * 100
 
 //
 // client to server
@@ -103,7 +133,8 @@ export const svc_cutscene = 34;
 export const clc_bad = 0;
 export const clc_nop = 1;
 export const clc_disconnect = 2;
-export const clc_move = 3; // [usercmd_t]
+export const clc_move = 3; // [usercmd_t] ([long] sequence with PEXT_PREDICTION)
+// ([long] last snapshot received with PEXT_DELTA)
 export const clc_stringcmd = 4; // [string] message
 
 //
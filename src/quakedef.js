@@ -23,7 +23,8 @@ export const MAX_DATAGRAM = 1024; // max length of unreliable message
 //
 // per-level limits
 //
-export const MAX_EDICTS = 600; // FIXME: ouch! ouch! ouch!
+export const MAX_EDICTS = 4096; // PEXT_DELTA clients; 4095 << 3 | 7 still fits svc_sound's short
+export const MAX_EDICTS_STOCK = 600; // all a PROTOCOL_VERSION client (or a demo) is sent
 export const MAX_LIGHTSTYLES = 64;
 export const MAX_MODELS = 256; // these are sent over the net as bytes
 export const MAX_SOUNDS = 256; // so they cannot be blindly increased
@@ -129,6 +130,7 @@ export class entity_state_t {
 
 	constructor() {
 
+		this.number = 0; // edict index, only used in packet_entities_t
 		this.origin = new Float32Array( 3 );
 		this.angles = new Float32Array( 3 );
 		this.modelindex = 0;
@@ -136,6 +138,20 @@ export class entity_state_t {
 		this.colormap = 0;
 		this.skin = 0;
 		this.effects = 0;
+		this.nolerp = false; // last sent with PU_NOLERP, only used in packet_entities_t
+
+	}
+
+}
+
+// packet_entities_t - the entities in one PEXT_DELTA snapshot
+export class packet_entities_t {
+
+	constructor() {
+
+		this.sequence = 0; // svc_packetentities sequence, 0 = not valid
+		this.num_entities = 0;
+		this.entities = []; // entity_state_t sorted by number, grown as needed
 
 	}
 
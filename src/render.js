@@ -23,6 +23,11 @@ export const MAXCLIPPLANES = 11;
 export const TOP_RANGE = 16; // soldier uniform colors
 export const BOTTOM_RANGE = 96;
 
+// entity_t lerpflags, for r_lerpmodels and r_lerpmove
+export const LERP_MOVESTEP = ( 1 << 0 ); // this is a MOVETYPE_STEP entity, enable movement lerp
+export const LERP_RESETANIM = ( 1 << 1 ); // disable anim lerping until next anim frame
+export const LERP_RESETMOVE = ( 1 << 3 ); // disable movement lerping until next origin/angles change
+
 //============================================================================
 // efrag_t -- entity fragment for BSP leaf association
 //============================================================================
@@ -77,6 +82,16 @@ export class entity_t {
 		this.dlightframe = 0; // dynamic lighting
 		this.dlightbits = 0;
 
+		this.lerpflags = 0; // LERP_ flags
+		this.lerpstart = 0; // animation lerping
+		this.previouspose = 0;
+		this.currentpose = 0;
+		this.movelerpstart = 0; // movement lerping
+		this.previousorigin = new Float32Array( 3 );
+		this.currentorigin = new Float32Array( 3 );
+		this.previousangles = new Float32Array( 3 );
+		this.currentangles = new Float32Array( 3 );
+
 		// FIXME: could turn these into a union
 		this.trivial_accept = 0;
 		this.topnode = null; // mnode_t -- for bmodels, first world node
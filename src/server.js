@@ -1,7 +1,10 @@
 // Ported from: WinQuake/server.h -- server structures and constants
 
-import { MAX_MODELS, MAX_SOUNDS, MAX_LIGHTSTYLES, MAX_DATAGRAM, MAX_MSGLEN, MAX_EDICTS } from './quakedef.js';
+import { MAX_MODELS, MAX_SOUNDS, MAX_LIGHTSTYLES, MAX_DATAGRAM, MAX_MSGLEN, MAX_EDICTS,
+	packet_entities_t } from './quakedef.js';
 import { sizebuf_t } from './common.js';
+import { cvar_t } from './cvar.js';
+import { SNAPSHOT_BACKUP } from './protocol.js';
 
 //============================================================================
 // Server state enum
@@ -53,6 +56,7 @@ export class server_t {
 		this.models = new Array( MAX_MODELS ).fill( null );
 		this.sound_precache = new Array( MAX_SOUNDS ).fill( null ); // NULL terminated
 		this.lightstyles = new Array( MAX_LIGHTSTYLES ).fill( null );
+		this.fog = [ 0, 0.3, 0.3, 0.3 ]; // density, red, green, blue, see SV_SetFog
 		this.num_edicts = 0;
 		this.max_edicts = 0;
 		this.edicts = null; // edict_t * -- can NOT be array indexed (variable sized)
@@ -77,6 +81,7 @@ export class server_t {
 
 export const NUM_PING_TIMES = 16;
 export const NUM_SPAWN_PARMS = 16;
+export const MAX_FLOOD_MESSAGES = 10; // most fp_messages Host_CheckFlood remembers
 
 export class client_t {
 
@@ -93,6 +98,16 @@ export class client_t {
 		this.netconnection = null; // struct qsocket_s * -- communications handle
 
 		this.cmd = null; // usercmd_t -- movement
+		this.movesequence = 0; // last clc_move read, echoed back for client prediction
+		this.protocolext = 0; // PEXT_ bits agreed on with Host_Pext_f
+		this.unlag_time = 0; // server time of the last message the client had seen, see SV_UnlagBegin
+
+		// PEXT_DELTA snapshots, see SV_WritePacketEntities
+		this.framesequence = 0; // last svc_packetentities sent
+		this.delta_sequence = 0; // last one the client received, 0 = none
+		this.frames = []; // [framesequence & SNAPSHOT_MASK]
+		for ( let i = 0; i < SNAPSHOT_BACKUP; i ++ )
+			this.frames.push( new packet_entities_t() );
 		this.wishdir = new Float32Array( 3 ); // intended motion calced from cmd
 
 		this.message = new sizebuf_t(); // can be added to at any time, copied and clear once per frame
@@ -110,6 +125,11 @@ export class client_t {
 		// client known data for deltas
 		this.old_frags = 0;
 
+		// chat flood protection
+		this.whensaid = new Float64Array( MAX_FLOOD_MESSAGES ); // realtime of the last messages, ring buffer
+		this.whensaidhead = 0;
+		this.lockedtill = 0; // silenced until this realtime
+
 	}
 
 }
@@ -189,12 +209,21 @@ export const SPAWNFLAG_NOT_HARD = 1024;
 export const SPAWNFLAG_NOT_DEATHMATCH = 2048;
 
 //============================================================================
-// Extern cvars - defined in host.js, re-exported here for compatibility
+// Game rule cvars - defined in host.c and extern'd in server.h in the original.
+// They live here so the dedicated server doesn't need host.js; the host
+// registers them (Host_InitLocal / the headless host).
 //============================================================================
 
-// Note: These are re-exported from host.js where they are defined and registered.
-// This matches original Quake where cvars were defined in host.c and extern'd in server.h.
-export { skill, deathmatch, coop, teamplay, fraglimit, timelimit } from './host.js';
+export const fraglimit = new cvar_t( 'fraglimit', '0', false, true );
+export const timelimit = new cvar_t( 'timelimit', '0', false, true );
+export const teamplay = new cvar_t( 'teamplay', '0', false, true );
+
+export const samelevel = new cvar_t( 'samelevel', '0' );
+export const noexit = new cvar_t( 'noexit', '0', false, true );
+
+export const skill = new cvar_t( 'skill', '1' ); // 0 - 3
+export const deathmatch = new cvar_t( 'deathmatch', '0' ); // 0, 1, or 2
+export const coop = new cvar_t( 'coop', '0' ); // 0 or 1
 
 //============================================================================
 // Global server state
@@ -16,6 +16,8 @@ import {
 	Sound_SetTotalChannels, Sound_SetPaintedtime, Sound_SetShm, Sound_SetInitialized
 } from './sound.js';
 import { S_LoadSound } from './snd_mem.js';
+import { snd_reverb, snd_waterfx, snd_occlusion, S_InitEnvironment, S_UpdateEnvironment, S_ShutdownEnvironment,
+	S_Occluded } from './snd_env.js';
 import { cl } from './client.js';
 import { Mod_PointInLeaf } from './gl_model.js';
 
@@ -53,6 +55,20 @@ const ambient_level = { name: 'ambient_level', string: '0.3', value: 0.3 };
 const ambient_fade = { name: 'ambient_fade', string: '100', value: 100 };
 const snd_noextraupdate = { name: 'snd_noextraupdate', string: '0', value: 0 };
 const snd_show = { name: 'snd_show', string: '0', value: 0 };
+const snd_hrtf = { name: 'snd_hrtf', string: '0', value: 0, archive: true };
+
+let old_hrtf = 0;
+
+// snd_occlusion: what a blocked channel is turned down to, and how many
+// channels are traced again each frame
+const OCCLUSION_GAIN = 0.4;
+const OCCLUSION_LOWPASS = 800;
+const OCCLUSION_OPEN = 20000;
+const OCCLUSION_PER_FRAME = 4;
+const OCCLUSION_FADE = 0.08; // time constant in seconds
+
+let occlusion_next = NUM_AMBIENTS; // next channel S_UpdateOcclusion traces
+let old_occlusion = 0;
 
 /*
 ================
@@ -72,6 +88,10 @@ export function S_Init() {
 	Cvar_RegisterVariable( ambient_fade );
 	Cvar_RegisterVariable( snd_noextraupdate );
 	Cvar_RegisterVariable( snd_show );
+	Cvar_RegisterVariable( snd_hrtf );
+	Cvar_RegisterVariable( snd_reverb );
+	Cvar_RegisterVariable( snd_waterfx );
+	Cvar_RegisterVariable( snd_occlusion );
 
 	Cmd_AddCommand( 'play', S_Play );
 	Cmd_AddCommand( 'playvol', S_PlayVol );
@@ -94,6 +114,9 @@ export function S_Init() {
 		masterGain.connect( audioContext.destination );
 		masterGain.gain.value = volume.value;
 
+		// reverb and underwater muffling between the master and the output
+		S_InitEnvironment( audioContext, masterGain );
+
 		sound_started = true;
 		Sound_SetInitialized( true );
 
@@ -139,6 +162,7 @@ export function S_Shutdown() {
 
 	if ( audioContext ) {
 
+		S_ShutdownEnvironment();
 		audioContext.close();
 		audioContext = null;
 
@@ -375,19 +399,7 @@ export function SND_PickChannel( entnum, entchannel ) {
 		channels[ first_to_die ].sfx = null;
 
 	// Stop any existing Web Audio source on this channel
-	if ( channels[ first_to_die ]._audioSource ) {
-
-		try {
-
-			channels[ first_to_die ]._audioSource.stop();
-
-		} catch ( e ) { /* ignore */ }
-
-		channels[ first_to_die ]._audioSource = null;
-		channels[ first_to_die ]._gainNode = null;
-		channels[ first_to_die ]._panNode = null;
-
-	}
+	_stopWebAudio( channels[ first_to_die ] );
 
 	return channels[ first_to_die ];
 
@@ -519,19 +531,7 @@ export function S_StopSound( entnum, entchannel ) {
 			channels[ i ].end = 0;
 			channels[ i ].sfx = null;
 
-			if ( channels[ i ]._audioSource ) {
-
-				try {
-
-					channels[ i ]._audioSource.stop();
-
-				} catch ( e ) { /* ignore */ }
-
-				channels[ i ]._audioSource = null;
-				channels[ i ]._gainNode = null;
-				channels[ i ]._panNode = null;
-
-			}
+			_stopWebAudio( channels[ i ] );
 
 			return;
 
@@ -563,24 +563,41 @@ export function S_StopAllSounds( clear ) {
 
 		channels[ i ].end = 0;
 
-		if ( channels[ i ]._audioSource ) {
+		// the ambients fade in again from silence on the next map
+		channels[ i ].master_vol = 0;
+		channels[ i ].leftvol = 0;
+		channels[ i ].rightvol = 0;
 
-			try {
+		_stopWebAudio( channels[ i ] );
 
-				channels[ i ]._audioSource.stop();
+	}
 
-			} catch ( e ) { /* ignore */ }
+	if ( clear )
+		S_ClearBuffer();
 
-			channels[ i ]._audioSource = null;
-			channels[ i ]._gainNode = null;
-			channels[ i ]._panNode = null;
+}
 
-		}
+/*
+=================
+S_StopDynamicSounds
 
-	}
+Stops the sounds started with svc_sound, the ambient and static
+channels keep playing
+=================
+*/
+export function S_StopDynamicSounds() {
 
-	if ( clear )
-		S_ClearBuffer();
+	if ( ! sound_started )
+		return;
+
+	for ( let i = NUM_AMBIENTS; i < NUM_AMBIENTS + MAX_DYNAMIC_CHANNELS; i ++ ) {
+
+		channels[ i ].sfx = null;
+		channels[ i ].end = 0;
+
+		_stopWebAudio( channels[ i ] );
+
+	}
 
 }
 
@@ -629,8 +646,13 @@ function S_UpdateAmbientSounds() {
 	if ( leaf == null || ambient_level.value === 0 ) {
 
 		// Clear all ambient channels
-		for ( let ambient_channel = 0; ambient_channel < NUM_AMBIENTS; ambient_channel ++ )
+		for ( let ambient_channel = 0; ambient_channel < NUM_AMBIENTS; ambient_channel ++ ) {
+
 			channels[ ambient_channel ].sfx = null;
+			_stopWebAudio( channels[ ambient_channel ] );
+
+		}
+
 		return;
 
 	}
@@ -694,15 +716,7 @@ function S_UpdateAmbientSounds() {
 		} else if ( ! isAudible && chan._audioSource ) {
 
 			// Stop ambient sound when volume reaches 0
-			try {
-
-				chan._audioSource.stop();
-
-			} catch ( e ) { /* ignore */ }
-
-			chan._audioSource = null;
-			chan._gainNode = null;
-			chan._panNode = null;
+			_stopWebAudio( chan );
 
 		}
 
@@ -736,9 +750,27 @@ export function S_Update( origin, forward, right, up ) {
 	listener_up[ 1 ] = up[ 1 ];
 	listener_up[ 2 ] = up[ 2 ];
 
+	_updateWebAudioListener();
+
+	// the looping static sounds come back on the new path by themselves,
+	// with or without the occlusion lowpass
+	if ( snd_hrtf.value !== old_hrtf || snd_occlusion.value !== old_occlusion ) {
+
+		if ( snd_occlusion.value !== old_occlusion )
+			S_ClearOcclusion();
+
+		old_hrtf = snd_hrtf.value;
+		old_occlusion = snd_occlusion.value;
+		for ( let i = NUM_AMBIENTS + MAX_DYNAMIC_CHANNELS; i < total_channels; i ++ )
+			_stopWebAudio( channels[ i ] );
+
+	}
+
 	// Update general area ambient sound sources
 	S_UpdateAmbientSounds();
 
+	S_UpdateEnvironment( cl.worldmodel, listener_origin, _getHostFrametime() );
+
 	// Update master volume
 	if ( masterGain ) {
 
@@ -746,8 +778,9 @@ export function S_Update( origin, forward, right, up ) {
 
 	}
 
-	// Update spatialization for all active channels
-	for ( let i = 0; i < total_channels; i ++ ) {
+	// Update spatialization for all active channels, the ambients were
+	// done by S_UpdateAmbientSounds
+	for ( let i = NUM_AMBIENTS; i < total_channels; i ++ ) {
 
 		const ch = channels[ i ];
 
@@ -762,7 +795,8 @@ export function S_Update( origin, forward, right, up ) {
 
 		if ( isStatic ) {
 
-			// Static/ambient sounds: start/stop based on audibility
+			// Static sounds loop for as long as the map is up, but only
+			// have a source while they are within earshot
 			if ( isAudible && ! ch._audioSource ) {
 
 				// Sound became audible - start playing
@@ -776,15 +810,7 @@ export function S_Update( origin, forward, right, up ) {
 			} else if ( ! isAudible && ch._audioSource ) {
 
 				// Sound became inaudible - stop playing
-				try {
-
-					ch._audioSource.stop();
-
-				} catch ( e ) { /* ignore */ }
-
-				ch._audioSource = null;
-				ch._gainNode = null;
-				ch._panNode = null;
+				_stopWebAudio( ch );
 
 			} else if ( isAudible && ch._audioSource ) {
 
@@ -802,6 +828,73 @@ export function S_Update( origin, forward, right, up ) {
 
 	}
 
+	S_UpdateOcclusion();
+
+}
+
+/*
+=================
+S_UpdateOcclusion
+
+Traces a few of the playing channels again each frame, going around all of
+them in turn, and fades the ones the world now blocks (or no longer does)
+=================
+*/
+function S_UpdateOcclusion() {
+
+	if ( ! snd_occlusion.value || ! cl.worldmodel || total_channels <= NUM_AMBIENTS )
+		return;
+
+	const count = total_channels - NUM_AMBIENTS;
+	let traced = 0;
+
+	for ( let n = 0; n < count && traced < OCCLUSION_PER_FRAME; n ++ ) {
+
+		if ( occlusion_next >= total_channels )
+			occlusion_next = NUM_AMBIENTS;
+
+		const ch = channels[ occlusion_next ++ ];
+		if ( ! ch._occlusionNode )
+			continue;
+
+		traced ++;
+
+		const occluded = S_Occluded( cl.worldmodel, listener_origin, ch.origin );
+		if ( occluded !== ch._occluded ) {
+
+			ch._occluded = occluded;
+			_setOcclusion( ch, OCCLUSION_FADE );
+			_updateWebAudioSpatial( ch, OCCLUSION_FADE );
+
+		}
+
+	}
+
+}
+
+/*
+=================
+S_ClearOcclusion
+
+snd_occlusion changed: nothing is blocked any more. The dynamic channels
+open up and finish as they are, S_Update restarts the static ones.
+=================
+*/
+function S_ClearOcclusion() {
+
+	for ( let i = NUM_AMBIENTS; i < total_channels; i ++ ) {
+
+		const ch = channels[ i ];
+		if ( ! ch._occluded )
+			continue;
+
+		ch._occluded = false;
+		if ( ch._occlusionNode )
+			_setOcclusion( ch, OCCLUSION_FADE );
+		_updateWebAudioSpatial( ch, OCCLUSION_FADE );
+
+	}
+
 }
 
 /*
@@ -868,6 +961,13 @@ export function S_StaticSound( sfx, origin, fvol, attenuation ) {
 	if ( ! sc )
 		return;
 
+	if ( sc.loopstart === - 1 ) {
+
+		Con_Printf( 'Sound %s not looped\n', sfx.name );
+		return;
+
+	}
+
 	ss.sfx = sfx;
 	ss.origin[ 0 ] = origin[ 0 ];
 	ss.origin[ 1 ] = origin[ 1 ];
@@ -879,13 +979,10 @@ export function S_StaticSound( sfx, origin, fvol, attenuation ) {
 
 	ss.end = paintedtime + sc.length;
 
+	// S_Update spatializes it against the listener every frame and starts
+	// or stops its looping source as it comes in and out of earshot
 	SND_Spatialize( ss );
 
-	// NOTE: Static/ambient sounds need continuous spatial updates every frame.
-	// For now, we don't play them immediately - they require proper management
-	// in S_Update to start/stop based on player distance.
-	// TODO: Implement proper static sound spatialization in S_Update
-
 }
 
 /*
@@ -928,13 +1025,23 @@ S_AmbientOff / S_AmbientOn
 */
 export function S_AmbientOff() {
 
-	// stub
+	snd_ambient = false;
+
+	for ( let ambient_channel = 0; ambient_channel < NUM_AMBIENTS; ambient_channel ++ ) {
+
+		const chan = channels[ ambient_channel ];
+		chan.master_vol = 0;
+		chan.leftvol = 0;
+		chan.rightvol = 0;
+		_stopWebAudio( chan );
+
+	}
 
 }
 
 export function S_AmbientOn() {
 
-	// stub
+	snd_ambient = true;
 
 }
 
@@ -1026,6 +1133,9 @@ function S_SoundInfo_f() {
 ==============================================================================
 */
 
+// time constant of the gain and pan changes, in seconds
+const SPATIAL_SMOOTHING = 0.015;
+
 function _playWebAudio( sc, chan ) {
 
 	if ( ! audioContext || ! sc || ! sc.data )
@@ -1076,19 +1186,36 @@ function _playWebAudio( sc, chan ) {
 		if ( sc.loopstart >= 0 ) {
 
 			source.loop = true;
-			source.loopStart = sc.loopstart / sampleRate;
-			source.loopEnd = numSamples / sampleRate;
+			source.loopStart = sc.loopstart / audioBuffer.sampleRate;
+			source.loopEnd = audioBuffer.duration;
 
 		}
 
 		// Volume (master gain already applies volume.value, so only use channel volume here)
 		const gainNode = audioContext.createGain();
-		const vol = Math.max( chan.leftvol, chan.rightvol ) / 255.0;
+		const hrtf = _useHRTF( chan );
+		chan._occluded = snd_occlusion.value && _isPositional( chan ) ?
+			S_Occluded( cl.worldmodel, listener_origin, chan.origin ) : false;
+		const vol = _channelVolume( chan, hrtf );
 		gainNode.gain.value = vol;
 
-		// Stereo panning
+		// Stereo panning, or with snd_hrtf a PannerNode that does direction
+		// and distance from the listener
 		let panNode = null;
-		if ( audioContext.createStereoPanner ) {
+		let pannerNode = null;
+		let occlusionNode = null;
+		if ( snd_occlusion.value && _isPositional( chan ) && audioContext.createBiquadFilter ) {
+
+			occlusionNode = audioContext.createBiquadFilter();
+			occlusionNode.type = 'lowpass';
+
+		}
+
+		if ( hrtf ) {
+
+			pannerNode = _createPanner( chan );
+
+		} else if ( audioContext.createStereoPanner ) {
 
 			panNode = audioContext.createStereoPanner();
 			if ( chan.leftvol + chan.rightvol > 0 ) {
@@ -1099,16 +1226,29 @@ function _playWebAudio( sc, chan ) {
 
 		}
 
-		// Connect: source -> gain -> pan -> master
+		// Connect: source -> gain -> occlusion lowpass -> pan -> master
 		source.connect( gainNode );
-		if ( panNode ) {
+		let output = gainNode;
+		if ( occlusionNode ) {
+
+			gainNode.connect( occlusionNode );
+			output = occlusionNode;
+
+		}
+
+		if ( pannerNode ) {
+
+			output.connect( pannerNode );
+			pannerNode.connect( masterGain );
+
+		} else if ( panNode ) {
 
-			gainNode.connect( panNode );
+			output.connect( panNode );
 			panNode.connect( masterGain );
 
 		} else {
 
-			gainNode.connect( masterGain );
+			output.connect( masterGain );
 
 		}
 
@@ -1116,6 +1256,11 @@ function _playWebAudio( sc, chan ) {
 		chan._audioSource = source;
 		chan._gainNode = gainNode;
 		chan._panNode = panNode;
+		chan._pannerNode = pannerNode;
+		chan._occlusionNode = occlusionNode;
+		chan._occlusionFadeEnd = 0;
+		if ( occlusionNode )
+			_setOcclusion( chan, 0 );
 
 		// Handle sound completion for non-looping sounds
 		if ( ! source.loop ) {
@@ -1128,6 +1273,8 @@ function _playWebAudio( sc, chan ) {
 					chan._audioSource = null;
 					chan._gainNode = null;
 					chan._panNode = null;
+					chan._pannerNode = null;
+					chan._occlusionNode = null;
 					chan.sfx = null;
 					chan.end = 0;
 
@@ -1151,22 +1298,232 @@ function _playWebAudio( sc, chan ) {
 =================
 _updateWebAudioSpatial
 
-Updates volume and panning for a playing sound based on current spatialization
+Updates volume and panning for a playing sound based on current
+spatialization, the volume gliding there with the given time constant
 =================
 */
-function _updateWebAudioSpatial( chan ) {
+function _updateWebAudioSpatial( chan, timeconstant = SPATIAL_SMOOTHING ) {
 
 	if ( ! chan._gainNode )
 		return;
 
+	// glide to the new values over a few ms, steps from frame to frame
+	// would be heard as zipper noise on the looping sounds
+	const t = audioContext.currentTime;
+
+	// an occlusion change glides slower, and keeps doing so until it is
+	// done, the next frame's update would cut it short
+	if ( timeconstant === OCCLUSION_FADE )
+		chan._occlusionFadeEnd = t + OCCLUSION_FADE * 5;
+	else if ( t < chan._occlusionFadeEnd )
+		timeconstant = OCCLUSION_FADE;
+
 	// Update volume
-	const vol = Math.max( chan.leftvol, chan.rightvol ) / 255.0;
-	chan._gainNode.gain.value = vol;
+	const vol = _channelVolume( chan, chan._pannerNode !== null );
+	chan._gainNode.gain.setTargetAtTime( vol, t, timeconstant );
+
+	if ( chan._pannerNode )
+		return;
 
 	// Update panning
 	if ( chan._panNode && ( chan.leftvol + chan.rightvol ) > 0 ) {
 
-		chan._panNode.pan.value = ( chan.rightvol - chan.leftvol ) / ( chan.leftvol + chan.rightvol );
+		const pan = ( chan.rightvol - chan.leftvol ) / ( chan.leftvol + chan.rightvol );
+		chan._panNode.pan.setTargetAtTime( pan, t, SPATIAL_SMOOTHING );
+
+	}
+
+}
+
+/*
+=================
+_stopWebAudio
+
+Stops the channel's source after a short fade, cutting a sound off at
+full volume clicks
+=================
+*/
+function _stopWebAudio( chan ) {
+
+	const source = chan._audioSource;
+	if ( ! source )
+		return;
+
+	try {
+
+		if ( audioContext && chan._gainNode ) {
+
+			const t = audioContext.currentTime;
+			chan._gainNode.gain.setTargetAtTime( 0, t, SPATIAL_SMOOTHING );
+			source.stop( t + SPATIAL_SMOOTHING * 5 );
+
+		} else {
+
+			source.stop();
+
+		}
+
+	} catch ( e ) { /* ignore */ }
+
+	chan._audioSource = null;
+	chan._gainNode = null;
+	chan._panNode = null;
+	chan._pannerNode = null;
+	chan._occlusionNode = null;
+
+}
+
+/*
+=================
+_channelVolume
+
+Gain of the channel's gain node: the PannerNode does the distance falloff
+itself, and a channel the world blocks is turned down. The inverse model
+still has a quarter of the volume left where Quake's falloff ends, so over
+the outer half of the range the gain goes down to nothing there too.
+=================
+*/
+function _channelVolume( chan, hrtf ) {
+
+	let vol;
+	if ( hrtf ) {
+
+		// SND_Spatialize's two sides add up to master_vol * 2 * ( 1 - dist )
+		const falloff = chan.master_vol > 0 ? ( chan.leftvol + chan.rightvol ) / ( 2 * chan.master_vol ) : 0;
+		vol = chan.master_vol / 255.0 * Math.min( 2 * falloff, 1 );
+
+	} else
+		vol = Math.max( chan.leftvol, chan.rightvol ) / 255.0;
+
+	return chan._occluded ? vol * OCCLUSION_GAIN : vol;
+
+}
+
+/*
+=================
+_setOcclusion
+
+Moves the channel's occlusion lowpass to match chan._occluded, over
+timeconstant seconds (0 to set it right away)
+=================
+*/
+function _setOcclusion( chan, timeconstant ) {
+
+	const frequency = chan._occluded ? OCCLUSION_LOWPASS : OCCLUSION_OPEN;
+
+	if ( timeconstant > 0 )
+		chan._occlusionNode.frequency.setTargetAtTime( frequency, audioContext.currentTime, timeconstant );
+	else
+		chan._occlusionNode.frequency.value = frequency;
+
+}
+
+/*
+=================
+_isPositional
+
+Sounds from somewhere in the world; ambients (no dist_mult) and the
+player's own sounds are heard at full volume in both ears
+=================
+*/
+function _isPositional( chan ) {
+
+	return chan.dist_mult > 0 && chan.entnum !== cl.viewentity;
+
+}
+
+/*
+=================
+_useHRTF
+
+Whether the channel goes through a PannerNode: snd_hrtf is set, the sound
+comes from somewhere in the world and the context is a live one. Offline
+contexts (the tests render to one) keep the stereo path.
+=================
+*/
+function _useHRTF( chan ) {
+
+	if ( ! snd_hrtf.value || ! audioContext || ! audioContext.createPanner )
+		return false;
+
+	if ( typeof OfflineAudioContext !== 'undefined' && audioContext instanceof OfflineAudioContext )
+		return false;
+
+	return _isPositional( chan );
+
+}
+
+/*
+=================
+_createPanner
+
+An HRTF PannerNode at the channel's origin. Quake fades a sound out
+linearly, 1 - dist * dist_mult, to nothing at 1 / dist_mult. The inverse
+model with refDistance a quarter of that is at the same half volume half
+way there, louder past it; _channelVolume takes it the rest of the way down.
+=================
+*/
+function _createPanner( chan ) {
+
+	const panner = audioContext.createPanner();
+	panner.panningModel = 'HRTF';
+	panner.distanceModel = 'inverse';
+	panner.refDistance = 0.25 / chan.dist_mult;
+	panner.maxDistance = 1 / chan.dist_mult;
+	panner.rolloffFactor = 1;
+
+	if ( panner.positionX ) {
+
+		panner.positionX.value = chan.origin[ 0 ];
+		panner.positionY.value = chan.origin[ 1 ];
+		panner.positionZ.value = chan.origin[ 2 ];
+
+	} else {
+
+		panner.setPosition( chan.origin[ 0 ], chan.origin[ 1 ], chan.origin[ 2 ] );
+
+	}
+
+	return panner;
+
+}
+
+/*
+=================
+_updateWebAudioListener
+
+Places the AudioListener at the view, facing along vpn with vup up. Quake
+coordinates are right handed like Web Audio's, so they go in unchanged.
+=================
+*/
+function _updateWebAudioListener() {
+
+	if ( ! audioContext || ! audioContext.listener )
+		return;
+
+	// no view yet (S_Update is called with vec3_origin between maps)
+	if ( listener_forward[ 0 ] === 0 && listener_forward[ 1 ] === 0 && listener_forward[ 2 ] === 0 )
+		return;
+
+	const listener = audioContext.listener;
+
+	if ( listener.positionX ) {
+
+		listener.positionX.value = listener_origin[ 0 ];
+		listener.positionY.value = listener_origin[ 1 ];
+		listener.positionZ.value = listener_origin[ 2 ];
+		listener.forwardX.value = listener_forward[ 0 ];
+		listener.forwardY.value = listener_forward[ 1 ];
+		listener.forwardZ.value = listener_forward[ 2 ];
+		listener.upX.value = listener_up[ 0 ];
+		listener.upY.value = listener_up[ 1 ];
+		listener.upZ.value = listener_up[ 2 ];
+
+	} else {
+
+		listener.setPosition( listener_origin[ 0 ], listener_origin[ 1 ], listener_origin[ 2 ] );
+		listener.setOrientation( listener_forward[ 0 ], listener_forward[ 1 ], listener_forward[ 2 ],
+			listener_up[ 0 ], listener_up[ 1 ], listener_up[ 2 ] );
 
 	}
 
@@ -0,0 +1,383 @@
+// Sound environment -- new module for reverb and underwater muffling
+// picked from where the listener is in the BSP
+
+/*
+
+Sits between snd_dma.js's master gain and the destination:
+
+	master -> lowpass -> muffle -> dry --------------------> destination
+	                            \-> wet A -> convolver A -/
+	                            \-> wet B -> convolver B -/
+
+The preset comes from the contents of the listener's leaf (the same leaf as
+r_viewleaf, the listener is at r_origin) and, out of the liquids, from the
+size of the room around it: a few traces from the view origin through hull
+0, how far they get and how many of them end in sky. Impulse responses are
+decaying noise made on first use. A preset change loads the idle convolver
+and crossfades over to it, so the tails don't click; the next change waits
+until that fade is over, the idle convolver is the one that faded out. The
+room size has to get clearly past a boundary to change the preset, so
+standing on one doesn't flip between the two.
+
+Underwater the lowpass closes and the muffle gain drops; nothing changes
+playback rates, so the pitch stays put.
+
+S_Occluded does the same kind of trace for snd_occlusion, from the listener
+to a channel's origin, for snd_dma.js to muffle the sounds behind walls.
+
+*/
+
+import {
+	CONTENTS_EMPTY, CONTENTS_WATER, CONTENTS_SLIME, CONTENTS_LAVA, CONTENTS_SKY
+} from './bspfile.js';
+import { Mod_PointInLeaf } from './gl_model.js';
+import { trace_t, SV_RecursiveHullCheck, SV_HullPointContents } from './world.js';
+
+export const snd_reverb = { name: 'snd_reverb', string: '1', value: 1, archive: true };
+export const snd_waterfx = { name: 'snd_waterfx', string: '1', value: 1, archive: true };
+export const snd_occlusion = { name: 'snd_occlusion', string: '0', value: 0, archive: true };
+
+// decay: seconds to fall 60 dB, wet: level of the reverb next to the dry sound
+const env_presets = {
+	none: { decay: 0.1, wet: 0 },
+	outdoors: { decay: 0.8, wet: 0.08 },
+	small: { decay: 0.5, wet: 0.15 },
+	room: { decay: 1.2, wet: 0.2 },
+	hall: { decay: 2.2, wet: 0.25 },
+	cavern: { decay: 3.5, wet: 0.3 },
+	underwater: { decay: 1.5, wet: 0.35 }
+};
+
+const ENV_CROSSFADE = 0.3; // time constant of preset changes, in seconds
+const ENV_HOLD = ENV_CROSSFADE * 5; // at least this long between preset changes
+const ENV_PROBE_INTERVAL = 0.25; // seconds between room size probes
+const ENV_PROBE_RANGE = 2048;
+const ENV_HYSTERESIS = 0.15; // how far past a room size boundary to change preset
+
+// the room presets by the average probe distance they go up to
+const room_sizes = [
+	{ preset: 'small', size: 128 },
+	{ preset: 'room', size: 320 },
+	{ preset: 'hall', size: 768 },
+	{ preset: 'cavern', size: Infinity }
+];
+
+const LOWPASS_OPEN = 20000;
+const LOWPASS_UNDERWATER = 600;
+const MUFFLE_UNDERWATER = 0.6;
+
+// directions of the room size probes, the axes and the diagonals
+const env_probes = [];
+for ( let x = - 1; x <= 1; x ++ ) {
+
+	for ( let y = - 1; y <= 1; y ++ ) {
+
+		for ( let z = - 1; z <= 1; z ++ ) {
+
+			if ( ( x !== 0 ) + ( y !== 0 ) + ( z !== 0 ) === 2 || ( x === 0 && y === 0 && z === 0 ) )
+				continue; // only the 6 axes and the 8 corners
+
+			const len = Math.sqrt( x * x + y * y + z * z );
+			env_probes.push( new Float32Array( [ x / len, y / len, z / len ] ) );
+
+		}
+
+	}
+
+}
+
+let audioContext = null;
+let lowpass = null;
+let muffle = null;
+let dry = null;
+const convolvers = [ null, null ];
+const wets = [ null, null ];
+let active = 0; // which of the two convolvers is heard
+let env_preset = null;
+let env_changetime = - Infinity; // audioContext.currentTime of the last preset change
+
+const impulses = {}; // AudioBuffers by preset name
+
+let probe_time = 0;
+let room_preset = 'room';
+
+// sound origins are often a little inside the floor or a wall, a trace
+// stopping this close to one doesn't count as blocked
+const OCCLUSION_SLACK = 32;
+
+const probe_end = new Float32Array( 3 );
+const probe_point = new Float32Array( 3 );
+const probe_trace = new trace_t();
+
+/*
+=================
+S_InitEnvironment
+
+Puts the environment between input and the context's destination
+=================
+*/
+export function S_InitEnvironment( context, input ) {
+
+	if ( ! context.createConvolver || ! context.createBiquadFilter )
+		return; // input stays on the destination
+
+	audioContext = context;
+
+	lowpass = context.createBiquadFilter();
+	lowpass.type = 'lowpass';
+	lowpass.frequency.value = LOWPASS_OPEN;
+
+	muffle = context.createGain();
+	dry = context.createGain();
+
+	input.disconnect();
+	input.connect( lowpass );
+	lowpass.connect( muffle );
+	muffle.connect( dry );
+	dry.connect( context.destination );
+
+	for ( let i = 0; i < 2; i ++ ) {
+
+		wets[ i ] = context.createGain();
+		wets[ i ].gain.value = 0;
+		convolvers[ i ] = context.createConvolver();
+		muffle.connect( wets[ i ] );
+		wets[ i ].connect( convolvers[ i ] );
+		convolvers[ i ].connect( context.destination );
+
+	}
+
+	env_preset = null;
+	env_changetime = - Infinity;
+
+}
+
+/*
+=================
+S_ShutdownEnvironment
+
+The nodes go with the context
+=================
+*/
+export function S_ShutdownEnvironment() {
+
+	audioContext = null;
+	lowpass = null;
+	muffle = null;
+	dry = null;
+	convolvers[ 0 ] = convolvers[ 1 ] = null;
+	wets[ 0 ] = wets[ 1 ] = null;
+	env_preset = null;
+	env_changetime = - Infinity;
+
+	for ( const name in impulses )
+		delete impulses[ name ];
+
+}
+
+/*
+=================
+S_UpdateEnvironment
+
+Called every frame from S_Update with the listener's position
+=================
+*/
+export function S_UpdateEnvironment( worldmodel, origin, frametime ) {
+
+	if ( ! audioContext )
+		return;
+
+	const leaf = worldmodel ? Mod_PointInLeaf( origin, worldmodel ) : null;
+	const contents = leaf ? leaf.contents : CONTENTS_EMPTY;
+	const underwater = contents === CONTENTS_WATER || contents === CONTENTS_SLIME || contents === CONTENTS_LAVA;
+
+	// the room size changes slowly, don't trace every frame
+	probe_time -= frametime;
+	if ( worldmodel && ! underwater && probe_time <= 0 ) {
+
+		probe_time = ENV_PROBE_INTERVAL;
+		room_preset = S_ProbeRoom( worldmodel, origin );
+
+	}
+
+	let preset;
+	if ( ! snd_reverb.value || ! worldmodel )
+		preset = 'none';
+	else if ( underwater )
+		preset = 'underwater';
+	else
+		preset = room_preset;
+
+	const t = audioContext.currentTime;
+	const muffled = underwater && snd_waterfx.value;
+	lowpass.frequency.setTargetAtTime( muffled ? LOWPASS_UNDERWATER : LOWPASS_OPEN, t, ENV_CROSSFADE / 3 );
+	muffle.gain.setTargetAtTime( muffled ? MUFFLE_UNDERWATER : 1, t, ENV_CROSSFADE / 3 );
+
+	if ( preset === env_preset )
+		return;
+
+	// the idle convolver still has the tail of the last change in it
+	if ( t - env_changetime < ENV_HOLD )
+		return;
+
+	env_preset = preset;
+	env_changetime = t;
+
+	// load the idle convolver and fade over to it
+	const wet = env_presets[ preset ].wet;
+	if ( wet > 0 ) {
+
+		active ^= 1;
+		convolvers[ active ].buffer = S_ImpulseResponse( preset );
+
+	}
+
+	wets[ active ].gain.setTargetAtTime( wet, t, ENV_CROSSFADE );
+	wets[ active ^ 1 ].gain.setTargetAtTime( 0, t, ENV_CROSSFADE );
+
+}
+
+/*
+=================
+S_ProbeRoom
+
+Sizes up the space around origin with traces through hull 0. Traces that
+end in sky mean the listener is outdoors, otherwise the average distance
+they get picks the room preset.
+=================
+*/
+function S_ProbeRoom( worldmodel, origin ) {
+
+	const hull = worldmodel.hulls[ 0 ];
+	let total = 0;
+	let sky = 0;
+
+	for ( const dir of env_probes ) {
+
+		for ( let i = 0; i < 3; i ++ )
+			probe_end[ i ] = origin[ i ] + dir[ i ] * ENV_PROBE_RANGE;
+
+		S_TraceLine( hull, origin, probe_end );
+
+		if ( probe_trace.allsolid )
+			return room_preset; // in a wall (noclip), keep what there was
+
+		total += probe_trace.fraction * ENV_PROBE_RANGE;
+
+		// sky brushes don't clip, the trace stops at the void behind them
+		if ( probe_trace.fraction < 1 ) {
+
+			for ( let i = 0; i < 3; i ++ )
+				probe_point[ i ] = probe_trace.endpos[ i ] - dir[ i ] * 2;
+
+			if ( SV_HullPointContents( hull, hull.firstclipnode, probe_point ) === CONTENTS_SKY )
+				sky ++;
+
+		}
+
+	}
+
+	if ( sky >= ( room_preset === 'outdoors' ? 2 : 3 ) )
+		return 'outdoors';
+
+	// boundaries below the current preset have to be gone under by
+	// ENV_HYSTERESIS, the ones above gone over by it
+	const size = total / env_probes.length;
+	let current = - 1;
+	for ( let i = 0; i < room_sizes.length; i ++ ) {
+
+		if ( room_sizes[ i ].preset === room_preset )
+			current = i;
+
+	}
+
+	for ( let i = 0; i < room_sizes.length - 1; i ++ ) {
+
+		let limit = room_sizes[ i ].size;
+		if ( current >= 0 )
+			limit *= i < current ? 1 - ENV_HYSTERESIS : 1 + ENV_HYSTERESIS;
+
+		if ( size < limit )
+			return room_sizes[ i ].preset;
+
+	}
+
+	return 'cavern';
+
+}
+
+/*
+=================
+S_Occluded
+
+Whether the world is between the listener and a sound's origin
+=================
+*/
+export function S_Occluded( worldmodel, listener, origin ) {
+
+	if ( ! worldmodel )
+		return false;
+
+	S_TraceLine( worldmodel.hulls[ 0 ], listener, origin );
+
+	// outside the map (noclip), nothing is blocked
+	if ( probe_trace.allsolid || probe_trace.startsolid || probe_trace.fraction === 1 )
+		return false;
+
+	const dx = origin[ 0 ] - probe_trace.endpos[ 0 ];
+	const dy = origin[ 1 ] - probe_trace.endpos[ 1 ];
+	const dz = origin[ 2 ] - probe_trace.endpos[ 2 ];
+	return dx * dx + dy * dy + dz * dz > OCCLUSION_SLACK * OCCLUSION_SLACK;
+
+}
+
+/*
+=================
+S_TraceLine
+
+A point trace through the world hull into probe_trace, like
+SV_ClipMoveToEntity does for the world without the entity offset
+=================
+*/
+function S_TraceLine( hull, start, end ) {
+
+	probe_trace.allsolid = true;
+	probe_trace.startsolid = false;
+	probe_trace.inopen = false;
+	probe_trace.inwater = false;
+	probe_trace.fraction = 1;
+	probe_trace.endpos.set( end );
+	SV_RecursiveHullCheck( hull, hull.firstclipnode, 0, 1, start, end, probe_trace );
+
+}
+
+/*
+=================
+S_ImpulseResponse
+
+Stereo noise falling off exponentially by 60 dB over the preset's decay,
+uncorrelated between the ears for width
+=================
+*/
+function S_ImpulseResponse( name ) {
+
+	if ( impulses[ name ] )
+		return impulses[ name ];
+
+	const decay = env_presets[ name ].decay;
+	const rate = audioContext.sampleRate;
+	const length = Math.ceil( decay * rate );
+	const buffer = audioContext.createBuffer( 2, length, rate );
+
+	for ( let c = 0; c < 2; c ++ ) {
+
+		const data = buffer.getChannelData( c );
+		for ( let i = 0; i < length; i ++ )
+			data[ i ] = ( Math.random() * 2 - 1 ) * Math.pow( 0.001, i / length );
+
+	}
+
+	impulses[ name ] = buffer;
+	return buffer;
+
+}
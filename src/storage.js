@@ -0,0 +1,192 @@
+// IndexedDB storage -- new module for browser-persistent savegames and demos
+// Replaces the quake directory's .sav and .dem files. Savegames are small text
+// files and are mirrored in memory so the console commands can stay synchronous;
+// demos can be large and are only read on demand.
+
+import { Con_Printf } from './console.js';
+
+const DB_NAME = 'three-quake';
+const DB_VERSION = 1;
+
+export const STORE_SAVES = 'saves';
+export const STORE_DEMOS = 'demos';
+
+let db = null;
+
+// name -> savegame text, mirrors the saves store
+const savecache = new Map();
+
+// used when IndexedDB is unavailable (Deno, private browsing)
+const memstores = {
+	[ STORE_SAVES ]: new Map(),
+	[ STORE_DEMOS ]: new Map()
+};
+
+/*
+=================
+Storage_Init
+
+Opens the database and preloads the savegame store
+=================
+*/
+export async function Storage_Init() {
+
+	if ( typeof indexedDB === 'undefined' )
+		return;
+
+	try {
+
+		db = await new Promise( ( resolve, reject ) => {
+
+			const request = indexedDB.open( DB_NAME, DB_VERSION );
+
+			request.onupgradeneeded = () => {
+
+				const idb = request.result;
+				if ( ! idb.objectStoreNames.contains( STORE_SAVES ) )
+					idb.createObjectStore( STORE_SAVES );
+				if ( ! idb.objectStoreNames.contains( STORE_DEMOS ) )
+					idb.createObjectStore( STORE_DEMOS );
+
+			};
+
+			request.onsuccess = () => resolve( request.result );
+			request.onerror = () => reject( request.error );
+
+		} );
+
+	} catch ( e ) {
+
+		Con_Printf( 'Warning: IndexedDB unavailable, saves will not persist\n' );
+		db = null;
+		return;
+
+	}
+
+	const names = await Storage_Keys( STORE_SAVES );
+	for ( const name of names ) {
+
+		const text = await Storage_Get( STORE_SAVES, name );
+		if ( typeof text === 'string' )
+			savecache.set( name, text );
+
+	}
+
+}
+
+function Storage_Request( store, mode, fn ) {
+
+	if ( ! db ) {
+
+		const map = memstores[ store ];
+		return Promise.resolve( fn( null, map ) );
+
+	}
+
+	return new Promise( ( resolve, reject ) => {
+
+		const tx = db.transaction( store, mode );
+		const request = fn( tx.objectStore( store ), null );
+		tx.oncomplete = () => resolve( request ? request.result : undefined );
+		tx.onerror = () => reject( tx.error );
+		tx.onabort = () => reject( tx.error );
+
+	} );
+
+}
+
+/*
+=================
+Storage_Put / Storage_Get / Storage_Delete / Storage_Keys
+
+Promise based access to a single object store
+=================
+*/
+export function Storage_Put( store, name, value ) {
+
+	return Storage_Request( store, 'readwrite', ( os, map ) => {
+
+		if ( map ) {
+
+			map.set( name, value );
+			return undefined;
+
+		}
+
+		return os.put( value, name );
+
+	} );
+
+}
+
+export function Storage_Get( store, name ) {
+
+	return Storage_Request( store, 'readonly', ( os, map ) => {
+
+		if ( map ) return map.has( name ) ? map.get( name ) : null;
+		return os.get( name );
+
+	} ).then( ( value ) => value === undefined ? null : value );
+
+}
+
+export function Storage_Delete( store, name ) {
+
+	return Storage_Request( store, 'readwrite', ( os, map ) => {
+
+		if ( map ) {
+
+			map.delete( name );
+			return undefined;
+
+		}
+
+		return os.delete( name );
+
+	} );
+
+}
+
+export function Storage_Keys( store ) {
+
+	return Storage_Request( store, 'readonly', ( os, map ) => {
+
+		if ( map ) return Array.from( map.keys() );
+		return os.getAllKeys();
+
+	} ).then( ( keys ) => ( keys || [] ).map( String ).sort() );
+
+}
+
+/*
+=================
+Storage_WriteSave
+
+Updates the in-memory copy immediately and persists in the background
+=================
+*/
+export function Storage_WriteSave( name, text ) {
+
+	savecache.set( name, text );
+
+	Storage_Put( STORE_SAVES, name, text ).catch( ( e ) => {
+
+		Con_Printf( 'ERROR: couldn\'t store %s: %s\n', name, e && e.message ? e.message : e );
+
+	} );
+
+}
+
+/*
+=================
+Storage_ReadSave
+
+Returns the savegame text, or null if the slot is empty
+=================
+*/
+export function Storage_ReadSave( name ) {
+
+	const text = savecache.get( name );
+	return text !== undefined ? text : null;
+
+}
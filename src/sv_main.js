@@ -10,7 +10,8 @@ import {
 import { Cmd_AddCommand, Cmd_ExecuteString, Cbuf_AddText, Cbuf_InsertText, src_command } from './cmd.js';
 import { cvar_t, Cvar_RegisterVariable, Cvar_Set, Cvar_SetValue } from './cvar.js';
 import {
-	MAX_MODELS, MAX_SOUNDS, MAX_DATAGRAM, MAX_EDICTS, MAX_MSGLEN
+	MAX_MODELS, MAX_SOUNDS, MAX_DATAGRAM, MAX_EDICTS, MAX_EDICTS_STOCK, MAX_MSGLEN,
+	entity_state_t
 } from './quakedef.js';
 import {
 	PROTOCOL_VERSION,
@@ -26,6 +27,10 @@ import {
 	U_NOLERP, U_FRAME, U_SIGNAL, U_MODEL, U_COLORMAP, U_SKIN, U_EFFECTS, U_LONGENTITY,
 	SU_VIEWHEIGHT, SU_IDEALPITCH, SU_PUNCH1, SU_VELOCITY1,
 	SU_ITEMS, SU_ONGROUND, SU_INWATER, SU_WEAPONFRAME, SU_ARMOR, SU_WEAPON,
+	SU_PREDICT, PEXT_PREDICTION,
+	PEXT_DELTA, SNAPSHOT_BACKUP, SNAPSHOT_MASK, svc_packetentities, PEXT_FOG, svc_fog,
+	PU_ORIGIN1, PU_ANGLE1, PU_MODEL, PU_FRAME, PU_COLORMAP, PU_SKIN, PU_EFFECTS,
+	PU_NOLERP, PU_REMOVE,
 	DEFAULT_VIEWHEIGHT, svc_damage, svc_setangle
 } from './protocol.js';
 import {
@@ -35,7 +40,7 @@ import {
 	host_time,
 	MOVETYPE_PUSH, MOVETYPE_STEP,
 	SOLID_BSP, SOLID_NOT, SOLID_TRIGGER,
-	FL_ITEM, FL_ONGROUND, FL_MONSTER,
+	FL_ITEM, FL_ONGROUND, FL_MONSTER, FL_WATERJUMP, FL_JUMPRELEASED,
 	EF_MUZZLEFLASH,
 	NUM_SPAWN_PARMS,
 	deathmatch, coop, skill,
@@ -43,22 +48,19 @@ import {
 } from './server.js';
 import { hostname } from './net_main.js';
 import {
-	NET_CheckNewConnections, NET_SendMessage, NET_SendUnreliableMessage,
+	NET_CheckNewConnections, NET_SendMessage, NET_SendUnreliableMessage, NET_MaxUnreliableMessage,
 	NET_CanSendMessage, NET_SendToAll, NET_Close, NET_GetMessage
 } from './net_main.js';
 import { net_activeconnections, set_net_activeconnections } from './net.js';
-import { host_frametime, set_host_frametime, realtime } from './host.js';
 import { COM_LoadFile } from './pak.js';
 import { VectorCopy, VectorAdd, VectorSubtract, DotProduct } from './mathlib.js';
-import { Mod_ForName, Mod_LeafPVS } from './gl_model.js';
 import { PR_LoadProgs, PR_AllocEdicts, ED_ClearEdict, ED_LoadFromFile, PR_SetCurrentSkill } from './pr_edict.js';
-import { pr_global_struct, pr_strings, pr_edict_size, progs, pr_crc, EDICT_NUM, PR_SetSV, EDICT_TO_PROG, PROG_TO_EDICT, NEXT_EDICT, PR_GetString } from './progs.js';
-import { SV_ClearWorld, SV_Move, SV_TestEntityPosition, SV_LinkEdict, SV_PointContents } from './world.js';
-import { SV_Physics, SV_SetState, SV_SetCallbacks } from './sv_phys.js';
+import { pr_global_struct, pr_strings, pr_edict_size, progs, pr_crc, EDICT_NUM, NUM_FOR_EDICT, PR_SetSV, EDICT_TO_PROG, PROG_TO_EDICT, NEXT_EDICT, PR_GetString } from './progs.js';
+import { SV_ClearWorld, SV_Move, SV_TestEntityPosition, SV_LinkEdict, SV_PointContents,
+	sv_unlag, sv_maxunlag } from './world.js';
+import { SV_Physics, SV_SetState, SV_SetCallbacks, SV_SetFrametime } from './sv_phys.js';
 import { PR_ExecuteProgram } from './pr_exec.js';
 import { SV_User_SetCallbacks, SV_SetIdealPitch } from './sv_user.js';
-import { V_CalcRoll } from './view.js';
-import { key_dest } from './keys.js';
 
 //============================================================================
 // Module-level state
@@ -72,7 +74,7 @@ for ( let i = 0; i < MAX_MODELS; i ++ )
 // The PVS must include a small area around the client to allow head bobbing
 // or other small motion on the client side.
 const CONTENTS_SOLID = - 2;
-const MAX_MAP_LEAFS = 8192;
+const MAX_MAP_LEAFS = 70000; // BSP2 maps, see bspfile.js
 let fatbytes = 0;
 const fatpvs = new Uint8Array( MAX_MAP_LEAFS / 8 );
 
@@ -90,6 +92,29 @@ export const sv_aim = new cvar_t( 'sv_aim', '0.93' );
 
 export let current_skill = 0;
 
+// host.c realtime, pushed in by the host every frame with SV_SetRealtime
+let realtime = 0;
+
+export function SV_SetRealtime( t ) {
+
+	realtime = t;
+
+}
+
+// Model loader, set with SV_SetModelCallbacks. The client hands in gl_model.js,
+// the dedicated server the headless loader in server/mod_server.ts.
+export let Mod_ForName = null;
+export let Mod_PointInLeaf = null;
+export let Mod_LeafPVS = null;
+
+export function SV_SetModelCallbacks( callbacks ) {
+
+	if ( callbacks.Mod_ForName ) Mod_ForName = callbacks.Mod_ForName;
+	if ( callbacks.Mod_PointInLeaf ) Mod_PointInLeaf = callbacks.Mod_PointInLeaf;
+	if ( callbacks.Mod_LeafPVS ) Mod_LeafPVS = callbacks.Mod_LeafPVS;
+
+}
+
 /*
 ===============
 SV_Init
@@ -107,19 +132,19 @@ export function SV_Init() {
 	Cvar_RegisterVariable( sv_idealpitchscale );
 	Cvar_RegisterVariable( sv_aim );
 	Cvar_RegisterVariable( sv_nostep );
+	Cvar_RegisterVariable( sv_unlag );
+	Cvar_RegisterVariable( sv_maxunlag );
 
 	for ( let i = 0; i < MAX_MODELS; i ++ )
 		localmodels[ i ] = '*' + i;
 
-	// Wire up sv_user.js callbacks
+	// Wire up sv_user.js callbacks (V_CalcRoll and get_key_dest come from the host)
 	SV_User_SetCallbacks( {
-		V_CalcRoll,
 		SV_DropClient,
 		NET_GetMessage,
 		Cbuf_InsertText,
 		Cmd_ExecuteString,
 		set_host_client,
-		get_key_dest: () => key_dest,
 	} );
 
 }
@@ -163,6 +188,47 @@ export function SV_StartParticle( org, dir, color, count ) {
 
 }
 
+/*
+==================
+SV_WriteFog
+
+The current fog for a PEXT_FOG client, fading in over time seconds
+==================
+*/
+export function SV_WriteFog( msg, time ) {
+
+	MSG_WriteByte( msg, svc_fog );
+	for ( let i = 0; i < 4; i ++ )
+		MSG_WriteByte( msg, Math.min( Math.max( Math.round( sv.fog[ i ] * 255 ), 0 ), 255 ) );
+	MSG_WriteShort( msg, Math.min( Math.round( time * 100 ), 32767 ) );
+
+}
+
+/*
+==================
+SV_SetFog
+
+Changes the fog for every client that understands svc_fog. It is kept in sv
+so savegames and clients that spawn later get it too
+==================
+*/
+export function SV_SetFog( density, red, green, blue, time ) {
+
+	sv.fog[ 0 ] = density;
+	sv.fog[ 1 ] = red;
+	sv.fog[ 2 ] = green;
+	sv.fog[ 3 ] = blue;
+
+	for ( let i = 0; i < svs.maxclients; i ++ ) {
+
+		const client = svs.clients[ i ];
+		if ( client.active && ( client.protocolext & PEXT_FOG ) )
+			SV_WriteFog( client.message, time );
+
+	}
+
+}
+
 /*
 ==================
 SV_StartSound
@@ -208,7 +274,16 @@ export function SV_StartSound( entity, channel, sample, volume, attenuation ) {
 	}
 
 	// NUM_FOR_EDICT -- entity index in edicts array
-	const ent = entity._index !== undefined ? entity._index : 0;
+	let ent = entity._index !== undefined ? entity._index : 0;
+
+	// sv.datagram goes to stock clients too, they play it from the world
+	// at the same place
+	if ( ent >= MAX_EDICTS_STOCK ) {
+
+		ent = 0;
+		channel = 0;
+
+	}
 
 	channel = ( ent << 3 ) | channel;
 
@@ -254,6 +329,10 @@ export function SV_SendServerinfo( client ) {
 	const message = '\x02\nVERSION 1.09 SERVER (' + pr_crc + ' CRC)';
 	MSG_WriteString( client.message, message );
 
+	// every level starts out as stock Quake, the client asks for the
+	// extensions again with pext (or doesn't, when it records a demo)
+	client.protocolext = 0;
+
 	MSG_WriteByte( client.message, svc_serverinfo );
 	MSG_WriteLong( client.message, PROTOCOL_VERSION );
 	MSG_WriteByte( client.message, svs.maxclients );
@@ -605,6 +684,39 @@ function SV_FatPVS( org ) {
 
 }
 
+/*
+=============
+SV_EntityVisible
+
+Entities without a visible model and entities outside the pvs are not
+sent. The client's own entity is always sent.
+=============
+*/
+function SV_EntityVisible( ent, clent, pvs ) {
+
+	if ( ent === clent )
+		return true;
+
+	// Check modelindex and that model string is not empty
+	// Original C: !ent->v.modelindex || !pr_strings[ent->v.model]
+	// IMPORTANT: Use explicit checks per CLAUDE.md rules
+	if ( ent.v.modelindex === 0 || PR_GetString( ent.v.model ) === '' )
+		return false;
+
+	// PVS check — skip entities not in client's PVS
+	// Check if any of the entity's leafs are visible
+	for ( let i = 0; i < ent.num_leafs; i ++ ) {
+
+		const leafnum = ent.leafnums[ i ];
+		if ( pvs[ leafnum >> 3 ] & ( 1 << ( leafnum & 7 ) ) )
+			return true; // found a visible leaf
+
+	}
+
+	return false;
+
+}
+
 /*
 =============
 SV_WriteEntitiesToClient
@@ -617,35 +729,14 @@ function SV_WriteEntitiesToClient( clent, msg ) {
 	VectorAdd( clent.v.origin, clent.v.view_ofs, org );
 	const pvs = SV_FatPVS( org );
 
-	// send over all entities (except the client) that touch the pvs
+	// send over all entities (except the client) that touch the pvs,
+	// as many of them as a stock client can take
+	const num_edicts = Math.min( sv.num_edicts, MAX_EDICTS_STOCK );
 	let ent = NEXT_EDICT( sv.edicts[ 0 ] );
-	for ( let e = 1; e < sv.num_edicts; e ++, ent = NEXT_EDICT( ent ) ) {
+	for ( let e = 1; e < num_edicts; e ++, ent = NEXT_EDICT( ent ) ) {
 
-		// ignore ents without visible models (unless it's the client itself)
-		// clent is ALWAYS sent
-		if ( ent !== clent ) {
-
-			// Check modelindex and that model string is not empty
-			// Original C: !ent->v.modelindex || !pr_strings[ent->v.model]
-			// IMPORTANT: Use explicit checks per CLAUDE.md rules
-			if ( ent.v.modelindex === 0 || PR_GetString( ent.v.model ) === '' )
-				continue;
-
-			// PVS check — skip entities not in client's PVS
-			// Check if any of the entity's leafs are visible
-			let i;
-			for ( i = 0; i < ent.num_leafs; i ++ ) {
-
-				const leafnum = ent.leafnums[ i ];
-				if ( pvs[ leafnum >> 3 ] & ( 1 << ( leafnum & 7 ) ) )
-					break; // found a visible leaf
-
-			}
-
-			if ( i === ent.num_leafs )
-				continue; // not visible
-
-		}
+		if ( ! SV_EntityVisible( ent, clent, pvs ) )
+			continue;
 
 		if ( msg.maxsize - msg.cursize < 16 ) {
 
@@ -737,6 +828,246 @@ function SV_WriteEntitiesToClient( clent, msg ) {
 
 }
 
+/*
+=============================================================================
+
+DELTA SNAPSHOTS
+
+With PEXT_DELTA the entities go out as numbered snapshots, each one delta'd
+from the last snapshot the client told us it received. Entities that don't
+fit in the datagram are left as the client last saw them and go out with the
+next snapshot instead of being dropped.
+
+=============================================================================
+*/
+
+const MAX_PACKET_ENTITY = 2 + 2 + 5 + 3 * 2 + 3; // number, bits, bytes, coords, angles
+
+/*
+=============
+SV_CopyEntityState
+=============
+*/
+function SV_CopyEntityState( from, to ) {
+
+	to.number = from.number;
+	VectorCopy( from.origin, to.origin );
+	VectorCopy( from.angles, to.angles );
+	to.modelindex = from.modelindex;
+	to.frame = from.frame;
+	to.colormap = from.colormap;
+	to.skin = from.skin;
+	to.effects = from.effects;
+
+}
+
+/*
+=============
+SV_PacketEntity
+
+Returns the next free entity_state_t of the snapshot
+=============
+*/
+function SV_PacketEntity( pack ) {
+
+	if ( pack.entities.length === pack.num_entities )
+		pack.entities.push( new entity_state_t() );
+
+	return pack.entities[ pack.num_entities ++ ];
+
+}
+
+/*
+=============
+SV_WriteRemoveEntity
+=============
+*/
+function SV_WriteRemoveEntity( old, to, msg ) {
+
+	if ( msg.maxsize - msg.cursize < 4 + 2 ) {
+
+		// no room, the client keeps it until the next snapshot
+		SV_CopyEntityState( old, SV_PacketEntity( to ) );
+		return;
+
+	}
+
+	MSG_WriteShort( msg, old.number );
+	MSG_WriteShort( msg, PU_REMOVE );
+
+}
+
+/*
+=============
+SV_WriteDeltaEntity
+
+Writes the fields of ent that differ from base, the entity's state in the
+old snapshot, or its baseline when it wasn't in it (base is null)
+=============
+*/
+function SV_WriteDeltaEntity( e, ent, base, to, msg ) {
+
+	const inold = base !== null;
+	if ( ! inold )
+		base = ent.baseline;
+
+	let bits = 0;
+
+	for ( let i = 0; i < 3; i ++ ) {
+
+		const miss = ent.v.origin[ i ] - base.origin[ i ];
+		if ( miss < - 0.1 || miss > 0.1 )
+			bits |= PU_ORIGIN1 << i;
+
+	}
+
+	for ( let i = 0; i < 3; i ++ ) {
+
+		if ( ent.v.angles[ i ] !== base.angles[ i ] )
+			bits |= PU_ANGLE1 << i;
+
+	}
+
+	if ( base.modelindex !== ent.v.modelindex )
+		bits |= PU_MODEL;
+
+	if ( base.frame !== ent.v.frame )
+		bits |= PU_FRAME;
+
+	if ( base.colormap !== ent.v.colormap )
+		bits |= PU_COLORMAP;
+
+	if ( base.skin !== ent.v.skin )
+		bits |= PU_SKIN;
+
+	if ( base.effects !== ent.v.effects )
+		bits |= PU_EFFECTS;
+
+	if ( bits && ent.v.movetype === MOVETYPE_STEP )
+		bits |= PU_NOLERP; // don't mess up the step animation
+
+	// an unchanged entity the client already has is not written at all,
+	// a new one always is so the client knows it is there
+	if ( bits === 0 && inold ) {
+
+		SV_CopyEntityState( base, SV_PacketEntity( to ) );
+		return;
+
+	}
+
+	if ( msg.maxsize - msg.cursize < MAX_PACKET_ENTITY + 2 ) {
+
+		// no room, send it with the next snapshot
+		if ( inold )
+			SV_CopyEntityState( base, SV_PacketEntity( to ) );
+		return;
+
+	}
+
+	MSG_WriteShort( msg, e );
+	MSG_WriteShort( msg, bits );
+
+	if ( bits & PU_MODEL )
+		MSG_WriteByte( msg, ent.v.modelindex );
+	if ( bits & PU_FRAME )
+		MSG_WriteByte( msg, ent.v.frame );
+	if ( bits & PU_COLORMAP )
+		MSG_WriteByte( msg, ent.v.colormap );
+	if ( bits & PU_SKIN )
+		MSG_WriteByte( msg, ent.v.skin );
+	if ( bits & PU_EFFECTS )
+		MSG_WriteByte( msg, ent.v.effects );
+	for ( let i = 0; i < 3; i ++ ) {
+
+		if ( bits & ( PU_ORIGIN1 << i ) )
+			MSG_WriteCoord( msg, ent.v.origin[ i ] );
+		if ( bits & ( PU_ANGLE1 << i ) )
+			MSG_WriteAngle( msg, ent.v.angles[ i ] );
+
+	}
+
+	// remember what the client has now, fields that weren't written keep
+	// the old values so small changes can't add up unnoticed
+	const state = SV_PacketEntity( to );
+	SV_CopyEntityState( base, state );
+	state.number = e;
+	for ( let i = 0; i < 3; i ++ ) {
+
+		if ( bits & ( PU_ORIGIN1 << i ) )
+			state.origin[ i ] = ent.v.origin[ i ];
+		if ( bits & ( PU_ANGLE1 << i ) )
+			state.angles[ i ] = ent.v.angles[ i ];
+
+	}
+
+	state.modelindex = ent.v.modelindex;
+	state.frame = ent.v.frame;
+	state.colormap = ent.v.colormap;
+	state.skin = ent.v.skin;
+	state.effects = ent.v.effects;
+
+}
+
+/*
+=============
+SV_WritePacketEntities
+
+The PEXT_DELTA version of SV_WriteEntitiesToClient
+=============
+*/
+function SV_WritePacketEntities( client, msg ) {
+
+	const clent = client.edict;
+
+	// find the client's PVS
+	const org = new Float32Array( 3 );
+	VectorAdd( clent.v.origin, clent.v.view_ofs, org );
+	const pvs = SV_FatPVS( org );
+
+	client.framesequence ++;
+	const to = client.frames[ client.framesequence & SNAPSHOT_MASK ];
+	to.sequence = client.framesequence;
+	to.num_entities = 0;
+
+	// delta from the last snapshot the client received if we still have it,
+	// otherwise from the baselines
+	let from = null;
+	const ack = client.delta_sequence;
+	if ( ack > 0 && client.framesequence - ack < SNAPSHOT_BACKUP
+		&& client.frames[ ack & SNAPSHOT_MASK ].sequence === ack )
+		from = client.frames[ ack & SNAPSHOT_MASK ];
+
+	MSG_WriteByte( msg, svc_packetentities );
+	MSG_WriteLong( msg, to.sequence );
+	MSG_WriteLong( msg, from !== null ? from.sequence : 0 );
+
+	const oldmax = from !== null ? from.num_entities : 0;
+	let oldindex = 0;
+
+	let ent = NEXT_EDICT( sv.edicts[ 0 ] );
+	for ( let e = 1; e < sv.num_edicts; e ++, ent = NEXT_EDICT( ent ) ) {
+
+		if ( ! SV_EntityVisible( ent, clent, pvs ) )
+			continue;
+
+		// old entities that aren't sent any more
+		while ( oldindex < oldmax && from.entities[ oldindex ].number < e )
+			SV_WriteRemoveEntity( from.entities[ oldindex ++ ], to, msg );
+
+		if ( oldindex < oldmax && from.entities[ oldindex ].number === e )
+			SV_WriteDeltaEntity( e, ent, from.entities[ oldindex ++ ], to, msg );
+		else
+			SV_WriteDeltaEntity( e, ent, null, to, msg );
+
+	}
+
+	while ( oldindex < oldmax )
+		SV_WriteRemoveEntity( from.entities[ oldindex ++ ], to, msg );
+
+	MSG_WriteShort( msg, 0 ); // end of packetentities
+
+}
+
 /*
 ==================
 SV_WriteClientdataToMessage
@@ -813,6 +1144,10 @@ export function SV_WriteClientdataToMessage( ent, msg ) {
 	// always send weapon
 	bits |= SU_WEAPON;
 
+	const client = svs.clients[ NUM_FOR_EDICT( ent ) - 1 ];
+	if ( client && ( client.protocolext & PEXT_PREDICTION ) )
+		bits |= SU_PREDICT;
+
 	// send the data
 	MSG_WriteByte( msg, svc_clientdata );
 	MSG_WriteShort( msg, bits );
@@ -842,6 +1177,19 @@ export function SV_WriteClientdataToMessage( ent, msg ) {
 	if ( bits & SU_WEAPON )
 		MSG_WriteByte( msg, SV_ModelIndex( PR_GetString( ent.v.weaponmodel ) ) );
 
+	// everything cl_pred.js needs to replay the moves we haven't run yet
+	if ( bits & SU_PREDICT ) {
+
+		MSG_WriteLong( msg, client.movesequence );
+		for ( let i = 0; i < 3; i ++ )
+			MSG_WriteFloat( msg, ent.v.origin[ i ] );
+		for ( let i = 0; i < 3; i ++ )
+			MSG_WriteFloat( msg, ent.v.velocity[ i ] );
+		MSG_WriteByte( msg, ent.v.movetype );
+		MSG_WriteShort( msg, ( ent.v.flags | 0 ) & ( FL_ONGROUND | FL_WATERJUMP | FL_JUMPRELEASED ) );
+
+	}
+
 	MSG_WriteShort( msg, ent.v.health );
 	MSG_WriteByte( msg, ent.v.currentammo );
 	MSG_WriteByte( msg, ent.v.ammo_shells );
@@ -878,14 +1226,20 @@ SV_SendClientDatagram
 */
 function SV_SendClientDatagram( client ) {
 
-	const buf = new Uint8Array( MAX_DATAGRAM );
-	const msg = { allowoverflow: false, overflowed: false, data: buf, maxsize: MAX_DATAGRAM, cursize: 0 };
+	// a snapshot that doesn't fit in one WebTransport datagram would be
+	// lost every time, keep it to what the connection carries
+	const maxsize = NET_MaxUnreliableMessage( client.netconnection );
+	const buf = new Uint8Array( maxsize );
+	const msg = { allowoverflow: false, overflowed: false, data: buf, maxsize: maxsize, cursize: 0 };
 
 	MSG_WriteByte( msg, svc_time );
 	MSG_WriteFloat( msg, sv.time );
 
 	SV_WriteClientdataToMessage( client.edict, msg );
-	SV_WriteEntitiesToClient( client.edict, msg );
+	if ( client.protocolext & PEXT_DELTA )
+		SV_WritePacketEntities( client, msg );
+	else
+		SV_WriteEntitiesToClient( client.edict, msg );
 
 	// copy the server datagram if there is space
 	if ( msg.cursize + sv.datagram.cursize < msg.maxsize )
@@ -1105,7 +1459,10 @@ SV_CreateBaseline
 */
 function SV_CreateBaseline() {
 
-	for ( let entnum = 0; entnum < sv.num_edicts; entnum ++ ) {
+	// the signon goes to stock clients too. Past MAX_EDICTS_STOCK the
+	// baselines stay zero on both sides, which is what PEXT_DELTA deltas from
+	const num_edicts = Math.min( sv.num_edicts, MAX_EDICTS_STOCK );
+	for ( let entnum = 0; entnum < num_edicts; entnum ++ ) {
 
 		const svent = EDICT_NUM( entnum );
 		if ( ! svent || svent.free )
@@ -1281,6 +1638,9 @@ export function SV_SpawnServer( server ) {
 
 	sv.models[ 1 ] = sv.worldmodel;
 
+	// the level's own fog until the fog command or a savegame changes it
+	sv.fog = sv.worldmodel.fog ? sv.worldmodel.fog.slice() : [ 0, 0.3, 0.3, 0.3 ];
+
 	//
 	// clear world interaction links
 	//
@@ -1336,7 +1696,7 @@ export function SV_SpawnServer( server ) {
 	sv.state = ss_active;
 
 	// run two frames to allow everything to settle
-	set_host_frametime( 0.1 );
+	SV_SetFrametime( 0.1 );
 	SV_Physics();
 	SV_Physics();
 
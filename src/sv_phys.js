@@ -7,7 +7,7 @@ import { vec3_origin, DotProduct, VectorCopy, VectorAdd, VectorSubtract, VectorM
 	M_PI, anglemod } from './mathlib.js';
 import { ON_EPSILON, MAX_EDICTS, PITCH, YAW, ROLL } from './quakedef.js';
 import { PR_GetString } from './progs.js';
-import { trace_t } from './world.js';
+import { trace_t, SV_UnlagBegin, SV_UnlagEnd, SV_UnlagRecord } from './world.js';
 
 /*
 
@@ -549,6 +549,13 @@ export function SV_PushEntity( ent, push ) {
 
 }
 
+// what a push moved, to put back if it gets blocked. Shared by SV_PushRotate
+// and SV_PushMove so a push doesn't allocate MAX_EDICTS vectors
+const push_moved_edict = new Array( MAX_EDICTS );
+const push_moved_from = [];
+for ( let i = 0; i < MAX_EDICTS; i ++ )
+	push_moved_from[ i ] = new Float32Array( 3 );
+
 /*
 ============
 SV_PushRotate
@@ -569,10 +576,8 @@ export function SV_PushRotate( pusher, movetime ) {
 	const forward = new Float32Array( 3 );
 	const right = new Float32Array( 3 );
 	const up = new Float32Array( 3 );
-	const moved_edict = new Array( MAX_EDICTS );
-	const moved_from = [];
-	for ( let i = 0; i < MAX_EDICTS; i ++ )
-		moved_from[ i ] = new Float32Array( 3 );
+	const moved_edict = push_moved_edict;
+	const moved_from = push_moved_from;
 
 	// If no angular velocity, just advance time
 	if ( pusher.v.avelocity[ 0 ] === 0 && pusher.v.avelocity[ 1 ] === 0 && pusher.v.avelocity[ 2 ] === 0 ) {
@@ -713,10 +718,8 @@ export function SV_PushMove( pusher, movetime ) {
 	const move = new Float32Array( 3 );
 	const entorig = new Float32Array( 3 );
 	const pushorig = new Float32Array( 3 );
-	const moved_edict = new Array( MAX_EDICTS );
-	const moved_from = [];
-	for ( let i = 0; i < MAX_EDICTS; i ++ )
-		moved_from[ i ] = new Float32Array( 3 );
+	const moved_edict = push_moved_edict;
+	const moved_from = push_moved_from;
 
 	if ( pusher.v.velocity[ 0 ] === 0 && pusher.v.velocity[ 1 ] === 0 && pusher.v.velocity[ 2 ] === 0 ) {
 
@@ -1515,9 +1518,15 @@ export function SV_Physics() {
 
 		}
 
-		if ( i > 0 && i <= svs.maxclients )
+		if ( i > 0 && i <= svs.maxclients ) {
+
+			// hitscan weapons fired by this client trace against the world
+			// it was looking at
+			SV_UnlagBegin( svs.clients[ i - 1 ] );
 			SV_Physics_Client( ent, i );
-		else if ( ent.v.movetype === MOVETYPE_PUSH )
+			SV_UnlagEnd();
+
+		} else if ( ent.v.movetype === MOVETYPE_PUSH )
 			SV_Physics_Pusher( ent );
 		else if ( ent.v.movetype === MOVETYPE_NONE )
 			SV_Physics_None( ent );
@@ -1543,4 +1552,6 @@ export function SV_Physics() {
 
 	sv.time += host_frametime;
 
+	SV_UnlagRecord();
+
 }
@@ -2,11 +2,12 @@
 
 import { Sys_Printf } from './sys.js';
 import { Con_Printf, Con_DPrintf, MSG_ReadFloat, MSG_ReadAngle, MSG_ReadShort,
-	MSG_ReadByte, MSG_ReadChar, MSG_ReadString, MSG_BeginReading,
+	MSG_ReadByte, MSG_ReadChar, MSG_ReadLong, MSG_ReadString, MSG_BeginReading,
 	msg_badread, net_message } from './common.js';
 import { vec3_origin, DotProduct, VectorCopy, VectorAdd, VectorSubtract,
 	VectorMA, VectorScale, VectorNormalize, Length, AngleVectors, M_PI } from './mathlib.js';
 import { ON_EPSILON, PITCH, YAW, ROLL } from './quakedef.js';
+import { PEXT_PREDICTION, PEXT_DELTA } from './protocol.js';
 import { MOVETYPE_NONE, MOVETYPE_WALK, MOVETYPE_NOCLIP, FL_ONGROUND,
 	FL_WATERJUMP, sv, svs, sv_player, pr_global_struct, host_frametime,
 	sv_friction, sv_stopspeed, SV_SetPlayer,
@@ -472,8 +473,9 @@ export function SV_ReadClientMove( move ) {
 	const angle = new Float32Array( 3 );
 
 	// read ping time
+	host_client.unlag_time = MSG_ReadFloat();
 	host_client.ping_times[ host_client.num_pings % NUM_PING_TIMES ]
-		= sv.time - MSG_ReadFloat();
+		= sv.time - host_client.unlag_time;
 	host_client.num_pings ++;
 
 	// read current angles
@@ -496,6 +498,18 @@ export function SV_ReadClientMove( move ) {
 	if ( impulse )
 		host_client.edict.v.impulse = impulse;
 
+	// acknowledged in the next clientdata so the client can replay the rest
+	if ( host_client.protocolext & PEXT_PREDICTION )
+		host_client.movesequence = MSG_ReadLong();
+
+	// the snapshot to delta the next one from
+	if ( host_client.protocolext & PEXT_DELTA ) {
+
+		const sequence = MSG_ReadLong();
+		host_client.delta_sequence = sequence <= host_client.framesequence ? sequence : 0;
+
+	}
+
 }
 
 /*
@@ -576,10 +590,12 @@ export function SV_ReadClientMessage() {
 					else if ( Q_strncasecmp( s, 'spawn', 5 ) ) allowed = 1;
 					else if ( Q_strncasecmp( s, 'begin', 5 ) ) allowed = 1;
 					else if ( Q_strncasecmp( s, 'prespawn', 8 ) ) allowed = 1;
+					else if ( Q_strncasecmp( s, 'pext', 4 ) ) allowed = 1;
 					else if ( Q_strncasecmp( s, 'kick', 4 ) ) allowed = 1;
 					else if ( Q_strncasecmp( s, 'ping', 4 ) ) allowed = 1;
 					else if ( Q_strncasecmp( s, 'give', 4 ) ) allowed = 1;
 					else if ( Q_strncasecmp( s, 'ban', 3 ) ) allowed = 1;
+					else if ( Q_strncasecmp( s, 'rcon', 4 ) ) allowed = 1;
 
 					if ( allowed === 2 )
 						Cbuf_InsertText( s );
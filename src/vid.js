@@ -3,6 +3,7 @@
 import * as THREE from 'three';
 import { Sys_Error, Sys_Printf } from './sys.js';
 import { Con_Printf } from './console.js';
+import { Cvar_RegisterVariable } from './cvar.js';
 
 //
 // vid.h constants
@@ -79,6 +80,18 @@ export let vid_menukeyfn = null;
 export let renderer = null; // THREE.WebGLRenderer
 export let canvas = null; // HTMLCanvasElement
 
+// Resolution of the 3D view as a fraction of the device pixel ratio, below 1
+// for the blocky low resolution look; antialias multisamples the scene
+// render target of the post-processing pass (R_PostProcess in gl_rmain.js)
+export const vid_renderscale = { name: 'vid_renderscale', string: '1', value: 1, archive: true };
+export const vid_antialias = { name: 'vid_antialias', string: '0', value: 0, archive: true };
+
+let old_renderscale = 1;
+
+// gamma curve and contrast of the post-processing pass, see VID_UpdateGamma
+export let vid_gamma = 1.0;
+export let vid_contrast = 1.0;
+
 //============================================================================
 // VID_SetPalette
 //
@@ -166,12 +179,10 @@ export function VID_Init( palette ) {
 
 	}
 
-	// create canvas element
-	canvas = document.createElement( 'canvas' );
-	canvas.width = window.innerWidth;
-	canvas.height = window.innerHeight;
-	canvas.style.display = 'block';
-	document.body.appendChild( canvas );
+	Cvar_RegisterVariable( vid_renderscale );
+	Cvar_RegisterVariable( vid_antialias );
+
+	VID_CreateRenderer();
 
 	// update vid dimensions to match actual canvas
 	vid.width = canvas.width;
@@ -181,44 +192,97 @@ export function VID_Init( palette ) {
 	vid.conwidth = vid.width;
 	vid.conheight = vid.height;
 
+	// listen for window resize
+	window.addEventListener( 'resize', function () {
+
+		canvas.width = window.innerWidth;
+		canvas.height = window.innerHeight;
+		vid.width = canvas.width;
+		vid.height = canvas.height;
+		vid.aspect = vid.width / vid.height;
+		vid.rowbytes = vid.width;
+		vid.conwidth = vid.width;
+		vid.conheight = vid.height;
+		vid.recalc_refdef = 1;
+
+		renderer.setSize( canvas.width, canvas.height );
+		renderer.setPixelRatio( VID_PixelRatio() );
+
+	} );
+
+	Con_Printf( 'WebGLRenderer initialized (' + vid.width + 'x' + vid.height + ')\n' );
+
+}
+
+//============================================================================
+// VID_CreateRenderer
+//
+// Creates the canvas and the WebGLRenderer drawing to it.
+//============================================================================
+
+function VID_CreateRenderer() {
+
+	// create canvas element
+	canvas = document.createElement( 'canvas' );
+	canvas.width = window.innerWidth;
+	canvas.height = window.innerHeight;
+	canvas.style.display = 'block';
+	canvas.style.imageRendering = 'pixelated'; // keep low render scales blocky
+	document.body.appendChild( canvas );
+
+	old_renderscale = vid_renderscale.value;
+
 	// create Three.js WebGLRenderer (replaces raw GL context)
+	// the view is drawn to a render target first, see vid_antialias
 	renderer = new THREE.WebGLRenderer( {
 		canvas: canvas,
-		antialias: false, // Quake didn't have AA
+		antialias: false,
 		alpha: false,
 		depth: true,
 		stencil: false
 	} );
 
 	renderer.setSize( canvas.width, canvas.height );
-	renderer.setPixelRatio( window.devicePixelRatio );
+	renderer.setPixelRatio( VID_PixelRatio() );
 	renderer.outputColorSpace = THREE.SRGBColorSpace;
 	renderer.autoClear = false; // we manage clearing ourselves, like Quake did
 	renderer.sortObjects = false; // we sort manually via BSP front-to-back
 
-	// Enable tone mapping for brightness control
 	// LinearToneMapping applies exposure without additional curve
+	// Base exposure of 1.5 to brighten the overall scene
 	renderer.toneMapping = THREE.LinearToneMapping;
-	renderer.toneMappingExposure = 1.0;
+	renderer.toneMappingExposure = 1.5;
 
-	// listen for window resize
-	window.addEventListener( 'resize', function () {
+}
 
-		canvas.width = window.innerWidth;
-		canvas.height = window.innerHeight;
-		vid.width = canvas.width;
-		vid.height = canvas.height;
-		vid.aspect = vid.width / vid.height;
-		vid.rowbytes = vid.width;
-		vid.conwidth = vid.width;
-		vid.conheight = vid.height;
-		vid.recalc_refdef = 1;
+//============================================================================
+// VID_PixelRatio
+//============================================================================
 
-		renderer.setSize( canvas.width, canvas.height );
+function VID_PixelRatio() {
 
-	} );
+	const scale = Math.min( Math.max( vid_renderscale.value, 0.25 ), 2 );
+	return window.devicePixelRatio * scale;
 
-	Con_Printf( 'WebGLRenderer initialized (' + vid.width + 'x' + vid.height + ')\n' );
+}
+
+//============================================================================
+// VID_CheckSettings
+//
+// Called every frame to apply vid_renderscale as soon as it changes, from
+// the video menu or the console.
+//============================================================================
+
+export function VID_CheckSettings() {
+
+	if ( ! renderer ) return;
+
+	if ( vid_renderscale.value !== old_renderscale ) {
+
+		old_renderscale = vid_renderscale.value;
+		renderer.setPixelRatio( VID_PixelRatio() );
+
+	}
 
 }
 
@@ -301,19 +365,16 @@ export function VID_HandlePause( pause ) {
 //============================================================================
 // VID_UpdateGamma
 //
-// Updates the renderer's tone mapping exposure based on the gamma cvar.
-// In original Quake, gamma ranges from 0.5 (brightest) to 1.0 (normal).
-// We map this to toneMappingExposure where 1.0 is normal and higher is brighter.
+// Sets the gamma curve and contrast R_PostProcess applies to the view, the
+// way GLQuake set the hardware gamma ramp.
+// In original Quake, gamma ranges from 0.5 (brightest) to 1.0 (normal),
+// every color is raised to that power. Contrast scales the colors before
+// the curve, 1.0 is normal.
 //============================================================================
 
-export function VID_UpdateGamma( gamma ) {
-
-	if ( ! renderer ) return;
+export function VID_UpdateGamma( gamma, contrast = 1.0 ) {
 
-	// Quake gamma: 0.5 = bright, 1.0 = normal
-	// Exposure: higher = brighter
-	// Base exposure of 1.5 to brighten the overall scene
-	// Map gamma 0.5->3.0, 1.0->1.5 using: exposure = 1.5 / gamma
-	renderer.toneMappingExposure = 1.5 / gamma;
+	vid_gamma = gamma;
+	vid_contrast = contrast;
 
 }
@@ -9,7 +9,8 @@ import { cvar_t, Cvar_RegisterVariable, Cvar_Set } from './cvar.js';
 import { VectorCopy, VectorAdd, VectorSubtract, VectorNormalize,
 	DotProduct, AngleVectors, anglemod, M_PI } from './mathlib.js';
 import { host_frametime, noclip_anglehack } from './host.js';
-import { r_refdef } from './render.js';
+import { r_refdef, LERP_RESETANIM } from './render.js';
+import { EF_MUZZLEFLASH } from './gl_model.js';
 import {
 	CSHIFT_CONTENTS, CSHIFT_DAMAGE, CSHIFT_BONUS, CSHIFT_POWERUP,
 	NUM_CSHIFTS,
@@ -251,6 +252,7 @@ export const cshift_slime = { destcolor: [ 0, 25, 5 ], percent: 150 };
 export const cshift_lava = { destcolor: [ 255, 80, 0 ], percent: 150 };
 
 export const v_gamma = new cvar_t( 'gamma', '1', true );
+export const v_brightness = new cvar_t( 'brightness', '1', true ); // contrast, scales colors before the gamma curve
 
 const gammatable = new Uint8Array( 256 );
 
@@ -287,15 +289,17 @@ V_CheckGamma
 =================
 */
 let _oldgammavalue = 0;
+let _oldbrightness = 0;
 
 function V_CheckGamma() {
 
-	if ( v_gamma.value === _oldgammavalue )
+	if ( v_gamma.value === _oldgammavalue && v_brightness.value === _oldbrightness )
 		return false;
 	_oldgammavalue = v_gamma.value;
+	_oldbrightness = v_brightness.value;
 
 	BuildGammaTable( v_gamma.value );
-	VID_UpdateGamma( v_gamma.value );
+	VID_UpdateGamma( v_gamma.value, v_brightness.value );
 	// vid.recalc_refdef = 1;  // force a surface cache flush
 
 	return true;
@@ -831,7 +835,13 @@ export function V_CalcRefdef() {
 	// else if ( scr_viewsize.value === 80 )
 	//     view.origin[2] += 0.5;
 
-	view.model = cl.model_precache[ cl.stats[ STAT_WEAPON ] ];
+	// r_lerpmodels: don't lerp across weapon changes, and show the muzzle
+	// flash frame at once instead of fading it in
+	const model = cl.model_precache[ cl.stats[ STAT_WEAPON ] ];
+	if ( model !== view.model || ( ent.effects & EF_MUZZLEFLASH ) )
+		view.lerpflags |= LERP_RESETANIM;
+
+	view.model = model;
 	view.frame = cl.stats[ STAT_WEAPONFRAME ];
 	view.colormap = null; // vid.colormap
 
@@ -947,6 +957,7 @@ export function V_Init() {
 
 	BuildGammaTable( 1.0 ); // no gamma yet
 	Cvar_RegisterVariable( v_gamma );
-	VID_UpdateGamma( v_gamma.value );
+	Cvar_RegisterVariable( v_brightness );
+	VID_UpdateGamma( v_gamma.value, v_brightness.value );
 
 }
@@ -9,8 +9,10 @@ line of sight checks trace->crosscontent, but bullets don't
 */
 
 import { Sys_Error } from './sys.js';
+import { cvar_t } from './cvar.js';
 import { Con_Printf, Con_DPrintf, link_t, ClearLink, RemoveLink, InsertLinkBefore } from './common.js';
 import { VectorCopy, VectorAdd, VectorSubtract, DotProduct, vec3_origin, BoxOnPlaneSide } from './mathlib.js';
+import { MAX_EDICTS } from './quakedef.js';
 import {
 	sv, svs,
 	SOLID_NOT, SOLID_TRIGGER, SOLID_BBOX, SOLID_SLIDEBOX, SOLID_BSP,
@@ -332,6 +334,7 @@ SV_ClearWorld
 export function SV_ClearWorld() {
 
 	SV_InitBoxHull();
+	SV_UnlagClear();
 
 	for ( let i = 0; i < AREA_NODES; i ++ ) {
 
@@ -1026,3 +1029,236 @@ export function SV_Move( start, mins, maxs, end, type, passedict ) {
 	return clip.trace;
 
 }
+
+/*
+===============================================================================
+
+LAG COMPENSATION
+
+The positions of players and monsters are kept for the last UNLAG_FRAMES
+server frames. While a client is being run, SV_UnlagMove puts everyone else
+back where that client saw them before tracing, so a hitscan shot hits what
+was under the crosshair instead of what is there a ping later.
+
+===============================================================================
+*/
+
+export const sv_unlag = new cvar_t( 'sv_unlag', '1', false, true );
+export const sv_maxunlag = new cvar_t( 'sv_maxunlag', '0.25' ); // seconds
+
+const UNLAG_FRAMES = 64; // must be a power of 2, enough for sv_maxunlag at high tick rates
+const UNLAG_MASK = UNLAG_FRAMES - 1;
+
+class unlag_frame_t {
+
+	constructor() {
+
+		this.time = 0;
+		this.recorded = new Uint8Array( MAX_EDICTS ); // 1 if the edict was solid this frame
+		this.origins = new Float32Array( MAX_EDICTS * 3 );
+
+	}
+
+}
+
+const unlag_frames = [];
+let unlag_framecount = 0; // frames recorded since the level started
+
+let unlag_passedict = null; // the client edict being run, see SV_UnlagBegin
+let unlag_time = 0; // the time to rewind to
+
+const unlag_rewound = []; // edict numbers moved by SV_UnlagRewind
+const unlag_saved = new Float32Array( MAX_EDICTS * 3 );
+
+/*
+===============
+SV_UnlagClear
+
+Forget all positions, the edicts mean something else on a new level
+===============
+*/
+export function SV_UnlagClear() {
+
+	unlag_framecount = 0;
+	unlag_passedict = null;
+
+}
+
+/*
+===============
+SV_UnlagRecord
+
+Called at the end of every server frame, after sv.time has been advanced,
+so the frame matches the svc_time the clients are about to receive
+===============
+*/
+export function SV_UnlagRecord() {
+
+	if ( ! sv_unlag.value )
+		return;
+
+	const slot = unlag_framecount & UNLAG_MASK;
+	if ( unlag_frames[ slot ] === undefined )
+		unlag_frames[ slot ] = new unlag_frame_t();
+
+	const frame = unlag_frames[ slot ];
+	frame.time = sv.time;
+	frame.recorded.fill( 0 );
+
+	for ( let i = 1; i < sv.num_edicts; i ++ ) {
+
+		const ent = sv.edicts[ i ];
+		if ( ent.free || ent.v.solid !== SOLID_SLIDEBOX )
+			continue;
+
+		frame.recorded[ i ] = 1;
+		frame.origins[ i * 3 ] = ent.v.origin[ 0 ];
+		frame.origins[ i * 3 + 1 ] = ent.v.origin[ 1 ];
+		frame.origins[ i * 3 + 2 ] = ent.v.origin[ 2 ];
+
+	}
+
+	unlag_framecount ++;
+
+}
+
+/*
+===============
+SV_UnlagBegin
+
+Traces made by PF_traceline until SV_UnlagEnd see the world as the client
+did when it sent its last move: the server time of the last message it had
+received. Nothing is moved yet, that only happens around each trace.
+===============
+*/
+export function SV_UnlagBegin( client ) {
+
+	if ( ! sv_unlag.value || ! client.spawned )
+		return;
+
+	let time = client.unlag_time;
+	if ( time < sv.time - sv_maxunlag.value )
+		time = sv.time - sv_maxunlag.value;
+
+	if ( time >= sv.time )
+		return; // no lag to make up for, a local client
+
+	unlag_passedict = client.edict;
+	unlag_time = time;
+
+}
+
+/*
+===============
+SV_UnlagEnd
+===============
+*/
+export function SV_UnlagEnd() {
+
+	unlag_passedict = null;
+
+}
+
+/*
+===============
+SV_UnlagRewind
+
+Moves every edict recorded in the two frames around unlag_time to where
+it was at that time. Returns the number of edicts moved.
+===============
+*/
+function SV_UnlagRewind() {
+
+	const available = unlag_framecount < UNLAG_FRAMES ? unlag_framecount : UNLAG_FRAMES;
+	if ( available < 2 )
+		return 0;
+
+	// find the newest frame at or before unlag_time, stop at the oldest
+	let older = null;
+	let newer = null;
+	for ( let i = 1; i <= available; i ++ ) {
+
+		newer = older;
+		older = unlag_frames[ ( unlag_framecount - i ) & UNLAG_MASK ];
+		if ( older.time <= unlag_time )
+			break;
+
+	}
+
+	if ( newer === null )
+		return 0; // the latest frame is already old enough
+
+	let frac = 1;
+	if ( older.time < unlag_time && newer.time > older.time )
+		frac = 1 - ( unlag_time - older.time ) / ( newer.time - older.time );
+
+	unlag_rewound.length = 0;
+
+	for ( let i = 1; i < sv.num_edicts; i ++ ) {
+
+		// only edicts that existed the whole time, a reused edict would
+		// be pulled back to its previous owner's position
+		if ( ! older.recorded[ i ] || ! newer.recorded[ i ] )
+			continue;
+
+		const ent = sv.edicts[ i ];
+		if ( ent === unlag_passedict || ent.free || ent.v.solid !== SOLID_SLIDEBOX )
+			continue;
+
+		for ( let j = 0; j < 3; j ++ ) {
+
+			unlag_saved[ i * 3 + j ] = ent.v.origin[ j ];
+			ent.v.origin[ j ] = newer.origins[ i * 3 + j ]
+				+ frac * ( older.origins[ i * 3 + j ] - newer.origins[ i * 3 + j ] );
+
+		}
+
+		SV_LinkEdict( ent, false );
+		unlag_rewound.push( i );
+
+	}
+
+	return unlag_rewound.length;
+
+}
+
+/*
+===============
+SV_UnlagRestore
+===============
+*/
+function SV_UnlagRestore() {
+
+	for ( let k = 0; k < unlag_rewound.length; k ++ ) {
+
+		const i = unlag_rewound[ k ];
+		const ent = sv.edicts[ i ];
+		for ( let j = 0; j < 3; j ++ )
+			ent.v.origin[ j ] = unlag_saved[ i * 3 + j ];
+		SV_LinkEdict( ent, false );
+
+	}
+
+	unlag_rewound.length = 0;
+
+}
+
+/*
+==================
+SV_UnlagMove
+
+SV_Move for hitscan traces, rewound for the client being run
+==================
+*/
+export function SV_UnlagMove( start, mins, maxs, end, type, passedict ) {
+
+	if ( unlag_passedict === null || type === MOVE_NOMONSTERS
+		|| passedict !== unlag_passedict || ! SV_UnlagRewind() )
+		return SV_Move( start, mins, maxs, end, type, passedict );
+
+	const trace = SV_Move( start, mins, maxs, end, type, passedict );
+	SV_UnlagRestore();
+
+	return trace;
+
+}